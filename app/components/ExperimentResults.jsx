@@ -0,0 +1,84 @@
+/**
+ * Per-variant results table for an A/B experiment (experiments.server.js ->
+ * getExperimentResults). Used on the Experiments and Analytics pages.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.variants - experiment_variants rows, control first
+ * @param {Array<Object>} props.results - getExperimentResults() rows, same order
+ */
+export function ExperimentResults({ variants, results }) {
+  const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+  const formatCurrency = (amount, currency) =>
+    new Intl.NumberFormat("en-US", { style: "currency", currency: currency || "USD" }).format(amount || 0);
+  const currency = results.find((r) => r.currency)?.currency || null;
+  const control = results[0];
+
+  const significance = (row, i, key) => {
+    if (i === 0) return <s-badge tone="info">Control</s-badge>;
+    const pValue = row[`${key}PValue`];
+    if (pValue === null) return <s-badge tone="subdued">Not enough data</s-badge>;
+    if (!row[`${key}Significant`]) return <s-badge tone="subdued">No clear difference</s-badge>;
+    const better = key === "ctr" ? row.ctr > control.ctr : row.orderRate > control.orderRate;
+    return (
+      <s-badge tone={better ? "success" : "critical"}>
+        {better ? "Better" : "Worse"} (p={pValue < 0.001 ? "<0.001" : pValue.toFixed(3)})
+      </s-badge>
+    );
+  };
+
+  return (
+    <div className="srTableWrap">
+      <table className="srTable">
+        <thead>
+          <tr>
+            <th className="srTh srTextLeft">Variant</th>
+            <th className="srTh srTextLeft">Conversations</th>
+            <th className="srTh srTextLeft">Click-through</th>
+            <th className="srTh srTextLeft">Orders</th>
+            <th className="srTh srTextLeft">Revenue</th>
+          </tr>
+        </thead>
+        <tbody>
+          {results.map((row, i) => (
+            <tr key={row.variantId}>
+              <td>
+                {row.label}
+                <span className="srCardDesc" style={{ display: "block" }}>{describeExperimentVariant(variants[i])}</span>
+              </td>
+              <td>
+                {row.conversations}
+                <span className="srCardDesc" style={{ display: "block" }}>{row.replies} replies</span>
+              </td>
+              <td>
+                {formatPercent(row.ctr)} <span className="srCardDesc">({row.clickedConversations})</span>
+                <div>{significance(row, i, "ctr")}</div>
+              </td>
+              <td>
+                {row.orders} <span className="srCardDesc">({formatPercent(row.orderRate)})</span>
+                <div>{significance(row, i, "order")}</div>
+              </td>
+              <td>
+                {formatCurrency(row.revenue, currency)}
+                <span className="srCardDesc" style={{ display: "block" }}>
+                  {formatCurrency(row.revenuePerConversation, currency)} per conversation
+                </span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/** One-line summary of a variant's settings. */
+export function describeExperimentVariant(variant) {
+  if (!variant) return "";
+  const parts = [
+    variant.tone ? `${variant.tone[0].toUpperCase()}${variant.tone.slice(1)} tone` : "Brand voice tone",
+    variant.link_type === "pdp" ? "product page link" : "checkout link",
+    variant.include_price ? "with price" : "no price",
+  ];
+  if (variant.prompt_addendum) parts.push(`“${variant.prompt_addendum}”`);
+  return parts.join(" · ");
+}
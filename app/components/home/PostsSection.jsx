@@ -211,7 +211,7 @@ const ProductPicker = memo(function ProductPicker({ mediaId, products, busy, onS
   );
 });
 
-export function PostsSection({ mediaData, shopifyProducts, productMappings, disabledPostIds, postFetcher }) {
+export function PostsSection({ mediaData, storiesData, shopifyProducts, productMappings, disabledPostIds, postFetcher }) {
   const revalidator = useRevalidator();
 
   // Instagram media pagination: accumulated pages + cursor for the next one.
@@ -352,121 +352,141 @@ export function PostsSection({ mediaData, shopifyProducts, productMappings, disa
 
   const postBusy = postFetcher.state !== "idle";
 
+  const renderMediaCard = (media, { isStory = false } = {}) => {
+    const mapping = mappingsMap.get(media.id);
+    const mappedProduct = mapping
+      ? (localProducts || []).find((p) => productIdMatch(mapping.product_id, p.id))
+      : null;
+    const mappedVariant = mapping && mappedProduct && mapping.variant_id
+      ? variantIdMatch(mapping.variant_id, mappedProduct.variants?.nodes)
+      : null;
+    const automationEnabled = isPostEnabled(media.id);
+    // Video stories have no still in media_url; use the thumbnail instead.
+    const imageUrl = isStory && media.media_type === "VIDEO" ? media.thumbnail_url : media.media_url;
+
+    return (
+      <s-box key={media.id} padding="base" borderWidth="base" borderRadius="base">
+        <div style={{ display: "flex", flexDirection: "column", gap: "10px" }}>
+          {imageUrl && (
+            <img
+              src={imageUrl}
+              alt={media.caption || (isStory ? "Instagram story" : "Instagram post")}
+              className="srMediaImage"
+              loading="lazy"
+              width="300"
+              height="300"
+            />
+          )}
+          {media.caption && (
+            <span className="srGridTextSubdued srClamp2">{media.caption}</span>
+          )}
+          <div className="srGridMeta">
+            {media.like_count !== undefined && <span>❤️ {media.like_count}</span>}
+            {media.comments_count !== undefined && <span>💬 {media.comments_count}</span>}
+          </div>
+
+          {/* Per-post automation toggle */}
+          <s-box padding="tight" borderWidth="base" borderRadius="base"
+            background={automationEnabled ? "success-subdued" : "subdued"}>
+            <div className="srGridToggleRow srGridStatusBox">
+              <div className="srGridToggleInfo">
+                <span className="srGridTextStrong">
+                  {automationEnabled ? "Automation Enabled" : "Automation Disabled"}
+                </span>
+                <span className="srGridTextSubdued">
+                  {isStory
+                    ? automationEnabled
+                      ? "AI will respond to replies to this story"
+                      : "AI will NOT respond to replies to this story"
+                    : automationEnabled
+                      ? "AI will respond to comments/DMs on this post"
+                      : "AI will NOT respond to comments/DMs on this post"}
+                </span>
+              </div>
+              <label className="srToggle" aria-label={isStory ? "Automation for this story" : "Automation for this post"}>
+                <input
+                  type="checkbox"
+                  checked={automationEnabled}
+                  onChange={() => handleTogglePost(media.id, automationEnabled)}
+                  disabled={postBusy}
+                />
+                <span className="srToggleTrack"><span className="srToggleThumb" /></span>
+              </label>
+            </div>
+          </s-box>
+
+          {/* Product mapping */}
+          {mapping ? (
+            <s-box padding="tight" borderWidth="base" borderRadius="base" background="success-subdued">
+              <div className="srGridStatusBox" style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                <span className="srGridTextSuccess">Mapped to Product</span>
+                <span className="srGridTextSubdued">
+                  {mappedProduct?.title || (mapping.product_handle ? `Product: ${mapping.product_handle}` : "Product")}
+                  {mappedVariant && ` (${mappedVariant.title})`}
+                </span>
+                <s-button
+                  variant="secondary" size="small"
+                  onClick={() => handleDeleteMapping(media.id)}
+                  disabled={postBusy}
+                >
+                  Remove Mapping
+                </s-button>
+              </div>
+            </s-box>
+          ) : (
+            <s-box padding="tight" borderWidth="base" borderRadius="base" background="subdued">
+              <div className="srGridStatusBox" style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+                <span className="srGridTextSubdued">Not mapped</span>
+                <s-button
+                  variant="primary" size="small"
+                  onClick={() => setSelectedMedia(media.id)}
+                  disabled={postBusy}
+                >
+                  Map to Product
+                </s-button>
+              </div>
+            </s-box>
+          )}
+
+          {/* Product picker */}
+          {selectedMedia === media.id && (
+            <ProductPicker
+              mediaId={media.id}
+              products={localProducts || []}
+              busy={postBusy}
+              onSave={(productId, variantId) => handleSaveMapping(media.id, productId, variantId)}
+              onCancel={() => setSelectedMedia(null)}
+              onProductsDiscovered={handleProductsDiscovered}
+            />
+          )}
+        </div>
+      </s-box>
+    );
+  };
+
   return (
     <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
       <span className="srCardDesc">
-        Map posts to Shopify products so the AI knows which product to link when customers DM or comment. Use the toggles to enable or disable automation per post.
+        Map posts and stories to Shopify products so the AI knows which product to link when customers DM, comment, or reply to a story. Use the toggles to enable or disable automation per post.
       </span>
 
+      {/* Live stories (last 24h). Replies to a mapped story are answered
+          with that story's product; the mapping outlives the story itself. */}
+      {storiesData?.data?.length > 0 && (
+        <>
+          <span className="srGridTextStrong">Active stories</span>
+          <div className="srMediaGrid">
+            {storiesData.data.map((story) => renderMediaCard(story, { isStory: true }))}
+          </div>
+          <span className="srGridTextStrong">Posts</span>
+        </>
+      )}
+
       {!mediaData ? (
         <span className="srCardDesc">Fetching your Instagram posts…</span>
       ) : localMedia.length > 0 ? (
         <div className="srMediaGrid">
-          {localMedia.map((media) => {
-            const mapping = mappingsMap.get(media.id);
-            const mappedProduct = mapping
-              ? (localProducts || []).find((p) => productIdMatch(mapping.product_id, p.id))
-              : null;
-            const mappedVariant = mapping && mappedProduct && mapping.variant_id
-              ? variantIdMatch(mapping.variant_id, mappedProduct.variants?.nodes)
-              : null;
-            const automationEnabled = isPostEnabled(media.id);
-
-            return (
-              <s-box key={media.id} padding="base" borderWidth="base" borderRadius="base">
-                <div style={{ display: "flex", flexDirection: "column", gap: "10px" }}>
-                  {media.media_url && (
-                    <img
-                      src={media.media_url}
-                      alt={media.caption || "Instagram post"}
-                      className="srMediaImage"
-                      loading="lazy"
-                      width="300"
-                      height="300"
-                    />
-                  )}
-                  {media.caption && (
-                    <span className="srGridTextSubdued srClamp2">{media.caption}</span>
-                  )}
-                  <div className="srGridMeta">
-                    {media.like_count !== undefined && <span>❤️ {media.like_count}</span>}
-                    {media.comments_count !== undefined && <span>💬 {media.comments_count}</span>}
-                  </div>
-
-                  {/* Per-post automation toggle */}
-                  <s-box padding="tight" borderWidth="base" borderRadius="base"
-                    background={automationEnabled ? "success-subdued" : "subdued"}>
-                    <div className="srGridToggleRow srGridStatusBox">
-                      <div className="srGridToggleInfo">
-                        <span className="srGridTextStrong">
-                          {automationEnabled ? "Automation Enabled" : "Automation Disabled"}
-                        </span>
-                        <span className="srGridTextSubdued">
-                          {automationEnabled
-                            ? "AI will respond to comments/DMs on this post"
-                            : "AI will NOT respond to comments/DMs on this post"}
-                        </span>
-                      </div>
-                      <label className="srToggle" aria-label="Automation for this post">
-                        <input
-                          type="checkbox"
-                          checked={automationEnabled}
-                          onChange={() => handleTogglePost(media.id, automationEnabled)}
-                          disabled={postBusy}
-                        />
-                        <span className="srToggleTrack"><span className="srToggleThumb" /></span>
-                      </label>
-                    </div>
-                  </s-box>
-
-                  {/* Product mapping */}
-                  {mapping ? (
-                    <s-box padding="tight" borderWidth="base" borderRadius="base" background="success-subdued">
-                      <div className="srGridStatusBox" style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
-                        <span className="srGridTextSuccess">Mapped to Product</span>
-                        <span className="srGridTextSubdued">
-                          {mappedProduct?.title || (mapping.product_handle ? `Product: ${mapping.product_handle}` : "Product")}
-                          {mappedVariant && ` (${mappedVariant.title})`}
-                        </span>
-                        <s-button
-                          variant="secondary" size="small"
-                          onClick={() => handleDeleteMapping(media.id)}
-                          disabled={postBusy}
-                        >
-                          Remove Mapping
-                        </s-button>
-                      </div>
-                    </s-box>
-                  ) : (
-                    <s-box padding="tight" borderWidth="base" borderRadius="base" background="subdued">
-                      <div className="srGridStatusBox" style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
-                        <span className="srGridTextSubdued">Not mapped</span>
-                        <s-button
-                          variant="primary" size="small"
-                          onClick={() => setSelectedMedia(media.id)}
-                          disabled={postBusy}
-                        >
-                          Map to Product
-                        </s-button>
-                      </div>
-                    </s-box>
-                  )}
-
-                  {/* Product picker */}
-                  {selectedMedia === media.id && (
-                    <ProductPicker
-                      mediaId={media.id}
-                      products={localProducts || []}
-                      busy={postBusy}
-                      onSave={(productId, variantId) => handleSaveMapping(media.id, productId, variantId)}
-                      onCancel={() => setSelectedMedia(null)}
-                      onProductsDiscovered={handleProductsDiscovered}
-                    />
-                  )}
-                </div>
-              </s-box>
-            );
-          })}
+          {localMedia.map((media) => renderMediaCard(media))}
         </div>
       ) : (
         <span className="srGridTextSubdued">No Instagram posts found.</span>
@@ -0,0 +1,209 @@
+/**
+ * Discount codes offered by the DM sales agent.
+ *
+ * Merchants opt in from the Discounts page and set the guardrails: the
+ * largest percentage the agent may offer, how many codes one Instagram
+ * customer can ever receive, and which message intents qualify. When a
+ * message qualifies, sales-agent.server.js exposes a create_discount_code
+ * tool; each call creates a single-use code in Shopify (usage limit 1,
+ * expires after CODE_TTL_HOURS) and records it in agent_discount_codes.
+ *
+ * Attribution: the code is pre-applied to checkout links minted in the same
+ * reply (discount=CODE), stored on their links_sent rows, and copied onto the
+ * attribution row of the order that redeems it (orders/create webhook).
+ */
+
+import { randomBytes } from "crypto";
+import supabase from "./supabase.server";
+import { createShopifyBasicDiscount } from "./shopify-data.server";
+import logger from "./logger.server";
+
+/** Hard ceilings on what a merchant can configure. */
+export const MAX_AGENT_DISCOUNT_PERCENT = 50;
+export const MAX_AGENT_DISCOUNTS_PER_CUSTOMER = 5;
+
+/** Intents a merchant can make eligible. Everything else never gets a code. */
+export const AGENT_DISCOUNT_INTENT_OPTIONS = ["purchase", "price_request", "product_question", "variant_inquiry"];
+
+const CODE_TTL_HOURS = 48;
+// No 0/O or 1/I: customers sometimes retype codes from a screenshot.
+const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+function generateDiscountCode() {
+  const bytes = randomBytes(8);
+  let code = "IG";
+  for (let i = 0; i < 8; i++) {
+    code += CODE_CHARS[bytes[i] % CODE_CHARS.length];
+  }
+  return code;
+}
+
+/**
+ * What the agent may offer on this message, or null when it may not offer a
+ * code at all (feature off, plan without AI conversations, or an intent the
+ * merchant didn't make eligible).
+ *
+ * @param {Object} settings - getSettings() row
+ * @param {Object} plan - getPlanConfig() object
+ * @param {string|null} intent - classified intent of the inbound message
+ * @returns {{ maxPercent: number, perCustomerLimit: number } | null}
+ */
+export function getAgentDiscountPolicy(settings, plan, intent) {
+  if (!settings?.agent_discount_enabled || !plan?.converse) return null;
+  if (!intent || !(settings.agent_discount_intents || []).includes(intent)) return null;
+
+  const maxPercent = Math.min(Number(settings.agent_discount_max_percent) || 0, MAX_AGENT_DISCOUNT_PERCENT);
+  const perCustomerLimit = Math.min(
+    Number(settings.agent_discount_per_customer_limit) || 0,
+    MAX_AGENT_DISCOUNTS_PER_CUSTOMER
+  );
+  if (maxPercent < 1 || perCustomerLimit < 1) return null;
+  return { maxPercent, perCustomerLimit };
+}
+
+/**
+ * Create a discount code for a customer within the shop's guardrails.
+ * Returns a tool-friendly result: `{ code, percent, expiresAt }` on success,
+ * `{ error }` when the customer is over their limit or Shopify refused. The
+ * requested percent is clamped to the policy maximum.
+ *
+ * @param {Object} shop - shops row (id, shopify_domain)
+ * @param {{ maxPercent: number, perCustomerLimit: number }} policy - from getAgentDiscountPolicy
+ * @param {{ igUserId: string, messageId: string, percent: number }} request
+ */
+export async function issueAgentDiscountCode(shop, policy, { igUserId, messageId, percent }) {
+  if (!shop?.id || !shop.shopify_domain || !policy || !igUserId) {
+    return { error: "Discount codes are not available for this conversation" };
+  }
+
+  const requested = Math.round(Number(percent));
+  const finalPercent = Math.max(1, Math.min(Number.isFinite(requested) ? requested : policy.maxPercent, policy.maxPercent));
+
+  const code = generateDiscountCode();
+  const expiresAt = new Date(Date.now() + CODE_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+  // Reserve the row first: reserve_agent_discount_code checks the limit and
+  // inserts under a per-customer lock, so two DMs at once can't both pass it.
+  // 'unsent' codes never reached the customer, so they don't count.
+  const { data: reservedId, error: reserveError } = await supabase.rpc("reserve_agent_discount_code", {
+    p_shop_id: shop.id,
+    p_ig_user_id: String(igUserId),
+    p_message_id: messageId || null,
+    p_code: code,
+    p_percent: finalPercent,
+    p_expires_at: expiresAt,
+    p_limit: policy.perCustomerLimit,
+  });
+  if (reserveError) {
+    console.error("[agent-discounts] Error reserving discount code:", reserveError);
+    return { error: "Discount codes are not available right now" };
+  }
+  if (!reservedId) {
+    return { error: "This customer has already received their discount code. Do not offer another discount." };
+  }
+
+  let shopifyDiscountId;
+  try {
+    shopifyDiscountId = await createShopifyBasicDiscount(shop.shopify_domain, {
+      code,
+      title: `Instagram DM offer ${code}`,
+      percent: finalPercent,
+      endsAt: expiresAt,
+    });
+  } catch (error) {
+    console.error(`[agent-discounts] Shopify refused discount for shop ${shop.id}:`, error?.message || error);
+    await markAgentDiscountUnsent(shop.id, code);
+    return { error: "Could not create a discount code. Do not mention a discount." };
+  }
+
+  const { error: updateError } = await supabase
+    .from("agent_discount_codes")
+    .update({ shopify_discount_id: shopifyDiscountId, updated_at: new Date().toISOString() })
+    .eq("id", reservedId);
+  if (updateError) {
+    // The code exists in Shopify and is reserved; only the Shopify id is
+    // missing, so still let the agent use it.
+    console.error("[agent-discounts] Error recording Shopify discount id:", updateError);
+  }
+
+  logger.debug(`[agent-discounts] Issued ${finalPercent}% code for message ${messageId} in shop ${shop.id}`);
+  return { code, percent: finalPercent, expiresAt };
+}
+
+/**
+ * The reply carrying this code was never delivered. Frees the customer's
+ * limit; the Shopify code itself just expires unused. Never throws.
+ */
+export async function markAgentDiscountUnsent(shopId, code) {
+  if (!shopId || !code) return;
+  const { error } = await supabase
+    .from("agent_discount_codes")
+    .update({ status: "unsent", updated_at: new Date().toISOString() })
+    .eq("shop_id", shopId)
+    .eq("code", code)
+    .eq("status", "issued");
+  if (error) console.warn("[agent-discounts] Error marking code unsent:", error.message);
+}
+
+/**
+ * The reply for this message was never delivered (the agent or the send
+ * threw before a code-carrying reply went out). Frees every code issued for
+ * it. Never throws.
+ */
+export async function markMessageDiscountsUnsent(shopId, messageId) {
+  if (!shopId || !messageId) return;
+  const { error } = await supabase
+    .from("agent_discount_codes")
+    .update({ status: "unsent", updated_at: new Date().toISOString() })
+    .eq("shop_id", shopId)
+    .eq("message_id", messageId)
+    .eq("status", "issued");
+  if (error) console.warn("[agent-discounts] Error marking message codes unsent:", error.message);
+}
+
+/**
+ * Match an order's discount codes against codes the agent issued. Marks the
+ * first match redeemed and returns it with the checkout link it was applied
+ * to (if any), so the order can be attributed even when it didn't come
+ * through the link. Returns null when no agent code was used. Never throws.
+ *
+ * @param {string} shopId
+ * @param {string[]} orderCodes - codes from the order payload's discount_codes
+ * @param {string} orderId
+ * @returns {Promise<{ code: string, linkId: string|null } | null>}
+ */
+export async function recordAgentDiscountRedemption(shopId, orderCodes, orderId) {
+  const codes = (orderCodes || []).map((c) => String(c || "").trim().toUpperCase()).filter(Boolean);
+  if (!shopId || codes.length === 0) return null;
+
+  try {
+    const { data: issued, error } = await supabase
+      .from("agent_discount_codes")
+      .select("id, code")
+      .eq("shop_id", shopId)
+      .in("code", codes)
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    if (!issued) return null;
+
+    await supabase
+      .from("agent_discount_codes")
+      .update({ status: "redeemed", order_id: orderId || null, updated_at: new Date().toISOString() })
+      .eq("id", issued.id);
+
+    const { data: link } = await supabase
+      .from("links_sent")
+      .select("link_id")
+      .eq("shop_id", shopId)
+      .eq("discount_code", issued.code)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    return { code: issued.code, linkId: link?.link_id || null };
+  } catch (error) {
+    console.error("[agent-discounts] Error matching order discount codes:", error);
+    return null;
+  }
+}
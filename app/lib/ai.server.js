@@ -1,59 +1,13 @@
 /**
- * AI Module for Message Classification
- * Handles OpenAI API calls with rate limiting and retry logic
+ * AI Module for Message Classification and DM image matching
+ * Handles LLM calls (llm.server.js, classifier task) with retry logic. Rate
+ * limits are shared per shop and checked before an automation starts
+ * (rate-limit.server.js, inbound-automation.server.js).
  */
 
-import OpenAI from "openai";
 import { incCounter, recordTiming } from "./metrics.server";
 import logger from "./logger.server";
-
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-if (!OPENAI_API_KEY) {
-  console.warn("[ai] OPENAI_API_KEY not set - AI classification will be disabled");
-}
-
-// Initialize OpenAI client
-const openai = OPENAI_API_KEY
-  ? new OpenAI({
-      apiKey: OPENAI_API_KEY,
-    })
-  : null;
-
-/**
- * Rate limiting: Track requests per shop to avoid exceeding API limits
- * Simple in-memory rate limiter (for production, consider Redis)
- */
-const rateLimitMap = new Map();
-
-/**
- * Check if shop has exceeded rate limit
- * @param {string} shopId - Shop ID
- * @param {number} maxRequests - Maximum requests per minute
- * @returns {boolean} - True if within limit, false if exceeded
- */
-function checkRateLimit(shopId, maxRequests = 60) {
-  const now = Date.now();
-  const windowMs = 60 * 1000; // 1 minute window
-
-  if (!rateLimitMap.has(shopId)) {
-    rateLimitMap.set(shopId, []);
-  }
-
-  const requests = rateLimitMap.get(shopId);
-  
-  // Remove requests outside the time window
-  const recentRequests = requests.filter((timestamp) => now - timestamp < windowMs);
-  rateLimitMap.set(shopId, recentRequests);
-
-  if (recentRequests.length >= maxRequests) {
-    return false; // Rate limit exceeded
-  }
-
-  // Add current request
-  recentRequests.push(now);
-  return true; // Within limit
-}
+import { chatCompletion, isLlmConfigured, LLM_TASKS } from "./llm.server";
 
 /**
  * Retry logic for OpenAI API calls
@@ -103,18 +57,18 @@ async function retryWithBackoff(fn, maxRetries = 3, delayMs = 1000) {
 /**
  * Classify a message using OpenAI
  * @param {string} text - Message text to classify
- * @param {Object} context - Additional context (optional)
- * @returns {Promise<Object>} - Classification result with intent, confidence, sentiment, entities
+ * @param {Object} context - Additional context (optional): { shopId, messageId, channel }
+ * @returns {Promise<Object>} - Classification result with intent, confidence, sentiment, entities and the model used
  */
 export async function classifyMessage(text, context = {}) {
-  if (!openai) {
-    console.warn("[ai] OpenAI client not initialized - skipping classification");
+  if (!isLlmConfigured(LLM_TASKS.CLASSIFIER)) {
+    console.warn("[ai] No LLM provider configured - skipping classification");
     return {
       intent: null,
       confidence: null,
       sentiment: null,
       entities: null,
-      error: "OpenAI API key not configured",
+      error: "LLM provider not configured",
     };
   }
 
@@ -128,19 +82,6 @@ export async function classifyMessage(text, context = {}) {
     };
   }
 
-  // Check rate limit (per shop if shopId provided in context)
-  const shopId = context.shopId || "global";
-  if (!checkRateLimit(shopId)) {
-    console.warn(`[ai] Rate limit exceeded for shop ${shopId}`);
-    return {
-      intent: null,
-      confidence: null,
-      sentiment: null,
-      entities: null,
-      error: "Rate limit exceeded",
-    };
-  }
-
   const channel = context.channel || "dm";
   const channelHint = channel === "comment"
     ? "\nThis is a COMMENT on a product post. Positive or enthusiastic comments on product posts usually indicate purchase interest — classify them as \"purchase\"."
@@ -198,8 +139,10 @@ Entities: Extract any product details mentioned (size, color, product name)`;
     const _aiStart = Date.now();
     incCounter("openai_requests");
     const response = await retryWithBackoff(async () => {
-      return await openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      return await chatCompletion({
+        task: LLM_TASKS.CLASSIFIER,
+        shopId: context.shopId || null,
+        messageId: context.messageId || null,
         messages: [
           {
             role: "system",
@@ -211,15 +154,15 @@ Entities: Extract any product details mentioned (size, color, product name)`;
           },
         ],
         temperature: 0.3,
-        max_tokens: 200,
-        response_format: { type: "json_object" },
+        maxTokens: 200,
+        json: true,
       });
     });
     recordTiming("openai_latency_ms", Date.now() - _aiStart);
 
-    const content = response.choices[0]?.message?.content;
+    const content = response.content;
     if (!content) {
-      throw new Error("Empty response from OpenAI");
+      throw new Error("Empty response from LLM");
     }
 
     // Parse JSON response
@@ -261,6 +204,7 @@ Entities: Extract any product details mentioned (size, color, product name)`;
         color: classification.entities?.color || null,
         product_name: classification.entities?.product_name || null,
       },
+      model: response.model,
     };
 
     logger.debug(`[ai] Classification result:`, result);
@@ -310,4 +254,116 @@ export async function classifyAndUpdateMessage(messageId, text, context, updateF
   }
 }
 
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+const IMAGE_MATCH_MIN_CONFIDENCE = 0.7;
 
+/**
+ * Download an image and inline it as a data URL. Instagram attachment URLs
+ * are short-lived signed CDN links that OpenAI can't always fetch itself.
+ * @param {string} url
+ * @returns {Promise<string|null>}
+ */
+async function fetchImageAsDataUrl(url) {
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(8000) });
+    if (!res.ok) return null;
+    const contentType = res.headers.get("content-type") || "";
+    if (!contentType.startsWith("image/")) return null;
+    const buffer = Buffer.from(await res.arrayBuffer());
+    if (buffer.length === 0 || buffer.length > MAX_IMAGE_BYTES) return null;
+    return `data:${contentType.split(";")[0]};base64,${buffer.toString("base64")}`;
+  } catch (error) {
+    logger.debug(`[ai] Could not download image for matching: ${error?.message || error}`);
+    return null;
+  }
+}
+
+async function visionJson(content, maxTokens, shopId) {
+  incCounter("openai_requests");
+  const start = Date.now();
+  const response = await retryWithBackoff(() =>
+    chatCompletion({
+      task: LLM_TASKS.CLASSIFIER,
+      shopId,
+      messages: [
+        { role: "system", content: "You match customer photos to products in a store catalog. Always respond with valid JSON only." },
+        { role: "user", content },
+      ],
+      temperature: 0,
+      maxTokens,
+      json: true,
+    })
+  );
+  recordTiming("openai_latency_ms", Date.now() - start);
+  return JSON.parse(response.content || "{}");
+}
+
+/**
+ * Match a customer's image (screenshot, photo, shared post) to one catalog
+ * product. Two passes keep the request small: the first shortlists up to 3
+ * products by title from the customer image, the second compares the image
+ * against those products' own photos and must be confident to count.
+ *
+ * @param {string} imageUrl - Customer image URL (Instagram CDN)
+ * @param {Array<{id, title, imageUrl}>} candidates - getCatalogImageCandidates() result
+ * @param {Object} context - { shopId }
+ * @returns {Promise<{productId: string, confidence: number}|null>} null when no confident match
+ */
+export async function matchProductImage(imageUrl, candidates, context = {}) {
+  if (!isLlmConfigured(LLM_TASKS.CLASSIFIER) || !imageUrl || !candidates?.length) return null;
+
+  const customerImage = await fetchImageAsDataUrl(imageUrl);
+  if (!customerImage) return null;
+
+  try {
+    const titles = candidates.map((c, i) => `${i + 1}. ${c.title}`).join("\n");
+    const shortlist = await visionJson(
+      [
+        {
+          type: "text",
+          text: `A customer sent this image in a DM to a store. Which of these catalog products could it show? Pick at most 3 by number, best first. If the image doesn't show a product from this list, return an empty array.
+
+${titles}
+
+Respond with {"candidates": [numbers]}`,
+        },
+        { type: "image_url", image_url: { url: customerImage, detail: "low" } },
+      ],
+      60,
+      context.shopId || null
+    );
+
+    const picked = (Array.isArray(shortlist.candidates) ? shortlist.candidates : [])
+      .map((n) => candidates[Number(n) - 1])
+      .filter(Boolean)
+      .slice(0, 3);
+    if (picked.length === 0) return null;
+
+    const verdict = await visionJson(
+      [
+        {
+          type: "text",
+          text: `The first image is from a customer. The next ${picked.length} are product photos labelled 1-${picked.length}. Which product is the customer showing? Only match when it is clearly the same item (not just a similar style).
+
+Respond with {"match": number or null, "confidence": 0.0-1.0}`,
+        },
+        { type: "image_url", image_url: { url: customerImage, detail: "low" } },
+        ...picked.flatMap((c, i) => [
+          { type: "text", text: `Product ${i + 1}: ${c.title}` },
+          { type: "image_url", image_url: { url: c.imageUrl, detail: "low" } },
+        ]),
+      ],
+      40,
+      context.shopId || null
+    );
+
+    const match = picked[Number(verdict.match) - 1];
+    const confidence = Math.max(0, Math.min(1, Number(verdict.confidence) || 0));
+    logger.debug(`[ai] Image match result: product=${match?.id ?? "none"} confidence=${confidence}`);
+    if (!match || confidence < IMAGE_MATCH_MIN_CONFIDENCE) return null;
+    return { productId: match.id, confidence };
+  } catch (error) {
+    console.error("[ai] Error matching product image:", error);
+    return null;
+  }
+}
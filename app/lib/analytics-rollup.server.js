@@ -0,0 +1,59 @@
+/**
+ * Keeps the analytics_daily rollup table current.
+ *
+ * refresh_analytics_daily(p_since) (supabase_migration_analytics_daily.sql)
+ * recomputes every rollup row from a UTC day onwards. Each scheduler tick
+ * refreshes yesterday and today, which covers new messages, links and orders.
+ * Clicks, follow-ups and orders can still land on older messages, so once
+ * per UTC day the tick reaches back DEEP_REFRESH_DAYS instead.
+ */
+
+import supabase from "./supabase.server";
+import logger from "./logger.server";
+
+const RECENT_REFRESH_DAYS = 1;
+const DEEP_REFRESH_DAYS = 35;
+
+// UTC day of the last deep refresh in this process. A restart just runs one early.
+let lastDeepRefreshDay = null;
+
+function utcDay(offsetDays = 0) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() - offsetDays);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Recompute rollups from `since` (YYYY-MM-DD) onwards, for one shop or all.
+ * Throws on error.
+ *
+ * @param {string} since
+ * @param {string|null} [shopId]
+ * @returns {Promise<number>} rollup rows written
+ */
+export async function refreshAnalyticsSince(since, shopId = null) {
+  const { data, error } = await supabase.rpc("refresh_analytics_daily", {
+    p_since: since,
+    p_shop_id: shopId,
+  });
+  if (error) {
+    console.error("[analytics-rollup] Error refreshing rollups:", error);
+    throw error;
+  }
+  return data || 0;
+}
+
+/**
+ * Scheduler / cron entry point.
+ * @returns {Promise<{ since: string, deep: boolean, rows: number }>}
+ */
+export async function refreshAnalyticsRollups() {
+  const today = utcDay();
+  const deep = lastDeepRefreshDay !== today;
+  const since = utcDay(deep ? DEEP_REFRESH_DAYS : RECENT_REFRESH_DAYS);
+
+  const rows = await refreshAnalyticsSince(since);
+  if (deep) lastDeepRefreshDay = today;
+  logger.debug(`[analytics-rollup] Refreshed ${rows} rows since ${since}${deep ? " (deep)" : ""}`);
+  return { since, deep, rows };
+}
@@ -0,0 +1,215 @@
+/**
+ * Multi-touch attribution for DM link clicks.
+ *
+ * The landing_site ref only survives when the customer checks out in the same
+ * session they clicked. To credit later purchases, the {store}/a/go/{linkId}
+ * redirect page (proxy.go.$linkId.jsx) remembers each click on the storefront:
+ *
+ *   - a first-party cookie (TOUCH_COOKIE) holds the last MAX_TOUCHES clicks as
+ *     "linkId.unixSeconds|…" and is copied into a hidden cart attribute of the
+ *     same name, which Shopify carries onto the order's note_attributes;
+ *   - the page posts the cart token back, stored in link_touches, so orders
+ *     from that cart are matched even if the attribute was lost.
+ *
+ * orders/create gathers both (plus the landing_site ref, if any), keeps the
+ * touches inside the merchant's attribution window and records one
+ * attribution_touches row per link with its first-touch, last-touch and
+ * linear credit.
+ */
+
+import supabase from "./supabase.server";
+import logger from "./logger.server";
+
+export const TOUCH_COOKIE = "_srai_touches";
+export const MAX_TOUCHES = 10;
+
+export const MIN_ATTRIBUTION_WINDOW_DAYS = 1;
+export const MAX_ATTRIBUTION_WINDOW_DAYS = 30;
+export const DEFAULT_ATTRIBUTION_WINDOW_DAYS = 7;
+
+const LINK_ID_RE = /^[A-Za-z0-9_]{4,64}$/;
+// Clock skew between the customer's browser and Shopify.
+const TOUCH_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Parse a TOUCH_COOKIE value ("linkId.unixSeconds|…"). Malformed entries are
+ * dropped; it comes from the customer's browser.
+ *
+ * @param {string|null|undefined} value
+ * @returns {{ linkId: string, touchedAt: Date }[]}
+ */
+export function parseTouchList(value) {
+  if (!value || typeof value !== "string") return [];
+  const touches = [];
+  for (const entry of value.split("|").slice(-MAX_TOUCHES)) {
+    const dot = entry.lastIndexOf(".");
+    if (dot <= 0) continue;
+    const linkId = entry.slice(0, dot);
+    const seconds = Number(entry.slice(dot + 1));
+    if (!LINK_ID_RE.test(linkId) || !Number.isInteger(seconds) || seconds <= 0) continue;
+    touches.push({ linkId, touchedAt: new Date(seconds * 1000) });
+  }
+  return touches;
+}
+
+/**
+ * Split one order between its touches. Touches must be sorted oldest first.
+ *
+ * @param {{ linkId: string, touchedAt: Date }[]} touches
+ * @returns {{ linkId: string, touchedAt: Date, first_touch: number, last_touch: number, linear: number }[]}
+ */
+export function computeTouchCredits(touches) {
+  const n = touches.length;
+  return touches.map((touch, i) => ({
+    ...touch,
+    first_touch: i === 0 ? 1 : 0,
+    last_touch: i === n - 1 ? 1 : 0,
+    linear: 1 / n,
+  }));
+}
+
+/**
+ * Shopify cart tokens come back from /cart/update.js as "token?key=…"; orders
+ * only carry the part before the "?".
+ */
+export function normalizeCartToken(token) {
+  if (!token || typeof token !== "string") return null;
+  const base = token.split("?")[0].trim();
+  return base && base.length <= 200 ? base : null;
+}
+
+/**
+ * Remember that the cart `cartToken` came through `linkId`. Unknown links are
+ * ignored. Never throws.
+ */
+export async function recordCartTouch(linkId, cartToken) {
+  const token = normalizeCartToken(cartToken);
+  if (!token || !LINK_ID_RE.test(linkId || "")) return;
+  try {
+    const { data: link } = await supabase
+      .from("links_sent")
+      .select("shop_id")
+      .eq("link_id", linkId)
+      .maybeSingle();
+    if (!link?.shop_id) return;
+
+    const { error } = await supabase.from("link_touches").insert({
+      shop_id: link.shop_id,
+      link_id: linkId,
+      cart_token: token,
+    });
+    if (error) console.warn("[attribution] Error recording cart touch:", error.message);
+  } catch (error) {
+    console.warn("[attribution] Error recording cart touch:", error?.message || error);
+  }
+}
+
+/**
+ * Credit an order to every DM link the customer clicked within the window.
+ * Returns the last touch (for the single-link attribution row) or null when
+ * no touch qualifies. Never throws: attribution must not fail the webhook.
+ *
+ * @param {string} shopId
+ * @param {Object} order
+ * @param {string} order.orderId
+ * @param {string|Date} [order.createdAt]
+ * @param {string|null} [order.cartToken]
+ * @param {{ name: string, value: string }[]} [order.noteAttributes]
+ * @param {string|null} [order.refLinkId] - link_id from landing_site, if any
+ * @param {number} order.amount
+ * @param {string} order.currency
+ * @param {number} windowDays
+ * @returns {Promise<{ linkId: string, channel: string|null } | null>}
+ */
+export async function recordMultiTouchAttribution(shopId, order, windowDays) {
+  try {
+    const orderTime = order.createdAt ? new Date(order.createdAt) : new Date();
+    const windowStart = orderTime.getTime() - windowDays * 24 * 60 * 60 * 1000;
+
+    // One touch per link, at its latest click.
+    const latest = new Map();
+    const addTouch = ({ linkId, touchedAt }) => {
+      const prev = latest.get(linkId);
+      if (!prev || touchedAt > prev) latest.set(linkId, touchedAt);
+    };
+
+    const attr = (order.noteAttributes || []).find((a) => a?.name === TOUCH_COOKIE);
+    parseTouchList(attr?.value).forEach(addTouch);
+
+    const cartToken = normalizeCartToken(order.cartToken);
+    if (cartToken) {
+      const { data: cartTouches, error } = await supabase
+        .from("link_touches")
+        .select("link_id, touched_at")
+        .eq("shop_id", shopId)
+        .eq("cart_token", cartToken)
+        .gte("touched_at", new Date(windowStart).toISOString());
+      if (error) console.warn("[attribution] Error loading cart touches:", error.message);
+      (cartTouches || []).forEach((t) => addTouch({ linkId: t.link_id, touchedAt: new Date(t.touched_at) }));
+    }
+
+    // The session that placed the order came through this link: latest touch.
+    if (order.refLinkId) {
+      addTouch({ linkId: order.refLinkId, touchedAt: orderTime });
+    }
+
+    const inWindow = [...latest.entries()]
+      .map(([linkId, touchedAt]) => ({ linkId, touchedAt }))
+      .filter(
+        (t) => t.touchedAt.getTime() >= windowStart && t.touchedAt.getTime() <= orderTime.getTime() + TOUCH_CLOCK_SKEW_MS
+      );
+    if (inWindow.length === 0) return null;
+
+    // Only this shop's links count; cookie values are customer-controlled.
+    const { data: links, error: linksError } = await supabase
+      .from("links_sent")
+      .select("link_id, message_id")
+      .eq("shop_id", shopId)
+      .in("link_id", inWindow.map((t) => t.linkId));
+    if (linksError) throw linksError;
+
+    const messageIds = [...new Set((links || []).map((l) => l.message_id).filter(Boolean))];
+    const channelByMessage = {};
+    if (messageIds.length > 0) {
+      const { data: messages } = await supabase.from("messages").select("id, channel").in("id", messageIds);
+      (messages || []).forEach((m) => {
+        channelByMessage[m.id] = m.channel || null;
+      });
+    }
+    const channelByLink = {};
+    (links || []).forEach((l) => {
+      channelByLink[l.link_id] = channelByMessage[l.message_id] ?? null;
+    });
+
+    const touches = inWindow
+      .filter((t) => t.linkId in channelByLink)
+      .sort((a, b) => a.touchedAt - b.touchedAt);
+    if (touches.length === 0) return null;
+
+    const rows = computeTouchCredits(touches).map((t) => ({
+      shop_id: shopId,
+      order_id: order.orderId,
+      link_id: t.linkId,
+      channel: channelByLink[t.linkId],
+      touched_at: t.touchedAt.toISOString(),
+      first_touch_credit: t.first_touch,
+      last_touch_credit: t.last_touch,
+      linear_credit: t.linear,
+      amount: order.amount || 0,
+      currency: order.currency || "USD",
+    }));
+
+    // Webhook retries re-deliver the same order; keep the first write.
+    const { error: insertError } = await supabase
+      .from("attribution_touches")
+      .upsert(rows, { onConflict: "shop_id,order_id,link_id", ignoreDuplicates: true });
+    if (insertError) throw insertError;
+
+    logger.debug(`[attribution] Order ${order.orderId} credited to ${rows.length} touch(es)`);
+    const last = touches[touches.length - 1];
+    return { linkId: last.linkId, channel: channelByLink[last.linkId] };
+  } catch (error) {
+    console.error("[attribution] Error recording multi-touch attribution:", error);
+    return null;
+  }
+}
@@ -3,8 +3,7 @@
  * Handles checkout link generation, DM sending, and message processing
  */
 
-import OpenAI from "openai";
-import { getShopPlanAndUsage, incrementUsage, logLinkSent, deleteLinkSent, alreadyRepliedToMessage, alreadyRepliedToExternalMessage, claimMessageReply, claimCommentReply, isHumanTakeoverActive } from "./db.server";
+import { getShopPlanAndUsage, incrementUsage, logLinkSent, deleteLinkSent, alreadyRepliedToMessage, alreadyRepliedToExternalMessage, claimMessageReply, claimCommentReply, isHumanTakeoverActive, isOptedOut, recordOptOut, recordOptIn } from "./db.server";
 import { getProductMappings } from "./db.server";
 import { getSettings, getBrandVoice } from "./db.server";
 import { getRecentConversationContext } from "./db.server";
@@ -13,6 +12,7 @@ import { getStoredStoreContext } from "./db.server";
 import { sendInstagramPrivateReply, sendInstagramDm } from "./meta.server";
 import supabase from "./supabase.server";
 import { canSendForShop, sendDmNow } from "./queue.server";
+import { peekRateLimit, RATE_LIMIT_BUCKETS } from "./rate-limit.server";
 import logger from "./logger.server";
 import {
   searchCatalogNormalized,
@@ -21,11 +21,19 @@ import {
 import {
   buildCheckoutLink,
   buildProductPageLink,
+  buildCollectionPageLink,
   getTrackedLinkUrl,
   shortenUrlsInReply,
   getShopHomepageUrl,
 } from "./links.server";
-import { generateAgentReply, isExplicitLinkRequest, REPLY_MODEL, completionParamsForModel } from "./sales-agent.server";
+import { generateAgentReply, isExplicitLinkRequest } from "./sales-agent.server";
+import { chatCompletion, isLlmConfigured, resolveLlmModel, LLM_TASKS } from "./llm.server";
+import { isLlmBudgetExceeded } from "./llm-usage.server";
+import { renderRuleTemplate } from "./comment-rules.server";
+import { pickPublicReplyTemplate, postPublicCommentReply } from "./comment-public-reply.server";
+import { parseOptCommand, OPT_OUT_CONFIRMATION, OPT_IN_CONFIRMATION } from "./opt-outs.server";
+import { getAgentDiscountPolicy, markAgentDiscountUnsent, markMessageDiscountsUnsent } from "./agent-discounts.server";
+import { assignExperimentVariant, applyVariantVoice } from "./experiments.server";
 
 // Link builders moved to links.server.js; re-exported for existing callers
 // (e.g. meta.test-webhook.jsx imports them from here).
@@ -51,23 +59,28 @@ function buildSelectedForSizeSwitch(allVariants, mappedVariantId, sizeOptionName
   return selected;
 }
 
-// Module-level singleton — one HTTP connection pool for the lifetime of the process.
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
-
 /**
- * Send a DM reply via Instagram Messaging API
+ * Send a DM reply via Instagram Messaging API. Over the shop's send or Meta
+ * Graph rate limit, or after a temporary send failure, the DM goes to
+ * outbound_dm_queue instead, or with `allowQueue: false` comes back as
+ * `{ held: true }` for the caller to retry (follow-ups: the queue doesn't
+ * know their messaging window).
  * @param {string} shopId - Shop UUID
  * @param {string} igUserId - Instagram user ID (recipient)
  * @param {string} text - Message text
- * @returns {Promise<Object>} - API response
+ * @param {Object} [options]
+ * @param {boolean} [options.allowQueue=true]
+ * @returns {Promise<Object>} - { sent: true }, { queued: true }, { held: true, reason },
+ *   or { sent: false, reason } for a permanent failure
  */
-export async function sendDmReply(shopId, igUserId, text) {
+export async function sendDmReply(shopId, igUserId, text, { allowQueue = true } = {}) {
   if (!shopId || !igUserId || !text) {
     throw new Error("shopId, igUserId, and text are required");
   }
 
-  if (await canSendForShop(shopId)) {
+  let holdReason = "Rate limited";
+  const metaLimit = await peekRateLimit(shopId, RATE_LIMIT_BUCKETS.META_GRAPH);
+  if (metaLimit.allowed && (await canSendForShop(shopId))) {
     try {
       await sendDmNow(shopId, igUserId, text);
       return { sent: true };
@@ -81,10 +94,13 @@ export async function sendDmReply(shopId, igUserId, text) {
         console.warn("[automation] Permanent send failure, skipping queue:", msg);
         return { sent: false, reason: msg };
       }
-      console.error("[automation] Error sending DM immediately, queueing:", error);
+      console.error(`[automation] Error sending DM immediately${allowQueue ? ", queueing" : ""}:`, error);
+      holdReason = msg || "Send failed";
     }
   }
 
+  if (!allowQueue) return { held: true, reason: holdReason };
+
   const { error } = await supabase.from("outbound_dm_queue").insert({
     shop_id: shopId,
     ig_user_id: String(igUserId),
@@ -109,10 +125,11 @@ export async function sendDmReply(shopId, igUserId, text) {
  * @param {Object} shop - Shop object
  * @param {string} messageId - Triggering message UUID
  * @param {string} replyText - Outbound reply text
+ * @param {{experimentId: string, variant: Object}|null} experiment - assignExperimentVariant() result; tags the rows
  * @param {Array<{linkId: string, url?: string, productId?: string, variantId?: string}>} links
  * @returns {Promise<string[]>} inserted link_ids
  */
-async function persistReplyLinks(shop, messageId, replyText, links) {
+async function persistReplyLinks(shop, messageId, replyText, experiment, links) {
   const inserted = [];
   for (const link of links || []) {
     if (!link?.linkId) continue;
@@ -124,6 +141,10 @@ async function persistReplyLinks(shop, messageId, replyText, links) {
       url: link.url || null,
       linkId: link.linkId,
       replyText,
+      discountCode: link.discountCode || null,
+      lineItems: link.lineItems || null,
+      experimentId: experiment?.experimentId || null,
+      experimentVariantId: experiment?.variant?.id || null,
     });
     inserted.push(link.linkId);
   }
@@ -137,11 +158,75 @@ async function rollbackReplyLinks(shopId, linkIds) {
   }
 }
 
+/**
+ * The link a reply leads with: a checkout link, or the product page when the
+ * conversation's experiment variant tests that. Questions about the product
+ * always get its page as well (built by the caller), so the variant only
+ * changes buying-intent replies. Falls back to checkout when the product
+ * page can't be built. `isProductPage` tells generateReplyMessage which one
+ * it got.
+ */
+async function buildReplyLink(shop, replyVariant, intent, productId, variantId, productHandle = null) {
+  const asksAboutProduct = intent === "product_question" || intent === "variant_inquiry";
+  if (replyVariant?.link_type === "pdp" && !asksAboutProduct) {
+    const pdp = await buildProductPageLink(shop, productId, variantId, productHandle);
+    if (pdp) return { ...pdp, isProductPage: true };
+  }
+  return buildCheckoutLink(shop, productId, variantId, 1);
+}
+
+/** channelContext flags generateReplyMessage reads for an experiment variant. */
+function variantReplyContext(replyVariant, link = null) {
+  return {
+    ...(link?.isProductPage ? { linkIsProductPage: true } : {}),
+    ...(replyVariant?.include_price === false ? { omitPrice: true } : {}),
+  };
+}
+
+/**
+ * Record a STOP/START command in the opt-out registry and confirm it with a
+ * DM. The confirmation is sent immediately, and a failed send is not
+ * retried. It takes the message's one reply slot and isn't counted against
+ * the usage cap. A START from someone who never opted out is ignored (no
+ * reply), like any other message we don't automate.
+ */
+async function handleOptCommand(shop, message, { command, keyword }) {
+  let replyText;
+  if (command === "stop") {
+    await recordOptOut(shop.id, message.from_user_id, { username: message.from_username, source: "keyword", keyword });
+    replyText = OPT_OUT_CONFIRMATION;
+    logger.debug(`[automation] User ${message.from_user_id} opted out via "${keyword}"`);
+  } else {
+    const wasOptedOut = await recordOptIn(shop.id, message.from_user_id, "keyword");
+    if (!wasOptedOut) {
+      return { sent: false, reason: "START from a customer who wasn't opted out" };
+    }
+    replyText = OPT_IN_CONFIRMATION;
+    logger.debug(`[automation] User ${message.from_user_id} opted back in via "${keyword}"`);
+  }
+
+  if (!(await claimMessageReply(shop.id, message.id, replyText, message.external_id))) {
+    return { sent: false, reason: "Already replied to this message" };
+  }
+  // Sent directly, never through outbound_dm_queue: by the time the queue
+  // ran, the STOP sender would be in opt_outs and the confirmation dropped.
+  try {
+    await sendDmNow(shop.id, message.from_user_id, replyText);
+  } catch (error) {
+    console.error("[automation] Error sending opt command confirmation:", error);
+    return { sent: false, reason: error?.message || "Failed to send confirmation" };
+  }
+  return { sent: true, reason: command === "stop" ? "Opt-out confirmed" : "Opt-in confirmed" };
+}
+
 /**
  * Process an incoming DM and send automated reply if conditions are met
  * @param {Object} message - Message object from database
  * @param {Object} shop - Shop object
  * @param {Object} plan - Plan object
+ * @param {Object} [ctx] - Optional prefetched settings/usageData, plus `story`
+ *   ({ type: "reply"|"mention", id, url }) when the DM answers or mentions a story,
+ *   and `decision` (createDecisionTrace()) to collect the pipeline, model and tool calls
  * @returns {Promise<{sent: boolean, reason?: string}>} - Whether message was sent and reason
  */
 export async function handleIncomingDm(message, shop, plan, ctx = {}) {
@@ -158,6 +243,15 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
       }
     }
 
+    // 0.5. Meta compliance: explicit STOP / START. Handled before any other
+    // gate (automation toggles, plan, takeover) so an opt-out is always
+    // recorded and confirmed.
+    const optCommand = parseOptCommand(message.text);
+    if (optCommand && message.from_user_id) {
+      if (ctx.decision) ctx.decision.pipeline = "opt_command";
+      return await handleOptCommand(shop, message, optCommand);
+    }
+
     // 1. Check publish mode: if dm_automation_enabled = false, skip automation
     const settings = ctx.settings ?? await getSettings(shop.id);
     if (settings?.dm_automation_enabled === false) {
@@ -165,14 +259,20 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
       return { sent: false, reason: "DM automation disabled" };
     }
 
+    // Stories share the per-post automation deny-list with feed posts.
+    const storyId = ctx.story?.id || null;
+    if (storyId && Array.isArray(settings?.disabled_post_ids) && settings.disabled_post_ids.includes(storyId)) {
+      logger.debug(`[automation] Story ${storyId} is in disabled_post_ids, skipping DM automation`);
+      return { sent: false, reason: "Automation disabled for this story" };
+    }
+
     // Follow-up automation toggle (PRO). When disabled, we do NOT ask clarifying questions.
     const followupAutomationEnabled = settings?.followup_enabled === true;
 
-    // 1.5. Meta Compliance: Check for opt-out keywords (STOP, UNSUBSCRIBE, OPT OUT)
-    const optOutKeywords = ["stop", "unsubscribe", "opt out", "optout", "cancel", "no messages"];
-    const messageTextLower = (message.text || "").toLowerCase();
-    if (optOutKeywords.some(keyword => messageTextLower.includes(keyword))) {
-      logger.debug(`[automation] Opt-out keyword detected in message ${message.id}, skipping automation`);
+    // 1.5. Meta Compliance: customers in the opt-out registry get nothing
+    // automated until they send START.
+    if (message.from_user_id && (await isOptedOut(shop.id, message.from_user_id))) {
+      logger.debug(`[automation] User ${message.from_user_id} is opted out, skipping automation`);
       return { sent: false, reason: "User opted out of automated messages" };
     }
 
@@ -233,6 +333,76 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
       }
     }
 
+    // A reply to a mapped story is about that story's product, whatever was
+    // linked earlier in the thread. Story mappings live in post_product_map
+    // (story IDs are ordinary IG media IDs), so the same picker maps both.
+    if (ctx.story) {
+      let storyMapping = null;
+      if (ctx.story.type === "reply" && storyId) {
+        try {
+          const mappings = await getProductMappings(shop.id);
+          storyMapping = mappings.find((m) => m.ig_media_id === storyId) || null;
+        } catch (error) {
+          console.error("[automation] Error loading story product mapping:", error);
+        }
+      }
+      threadContext = {
+        ...(threadContext || {}),
+        story: { ...ctx.story, product_id: storyMapping?.product_id || null },
+        ...(storyMapping?.product_id
+          ? {
+              lastProductLink: {
+                link_id: null,
+                url: null,
+                product_id: storyMapping.product_id,
+                variant_id: storyMapping.variant_id || null,
+                trigger_channel: "story",
+              },
+            }
+          : {}),
+      };
+      logger.debug(
+        `[automation] Story ${ctx.story.type} context for message ${message.id}: story=${storyId ?? "?"} product=${storyMapping?.product_id ?? "none"}`
+      );
+    }
+
+    // Screenshots / shared posts, resolved to a product in the webhook and
+    // stored on messages.attachments. This message's own attachment always
+    // counts; an earlier one in the thread only while it's newer than the
+    // last product link we sent ("is this still available?" right after a
+    // screenshot).
+    const ownAttachmentProduct =
+      (Array.isArray(message.attachments) ? message.attachments : []).find((a) => a?.product_id) || null;
+    const recentAttachmentProduct = threadContext?.lastAttachmentProduct || null;
+    const priorLinkSentAt = threadContext?.lastProductLink?.sent_at || null;
+    const attachmentProduct =
+      ownAttachmentProduct ||
+      (recentAttachmentProduct &&
+      (!priorLinkSentAt || new Date(recentAttachmentProduct.created_at) > new Date(priorLinkSentAt))
+        ? recentAttachmentProduct
+        : null);
+    if (attachmentProduct && !threadContext?.story?.product_id) {
+      threadContext = {
+        ...(threadContext || {}),
+        attachment: {
+          type: attachmentProduct.type,
+          product_id: attachmentProduct.product_id,
+          match_source: attachmentProduct.match_source || null,
+          own: !!ownAttachmentProduct,
+        },
+        lastProductLink: {
+          link_id: null,
+          url: null,
+          product_id: attachmentProduct.product_id,
+          variant_id: attachmentProduct.variant_id || null,
+          trigger_channel: "dm",
+        },
+      };
+      logger.debug(
+        `[automation] Attachment product context for message ${message.id}: ${attachmentProduct.type} → ${attachmentProduct.product_id} (${attachmentProduct.match_source || "?"})`
+      );
+    }
+
     const lastProductLink = threadContext?.lastProductLink || null;
     const hasPriorProductContext = !!lastProductLink?.product_id;
     const originChannel = threadContext?.originChannel || "dm";
@@ -265,7 +435,10 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
     if (!intent || !eligibleIntents.includes(intent)) {
       // If we have prior product context, try a lightweight inference.
       if (hasPriorProductContext) {
-        intent = inferIntentFromText(message.text);
+        // An attachment with no text is itself the question ("this one?").
+        intent =
+          inferIntentFromText(message.text) ||
+          (ownAttachmentProduct && !(message.text || "").trim() ? "product_question" : null);
       } else if (isExplicitLinkRequest(message.text)) {
         intent = "purchase";
       }
@@ -317,6 +490,13 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
       }
     }
 
+    // 4.5. A/B experiment (experiments.server.js): the conversation's variant
+    // adjusts the brand voice, link type and price mention of whichever
+    // pipeline answers below, and tags the links it sends.
+    const experiment = await assignExperimentVariant(shop.id, message.from_user_id);
+    const replyVariant = experiment?.variant || null;
+    const loadBrandVoice = async () => applyVariantVoice(await getBrandVoice(shop.id), replyVariant);
+
     // 5. Sales agent: a tool-calling AI that searches the catalog, reads
     // product/store data, and mints tracked checkout links itself, then writes
     // the reply. It handles every eligible intent (including mixed-intent
@@ -325,8 +505,9 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
     // errors out, or declines to answer. All compliance gates (one reply per
     // message, opt-out, 24h window, usage cap) have already run above, and
     // claim/send/usage accounting here mirrors the legacy branches exactly.
+    let agentReplySent = false;
     try {
-      const brandVoiceData = await getBrandVoice(shop.id);
+      const brandVoiceData = await loadBrandVoice();
       const agentResult = await generateAgentReply({
         shop,
         message,
@@ -334,21 +515,27 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
         brandVoice: brandVoiceData,
         threadContext,
         allowClarify: plan.followup === true && followupAutomationEnabled,
+        discountPolicy: getAgentDiscountPolicy(settings, plan, intent),
+        replyVariant,
+        trace: ctx.decision || null,
       });
 
       if (agentResult?.text) {
         if (!(await claimMessageReply(shop.id, message.id, agentResult.text, message.external_id))) {
           logger.debug(`[automation] Reply already claimed for message ${message.id}, skipping send`);
+          await markAgentDiscountUnsent(shop.id, agentResult.discountCode);
           return { sent: false, reason: "Already replied to this message" };
         }
         // Tool-minted links go in BEFORE the send so the /{linkId} redirect
         // resolves for Instagram's instant preview fetch.
-        const insertedLinkIds = await persistReplyLinks(shop, message.id, agentResult.text, agentResult.links);
+        const insertedLinkIds = await persistReplyLinks(shop, message.id, agentResult.text, experiment, agentResult.links);
         const sendResult = await sendDmReply(shop.id, message.from_user_id, agentResult.text);
         if (sendResult?.sent === false) {
           await rollbackReplyLinks(shop.id, insertedLinkIds);
+          await markAgentDiscountUnsent(shop.id, agentResult.discountCode);
           return sendResult;
         }
+        agentReplySent = true;
         await incrementUsage(shop.id, 1);
 
         logger.debug(
@@ -359,7 +546,10 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
       logger.debug(`[automation] Sales agent declined message ${message.id}; using legacy pipeline`);
     } catch (error) {
       console.error(`[automation] Sales agent failed for message ${message.id}, using legacy pipeline:`, error);
+      // A code the agent issued before throwing never reached the customer.
+      if (!agentReplySent) await markMessageDiscountsUnsent(shop.id, message.id);
     }
+    if (ctx.decision) Object.assign(ctx.decision, { pipeline: "legacy", model: await resolveLlmModel(LLM_TASKS.AGENT, shop.id) });
 
     // 5b. Handle store_question (general store questions) - doesn't need product mapping
     if (intent === "store_question") {
@@ -370,7 +560,7 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
       // nearest-match answers could derail replies (an irrelevant FAQ match
       // once made the AI ignore the product count sitting in this context).
       const [brandVoiceData, storeInfoResult] = await Promise.all([
-        getBrandVoice(shop.id),
+        loadBrandVoice(),
         getStoredStoreContext(shop.id, 0).catch(() => null),
       ]);
 
@@ -411,7 +601,9 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
             .filter((m) => m.id !== message.id)
             .slice(0, 8)
             .map((m) => ({ channel: m.channel, text: m.text, created_at: m.created_at })),
-        }
+        },
+        null,
+        { shopId: shop.id, messageId: message.id }
       );
 
       replyText = await shortenUrlsInReply(shop, message.id, replyText);
@@ -506,8 +698,8 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
             const resolvedVariantId = resolved?.variant?.id || lastProductLink.variant_id;
 
             const [checkoutLink, brandVoiceData, productInfo] = await Promise.all([
-              buildCheckoutLink(shop, lastProductLink.product_id, resolvedVariantId, 1),
-              getBrandVoice(shop.id),
+              buildReplyLink(shop, replyVariant, "purchase", lastProductLink.product_id, resolvedVariantId),
+              loadBrandVoice(),
               shop.shopify_domain
                 ? getShopifyProductInfo(shop.shopify_domain, lastProductLink.product_id, resolvedVariantId)
                 : Promise.resolve({ productName: null, productPrice: null }),
@@ -531,17 +723,20 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
                 inboundChannel: "dm",
                 triggerChannel: originChannel,
                 sizeConfirmation: inferredSize,
+                ...variantReplyContext(replyVariant, checkoutLink),
                 recentMessages: (threadContext?.messages || [])
                   .filter((m) => m.id !== message.id)
                   .slice(0, 8)
                   .map((m) => ({ channel: m.channel, text: m.text, created_at: m.created_at })),
-              }
+              },
+              null,
+              { shopId: shop.id, messageId: message.id }
             );
 
             if (!(await claimMessageReply(shop.id, message.id, replyText, message.external_id))) {
               return { sent: false, reason: "Already replied to this message" };
             }
-            const insertedLinkIds = await persistReplyLinks(shop, message.id, replyText, [
+            const insertedLinkIds = await persistReplyLinks(shop, message.id, replyText, experiment, [
               { linkId, url: checkoutUrl, productId: lastProductLink.product_id, variantId: resolvedVariantId },
             ]);
             const sendResult = await sendDmReply(shop.id, message.from_user_id, replyText);
@@ -610,8 +805,8 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
           needsPdp
             ? buildProductPageLink(shop, productMapping.product_id, productMapping.variant_id, productMapping.product_handle)
             : Promise.resolve(null),
-          buildCheckoutLink(shop, productMapping.product_id, productMapping.variant_id, 1),
-          getBrandVoice(shop.id),
+          buildReplyLink(shop, replyVariant, intent, productMapping.product_id, productMapping.variant_id),
+          loadBrandVoice(),
           shop.shopify_domain && productMapping.product_id
             ? getShopifyProductInfo(shop.shopify_domain, productMapping.product_id, productMapping.variant_id || null)
             : Promise.resolve({ productName: null, productPrice: null }),
@@ -668,8 +863,10 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
               .filter((m) => m.id !== message.id)
               .slice(0, 8)
               .map((m) => ({ channel: m.channel, text: m.text, created_at: m.created_at })),
+            ...variantReplyContext(replyVariant, checkoutLink),
           },
-          productContextForReply
+          productContextForReply,
+          { shopId: shop.id, messageId: message.id }
         );
 
         if (!(await claimMessageReply(shop.id, message.id, replyText, message.external_id))) {
@@ -678,7 +875,7 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
         }
         // Checkout + (when present) PDP rows go in BEFORE the send so each
         // /{linkId} redirect resolves for Instagram's instant preview fetch.
-        const insertedLinkIds = await persistReplyLinks(shop, message.id, replyText, [
+        const insertedLinkIds = await persistReplyLinks(shop, message.id, replyText, experiment, [
           { linkId, url: checkoutUrl, productId: productMapping.product_id, variantId: productMapping.variant_id },
           ...(productPageUrl && pdpLinkId
             ? [{ linkId: pdpLinkId, url: productPageUrl, productId: productMapping.product_id, variantId: productMapping.variant_id }]
@@ -752,12 +949,13 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
           if (rawCtx) {
             const sizeInfo = detectSizeOption({ options: rawCtx.options, variants: rawCtx.variants?.nodes || [] });
             if (sizeInfo) {
-              const brandVoiceData = await getBrandVoice(shop.id);
+              const brandVoiceData = await loadBrandVoice();
               const sizeQText = await generateSizeQuestion(
                 brandVoiceData,
                 rawCtx.title || matchedProduct.title,
                 sizeInfo.sizeValues,
-                message.text
+                message.text,
+                { shopId: shop.id, messageId: message.id }
               );
 
               if (!(await claimMessageReply(shop.id, message.id, sizeQText, message.external_id))) {
@@ -795,8 +993,8 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
           needsPdp
             ? buildProductPageLink(shop, `gid://shopify/Product/${numericProductId}`, variantGid, productMapping.product_handle)
             : Promise.resolve(null),
-          buildCheckoutLink(shop, `gid://shopify/Product/${numericProductId}`, variantGid, 1),
-          getBrandVoice(shop.id),
+          buildReplyLink(shop, replyVariant, intent, `gid://shopify/Product/${numericProductId}`, variantGid, productMapping.product_handle),
+          loadBrandVoice(),
           getShopifyProductInfo(shop.shopify_domain, gid, variantGid),
           needsProductContext
             ? getShopifyProductContextForReply(shop.shopify_domain, gid).catch(() => null)
@@ -844,14 +1042,16 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
               .filter((m) => m.id !== message.id)
               .slice(0, 8)
               .map((m) => ({ channel: m.channel, text: m.text, created_at: m.created_at })),
+            ...variantReplyContext(replyVariant, checkoutLink),
           },
-          productContextForReply
+          productContextForReply,
+          { shopId: shop.id, messageId: message.id }
         );
 
         if (!(await claimMessageReply(shop.id, message.id, replyText, message.external_id))) {
           return { sent: false, reason: "Already replied to this message" };
         }
-        const insertedLinkIds = await persistReplyLinks(shop, message.id, replyText, [
+        const insertedLinkIds = await persistReplyLinks(shop, message.id, replyText, experiment, [
           { linkId, url: checkoutUrl, productId: `gid://shopify/Product/${numericProductId}`, variantId: variantGid },
           ...(productPageUrl && pdpLinkId
             ? [{ linkId: pdpLinkId, url: productPageUrl, productId: `gid://shopify/Product/${numericProductId}`, variantId: variantGid }]
@@ -876,7 +1076,7 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
       if (isExplicitLinkRequest(message.text)) {
         const homepageUrl = getShopHomepageUrl(shop);
         if (homepageUrl) {
-          const brandVoiceData = await getBrandVoice(shop.id);
+          const brandVoiceData = await loadBrandVoice();
           let replyText = await generateReplyMessage(
             brandVoiceData,
             null,
@@ -895,7 +1095,9 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
                 .filter((m) => m.id !== message.id)
                 .slice(0, 8)
                 .map((m) => ({ channel: m.channel, text: m.text, created_at: m.created_at })),
-            }
+            },
+            null,
+            { shopId: shop.id, messageId: message.id }
           );
           // Converts the raw homepage URL into a tracked info_ link (and
           // records the links_sent row that makes the redirect resolve).
@@ -946,12 +1148,13 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
           `[automation] No product match found - PRO tier will ask for clarification for intent: ${intent}`
         );
 
-        const brandVoiceData = await getBrandVoice(shop.id);
+        const brandVoiceData = await loadBrandVoice();
         const clarifyingReply = await generateClarifyingQuestion(
           brandVoiceData,
           message.text,
           intent,
-          { originChannel: "dm", inboundChannel: "dm" }
+          { originChannel: "dm", inboundChannel: "dm" },
+          { shopId: shop.id, messageId: message.id }
         );
 
         if (!(await claimMessageReply(shop.id, message.id, clarifyingReply, message.external_id))) {
@@ -994,6 +1197,22 @@ export async function handleIncomingDm(message, shop, plan, ctx = {}) {
   }
 }
 
+/**
+ * After a comment's private reply went out, post the public acknowledgement
+ * under it: `overrideText` when given (keyword rules), otherwise a rotating
+ * template when the merchant turned public replies on. Never throws.
+ */
+async function maybePostPublicCommentReply(shop, message, mediaId, settings, brandVoice, overrideText = null) {
+  const commentId = message.external_id ?? message.externalId;
+  if (!commentId || (!overrideText && !settings?.public_comment_reply_enabled)) return;
+  try {
+    const text = overrideText || pickPublicReplyTemplate(brandVoice ?? (await getBrandVoice(shop.id)), commentId);
+    await postPublicCommentReply({ shopId: shop.id, commentId, mediaId, messageId: message.id, settings, text });
+  } catch (err) {
+    console.warn(`[automation] Public comment reply skipped for ${commentId}:`, err?.message);
+  }
+}
+
 /**
  * Check if a comment has already received an automated DM reply.
  * We key by link_id = dm_reply_comment_${commentId} so one reply per Instagram comment regardless of message row.
@@ -1017,6 +1236,7 @@ async function hasCommentBeenReplied(commentId, shopId) {
  * @param {string} mediaId - Instagram media ID the comment is on
  * @param {Object} shop - Shop object
  * @param {Object} plan - Plan object
+ * @param {Object} [ctx] - Optional prefetched settings/usageData, plus `decision` (see handleIncomingDm)
  * @returns {Promise<{sent: boolean, reason?: string}>} - Whether DM was sent and reason
  */
 export async function handleIncomingComment(message, mediaId, shop, plan, ctx = {}) {
@@ -1041,6 +1261,10 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
       logger.debug(`[automation] Human takeover active for user ${commenterUserId}, skipping comment automation`);
       return { sent: false, reason: "Owner replied manually — automation paused for this conversation" };
     }
+    if (commenterUserId && (await isOptedOut(shop.id, commenterUserId))) {
+      logger.debug(`[automation] User ${commenterUserId} is opted out, skipping comment automation`);
+      return { sent: false, reason: "User opted out of automated messages" };
+    }
 
 
     // 3. Enforce usage cap for all plans
@@ -1083,6 +1307,13 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
       }
     }
 
+    if (ctx.decision) Object.assign(ctx.decision, { pipeline: "legacy", model: await resolveLlmModel(LLM_TASKS.AGENT, shop.id) });
+
+    // 5.5. A/B experiment: same as the DM path, keyed by the commenter.
+    const experiment = await assignExperimentVariant(shop.id, commenterUserId);
+    const replyVariant = experiment?.variant || null;
+    const loadBrandVoice = async () => applyVariantVoice(await getBrandVoice(shop.id), replyVariant);
+
     // 6. Find product mapping for this media
     const productMappings = await getProductMappings(shop.id);
     // `let` because the MCP search_catalog fallback below may assign a
@@ -1155,7 +1386,7 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
       }
 
       logger.debug(`[automation] No product mapping found for media ${mediaId}; sending homepage link`);
-      const brandVoiceData = await getBrandVoice(shop.id);
+      const brandVoiceData = await loadBrandVoice();
       const replyText = await generateReplyMessage(
         brandVoiceData,
         null,
@@ -1177,7 +1408,9 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
             trigger_channel: "comment",
           },
           recentMessages: [{ channel: "comment", text: message.text, created_at: message.created_at }],
-        }
+        },
+        null,
+        { shopId: shop.id, messageId: message.id }
       );
 
       const commentExternalId = message.external_id ?? message.externalId;
@@ -1198,6 +1431,7 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
         logger.debug(`[automation] ✅ Comment private reply sent with homepage link for comment ${message.id}`);
       }
       await incrementUsage(shop.id, 1);
+      await maybePostPublicCommentReply(shop, message, mediaId, settings, brandVoiceData);
       return { sent: true };
     }
 
@@ -1215,7 +1449,7 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
       const customerSize = message.ai_entities?.size || null;
       if (!customerSize) {
         const [brandVoiceData, productInfo] = await Promise.all([
-          getBrandVoice(shop.id),
+          loadBrandVoice(),
           shop.shopify_domain && productMapping.product_id
             ? getShopifyProductInfo(shop.shopify_domain, productMapping.product_id, productMapping.variant_id || null)
             : Promise.resolve({ productName: null, productPrice: null }),
@@ -1225,7 +1459,8 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
           brandVoiceData,
           productInfo.productName,
           sizeInfo.sizeValues,
-          message.text
+          message.text,
+          { shopId: shop.id, messageId: message.id }
         );
 
         const claimed = commentExternalId
@@ -1242,6 +1477,7 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
           await sendInstagramPrivateReply(shop.id, commentExternalId, sizeQText);
         }
         await incrementUsage(shop.id, 1);
+        await maybePostPublicCommentReply(shop, message, mediaId, settings, brandVoiceData);
 
         await logLinkSent({
           shopId: shop.id,
@@ -1301,8 +1537,8 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
       needsProductContext
         ? getShopifyProductContextForReply(shop.shopify_domain, productMapping.product_id)
         : Promise.resolve(null),
-      buildCheckoutLink(shop, productMapping.product_id, productMapping.variant_id, 1),
-      getBrandVoice(shop.id),
+      buildReplyLink(shop, replyVariant, message.ai_intent, productMapping.product_id, productMapping.variant_id, productMapping.product_handle),
+      loadBrandVoice(),
       shop.shopify_domain && productMapping.product_id
         ? getShopifyProductInfo(shop.shopify_domain, productMapping.product_id, productMapping.variant_id || null)
         : Promise.resolve({ productName: null, productPrice: null }),
@@ -1359,8 +1595,10 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
           trigger_channel: "comment",
         },
         recentMessages: [{ channel: "comment", text: message.text, created_at: message.created_at }],
+        ...variantReplyContext(replyVariant, checkoutLinkResult),
       },
-      productContextForReply
+      productContextForReply,
+      { shopId: shop.id, messageId: message.id }
     );
 
     const claimed = commentExternalId
@@ -1377,7 +1615,7 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
     }
     // 9b. Persist checkout + (when present) PDP rows BEFORE the send so each
     // /{linkId} redirect resolves for Instagram's instant preview fetch.
-    const insertedLinkIds = await persistReplyLinks(shop, message.id, replyText, [
+    const insertedLinkIds = await persistReplyLinks(shop, message.id, replyText, experiment, [
       { linkId, url: checkoutUrl, productId: productMapping.product_id, variantId: productMapping.variant_id },
       ...(productPageUrl && pdpLinkId
         ? [{ linkId: pdpLinkId, url: productPageUrl, productId: productMapping.product_id, variantId: productMapping.variant_id }]
@@ -1400,6 +1638,9 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
     // 10. Increment usage count
     await incrementUsage(shop.id, 1);
 
+    // 11. Optional public acknowledgement under the comment
+    await maybePostPublicCommentReply(shop, message, mediaId, settings, brandVoiceData);
+
     logger.debug(`[automation] ✅ Comment private reply sent successfully for comment ${message.id}`);
     return { sent: true };
   } catch (error) {
@@ -1408,6 +1649,164 @@ export async function handleIncomingComment(message, mediaId, shop, plan, ctx =
   }
 }
 
+/**
+ * Reply to a comment that matched one of the merchant's keyword rules
+ * (comment-rules.server.js). Runs instead of classification + the intent
+ * gates of handleIncomingComment: the keyword itself is the opt-in. Plan,
+ * settings, takeover, usage cap, the 7-day private-reply window and the
+ * per-comment claim still apply.
+ *
+ * @param {Object} message - Comment message row from the database
+ * @param {string} mediaId - Instagram media ID the comment is on
+ * @param {Object} shop - Shop object
+ * @param {Object} plan - Plan object
+ * @param {Object} rule - Matching comment_rules row
+ * @returns {Promise<{sent: boolean, reason?: string, ruleId?: string}>}
+ */
+export async function handleKeywordRuleComment(message, mediaId, shop, plan, rule, ctx = {}) {
+  try {
+    if (plan.name === "FREE") {
+      return { sent: false, reason: "Feature not available on FREE plan" };
+    }
+
+    const settings = ctx.settings ?? await getSettings(shop.id);
+    if (settings?.comment_automation_enabled === false) {
+      return { sent: false, reason: "Comment automation disabled" };
+    }
+
+    const commenterUserId = message.from_user_id ?? message.fromUserId;
+    if (commenterUserId && (await isHumanTakeoverActive(shop.id, commenterUserId))) {
+      logger.debug(`[automation] Human takeover active for user ${commenterUserId}, skipping keyword rule ${rule.id}`);
+      return { sent: false, reason: "Owner replied manually — automation paused for this conversation" };
+    }
+    if (commenterUserId && (await isOptedOut(shop.id, commenterUserId))) {
+      logger.debug(`[automation] User ${commenterUserId} is opted out, skipping keyword rule ${rule.id}`);
+      return { sent: false, reason: "User opted out of automated messages" };
+    }
+
+    const usageData = ctx.usageData ?? await getShopPlanAndUsage(shop.id);
+    if (usageData.usage >= plan.cap) {
+      return { sent: false, reason: "Usage cap exceeded" };
+    }
+
+    const commentAge = new Date() - new Date(message.created_at);
+    if (commentAge > 7 * 24 * 60 * 60 * 1000) {
+      return { sent: false, reason: "Comment older than 7 days" };
+    }
+
+    const commentExternalId = message.external_id ?? message.externalId;
+    if (!commentExternalId) {
+      console.warn("[automation] Missing comment ID for keyword rule reply");
+      return { sent: false, reason: "Missing comment ID for private reply" };
+    }
+    if (!ctx.alreadyRepliedChecked && (await hasCommentBeenReplied(commentExternalId, shop.id))) {
+      return { sent: false, reason: "Already replied to this comment" };
+    }
+
+    // Resolve the rule's link. Fixed replies without a target and without a
+    // {link} placeholder are plain text; everything else gets a tracked link
+    // (checkout for products, collection page, or the homepage).
+    const isFixed = rule.response_type !== "ai";
+    if (ctx.decision) Object.assign(ctx.decision, { pipeline: "keyword_rule", model: isFixed ? null : await resolveLlmModel(LLM_TASKS.AGENT, shop.id) });
+    const wantsLink = rule.target_type !== "none" || !isFixed || (rule.dm_text || "").includes("{link}");
+    let link = null;
+    if (wantsLink) {
+      if (rule.target_type === "product" && rule.target_id) {
+        const checkout = await buildCheckoutLink(shop, rule.target_id, rule.target_variant_id || null, 1);
+        link = { ...checkout, productId: rule.target_id, variantId: rule.target_variant_id || null };
+      } else {
+        const page = buildCollectionPageLink(shop, rule.target_type === "collection" ? rule.target_handle : null);
+        if (page) link = { ...page, productId: null, variantId: null };
+      }
+    }
+    const linkUrlForMessage = link ? (await getTrackedLinkUrl(shop, link.linkId)) || link.url : null;
+
+    let replyText;
+    if (isFixed) {
+      replyText = renderRuleTemplate(rule.dm_text, {
+        link: linkUrlForMessage,
+        username: message.from_username ?? null,
+      });
+    } else {
+      const [brandVoiceData, productInfo] = await Promise.all([
+        getBrandVoice(shop.id),
+        rule.target_type === "product" && rule.target_id && shop.shopify_domain
+          ? getShopifyProductInfo(shop.shopify_domain, rule.target_id, rule.target_variant_id || null)
+          : Promise.resolve({ productName: null, productPrice: null }),
+      ]);
+      // The rule's text steers what this campaign's DM says; it rides on the
+      // custom instruction so the merchant's brand voice still applies.
+      const ruleVoice = rule.dm_text
+        ? {
+            ...(brandVoiceData || {}),
+            custom_instruction: [brandVoiceData?.custom_instruction, `Campaign message guidance: ${rule.dm_text}`]
+              .filter(Boolean)
+              .join(". "),
+          }
+        : brandVoiceData;
+      replyText = await generateReplyMessage(
+        ruleVoice,
+        productInfo.productName || (rule.target_type === "collection" ? rule.target_title : null),
+        linkUrlForMessage,
+        "purchase",
+        productInfo.productPrice,
+        null,
+        message.text,
+        null,
+        {
+          originChannel: "comment",
+          inboundChannel: "comment",
+          triggerChannel: "comment",
+          isHomepageFallback: rule.target_type === "none",
+          lastProductLink: linkUrlForMessage
+            ? { url: linkUrlForMessage, product_id: link?.productId, variant_id: link?.variantId, trigger_channel: "comment" }
+            : null,
+          recentMessages: [{ channel: "comment", text: message.text, created_at: message.created_at }],
+        },
+        null,
+        { shopId: shop.id, messageId: message.id }
+      );
+    }
+
+    if (!replyText) {
+      return { sent: false, reason: "Keyword rule produced an empty reply" };
+    }
+
+    const claimed = await claimCommentReply(shop.id, commentExternalId, replyText, message.id);
+    if (!claimed) {
+      logger.debug(`[automation] Reply already claimed for comment ${commentExternalId}, skipping keyword rule send`);
+      return { sent: false, reason: "Already replied to this comment" };
+    }
+
+    const insertedLinkIds = link
+      ? await persistReplyLinks(shop, message.id, replyText, null, [link])
+      : [];
+
+    const isTestComment = commentExternalId.startsWith("test_comment_");
+    try {
+      if (isTestComment && commenterUserId) {
+        await sendInstagramDm(shop.id, commenterUserId, replyText);
+      } else {
+        await sendInstagramPrivateReply(shop.id, commentExternalId, replyText);
+      }
+    } catch (sendError) {
+      await rollbackReplyLinks(shop.id, insertedLinkIds);
+      throw sendError;
+    }
+
+    await incrementUsage(shop.id, 1);
+
+    // The rule's own public reply wins over the rotating default.
+    await maybePostPublicCommentReply(shop, message, mediaId, settings, null, rule.public_reply);
+
+    logger.debug(`[automation] ✅ Keyword rule ${rule.id} replied to comment ${message.id} on media ${mediaId}`);
+    return { sent: true, ruleId: rule.id };
+  } catch (error) {
+    console.error(`[automation] Error applying keyword rule to comment ${message.id}:`, error);
+    return { sent: false, reason: error.message || "Unknown error" };
+  }
+}
+
 /**
  * Reply-language support. `brand_voice.reply_language` is either "auto" (mirror the
  * customer's language — the default) or a locale code that forces all replies into
@@ -1443,14 +1842,16 @@ function buildLanguageInstruction(brandVoice) {
  * @param {Object} brandVoice - Brand voice configuration
  * @param {string} originalMessage - The customer's original message
  * @param {string} intent - The detected intent (purchase, product_question, etc.)
+ * @param {Object} channelContext - Conversation context (optional)
+ * @param {Object} llmContext - { shopId, messageId } for LLM routing, usage and budget (optional)
  * @returns {Promise<string>} - The clarifying question message
  */
-export async function generateClarifyingQuestion(brandVoice, originalMessage, intent, channelContext = null) {
+export async function generateClarifyingQuestion(brandVoice, originalMessage, intent, channelContext = null, llmContext = null) {
   const tone = brandVoice?.tone || "friendly";
   const customInstruction = brandVoice?.custom_instruction || "";
 
   try {
-    if (openai) {
+    if (await canWriteWithLlm(llmContext)) {
       const intentContext = {
         purchase: "wants to buy a product",
         product_question: "asked a question about a product",
@@ -1481,18 +1882,20 @@ Write the response:`;
         ? `You are an assistant that generates Instagram DM replies. Follow the custom style instruction exactly - it is the most important requirement. Do not default to being friendly or helpful unless the instruction explicitly says so. Never use an em dash (—) in your reply; use a comma, period, or "and" instead.`
         : `You are a helpful assistant that generates customer service messages for Instagram DMs. Keep responses brief and friendly. Never use an em dash (—) in your reply; use a comma, period, or "and" instead.`;
       
-      const response = await openai.chat.completions.create(completionParamsForModel(REPLY_MODEL, {
-        model: REPLY_MODEL,
+      const response = await chatCompletion({
+        task: LLM_TASKS.AGENT,
+        shopId: llmContext?.shopId,
+        messageId: llmContext?.messageId,
         messages: [
           { role: "system", content: systemMessage },
           { role: "user", content: prompt }
         ],
         temperature: 0.3,
-        max_tokens: 150,
-      }));
+        maxTokens: 150,
+      });
 
-      if (response?.choices?.[0]?.message?.content) {
-        return stripEmDashes(response.choices[0].message.content.trim());
+      if (response.content) {
+        return stripEmDashes(response.content.trim());
       }
     }
   } catch (error) {
@@ -1515,15 +1918,16 @@ Write the response:`;
  * @param {string} productName - Product name
  * @param {string[]} sizeValues - Available sizes (e.g., ["XS","S","M","L","XL"])
  * @param {string} originalMessage - Customer's original message
+ * @param {Object|null} [llmContext] - { shopId, messageId } for LLM routing, usage and budget
  * @returns {Promise<string>}
  */
-export async function generateSizeQuestion(brandVoice, productName, sizeValues, originalMessage) {
+export async function generateSizeQuestion(brandVoice, productName, sizeValues, originalMessage, llmContext = null) {
   const tone = brandVoice?.tone || "friendly";
   const customInstruction = brandVoice?.custom_instruction || "";
   const sizesText = sizeValues.join(", ");
 
   try {
-    if (openai) {
+    if (await canWriteWithLlm(llmContext)) {
       const prompt = `Generate a brief Instagram DM reply asking a customer what size they want.
 
 Product: ${productName || "this item"}
@@ -1541,18 +1945,20 @@ ${customInstruction ? `- CRITICAL STYLE REQUIREMENT: ${customInstruction}. Match
 
 Write the response:`;
 
-      const response = await openai.chat.completions.create(completionParamsForModel(REPLY_MODEL, {
-        model: REPLY_MODEL,
+      const response = await chatCompletion({
+        task: LLM_TASKS.AGENT,
+        shopId: llmContext?.shopId,
+        messageId: llmContext?.messageId,
         messages: [
           { role: "system", content: "You are an assistant that generates brief Instagram DM replies. Keep responses short and natural. Never use an em dash (—) in your reply; use a comma, period, or \"and\" instead." },
           { role: "user", content: prompt },
         ],
         temperature: 0.3,
-        max_tokens: 150,
-      }));
+        maxTokens: 150,
+      });
 
-      if (response?.choices?.[0]?.message?.content) {
-        return stripEmDashes(response.choices[0].message.content.trim());
+      if (response.content) {
+        return stripEmDashes(response.content.trim());
       }
     }
   } catch (error) {
@@ -1603,6 +2009,7 @@ async function canSendFollowUp(message, shop, plan) {
  * from a comment vs a DM, and provides light recent-message context for follow-up replies.
  * @param {Object} productContextForReply - Optional { text } from buildProductContextForAI(); when set for product_question/variant_inquiry,
  *   the AI answers using this product context (e.g. "does it come in black?" → answer from actual options).
+ * @param {Object} llmContext - { shopId, messageId } for LLM routing, usage and budget (optional)
  * @returns {string} - Generated reply message
  */
 // A comment is "compliment-style" when it carries no explicit ask — no
@@ -1619,6 +2026,12 @@ function isComplimentOnly(text) {
   return !EXPLICIT_ASK_RE.test(t);
 }
 
+// Reply generators use the LLM unless none is configured or the shop has
+// spent its plan's monthly token budget; then the canned templates answer.
+async function canWriteWithLlm(llmContext) {
+  return isLlmConfigured(LLM_TASKS.AGENT) && !(await isLlmBudgetExceeded(llmContext?.shopId));
+}
+
 // Em dashes read as AI-written. The prompts ban them, but models slip, so
 // every customer-facing reply is also stripped deterministically (a comma
 // reads naturally in a DM). Mirrors sales-agent's sanitizeReplyText.
@@ -1627,7 +2040,7 @@ function stripEmDashes(text) {
   return text.replace(/\s*—\s*/g, ", ").replace(/,\s+([.!?,;])/g, "$1");
 }
 
-export async function generateReplyMessage(brandVoice, productName = null, checkoutUrl, intent = null, productPrice = null, productPageUrl = null, originalMessage = null, storeInfo = null, channelContext = null, productContextForReply = null) {
+export async function generateReplyMessage(brandVoice, productName = null, checkoutUrl, intent = null, productPrice = null, productPageUrl = null, originalMessage = null, storeInfo = null, channelContext = null, productContextForReply = null, llmContext = null) {
   const tone = brandVoice?.tone || "friendly";
   const customInstruction = brandVoice?.custom_instruction || "";
   const safeChannelContext = intent === "store_question"
@@ -1715,12 +2128,12 @@ export async function generateReplyMessage(brandVoice, productName = null, check
   // Auto language mirroring (the default) also needs AI generation, otherwise a
   // non-English customer would hit the English-only canned templates below. Auto
   // is the default for every plan, so in practice replies are AI-generated; the
-  // templates remain only as an error / no-API-key fallback.
+  // templates remain only as an error / no-LLM-provider fallback.
   const replyLanguage = brandVoice?.reply_language || "auto";
   const needsAiForLanguage = replyLanguage === "auto" || forceLanguage;
   if (intent === "product_question" || intent === "store_question" || customInstruction || hasBrandVoiceConfig || channelContext || forceLanguage || needsAiForLanguage) {
     try {
-      if (openai) {
+      if (await canWriteWithLlm(llmContext)) {
         // Build one store context for store_question so the AI can answer any question from context
         const storeContextForReply =
           intent === "store_question" && storeInfo
@@ -1853,7 +2266,9 @@ ${(intent === "product_question" || intent === "variant_inquiry") && productPage
 ${(intent === "product_question" || intent === "variant_inquiry") && !productPageUrl ? `- CRITICAL: Acknowledge their question and direct them to the checkout link for full details` : ""}
 ${intent === "store_question" ? `- Answer from the store context only.${availableLinkTokens.length > 0 ? ` When linking to a policy or page, use ONLY one of these exact placeholder tokens: ${availableLinkTokens.join(", ")}. Do NOT invent any other placeholder.` : ` Do NOT include any link or {{placeholder}} token — none exist for this store.`} Do NOT write out any URLs yourself.${storeContactEmail ? ` If you don't have the info the customer asked for, say so and offer the contact email: ${storeContactEmail}.` : ""}` : ""}
 ${(intent === "product_question" || intent === "variant_inquiry") && productContextForReply?.text ? `- Answer from the product context only. If they ask about an option (e.g. color/size) we don't have, say so and offer the product or checkout link for available options.` : ""}
-${intent !== "product_question" && intent !== "variant_inquiry" && intent !== "store_question" && checkoutUrl && !safeChannelContext?.isHomepageFallback ? `- Include this checkout link: ${checkoutUrl}` : ""}
+${intent !== "product_question" && intent !== "variant_inquiry" && intent !== "store_question" && checkoutUrl && !safeChannelContext?.isHomepageFallback ? `- Include this ${safeChannelContext?.linkIsProductPage ? "product page" : "checkout"} link: ${checkoutUrl}` : ""}
+${safeChannelContext?.linkIsProductPage && checkoutUrl ? `- The link (${checkoutUrl}) opens the product page, not checkout. Never call it a checkout link.` : ""}
+${safeChannelContext?.omitPrice && intent !== "price_request" ? `- Do not mention the price.` : ""}
 ${safeChannelContext?.isHomepageFallback && checkoutUrl ? `- Include the store homepage link so they can browse (use this URL exactly): ${checkoutUrl}` : ""}
 ${productName ? `- Product name: ${productName}` : ""}
 - Keep it brief (2-3 sentences max)${customInstruction ? `` : ` and friendly`}
@@ -1882,18 +2297,20 @@ Write the response:`;
 5. Accuracy is more important than being helpful - never guess or assume
 6. Never use an em dash (—) in your reply; use a comma, period, or "and" instead.`;
         
-        const response = await openai.chat.completions.create(completionParamsForModel(REPLY_MODEL, {
-          model: REPLY_MODEL,
+        const response = await chatCompletion({
+          task: LLM_TASKS.AGENT,
+          shopId: llmContext?.shopId,
+          messageId: llmContext?.messageId,
           messages: [
             { role: "system", content: systemMessage },
             { role: "user", content: prompt }
           ],
           temperature: 0.3,
-          max_tokens: 350,
-        }));
+          maxTokens: 350,
+        });
 
-        if (response?.choices?.[0]?.message?.content) {
-          message = response.choices[0].message.content.trim();
+        if (response.content) {
+          message = response.content.trim();
           if (intent === "store_question") {
             message = replaceTokensAndSanitize(message, storeContextForReply?.urlMap);
           }
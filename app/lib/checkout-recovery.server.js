@@ -0,0 +1,303 @@
+/**
+ * Abandoned-checkout recovery for DM checkout links.
+ *
+ * checkouts/create and checkouts/update webhooks (webhooks.shopify.checkouts)
+ * tell us when a customer opened one of our checkout links and started
+ * checking out: the checkout's landing_site carries ref=link_{link_id}, which
+ * we map back to links_sent → the DM conversation. Each checkout becomes a
+ * checkout_recoveries row due `checkout_recovery_delay_minutes` after its last
+ * activity. If no order is attributed to the link by then, the processor
+ * queues ONE recovery DM through outbound_dm_queue.
+ *
+ * Messaging window: the DM only goes out while the customer's last DM is
+ * under 24h old (minus a margin); automated messages can't use the
+ * HUMAN_AGENT tag. Rows that miss the window are marked skipped.
+ *
+ * The sent DM is logged to links_sent as followup_recovery_{id}, so the
+ * analytics message log shows it with the other follow-ups and it never
+ * counts as a checkout link.
+ */
+
+import supabase from "./supabase.server";
+import { getSettings, getBrandVoice, getShopPlanAndUsage, isOptedOut, isHumanTakeoverActive } from "./db.server";
+import { getTrackedLinkUrl } from "./links.server";
+import { logError } from "./error-handler.server";
+import logger from "./logger.server";
+
+const MESSAGING_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Leave room for the queue (rate limit, retries) to deliver before the window closes.
+const WINDOW_MARGIN_MS = 15 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+export const MIN_RECOVERY_DELAY_MINUTES = 15;
+export const MAX_RECOVERY_DELAY_MINUTES = 12 * 60;
+
+const RECOVERY_BY_TONE = {
+  friendly: "Looks like you didn't get to finish checking out! Your cart is saved here whenever you're ready: {link}",
+  expert: "It looks like your checkout wasn't completed. You can pick up where you left off here: {link}",
+  casual: "Hey! Your cart's still waiting for you 👀 {link}",
+};
+
+const DISCOUNT_BY_TONE = {
+  friendly: "Use code {code} at checkout for a little something off 💛",
+  expert: "Code {code} applies a discount at checkout.",
+  casual: "Oh, and code {code} gets you a discount 🙌",
+};
+
+/**
+ * Build the recovery DM text.
+ * @param {string} tone - brand voice tone
+ * @param {string} linkUrl - tracked checkout link
+ * @param {string|null} discountCode
+ */
+export function buildRecoveryMessage(tone, linkUrl, discountCode) {
+  const base = (RECOVERY_BY_TONE[tone] || RECOVERY_BY_TONE.friendly).replace("{link}", linkUrl);
+  if (!discountCode) return base;
+  const discount = (DISCOUNT_BY_TONE[tone] || DISCOUNT_BY_TONE.friendly).replace("{code}", discountCode);
+  return `${base}\n\n${discount}`;
+}
+
+/**
+ * Record checkout activity from a checkouts/* webhook. Completed checkouts
+ * close their recovery; open ones (re)schedule it from the latest activity.
+ * Never throws — webhook retries wouldn't help.
+ *
+ * @param {Object} shop - shops row
+ * @param {{ token: string, linkId: string, completedAt?: string|null, updatedAt?: string|null }} checkout
+ */
+export async function recordCheckoutActivity(shop, checkout) {
+  const { token, linkId, completedAt, updatedAt } = checkout;
+  if (!shop?.id || !token || !linkId) return;
+
+  try {
+    if (completedAt) {
+      await supabase
+        .from("checkout_recoveries")
+        .update({ status: "converted", updated_at: new Date().toISOString() })
+        .eq("shop_id", shop.id)
+        .eq("checkout_token", token)
+        .eq("status", "pending");
+      return;
+    }
+
+    const settings = await getSettings(shop.id);
+    if (!settings?.checkout_recovery_enabled) return;
+
+    // ref=link_{id} → the DM that sent it → the customer to message.
+    const { data: link, error: linkError } = await supabase
+      .from("links_sent")
+      .select("message_id")
+      .eq("shop_id", shop.id)
+      .eq("link_id", linkId)
+      .maybeSingle();
+    if (linkError || !link?.message_id) {
+      logger.debug(`[recovery] Link ${linkId} not found for shop ${shop.id}, skipping checkout`);
+      return;
+    }
+    const { data: message, error: messageError } = await supabase
+      .from("messages")
+      .select("from_user_id")
+      .eq("id", link.message_id)
+      .maybeSingle();
+    if (messageError || !message?.from_user_id) return;
+
+    const lastActivity = updatedAt ? new Date(updatedAt) : new Date();
+    const delayMs = (settings.checkout_recovery_delay_minutes || 60) * 60 * 1000;
+    const { error } = await supabase.from("checkout_recoveries").upsert(
+      {
+        shop_id: shop.id,
+        checkout_token: token,
+        link_id: linkId,
+        message_id: link.message_id,
+        ig_user_id: String(message.from_user_id),
+        due_at: new Date(lastActivity.getTime() + delayMs).toISOString(),
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "shop_id,checkout_token" }
+    );
+    if (error) {
+      console.error("[recovery] Error recording checkout:", error);
+      return;
+    }
+    logger.debug(`[recovery] Checkout ${token.slice(0, 8)}… from link ${linkId} scheduled for shop ${shop.id}`);
+  } catch (error) {
+    console.error("[recovery] Error handling checkout activity:", error);
+  }
+}
+
+/**
+ * Close pending recoveries for a link once an order is attributed to it.
+ * Never throws.
+ */
+export async function markCheckoutRecoveriesConverted(shopId, linkId) {
+  if (!shopId || !linkId) return;
+  const { error } = await supabase
+    .from("checkout_recoveries")
+    .update({ status: "converted", updated_at: new Date().toISOString() })
+    .eq("shop_id", shopId)
+    .eq("link_id", linkId)
+    .eq("status", "pending");
+  if (error) console.warn("[recovery] Error marking recoveries converted:", error.message);
+}
+
+async function closeRecovery(row, status, skipReason = null) {
+  const { error } = await supabase
+    .from("checkout_recoveries")
+    .update({ status, skip_reason: skipReason, updated_at: new Date().toISOString() })
+    .eq("id", row.id)
+    .eq("status", "pending");
+  if (error) console.error("[recovery] Error closing recovery:", error);
+  logger.debug(`[recovery] Recovery ${row.id} ${status}${skipReason ? ` (${skipReason})` : ""}`);
+}
+
+/** Why this recovery must not send right now, or null when it may. */
+async function getSkipReason(shopId, row, now) {
+  const { count: orders, error: ordersError } = await supabase
+    .from("attribution")
+    .select("*", { count: "exact", head: true })
+    .eq("shop_id", shopId)
+    .eq("link_id", row.link_id)
+    .gte("created_at", row.created_at);
+  if (ordersError) throw ordersError;
+  if ((orders || 0) > 0) return "converted";
+
+  const { data: lastDm, error: dmError } = await supabase
+    .from("messages")
+    .select("created_at")
+    .eq("shop_id", shopId)
+    .eq("channel", "dm")
+    .eq("from_user_id", row.ig_user_id)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (dmError) throw dmError;
+  if (!lastDm || now - new Date(lastDm.created_at).getTime() >= MESSAGING_WINDOW_MS - WINDOW_MARGIN_MS) {
+    return "window_closed";
+  }
+
+  if (await isOptedOut(shopId, row.ig_user_id)) return "opted_out";
+  if (await isHumanTakeoverActive(shopId, row.ig_user_id)) return "human_takeover";
+
+  // One recovery per customer and link, even across several checkouts.
+  const { count: sent, error: sentError } = await supabase
+    .from("checkout_recoveries")
+    .select("*", { count: "exact", head: true })
+    .eq("shop_id", shopId)
+    .eq("ig_user_id", row.ig_user_id)
+    .eq("link_id", row.link_id)
+    .eq("status", "queued");
+  if (sentError) throw sentError;
+  if ((sent || 0) > 0) return "already_sent";
+
+  return null;
+}
+
+async function queueRecovery(shop, row, settings) {
+  // Claim first: only the worker that moves pending → queued sends.
+  const queuedAt = new Date().toISOString();
+  const { data: claimed, error: claimError } = await supabase
+    .from("checkout_recoveries")
+    .update({ status: "queued", queued_at: queuedAt, updated_at: queuedAt })
+    .eq("id", row.id)
+    .eq("status", "pending")
+    .select("id");
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) return false;
+
+  const brandVoice = await getBrandVoice(shop.id);
+  const linkUrl = await getTrackedLinkUrl(shop, row.link_id);
+  const text = buildRecoveryMessage(brandVoice?.tone || "friendly", linkUrl, settings.checkout_recovery_discount_code);
+
+  const { error: queueError } = await supabase.from("outbound_dm_queue").insert({
+    shop_id: shop.id,
+    ig_user_id: row.ig_user_id,
+    text,
+    status: "pending",
+  });
+  if (queueError) {
+    await supabase
+      .from("checkout_recoveries")
+      .update({ status: "pending", queued_at: null, updated_at: new Date().toISOString() })
+      .eq("id", row.id);
+    throw queueError;
+  }
+
+  const { error: logRecoveryError } = await supabase.from("links_sent").insert({
+    shop_id: shop.id,
+    message_id: row.message_id,
+    url: null,
+    link_id: `followup_recovery_${row.id}`,
+    reply_text: text,
+  });
+  if (logRecoveryError && logRecoveryError.code !== "23505") {
+    console.error("[recovery] Error logging recovery DM to conversation:", logRecoveryError);
+  }
+  return true;
+}
+
+/**
+ * Queue recovery DMs for checkouts that are due and still abandoned.
+ * Called by the in-process scheduler or /cron/checkout-recovery.
+ */
+export async function processCheckoutRecoveries() {
+  const now = Date.now();
+  const { data: due, error } = await supabase
+    .from("checkout_recoveries")
+    .select("id, shop_id, link_id, message_id, ig_user_id, created_at")
+    .eq("status", "pending")
+    .lte("due_at", new Date(now).toISOString())
+    .order("due_at", { ascending: true })
+    .limit(BATCH_SIZE);
+  if (error) {
+    console.error("[recovery] Error fetching due recoveries:", error);
+    return { processed: 0, queued: 0 };
+  }
+  if (!due || due.length === 0) return { processed: 0, queued: 0 };
+
+  const shopCache = new Map();
+  const loadShop = async (shopId) => {
+    if (!shopCache.has(shopId)) {
+      const [{ data: shop }, settings, usageData] = await Promise.all([
+        supabase.from("shops").select("id, shopify_domain, active").eq("id", shopId).maybeSingle(),
+        getSettings(shopId),
+        getShopPlanAndUsage(shopId),
+      ]);
+      shopCache.set(shopId, { shop, settings, usageData });
+    }
+    return shopCache.get(shopId);
+  };
+
+  let queued = 0;
+  for (const row of due) {
+    try {
+      const { shop, settings, usageData } = await loadShop(row.shop_id);
+      if (!shop?.active || !settings?.checkout_recovery_enabled || !usageData?.plan?.followup) {
+        await closeRecovery(row, "skipped", "disabled");
+        continue;
+      }
+      if (usageData.usage >= usageData.cap) {
+        await closeRecovery(row, "skipped", "usage_cap");
+        continue;
+      }
+
+      const skipReason = await getSkipReason(shop.id, row, now);
+      if (skipReason === "converted") {
+        await closeRecovery(row, "converted");
+        continue;
+      }
+      if (skipReason) {
+        await closeRecovery(row, "skipped", skipReason);
+        continue;
+      }
+
+      if (await queueRecovery(shop, row, settings)) {
+        queued += 1;
+        logger.debug(`[recovery] ✅ Recovery DM queued for checkout link ${row.link_id} in shop ${shop.id}`);
+      }
+    } catch (err) {
+      logError("processCheckoutRecoveries", err, { shopId: row.shop_id, recoveryId: row.id });
+    }
+  }
+
+  return { processed: due.length, queued };
+}
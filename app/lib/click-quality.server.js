@@ -0,0 +1,163 @@
+/**
+ * Click quality: decides whether a hit on a tracked link was a person
+ * (supabase_migration_click_quality.sql). Every hit is logged with one of
+ * CLICK_QUALITY; only "human" counts as a click in CTR, follow-ups and the
+ * conversion funnel, while raw counts keep everything.
+ *
+ * Rules, first match wins:
+ *   1. bot        - no user agent, an isbot() match, or not a browser at all
+ *   2. preview    - a prefetch/preview request header, a Meta crawler IP
+ *                   (Instagram's link-preview fetcher), or a hit within
+ *                   PREVIEW_WINDOW_MS of the link being sent — nobody opens a
+ *                   DM and taps the link that fast, but the preview fetch
+ *                   lands the moment the DM is delivered
+ *   3. duplicate  - the same link, IP and user agent within
+ *                   REPEAT_WINDOW_MS of an earlier human or duplicate click
+ *   4. human
+ */
+
+import { isbot } from "isbot";
+import supabase from "./supabase.server";
+
+export const CLICK_QUALITY = {
+  HUMAN: "human",
+  DUPLICATE: "duplicate",
+  BOT: "bot",
+  PREVIEW: "preview",
+};
+
+const PREVIEW_WINDOW_MS = 5 * 1000;
+const REPEAT_WINDOW_MS = 30 * 60 * 1000;
+
+const BROWSER_UA_PATTERNS = [
+  "mozilla/",
+  "opera",
+  "opr/",
+];
+
+// Meta's crawler ranges (AS32934). Real customers in the Instagram in-app
+// browser come from their own network, so a hit from here is Meta fetching
+// the link, not a person.
+const META_IPV4_RANGES = [
+  "31.13.24.0/21",
+  "31.13.64.0/18",
+  "45.64.40.0/22",
+  "57.141.0.0/16",
+  "66.220.144.0/20",
+  "69.63.176.0/20",
+  "69.171.224.0/19",
+  "74.119.76.0/22",
+  "102.132.96.0/20",
+  "103.4.96.0/22",
+  "129.134.0.0/16",
+  "147.75.208.0/20",
+  "157.240.0.0/16",
+  "163.70.128.0/17",
+  "173.252.64.0/18",
+  "179.60.192.0/22",
+  "185.60.216.0/22",
+  "185.89.216.0/22",
+  "204.15.20.0/22",
+].map(parseCidr);
+const META_IPV6_PREFIXES = ["2a03:2880:", "2620:0:1c"];
+
+// Browsers and link unfurlers mark speculative fetches with these.
+const PREFETCH_HEADERS = ["purpose", "sec-purpose", "x-purpose", "x-moz"];
+
+function parseIpv4(ip) {
+  const parts = ip.split(".");
+  if (parts.length !== 4) return null;
+  let value = 0;
+  for (const part of parts) {
+    const n = Number(part);
+    if (!/^\d{1,3}$/.test(part) || n > 255) return null;
+    value = value * 256 + n;
+  }
+  return value;
+}
+
+function parseCidr(cidr) {
+  const [base, bits] = cidr.split("/");
+  const size = 2 ** (32 - Number(bits));
+  const start = Math.floor(parseIpv4(base) / size) * size;
+  return { start, end: start + size - 1 };
+}
+
+/** True for an IP in Meta's crawler ranges. */
+export function isMetaCrawlerIp(ip) {
+  if (!ip) return false;
+  const normalized = ip.trim().toLowerCase().replace(/^::ffff:/, "");
+  if (normalized.includes(":")) {
+    return META_IPV6_PREFIXES.some((prefix) => normalized.startsWith(prefix));
+  }
+  const value = parseIpv4(normalized);
+  if (value === null) return false;
+  return META_IPV4_RANGES.some((range) => value >= range.start && value <= range.end);
+}
+
+function looksLikeBrowser(userAgent) {
+  const ua = userAgent.toLowerCase();
+  return BROWSER_UA_PATTERNS.some((p) => ua.includes(p));
+}
+
+function isPrefetch(request) {
+  return PREFETCH_HEADERS.some((name) => {
+    const value = (request.headers.get(name) || "").toLowerCase();
+    return value.includes("prefetch") || value.includes("preview");
+  });
+}
+
+/** Client IP from the proxy headers, or null. */
+export function getClientIp(request) {
+  const forwarded = request.headers.get("x-forwarded-for");
+  return forwarded ? forwarded.split(",")[0].trim() || null : null;
+}
+
+/** An earlier counted click on the link from the same visitor, within REPEAT_WINDOW_MS. */
+async function isRepeatClick(linkId, ip, userAgent, now) {
+  let query = supabase
+    .from("clicks")
+    .select("link_id")
+    .eq("link_id", linkId)
+    .in("quality", [CLICK_QUALITY.HUMAN, CLICK_QUALITY.DUPLICATE])
+    .gte("created_at", new Date(now.getTime() - REPEAT_WINDOW_MS).toISOString())
+    .limit(1);
+  query = ip ? query.eq("ip", ip) : query.is("ip", null);
+  query = userAgent ? query.eq("user_agent", userAgent) : query.is("user_agent", null);
+  const { data, error } = await query;
+  if (error) {
+    // Can't tell; count it rather than drop a real click.
+    console.warn("[click-quality] Repeat-click lookup failed:", error.message);
+    return false;
+  }
+  return (data || []).length > 0;
+}
+
+/**
+ * Classify one hit on a tracked link.
+ *
+ * @param {string} linkId
+ * @param {Request} request
+ * @param {{ sentAt?: string|null, now?: Date }} [options] - sentAt is the links_sent row's sent_at
+ * @returns {Promise<{ quality: string, reason: string|null }>}
+ */
+export async function classifyClick(linkId, request, { sentAt = null, now = new Date() } = {}) {
+  const userAgent = request.headers.get("user-agent") || "";
+  const ip = getClientIp(request);
+
+  if (!userAgent.trim()) return { quality: CLICK_QUALITY.BOT, reason: "no_user_agent" };
+  if (isbot(userAgent)) return { quality: CLICK_QUALITY.BOT, reason: "bot_user_agent" };
+  if (!looksLikeBrowser(userAgent)) return { quality: CLICK_QUALITY.BOT, reason: "not_a_browser" };
+
+  if (isPrefetch(request)) return { quality: CLICK_QUALITY.PREVIEW, reason: "prefetch_header" };
+  if (isMetaCrawlerIp(ip)) return { quality: CLICK_QUALITY.PREVIEW, reason: "meta_ip" };
+  const sentMs = sentAt ? new Date(sentAt).getTime() : NaN;
+  if (Number.isFinite(sentMs) && now.getTime() - sentMs < PREVIEW_WINDOW_MS) {
+    return { quality: CLICK_QUALITY.PREVIEW, reason: "too_soon_after_send" };
+  }
+
+  if (await isRepeatClick(linkId, ip, userAgent, now)) {
+    return { quality: CLICK_QUALITY.DUPLICATE, reason: "repeat_click" };
+  }
+  return { quality: CLICK_QUALITY.HUMAN, reason: null };
+}
@@ -2,33 +2,71 @@
  * Shared tracked-link resolution for the redirect routes:
  *   /{linkId}            — short-link domain (srai.link legacy, socialrepl.ai)
  *   /proxy/go/{linkId}   — Shopify app proxy ({store-domain}/a/go/{linkId})
- * Looks up the destination in links_sent and logs the click (browser-like
- * requests only, and never for info_ housekeeping links).
+ * Looks up the destination in links_sent and logs the click with its quality
+ * (click-quality.server.js: human, duplicate, bot or preview), never for
+ * info_ housekeeping links.
+ *
+ * Link lifecycle (supabase_migration_link_lifecycle.sql):
+ *   - Revoked or expired links go to the storefront homepage and don't count
+ *     a click.
+ *   - A merchant-set redirect_url replaces the original destination.
+ *   - When the destination's product or variant can't be bought any more
+ *     (deleted, not active, sold out) the customer lands on its collection or the homepage
+ *     instead of a dead cart. If Shopify can't be asked, the link forwards
+ *     as before.
  */
 
 import supabase from "./supabase.server";
 import { logClick } from "./db.server";
+import { classifyClick, getClientIp } from "./click-quality.server";
+import { buildFallbackUrl, getLinkLineItems, getShopHomepageUrl } from "./links.server";
+import { getProductAvailability } from "./shopify-data.server";
+import { cached } from "./loader-cache.server";
+import logger from "./logger.server";
 
-const BROWSER_UA_PATTERNS = [
-  "mozilla/",
-  "opera",
-  "opr/",
-];
+const SHOP_DOMAIN_TTL_MS = 60 * 60 * 1000;
 
-function looksLikeBrowser(request) {
-  const ua = (request.headers.get("user-agent") || "").toLowerCase();
-  if (!ua.trim()) return false;
-  return BROWSER_UA_PATTERNS.some((p) => ua.includes(p));
-}
-
-async function fetchLinkUrl(linkId) {
+async function fetchLink(linkId) {
   const { data: row, error } = await supabase
     .from("links_sent")
-    .select("url")
+    .select("shop_id, url, sent_at, product_id, variant_id, line_items, expires_at, revoked_at, redirect_product_id, redirect_variant_id, redirect_url")
     .eq("link_id", linkId)
     .maybeSingle();
   if (error) return null;
-  return row?.url || null;
+  return row?.url ? row : null;
+}
+
+async function getLinkShop(shopId) {
+  if (!shopId) return null;
+  return cached(`linkshop:${shopId}`, SHOP_DOMAIN_TTL_MS, async () => {
+    const { data, error } = await supabase
+      .from("shops")
+      .select("id, shopify_domain")
+      .eq("id", shopId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }).catch(() => null);
+}
+
+/** True when the line's product, and its variant when it names one, can be bought. */
+function lineAvailable(check, variantId) {
+  if (!check.available) return false;
+  return !variantId || check.availableVariantIds.includes(String(variantId).split("/").pop());
+}
+
+/**
+ * Fallback URL when any product or variant behind the destination is
+ * unavailable, or null to keep the destination.
+ * @param {Array<{productId: string, variantId: string|null}>} lines
+ */
+async function unavailableFallback(shop, linkId, lines) {
+  if (!shop?.shopify_domain || lines.length === 0) return null;
+  const checks = await Promise.all(lines.map((line) => getProductAvailability(shop.shopify_domain, line.productId)));
+  if (!checks.some((c, i) => c && !lineAvailable(c, lines[i].variantId))) return null;
+  const collectionHandle = checks.find((c) => c?.collectionHandle)?.collectionHandle || null;
+  logger.debug(`[redirect] ${linkId}: product unavailable, falling back to ${collectionHandle || "homepage"}`);
+  return buildFallbackUrl(shop, linkId, collectionHandle);
 }
 
 /**
@@ -38,24 +76,43 @@ async function fetchLinkUrl(linkId) {
 export async function resolveTrackedLink(linkId, request) {
   if (!linkId) return null;
 
-  let url = await fetchLinkUrl(linkId);
-  if (!url) {
+  let link = await fetchLink(linkId);
+  if (!link) {
     // Race guard: Instagram fetches the link preview the instant a DM is
     // delivered, which can arrive before the links_sent insert commits.
     // Links are now persisted before sending, but one brief retry keeps
     // queued sends and any remaining ordering edge from 404ing the preview.
     await new Promise((resolve) => setTimeout(resolve, 1500));
-    url = await fetchLinkUrl(linkId);
+    link = await fetchLink(linkId);
+  }
+  if (!link) return null;
+
+  const inactive = link.revoked_at || (link.expires_at && new Date(link.expires_at) <= new Date());
+  if (inactive) {
+    const shop = await getLinkShop(link.shop_id);
+    return getShopHomepageUrl(shop);
+  }
+
+  let url = link.redirect_url || link.url;
+  const lines = link.redirect_url
+    ? getLinkLineItems({ product_id: link.redirect_product_id, variant_id: link.redirect_variant_id })
+    : getLinkLineItems(link);
+  if (lines.length > 0) {
+    const fallback = await unavailableFallback(await getLinkShop(link.shop_id), linkId, lines);
+    if (fallback) url = fallback;
   }
-  if (!url) return null;
 
   const isInfoLink = linkId.startsWith("info_");
-  if (!isInfoLink && looksLikeBrowser(request)) {
-    const userAgent = request.headers.get("user-agent") || null;
-    const forwarded = request.headers.get("x-forwarded-for");
-    const ip = forwarded ? forwarded.split(",")[0].trim() : null;
+  if (!isInfoLink) {
     try {
-      await logClick({ linkId, userAgent, ip });
+      const { quality, reason } = await classifyClick(linkId, request, { sentAt: link.sent_at });
+      await logClick({
+        linkId,
+        userAgent: request.headers.get("user-agent") || null,
+        ip: getClientIp(request),
+        quality,
+        qualityReason: reason,
+      });
     } catch (e) {
       console.warn("[redirect] logClick failed:", e?.message);
     }
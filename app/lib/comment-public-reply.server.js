@@ -0,0 +1,111 @@
+/**
+ * Public threaded reply under a converted comment ("Sent you a DM 💌").
+ *
+ * The private reply lands in the commenter's inbox only, so everyone else on
+ * the post sees an unanswered question. When the merchant opts in
+ * (settings.public_comment_reply_enabled), we also post a short public reply
+ * under the comment. Templates rotate per brand-voice tone so a busy post
+ * doesn't fill up with the same line, and are picked deterministically from
+ * the comment ID so a retried webhook would choose the same text.
+ */
+
+import { claimCommentPublicReply, deleteLinkSent } from "./db.server";
+import { replyToInstagramComment } from "./meta.server";
+import logger from "./logger.server";
+
+const TEMPLATES_BY_TONE = {
+  friendly: [
+    "Sent you a DM 💌",
+    "Just sent you a message! 💌",
+    "Check your DMs, we sent you the details ✨",
+    "Sliding into your DMs with the link 💌",
+  ],
+  expert: [
+    "We've sent you a direct message with the details.",
+    "Details are in your DMs.",
+    "Thanks for asking, we've messaged you directly.",
+  ],
+  casual: [
+    "Check your DMs 👀",
+    "DM'd you! 🙌",
+    "Sent it your way 📩",
+    "Just hit your inbox 💌",
+  ],
+};
+
+// Used when brand_voice.reply_language forces a language; "auto" and "en"
+// fall through to the tone templates above.
+const TEMPLATES_BY_LANGUAGE = {
+  "pt-BR": ["Te mandamos uma DM 💌", "Confere sua DM! ✨", "Acabamos de te enviar uma mensagem 💌"],
+  es: ["¡Te enviamos un DM! 💌", "Revisa tus mensajes ✨", "Te acabamos de escribir por DM 💌"],
+  fr: ["On t'a envoyé un DM 💌", "Regarde tes messages ✨", "Message envoyé en privé 💌"],
+  de: ["Wir haben dir eine DM geschickt 💌", "Schau in deine Nachrichten ✨", "Details kommen per DM 💌"],
+  it: ["Ti abbiamo scritto in DM 💌", "Controlla i tuoi messaggi ✨", "Ti abbiamo mandato un messaggio 💌"],
+  nl: ["We hebben je een DM gestuurd 💌", "Check je DM's ✨", "Details staan in je DM 💌"],
+};
+
+/** Small stable string hash (djb2) so rotation is deterministic per comment. */
+function hashString(value) {
+  let hash = 5381;
+  const str = String(value || "");
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Choose the public reply text for a comment.
+ * @param {Object|null} brandVoice - brand_voice row (tone, reply_language)
+ * @param {string} commentId - Instagram comment ID (rotation seed)
+ * @returns {string}
+ */
+export function pickPublicReplyTemplate(brandVoice, commentId) {
+  const lang = brandVoice?.reply_language;
+  const templates =
+    (lang && lang !== "auto" && TEMPLATES_BY_LANGUAGE[lang]) ||
+    TEMPLATES_BY_TONE[brandVoice?.tone] ||
+    TEMPLATES_BY_TONE.friendly;
+  return templates[hashString(commentId) % templates.length];
+}
+
+/**
+ * Post the public reply for a comment whose private DM already went out.
+ * Skips posts on the disabled_post_ids deny-list and test comments, claims
+ * the comment (public_reply_comment_{id}) so duplicate webhooks post at most
+ * once, and releases the claim if Meta rejects the reply. Never throws: the
+ * DM is the real reply, this is only an acknowledgement.
+ *
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {string} params.commentId - Instagram comment ID
+ * @param {string|null} params.mediaId - Post the comment is on
+ * @param {string|null} params.messageId - messages row UUID
+ * @param {Object|null} params.settings - settings row (deny-list)
+ * @param {string} params.text - Reply text
+ * @returns {Promise<boolean>} true when the public reply was posted
+ */
+export async function postPublicCommentReply({ shopId, commentId, mediaId, messageId, settings, text }) {
+  if (!shopId || !commentId || !text) return false;
+  if (String(commentId).startsWith("test_comment_")) return false;
+  if (mediaId && Array.isArray(settings?.disabled_post_ids) && settings.disabled_post_ids.includes(mediaId)) {
+    logger.debug(`[public-reply] Media ${mediaId} is in disabled_post_ids, skipping public reply`);
+    return false;
+  }
+
+  const claimed = await claimCommentPublicReply(shopId, commentId, text, messageId);
+  if (!claimed) {
+    logger.debug(`[public-reply] Public reply already claimed for comment ${commentId}`);
+    return false;
+  }
+
+  try {
+    await replyToInstagramComment(shopId, commentId, text);
+    logger.debug(`[public-reply] ✅ Public reply posted on comment ${commentId}`);
+    return true;
+  } catch (err) {
+    console.warn(`[public-reply] Public reply failed for comment ${commentId}:`, err?.message);
+    await deleteLinkSent(shopId, `public_reply_comment_${commentId}`);
+    return false;
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Keyword-triggered comment rules ("comment LINK to get it" campaigns).
+ *
+ * The classifier path only replies when OpenAI reads purchase intent into a
+ * comment, which a one-word campaign keyword rarely carries. Rules let the
+ * merchant say "any comment containing LINK on this post gets this DM"
+ * deterministically. The webhook checks rules before classifying; a match
+ * skips the classifier and goes straight to handleKeywordRuleComment.
+ */
+
+import { getCommentRules } from "./db.server";
+import { cached, invalidateCached } from "./loader-cache.server";
+
+// Rules are read on every comment webhook but only change from the rules
+// page, which invalidates this prefix on save/delete.
+const RULES_CACHE_TTL_MS = 60 * 1000;
+
+// Regex rules run against untrusted comment text; a short cap keeps
+// merchant-written patterns from getting pathological.
+export const MAX_PATTERN_LENGTH = 200;
+
+// Regex rules only see the start of a comment, so a pattern that backtracks
+// badly can't be fed an arbitrarily long input. Campaign keywords come early.
+const MAX_REGEX_TEXT_LENGTH = 1000;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Keywords from a comma-separated keyword rule ("link, LINK please, 🔥"). */
+function splitKeywords(pattern) {
+  return String(pattern || "")
+    .split(",")
+    .map((k) => k.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Whole-word, case-insensitive keyword test. Letters/digits on either side
+ * break the match ("link" doesn't fire on "linked"), while punctuation and
+ * emoji don't ("LINK!!" and "link🔥" both fire).
+ */
+function keywordMatches(keyword, text) {
+  const re = new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(keyword)}($|[^\\p{L}\\p{N}_])`, "iu");
+  return re.test(text);
+}
+
+/**
+ * True when a quantified group itself contains a quantifier, e.g. "(a+)+" or
+ * "(\w*\s?)*": the classic catastrophic-backtracking shape.
+ */
+function hasNestedQuantifier(pattern) {
+  // Escapes and character classes can't nest; blank them out first.
+  const source = pattern.replace(/\\./g, "_").replace(/\[[^\]]*\]/g, "_");
+  const quantified = [false];
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === "(") {
+      quantified.push(false);
+    } else if (ch === ")") {
+      const inner = quantified.length > 1 ? quantified.pop() : false;
+      if (inner && /^(?:[*+]|\{\d+,)/.test(source.slice(i + 1))) return true;
+      if (inner) quantified[quantified.length - 1] = true;
+    } else if (ch === "*" || ch === "+" || (ch === "{" && /^\{\d+,/.test(source.slice(i)))) {
+      quantified[quantified.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Validate a rule pattern before saving. Returns an error message, or null
+ * when the pattern is usable.
+ * @param {"keyword"|"regex"} matchType
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+export function validateCommentRulePattern(matchType, pattern) {
+  const value = String(pattern || "").trim();
+  if (!value) return "Enter a keyword or pattern";
+  if (value.length > MAX_PATTERN_LENGTH) {
+    return `Pattern must be ${MAX_PATTERN_LENGTH} characters or fewer`;
+  }
+  if (matchType === "regex") {
+    try {
+      new RegExp(value, "iu");
+    } catch (err) {
+      return `Invalid regular expression: ${err.message}`;
+    }
+    if (hasNestedQuantifier(value)) {
+      return "Patterns can't repeat a group that already repeats, like (a+)+. Simplify the pattern.";
+    }
+  } else if (splitKeywords(value).length === 0) {
+    return "Enter at least one keyword";
+  }
+  return null;
+}
+
+/**
+ * True when `rule` fires for `text`. Invalid stored regexes never match, nor
+ * do nested quantifiers saved before validation rejected them.
+ */
+export function ruleMatchesText(rule, text) {
+  if (!rule?.pattern || !text) return false;
+  if (rule.match_type === "regex") {
+    if (hasNestedQuantifier(rule.pattern)) return false;
+    try {
+      return new RegExp(rule.pattern, "iu").test(text.slice(0, MAX_REGEX_TEXT_LENGTH));
+    } catch {
+      return false;
+    }
+  }
+  return splitKeywords(rule.pattern).some((k) => keywordMatches(k, text));
+}
+
+/**
+ * Pick the rule that applies to a comment. Post-specific rules win over
+ * global ones so a campaign on one post can override a store-wide keyword;
+ * within each group the oldest rule wins (rules arrive ordered by created_at).
+ *
+ * @param {Array<Object>} rules - comment_rules rows (enabled only)
+ * @param {string} text - Comment text
+ * @param {string|null} mediaId - Instagram media ID the comment is on
+ * @returns {Object|null}
+ */
+export function matchCommentRule(rules, text, mediaId) {
+  if (!text || !Array.isArray(rules) || rules.length === 0) return null;
+  const postRules = rules.filter((r) => r.ig_media_id && r.ig_media_id === mediaId);
+  const globalRules = rules.filter((r) => !r.ig_media_id);
+  return (
+    postRules.find((r) => ruleMatchesText(r, text)) ||
+    globalRules.find((r) => ruleMatchesText(r, text)) ||
+    null
+  );
+}
+
+/**
+ * Load the shop's enabled rules (cached) and return the one matching this
+ * comment, or null. Fails open: a DB error means "no rule", so the comment
+ * still goes through the normal classifier path.
+ */
+export async function findMatchingCommentRule(shopId, text, mediaId) {
+  if (!shopId || !text) return null;
+  try {
+    const rules = await cached(`commentrules:${shopId}`, RULES_CACHE_TTL_MS, () =>
+      getCommentRules(shopId, { enabledOnly: true }),
+    );
+    return matchCommentRule(rules, text, mediaId);
+  } catch (err) {
+    console.warn("[comment-rules] Failed to load rules, falling back to classifier:", err?.message);
+    return null;
+  }
+}
+
+/** Drop cached rules after the merchant edits them. */
+export function invalidateCommentRules(shopId) {
+  invalidateCached(`commentrules:${shopId}`);
+}
+
+/**
+ * Fill a fixed DM template. {link} becomes the tracked link and {username}
+ * the commenter's handle; when the template has no {link} placeholder but
+ * the rule has a link, it's appended so the DM never goes out without it.
+ *
+ * @param {string} template
+ * @param {{ link?: string|null, username?: string|null }} values
+ * @returns {string}
+ */
+export function renderRuleTemplate(template, { link = null, username = null } = {}) {
+  let text = String(template || "").trim();
+  const hadLinkPlaceholder = text.includes("{link}");
+  text = text
+    .split("{link}").join(link || "")
+    .split("{username}").join(username ? `@${String(username).replace(/^@/, "")}` : "")
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+  if (link && !hadLinkPlaceholder) {
+    text = text ? `${text}\n\n${link}` : link;
+  }
+  return text;
+}
@@ -0,0 +1,20 @@
+/**
+ * CSV helpers shared by the exports (export.server.js, the opt-out registry
+ * download in opt-outs.server.js). Files are meant to be opened in
+ * spreadsheets, so cells are also guarded against formula injection.
+ */
+
+// A spreadsheet evaluates a cell starting with one of these as a formula.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Quote a CSV cell when it contains a comma, quote or newline. Text that a
+ * spreadsheet would run as a formula (customer-written "=HYPERLINK(...)")
+ * gets a leading ' so it shows as text; plain numbers like -12.50 don't.
+ */
+export function csvCell(value) {
+  let s = value == null ? "" : String(value);
+  if (typeof value !== "number" && FORMULA_PREFIX.test(s) && !PLAIN_NUMBER.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
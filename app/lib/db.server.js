@@ -359,6 +359,8 @@ export async function logMessage(params) {
     aiConfidence,
     sentiment,
     lastUserMessageAt,
+    attachments,
+    mediaId,
   } = params;
 
   const { data, error } = await supabase
@@ -374,6 +376,8 @@ export async function logMessage(params) {
       ai_confidence: aiConfidence ?? null,
       sentiment: sentiment || null,
       last_user_message_at: lastUserMessageAt || null,
+      media_id: mediaId || null,
+      ...(attachments?.length ? { attachments } : {}),
     })
     .select("*")
     .single();
@@ -426,6 +430,21 @@ export async function updateMessageAI(
   }
 }
 
+/**
+ * Replace the stored attachments of a message (after product resolution).
+ */
+export async function updateMessageAttachments(messageId, attachments) {
+  const { error } = await supabase
+    .from("messages")
+    .update({ attachments: attachments?.length ? attachments : null })
+    .eq("id", messageId);
+
+  if (error) {
+    console.error("updateMessageAttachments error", error);
+    throw error;
+  }
+}
+
 /**
  * Record a sent link.
  */
@@ -504,7 +523,7 @@ export async function isHumanTakeoverActive(shopId, igUserId) {
   if (!shopId || !igUserId) return false;
   const { data, error } = await supabase
     .from("human_takeovers")
-    .select("last_human_at")
+    .select("last_human_at, paused")
     .eq("shop_id", shopId)
     .eq("ig_user_id", String(igUserId))
     .maybeSingle();
@@ -512,10 +531,251 @@ export async function isHumanTakeoverActive(shopId, igUserId) {
     console.warn("[db] isHumanTakeoverActive error:", error.message);
     return false;
   }
+  // Paused from the inbox: stays paused until someone resumes it.
+  if (data?.paused) return true;
   if (!data?.last_human_at) return false;
   return Date.now() - new Date(data.last_human_at).getTime() < HUMAN_TAKEOVER_PAUSE_MS;
 }
 
+/**
+ * Pause or resume automation for one conversation from the inbox. Resuming
+ * also clears the rolling takeover window so the bot answers the very next
+ * message.
+ */
+export async function setConversationPaused(shopId, igUserId, paused) {
+  const { error } = paused
+    ? await supabase.from("human_takeovers").upsert(
+        { shop_id: shopId, ig_user_id: String(igUserId), last_human_at: new Date().toISOString(), paused: true },
+        { onConflict: "shop_id,ig_user_id" }
+      )
+    : await supabase.from("human_takeovers").delete().eq("shop_id", shopId).eq("ig_user_id", String(igUserId));
+  if (error) {
+    console.error("[db] setConversationPaused error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Takeover state for a set of customers (inbox list badges).
+ * @returns {Promise<Map<string, {paused: boolean, last_human_at: string|null}>>}
+ */
+export async function getConversationTakeovers(shopId, igUserIds) {
+  const ids = [...new Set((igUserIds || []).filter(Boolean).map(String))];
+  if (!shopId || ids.length === 0) return new Map();
+  const { data, error } = await supabase
+    .from("human_takeovers")
+    .select("ig_user_id, last_human_at, paused")
+    .eq("shop_id", shopId)
+    .in("ig_user_id", ids);
+  if (error) {
+    console.warn("[db] getConversationTakeovers error:", error.message);
+    return new Map();
+  }
+  return new Map((data || []).map((r) => [r.ig_user_id, r]));
+}
+
+/**
+ * Recent conversations for the inbox, one entry per customer (from_user_id),
+ * newest activity first. Groups the latest inbound messages in memory; a
+ * busy shop's oldest threads simply fall off the end of the window.
+ * @param {string} shopId
+ * @param {{ days?: number, limit?: number }} [options]
+ */
+export async function getInboxThreads(shopId, options = {}) {
+  const days = options.days ?? 30;
+  const limit = options.limit ?? 50;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const { data, error } = await supabase
+    .from("messages")
+    .select("id, channel, from_user_id, from_username, text, ai_intent, created_at")
+    .eq("shop_id", shopId)
+    .not("from_user_id", "is", null)
+    .gte("created_at", since)
+    .order("created_at", { ascending: false })
+    .limit(1000);
+  if (error) {
+    console.error("[db] getInboxThreads error:", error);
+    throw error;
+  }
+
+  const threads = new Map();
+  for (const m of data || []) {
+    const thread = threads.get(m.from_user_id);
+    if (thread) {
+      thread.message_count += 1;
+      if (!thread.from_username && m.from_username) thread.from_username = m.from_username;
+      if (m.channel === "dm" && !thread.last_dm_at) thread.last_dm_at = m.created_at;
+      continue;
+    }
+    if (threads.size >= limit) continue;
+    threads.set(m.from_user_id, {
+      from_user_id: m.from_user_id,
+      from_username: m.from_username || null,
+      last_message_at: m.created_at,
+      last_text: m.text || null,
+      last_channel: m.channel,
+      last_intent: m.ai_intent || null,
+      last_dm_at: m.channel === "dm" ? m.created_at : null,
+      message_count: 1,
+    });
+  }
+  return [...threads.values()];
+}
+
+/** Record a reply staff sent from the inbox. */
+export async function logInboxReply(shopId, igUserId, text, details = {}) {
+  const { data, error } = await supabase
+    .from("inbox_replies")
+    .insert({
+      shop_id: shopId,
+      ig_user_id: String(igUserId),
+      text,
+      sent_by: details.sentBy || null,
+      human_agent_tag: !!details.humanAgentTag,
+    })
+    .select()
+    .single();
+  if (error) {
+    console.error("[db] logInboxReply error:", error);
+    throw error;
+  }
+  return data;
+}
+
+/** Inbox replies to one customer since `sinceIso`, oldest first. */
+export async function getInboxReplies(shopId, igUserId, sinceIso) {
+  const { data, error } = await supabase
+    .from("inbox_replies")
+    .select("id, text, sent_by, human_agent_tag, created_at")
+    .eq("shop_id", shopId)
+    .eq("ig_user_id", String(igUserId))
+    .gte("created_at", sinceIso)
+    .order("created_at", { ascending: true });
+  if (error) {
+    console.warn("[db] getInboxReplies error:", error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Opt-out registry: customers who sent STOP (or whom the merchant opted out)
+ * get no automated messages of any kind until they send START. Unlike the
+ * takeover pause this check fails CLOSED — if we can't tell, we don't message
+ * someone who may have asked us to stop.
+ */
+export async function isOptedOut(shopId, igUserId) {
+  if (!shopId || !igUserId) return false;
+  const { data, error } = await supabase
+    .from("opt_outs")
+    .select("id")
+    .eq("shop_id", shopId)
+    .eq("ig_user_id", String(igUserId))
+    .is("opted_in_at", null)
+    .maybeSingle();
+  if (error) {
+    console.warn("[db] isOptedOut error, treating as opted out:", error.message);
+    return true;
+  }
+  return !!data;
+}
+
+/**
+ * Opt a customer out (or re-opt them out after an earlier START).
+ * @param {string} shopId
+ * @param {string} igUserId
+ * @param {{ username?: string|null, source?: "keyword"|"merchant", keyword?: string|null }} [details]
+ */
+export async function recordOptOut(shopId, igUserId, details = {}) {
+  const { data, error } = await supabase
+    .from("opt_outs")
+    .upsert(
+      {
+        shop_id: shopId,
+        ig_user_id: String(igUserId),
+        ig_username: details.username || null,
+        source: details.source === "merchant" ? "merchant" : "keyword",
+        keyword: details.keyword || null,
+        opted_out_at: new Date().toISOString(),
+        opted_in_at: null,
+        opted_in_source: null,
+      },
+      { onConflict: "shop_id,ig_user_id" }
+    )
+    .select()
+    .single();
+  if (error) {
+    console.error("[db] recordOptOut error:", error);
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Opt a customer back in. Returns true when they were opted out before.
+ * @param {string} shopId
+ * @param {string} igUserId
+ * @param {"keyword"|"merchant"} [source]
+ */
+export async function recordOptIn(shopId, igUserId, source = "keyword") {
+  const { data, error } = await supabase
+    .from("opt_outs")
+    .update({ opted_in_at: new Date().toISOString(), opted_in_source: source === "merchant" ? "merchant" : "keyword" })
+    .eq("shop_id", shopId)
+    .eq("ig_user_id", String(igUserId))
+    .is("opted_in_at", null)
+    .select("id");
+  if (error) {
+    console.error("[db] recordOptIn error:", error);
+    throw error;
+  }
+  return (data || []).length > 0;
+}
+
+/**
+ * Opt-out registry rows for a shop, newest first.
+ * @param {string} shopId
+ * @param {{ includeOptedIn?: boolean }} [options] - include customers who opted back in (export)
+ */
+export async function getOptOuts(shopId, options = {}) {
+  let query = supabase
+    .from("opt_outs")
+    .select("*")
+    .eq("shop_id", shopId)
+    .order("opted_out_at", { ascending: false });
+  if (!options.includeOptedIn) query = query.is("opted_in_at", null);
+
+  const { data, error } = await query;
+  if (error) {
+    console.error("[db] Error fetching opt-outs:", error);
+    throw error;
+  }
+  return data || [];
+}
+
+/**
+ * Resolve an Instagram @username to the IG user ID we've seen it message or
+ * comment from. Returns null when they've never contacted the shop.
+ */
+export async function findIgUserIdByUsername(shopId, username) {
+  const handle = String(username || "").trim().replace(/^@/, "");
+  if (!shopId || !handle) return null;
+  const { data, error } = await supabase
+    .from("messages")
+    .select("from_user_id, from_username")
+    .eq("shop_id", shopId)
+    // Escape LIKE wildcards: "_" is common in handles and would match any character.
+    .ilike("from_username", handle.replace(/[\\%_]/g, "\\$&"))
+    .not("from_user_id", "is", null)
+    .order("created_at", { ascending: false })
+    .limit(1);
+  if (error) {
+    console.error("[db] findIgUserIdByUsername error:", error);
+    throw error;
+  }
+  return data?.[0] ? { igUserId: data[0].from_user_id, username: data[0].from_username } : null;
+}
+
 /**
  * Returns true if we have already sent an automated reply for this external message ID.
  * Uses link_id = dm_reply_ext_{externalId} to dedupe across duplicate message rows.
@@ -608,8 +868,33 @@ export async function claimCommentReply(shopId, commentExternalId, replyText, me
   return true;
 }
 
+/**
+ * Claim the one public threaded reply for this Instagram comment (atomic).
+ * Separate from claimCommentReply: the DM and the public acknowledgement are
+ * two sends, and a failed public reply must not block (or be blocked by) the DM.
+ */
+export async function claimCommentPublicReply(shopId, commentExternalId, replyText, messageId) {
+  if (!shopId || !commentExternalId) return false;
+  const linkId = `public_reply_comment_${commentExternalId}`;
+  const { error } = await supabase.from("links_sent").insert({
+    shop_id: shopId,
+    message_id: messageId || null,
+    product_id: null,
+    variant_id: null,
+    url: null,
+    link_id: linkId,
+    reply_text: replyText || null,
+  });
+  if (error) {
+    if (error.code === "23505") return false; // unique violation, already claimed
+    console.warn("[db] claimCommentPublicReply error:", error.message);
+    return false;
+  }
+  return true;
+}
+
 export async function logLinkSent(params) {
-  const { shopId, messageId, productId, variantId, url, linkId, replyText } = params;
+  const { shopId, messageId, productId, variantId, url, linkId, replyText, discountCode, lineItems, experimentId, experimentVariantId } = params;
 
   const { data, error } = await supabase
     .from("links_sent")
@@ -621,6 +906,10 @@ export async function logLinkSent(params) {
       url,
       link_id: linkId,
       reply_text: replyText || null,
+      discount_code: discountCode || null,
+      line_items: Array.isArray(lineItems) && lineItems.length > 0 ? lineItems : null,
+      experiment_id: experimentId || null,
+      experiment_variant_id: experimentVariantId || null,
     })
     .select("*")
     .single();
@@ -680,6 +969,7 @@ export async function getRecentConversationContext(shopId, fromUserId, options =
       linksSent: [],
       lastOutbound: null,
       lastProductLink: null,
+      lastAttachmentProduct: null,
       originChannel: null,
     };
   }
@@ -689,7 +979,7 @@ export async function getRecentConversationContext(shopId, fromUserId, options =
   // 1) Recent inbound messages for this user
   const { data: messages, error: messagesError } = await supabase
     .from("messages")
-    .select("id, channel, text, created_at, ai_intent, ai_confidence, sentiment")
+    .select("id, channel, text, attachments, created_at, ai_intent, ai_confidence, sentiment")
     .eq("shop_id", shopId)
     .eq("from_user_id", fromUserId)
     .gte("created_at", windowStartIso)
@@ -704,6 +994,7 @@ export async function getRecentConversationContext(shopId, fromUserId, options =
       linksSent: [],
       lastOutbound: null,
       lastProductLink: null,
+      lastAttachmentProduct: null,
       originChannel: null,
     };
   }
@@ -745,12 +1036,24 @@ export async function getRecentConversationContext(shopId, fromUserId, options =
   const originChannel =
     lastProductLink?.trigger_channel || lastOutbound?.trigger_channel || null;
 
+  // Most recent inbound DM attachment (shared post, screenshot) that resolved
+  // to a product — the thing a bare "is this still available?" refers to.
+  let lastAttachmentProduct = null;
+  for (const m of messages || []) {
+    const hit = (Array.isArray(m.attachments) ? m.attachments : []).find((a) => a?.product_id);
+    if (hit) {
+      lastAttachmentProduct = { ...hit, message_id: m.id, created_at: m.created_at };
+      break;
+    }
+  }
+
   return {
     windowStartIso,
     messages: messages || [],
     linksSent: enrichedLinks,
     lastOutbound,
     lastProductLink,
+    lastAttachmentProduct,
     originChannel,
   };
 }
@@ -759,12 +1062,15 @@ export async function getRecentConversationContext(shopId, fromUserId, options =
  * Record a click on a link_id (string from URL).
  */
 export async function logClick(params) {
-  const { linkId, userAgent, ip } = params;
+  const { linkId, userAgent, ip, quality = "human", qualityReason = null } = params;
 
   const { error } = await supabase.from("clicks").insert({
     link_id: linkId,
     user_agent: userAgent || null,
     ip: ip || null,
+    // See click-quality.server.js; only "human" counts as a click.
+    quality,
+    quality_reason: qualityReason,
   });
 
   if (error) {
@@ -773,11 +1079,136 @@ export async function logClick(params) {
   }
 }
 
+/**
+ * A page of the shop's tracked links (newest first) with their human and raw
+ * click counts and lifecycle status: "revoked", "expired", "redirected" or "active".
+ * Reply-claim rows without a URL are left out.
+ *
+ * @param {string} shopId
+ * @param {{limit?: number, offset?: number}} [options]
+ */
+export async function getTrackedLinks(shopId, { limit = 50, offset = 0 } = {}) {
+  const { data, error } = await supabase
+    .from("links_sent")
+    .select("link_id, sent_at, message_id, product_id, variant_id, line_items, url, discount_code, expires_at, revoked_at, redirect_product_id, redirect_variant_id, redirect_url, redirected_at")
+    .eq("shop_id", shopId)
+    .not("url", "is", null)
+    .order("sent_at", { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    console.error("[db] Error fetching tracked links:", error);
+    throw error;
+  }
+
+  const links = data || [];
+  const clickCounts = {};
+  const linkIds = links.map((l) => l.link_id).filter(Boolean);
+  if (linkIds.length > 0) {
+    const { data: clicks, error: clicksError } = await supabase
+      .from("clicks")
+      .select("link_id, quality")
+      .in("link_id", linkIds);
+    if (clicksError) {
+      console.error("[db] Error counting link clicks:", clicksError);
+    } else {
+      for (const c of clicks || []) {
+        const counts = clickCounts[c.link_id] || (clickCounts[c.link_id] = { human: 0, raw: 0 });
+        counts.raw++;
+        if (c.quality === "human") counts.human++;
+      }
+    }
+  }
+
+  const now = new Date();
+  return links.map((link) => ({
+    ...link,
+    clicks: clickCounts[link.link_id]?.human || 0,
+    rawClicks: clickCounts[link.link_id]?.raw || 0,
+    status: link.revoked_at
+      ? "revoked"
+      : link.expires_at && new Date(link.expires_at) <= now
+        ? "expired"
+        : link.redirect_url ? "redirected" : "active",
+  }));
+}
+
+/**
+ * One tracked link of the shop, or null.
+ * @param {string} shopId
+ * @param {string} linkId
+ */
+export async function getTrackedLink(shopId, linkId) {
+  const { data, error } = await supabase
+    .from("links_sent")
+    .select("link_id, shop_id, url, discount_code, product_id, expires_at, revoked_at, redirect_url")
+    .eq("shop_id", shopId)
+    .eq("link_id", linkId)
+    .not("url", "is", null)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[db] Error fetching tracked link:", error);
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Clicks on one of the shop's links, newest first, with their quality. IPs
+ * are not returned.
+ * @param {string} shopId
+ * @param {string} linkId
+ * @param {{limit?: number}} [options]
+ * @returns {Promise<Array<{created_at: string, user_agent: string|null, quality: string, quality_reason: string|null}>>}
+ */
+export async function getLinkClickHistory(shopId, linkId, { limit = 100 } = {}) {
+  const link = await getTrackedLink(shopId, linkId);
+  if (!link) return [];
+
+  const { data, error } = await supabase
+    .from("clicks")
+    .select("created_at, user_agent, quality, quality_reason")
+    .eq("link_id", linkId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error("[db] Error fetching link clicks:", error);
+    throw error;
+  }
+  return data || [];
+}
+
+/**
+ * Update a link's lifecycle fields (expires_at, revoked_at, redirect_*).
+ * Scoped to the shop, so a link_id from another shop is a no-op.
+ * @param {string} shopId
+ * @param {string} linkId
+ * @param {Object} fields
+ */
+export async function updateTrackedLink(shopId, linkId, fields) {
+  const allowed = ["expires_at", "revoked_at", "redirect_product_id", "redirect_variant_id", "redirect_url", "redirected_at"];
+  const update = Object.fromEntries(Object.entries(fields).filter(([key]) => allowed.includes(key)));
+
+  const { error } = await supabase
+    .from("links_sent")
+    .update(update)
+    .eq("shop_id", shopId)
+    .eq("link_id", linkId);
+
+  if (error) {
+    console.error("[db] Error updating tracked link:", error);
+    throw error;
+  }
+}
+
 /**
  * Record order attribution.
  */
 export async function recordAttribution(params) {
-  const { shopId, orderId, linkId, channel, amount, currency } = params;
+  const { shopId, orderId, linkId, channel, amount, currency, discountCode, presentmentAmount, presentmentCurrency } =
+    params;
 
   const { error } = await supabase.from("attribution").insert({
     shop_id: shopId,
@@ -785,7 +1216,12 @@ export async function recordAttribution(params) {
     link_id: linkId || null,
     channel: channel || null,
     amount: amount ?? null,
+    // Refunds, cancellations and edits adjust this (order-adjustments.server.js).
+    net_amount: amount ?? null,
     currency: currency || "USD",
+    presentment_amount: presentmentAmount ?? null,
+    presentment_currency: presentmentCurrency || null,
+    discount_code: discountCode || null,
   });
 
   if (error) {
@@ -797,11 +1233,11 @@ export async function recordAttribution(params) {
 /**
  * Get attribution records for a shop with optional filters
  * @param {string} shopId - The shop ID
- * @param {Object} filters - Optional filters: { channel, orderId, startDate, endDate, limit }
+ * @param {Object} filters - Optional filters: { channel, orderId, startDate, endDate, limit, offset, linkIds, orderDirection }
  * @returns {Promise<Array>} Array of attribution records
  */
 export async function getAttributionRecords(shopId, filters = {}) {
-  const { channel, orderId, startDate, limit = 50, linkIds = null } = filters;
+  const { channel, orderId, startDate, limit = 50, offset = 0, linkIds = null, orderDirection = "desc" } = filters;
   const endDate = filters.endDate && !filters.endDate.includes("T")
     ? `${filters.endDate}T23:59:59.999Z`
     : filters.endDate;
@@ -810,8 +1246,8 @@ export async function getAttributionRecords(shopId, filters = {}) {
     .from("attribution")
     .select("*")
     .eq("shop_id", shopId)
-    .order("created_at", { ascending: false })
-    .limit(limit);
+    .order("created_at", { ascending: orderDirection === "asc" })
+    .range(offset, offset + limit - 1);
 
   if (linkIds) {
     query = query.in("link_id", linkIds.length > 0 ? linkIds : ["__none__"]);
@@ -907,6 +1343,18 @@ export async function getSettings(shopId) {
         comment_automation_enabled: true,
         followup_enabled: true,
         disabled_post_ids: [],
+        public_comment_reply_enabled: false,
+        image_matching_enabled: false,
+        checkout_recovery_enabled: false,
+        checkout_recovery_delay_minutes: 60,
+        checkout_recovery_discount_code: null,
+        agent_discount_enabled: false,
+        agent_discount_max_percent: 10,
+        agent_discount_per_customer_limit: 1,
+        agent_discount_intents: ["purchase", "price_request"],
+        attribution_window_days: 7,
+        weekly_digest_enabled: false,
+        weekly_digest_recipients: [],
       };
     }
     console.error("getSettings error", error);
@@ -918,6 +1366,20 @@ export async function getSettings(shopId) {
   data.comment_automation_enabled = data.comment_automation_enabled ?? true;
   data.followup_enabled = data.followup_enabled ?? true;
   data.disabled_post_ids = Array.isArray(data.disabled_post_ids) ? data.disabled_post_ids : [];
+  data.public_comment_reply_enabled = data.public_comment_reply_enabled ?? false;
+  data.image_matching_enabled = data.image_matching_enabled ?? false;
+  data.checkout_recovery_enabled = data.checkout_recovery_enabled ?? false;
+  data.checkout_recovery_delay_minutes = data.checkout_recovery_delay_minutes ?? 60;
+  data.checkout_recovery_discount_code = data.checkout_recovery_discount_code || null;
+  data.agent_discount_enabled = data.agent_discount_enabled ?? false;
+  data.agent_discount_max_percent = data.agent_discount_max_percent ?? 10;
+  data.agent_discount_per_customer_limit = data.agent_discount_per_customer_limit ?? 1;
+  data.agent_discount_intents = Array.isArray(data.agent_discount_intents)
+    ? data.agent_discount_intents
+    : ["purchase", "price_request"];
+  data.attribution_window_days = data.attribution_window_days ?? 7;
+  data.weekly_digest_enabled = data.weekly_digest_enabled ?? false;
+  data.weekly_digest_recipients = Array.isArray(data.weekly_digest_recipients) ? data.weekly_digest_recipients : [];
 
   return data;
 }
@@ -945,6 +1407,28 @@ export async function updateSettings(shopId, settings) {
         // Deny-list: posts in this array have automation off; everything
         // else (including posts published later) is on by default.
         disabled_post_ids: Array.isArray(settings.disabled_post_ids) ? settings.disabled_post_ids : [],
+        // Opt-in: public "Sent you a DM" reply under converted comments.
+        public_comment_reply_enabled: settings.public_comment_reply_enabled ?? false,
+        // Opt-in: vision matching of DM images against the catalog.
+        image_matching_enabled: settings.image_matching_enabled ?? false,
+        // Opt-in: recovery DM after an abandoned checkout from a DM link.
+        checkout_recovery_enabled: settings.checkout_recovery_enabled ?? false,
+        checkout_recovery_delay_minutes: settings.checkout_recovery_delay_minutes ?? 60,
+        checkout_recovery_discount_code: settings.checkout_recovery_discount_code?.trim() || null,
+        // Opt-in: the sales agent may create single-use discount codes.
+        agent_discount_enabled: settings.agent_discount_enabled ?? false,
+        agent_discount_max_percent: settings.agent_discount_max_percent ?? 10,
+        agent_discount_per_customer_limit: settings.agent_discount_per_customer_limit ?? 1,
+        agent_discount_intents: Array.isArray(settings.agent_discount_intents)
+          ? settings.agent_discount_intents
+          : ["purchase", "price_request"],
+        // Link clicks this many days before an order share its credit.
+        attribution_window_days: settings.attribution_window_days ?? 7,
+        // Opt-in: weekly performance email to these addresses.
+        weekly_digest_enabled: settings.weekly_digest_enabled ?? false,
+        weekly_digest_recipients: Array.isArray(settings.weekly_digest_recipients)
+          ? settings.weekly_digest_recipients
+          : [],
       },
       {
         onConflict: "shop_id",
@@ -993,6 +1477,19 @@ export async function getMessages(shopId, options = {}) {
         link_id,
         sent_at,
         reply_text
+      ),
+      automation_decisions (
+        id,
+        outcome,
+        gate,
+        reason,
+        pipeline,
+        classification,
+        tool_calls,
+        citations,
+        reply_text,
+        model,
+        created_at
       )
     `)
     .eq("shop_id", shopId);
@@ -1051,6 +1548,9 @@ export async function getMessages(shopId, options = {}) {
       followup_text: latestFollowup?.reply_text || null,
       followup_sent_at: latestFollowup?.sent_at || null,
       links_sent: undefined, // Remove the nested array from response
+      automation_decisions: (message.automation_decisions || []).sort(
+        (a, b) => new Date(a.created_at) - new Date(b.created_at)
+      ),
     };
   });
 
@@ -1126,26 +1626,32 @@ function isActionableMissedComment(row) {
 }
 
 /**
- * Comments received this calendar month that look like genuine purchase
- * interest and got no automated reply (comment automation is Growth+).
- * Conservative by design — see isActionableMissedComment. Returns newest
- * first. Failure-safe (empty array).
+ * Comments received this calendar month (or in [startDate, endDate]) that
+ * look like genuine purchase interest and got no automated reply (comment
+ * automation is Growth+). `skippedOnly` narrows it to comments the automation
+ * saw and skipped, for plans where comments do get replies. Conservative by
+ * design — see isActionableMissedComment. Returns newest first. Failure-safe
+ * (empty array).
  *
  * @param {string} shopId
- * @param {{limit?: number}} [opts]
+ * @param {{limit?: number, startDate?: string, endDate?: string, skippedOnly?: boolean}} [opts]
  * @returns {Promise<Array<{id: string, text: string, from_username: string|null, created_at: string, ai_intent: string, ai_confidence: number}>>}
  */
-export async function getMissedOpportunityComments(shopId, { limit = 10 } = {}) {
+export async function getMissedOpportunityComments(shopId, { limit = 10, startDate = null, endDate = null, skippedOnly = false } = {}) {
   if (!shopId) return [];
   const now = new Date();
   const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
 
-  const { data, error } = await supabase
+  let query = supabase
     .from("messages")
     .select("id, text, from_username, created_at, ai_intent, ai_confidence")
     .eq("shop_id", shopId)
     .eq("channel", "comment")
-    .gte("created_at", monthStart)
+    .gte("created_at", startDate || monthStart);
+  if (endDate) query = query.lte("created_at", endDate);
+  if (skippedOnly) query = query.eq("automation_status", "skipped");
+
+  const { data, error } = await query
     .in("ai_intent", ACTIONABLE_INTENTS)
     .gte("ai_confidence", 0.9)
     .not("text", "is", null)
@@ -1177,17 +1683,17 @@ export async function getMissedCommentCount(shopId) {
  * currency in practice. Failure-safe (zero).
  *
  * @param {string} shopId
- * @returns {Promise<{total: number, currency: string}>}
+ * @returns {Promise<{total: number, net: number, currency: string}>} - total is gross, net is after refunds and cancellations
  */
 export async function getAttributedRevenueThisMonth(shopId) {
-  const empty = { total: 0, currency: "USD" };
+  const empty = { total: 0, net: 0, currency: "USD" };
   if (!shopId) return empty;
   const now = new Date();
   const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
 
   const { data, error } = await supabase
     .from("attribution")
-    .select("amount, currency")
+    .select("amount, net_amount, currency")
     .eq("shop_id", shopId)
     .gte("created_at", monthStart);
 
@@ -1198,7 +1704,9 @@ export async function getAttributedRevenueThisMonth(shopId) {
 
   const rows = data || [];
   const total = rows.reduce((sum, r) => sum + (parseFloat(r.amount) || 0), 0);
-  return { total, currency: rows.find((r) => r.currency)?.currency || "USD" };
+  // Net of refunds and cancellations; rows from before net_amount existed count in full.
+  const net = rows.reduce((sum, r) => sum + (parseFloat(r.net_amount ?? r.amount) || 0), 0);
+  return { total, net, currency: rows.find((r) => r.currency)?.currency || "USD" };
 }
 
 /**
@@ -1357,6 +1865,185 @@ export async function deleteProductMapping(shopId, igMediaId) {
   return true;
 }
 
+/**
+ * Keyword-triggered comment rules for a shop (see comment-rules.server.js).
+ * @param {string} shopId
+ * @param {{ enabledOnly?: boolean }} [options]
+ */
+export async function getCommentRules(shopId, options = {}) {
+  let query = supabase
+    .from("comment_rules")
+    .select("*")
+    .eq("shop_id", shopId)
+    .order("created_at", { ascending: true });
+  if (options.enabledOnly) query = query.eq("enabled", true);
+
+  const { data, error } = await query;
+  if (error) {
+    console.error("[db] Error fetching comment rules:", error);
+    throw error;
+  }
+  return data || [];
+}
+
+/**
+ * Insert a comment rule, or update it when `rule.id` is set. The shop_id
+ * filter on update keeps one shop from editing another shop's rule by id.
+ */
+export async function saveCommentRule(shopId, rule) {
+  const row = {
+    shop_id: shopId,
+    ig_media_id: rule.ig_media_id || null,
+    match_type: rule.match_type === "regex" ? "regex" : "keyword",
+    pattern: String(rule.pattern || "").trim(),
+    response_type: rule.response_type === "ai" ? "ai" : "fixed",
+    dm_text: rule.dm_text?.trim() || null,
+    public_reply: rule.public_reply?.trim() || null,
+    target_type: ["product", "collection"].includes(rule.target_type) ? rule.target_type : "none",
+    target_id: rule.target_id || null,
+    target_variant_id: rule.target_variant_id || null,
+    target_handle: rule.target_handle || null,
+    target_title: rule.target_title || null,
+    enabled: rule.enabled ?? true,
+    updated_at: new Date().toISOString(),
+  };
+
+  const { data, error } = rule.id
+    ? await supabase
+        .from("comment_rules")
+        .update(row)
+        .eq("id", rule.id)
+        .eq("shop_id", shopId)
+        .select()
+        .single()
+    : await supabase.from("comment_rules").insert(row).select().single();
+
+  if (error) {
+    console.error("[db] Error saving comment rule:", error);
+    throw error;
+  }
+  return data;
+}
+
+export async function deleteCommentRule(shopId, ruleId) {
+  const { error } = await supabase
+    .from("comment_rules")
+    .delete()
+    .eq("shop_id", shopId)
+    .eq("id", ruleId);
+
+  if (error) {
+    console.error("[db] Error deleting comment rule:", error);
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * The merchant's follow-up sequence, in send order (see followup.server.js).
+ * @param {string} shopId
+ * @param {{ enabledOnly?: boolean }} [options]
+ */
+export async function getFollowupSteps(shopId, options = {}) {
+  let query = supabase
+    .from("followup_steps")
+    .select("*")
+    .eq("shop_id", shopId)
+    .order("delay_hours", { ascending: true })
+    .order("created_at", { ascending: true });
+  if (options.enabledOnly) query = query.eq("enabled", true);
+
+  const { data, error } = await query;
+  if (error) {
+    console.error("[db] Error fetching follow-up steps:", error);
+    throw error;
+  }
+  return data || [];
+}
+
+/**
+ * Insert a follow-up step, or update it when `step.id` is set.
+ */
+export async function saveFollowupStep(shopId, step) {
+  const row = {
+    shop_id: shopId,
+    delay_hours: Number(step.delay_hours),
+    condition: ["clicked_no_order", "ordered"].includes(step.condition) ? step.condition : "not_clicked",
+    message: step.message?.trim() || null,
+    enabled: step.enabled ?? true,
+    updated_at: new Date().toISOString(),
+  };
+
+  const { data, error } = step.id
+    ? await supabase
+        .from("followup_steps")
+        .update(row)
+        .eq("id", step.id)
+        .eq("shop_id", shopId)
+        .select()
+        .single()
+    : await supabase.from("followup_steps").insert(row).select().single();
+
+  if (error) {
+    console.error("[db] Error saving follow-up step:", error);
+    throw error;
+  }
+  return data;
+}
+
+export async function deleteFollowupStep(shopId, stepId) {
+  const { error } = await supabase
+    .from("followup_steps")
+    .delete()
+    .eq("shop_id", shopId)
+    .eq("id", stepId);
+
+  if (error) {
+    console.error("[db] Error deleting follow-up step:", error);
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * Most recent follow-up sequence runs, newest first, for the follow-ups page.
+ * @param {string} shopId
+ * @param {number} [limit]
+ */
+export async function getRecentFollowupRuns(shopId, limit = 25) {
+  const { data, error } = await supabase
+    .from("followup_runs")
+    .select("id, ig_user_id, anchor_at, steps, next_step, steps_sent, status, stop_reason, last_sent_at, created_at")
+    .eq("shop_id", shopId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) {
+    console.warn("[db] getRecentFollowupRuns error:", error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Most recent discount codes issued by the sales agent, newest first, for the
+ * discounts page.
+ * @param {string} shopId
+ * @param {number} [limit]
+ */
+export async function getRecentAgentDiscountCodes(shopId, limit = 25) {
+  const { data, error } = await supabase
+    .from("agent_discount_codes")
+    .select("id, ig_user_id, code, percent, status, order_id, expires_at, created_at")
+    .eq("shop_id", shopId)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) {
+    console.warn("[db] getRecentAgentDiscountCodes error:", error.message);
+    return [];
+  }
+  return data || [];
+}
+
 /**
  * Update product mappings that have null variant_id by fetching the first variant from Shopify
  * This fixes existing mappings that were created before the auto-fetch logic was added
@@ -1530,20 +2217,37 @@ export async function updateBrandVoice(shopId, brandVoice) {
   return result;
 }
 
+/**
+ * Per-channel sums of the analytics_daily rollups for a date range (inclusive
+ * YYYY-MM-DD days; full timestamps are cut to their day). productId narrows to
+ * messages, links and orders involving that product. Throws on error.
+ */
+async function getAnalyticsRollup(shopId, { startDate = null, endDate = null, productId = null } = {}) {
+  const { data, error } = await supabase.rpc("get_analytics_rollup", {
+    p_shop_id: shopId,
+    p_start: startDate ? startDate.slice(0, 10) : null,
+    p_end: endDate ? endDate.slice(0, 10) : null,
+    p_product_id: productId || "*",
+  });
+  if (error) throw error;
+  return data || [];
+}
+
 /**
  * Get analytics data for a shop
- * Returns metrics based on plan tier
+ * Returns metrics based on plan tier. Reads the analytics_daily rollups
+ * (refreshed by the scheduler), so figures can trail live data by a few minutes.
  */
 export async function getAnalytics(shopId, planName, options = {}) {
-  const { startDate, productId = null } = options;
-  const endDate = options.endDate && !options.endDate.includes("T")
-    ? `${options.endDate}T23:59:59.999Z`
-    : options.endDate;
-  
+  const { startDate, endDate, productId = null } = options;
+
   const analytics = {
     messagesReceived: 0,
     linksSent: 0,
+    // Human clicks (click-quality.server.js); rawClicks also counts bots,
+    // link previews and repeat clicks.
     clicks: 0,
+    rawClicks: 0,
     ctr: 0,
     responseRate: 0,
     topTriggerPhrases: [],
@@ -1552,159 +2256,59 @@ export async function getAnalytics(shopId, planName, options = {}) {
       comment: { sent: 0, responded: 0, clicks: 0 },
     },
     topPosts: [],
+    // Attributed order totals: gross at purchase, net after refunds and cancellations.
+    revenue: 0,
+    netRevenue: 0,
+    currency: "USD",
   };
 
   try {
-    // Get links_sent first (may be narrowed by productId)
-    let linksQuery = supabase
-      .from("links_sent")
-      .select("id, message_id, link_id, product_id")
-      .eq("shop_id", shopId);
-
-    if (productId) {
-      linksQuery = linksQuery.eq("product_id", productId);
-    }
-    if (startDate) {
-      linksQuery = linksQuery.gte("created_at", startDate);
-    }
-    if (endDate) {
-      linksQuery = linksQuery.lte("created_at", endDate);
-    }
-
-    const { data: linksSent, error: linksError } = await linksQuery;
-
-    if (linksError) {
-      console.error("[analytics] Error fetching links sent:", linksError);
-    }
-
-    // When filtering by post, scope messages to those with matching links
-    const postFilterMessageIds = productId
-      ? [...new Set((linksSent || []).map(l => l.message_id).filter(Boolean))]
-      : null;
-
-    let messagesQuery = supabase
-      .from("messages")
-      .select("id, channel, ai_intent, last_user_message_at, created_at")
-      .eq("shop_id", shopId);
-
-    if (postFilterMessageIds) {
-      // Use a valid all-zeros UUID as a never-match sentinel. messages.id is a
-      // UUID column, so the previous "__none__" sentinel raised
-      // "22P02 invalid input syntax for type uuid" whenever the post filter
-      // resolved to zero matching messages.
-      messagesQuery = messagesQuery.in(
-        "id",
-        postFilterMessageIds.length > 0 ? postFilterMessageIds : ["00000000-0000-0000-0000-000000000000"]
-      );
-    }
-    if (startDate) {
-      messagesQuery = messagesQuery.gte("created_at", startDate);
-    }
-    if (endDate) {
-      messagesQuery = messagesQuery.lte("created_at", endDate);
-    }
-
-    const { data: allMessages, error: messagesError } = await messagesQuery;
-
-    if (messagesError) {
-      console.error("[analytics] Error fetching messages:", messagesError);
-      return analytics;
-    }
-
-    analytics.messagesReceived = (allMessages || []).length;
+    const rows = await getAnalyticsRollup(shopId, { startDate, endDate, productId });
 
-    if (linksError) {
-      console.error("[analytics] Error fetching links sent:", linksError);
-    }
+    let responded = 0;
+    let linksClicked = 0;
+    const intentCounts = {};
+    const channelStats = {
+      dm: { sent: 0, responded: 0, clicks: 0 },
+      comment: { sent: 0, responded: 0, clicks: 0 },
+    };
 
-    // Checkout link_ids are plain 8-char base62 strings. Non-checkout entries
-    // (claim slots, size questions, info/policy short links, PDP links,
-    // follow-up check-ins) use prefixed IDs and should not inflate click/CTR
-    // metrics.
-    const isCheckoutLinkId = (id) =>
-      !!id &&
-      !id.startsWith("dm_reply_") &&
-      !id.startsWith("size_q_") &&
-      !id.startsWith("info_") &&
-      !id.startsWith("pdp_") &&
-      !id.startsWith("followup_");
-
-    // Count only checkout links sent (used for CTR denominator)
-    analytics.linksSent = (linksSent || []).filter(l => isCheckoutLinkId(l.link_id)).length;
-
-    // Create map of message_id -> link_id, keeping the most recent link per message.
-    // messageToLink uses ALL entries (so response-rate counts every replied message),
-    // but linkIds/linkIdToChannel only include checkout links (for click queries).
-    const messageToLink = {};
-    const linkIdToChannel = {};
-    const linkIds = [];
-    (linksSent || []).forEach(link => {
-      if (link.message_id) {
-        const prev = messageToLink[link.message_id];
-        if (!prev || String(link.id) > String(prev.rowId)) {
-          messageToLink[link.message_id] = { linkId: link.link_id, rowId: link.id };
-        }
-        if (isCheckoutLinkId(link.link_id)) {
-          const message = (allMessages || []).find(m => m.id === link.message_id);
-          if (message) {
-            linkIdToChannel[link.link_id] = message.channel;
-          }
-        }
+    rows.forEach(row => {
+      analytics.messagesReceived += Number(row.messages_received) || 0;
+      // Only checkout links count toward links sent / clicks / CTR; response
+      // rate counts every message that got any reply.
+      analytics.linksSent += Number(row.checkout_links_sent) || 0;
+      analytics.clicks += Number(row.human_clicks) || 0;
+      analytics.rawClicks += Number(row.clicks) || 0;
+      responded += Number(row.messages_responded) || 0;
+      linksClicked += Number(row.checkout_links_clicked) || 0;
+      analytics.revenue += Number(row.revenue) || 0;
+      analytics.netRevenue += Number(row.net_revenue) || 0;
+      if (row.currency) analytics.currency = row.currency;
+
+      for (const [intent, count] of Object.entries(row.responded_intents || {})) {
+        intentCounts[intent] = (intentCounts[intent] || 0) + (Number(count) || 0);
       }
-      if (isCheckoutLinkId(link.link_id)) {
-        linkIds.push(link.link_id);
+
+      const stats = channelStats[row.channel];
+      if (stats) {
+        stats.sent += Number(row.messages_received) || 0;
+        stats.responded += Number(row.messages_responded) || 0;
+        stats.clicks += Number(row.human_clicks) || 0;
       }
     });
-    const messageToLinkId = {};
-    for (const [msgId, val] of Object.entries(messageToLink)) {
-      messageToLinkId[msgId] = val.linkId;
-    }
-
-    // Filter messages that have links sent (for channel performance and trigger phrases)
-    const messagesWithLinks = (allMessages || []).filter(m => messageToLinkId[m.id]);
 
     // Response rate: % of messages that received an AI response (link sent)
     if (analytics.messagesReceived > 0) {
-      analytics.responseRate = (messagesWithLinks.length / analytics.messagesReceived) * 100;
+      analytics.responseRate = (responded / analytics.messagesReceived) * 100;
     }
 
-    // Get clicks for ALL link_ids (not just those linked to messages).
-    // We track BOTH total click events (so the "Clicks" KPI keeps reflecting
-    // every individual click) AND the count of unique link_ids that were
-    // clicked at least once (so CTR can be reported as a real rate that
-    // never exceeds 100% even when a customer hammers the same link).
-    let uniqueLinksClicked = 0;
-    if (linkIds.length > 0) {
-      const { data: clicksData, error: clicksError } = await supabase
-        .from("clicks")
-        .select("link_id")
-        .in("link_id", linkIds);
-
-      if (!clicksError && Array.isArray(clicksData)) {
-        analytics.clicks = clicksData.length;
-        const uniq = new Set();
-        clicksData.forEach((c) => {
-          if (c?.link_id) uniq.add(c.link_id);
-        });
-        uniqueLinksClicked = uniq.size;
-      }
-    }
-
-    // CTR = (links that received at least one click) / (links sent).
-    // Using total click events here lets it run past 100% when a customer
-    // re-clicks (which is how socialreplai's overview was showing 500%).
+    // CTR = (links that received at least one human click) / (links sent), so
+    // a customer re-clicking the same link can't push it past 100%.
     if (analytics.linksSent > 0) {
-      analytics.ctr = (uniqueLinksClicked / analytics.linksSent) * 100;
+      analytics.ctr = (linksClicked / analytics.linksSent) * 100;
     }
 
-    // Top trigger phrases (group by ai_intent)
-    const intentCounts = {};
-    messagesWithLinks.forEach(msg => {
-      if (msg.ai_intent) {
-        intentCounts[msg.ai_intent] = (intentCounts[msg.ai_intent] || 0) + 1;
-      }
-    });
-    
     analytics.topTriggerPhrases = Object.entries(intentCounts)
       .map(([intent, count]) => ({ intent, count }))
       .sort((a, b) => b.count - a.count)
@@ -1712,50 +2316,13 @@ export async function getAnalytics(shopId, planName, options = {}) {
 
     // Growth tier: Per channel performance
     if (planName === "GROWTH" || planName === "PRO") {
-      const channelStats = {
-        dm: { sent: 0, responded: 0, clicks: 0 },
-        comment: { sent: 0, responded: 0, clicks: 0 },
-      };
-
-      // Count all messages per channel (not just ones with links)
-      (allMessages || []).forEach(msg => {
-        const channel = msg.channel;
-        if (channelStats[channel]) {
-          channelStats[channel].sent++;
-        }
-      });
-
-      // Count responded messages (those with links sent = AI responded)
-      messagesWithLinks.forEach(msg => {
-        const channel = msg.channel;
-        if (channelStats[channel]) {
-          channelStats[channel].responded++;
-        }
-      });
-
-      // Get clicks per channel
-      if (linkIds.length > 0) {
-        const { data: clicksData, error: clicksError } = await supabase
-          .from("clicks")
-          .select("link_id")
-          .in("link_id", linkIds);
-
-        if (!clicksError && clicksData) {
-          // Use the linkIdToChannel map we built earlier
-          clicksData.forEach(click => {
-            const channel = linkIdToChannel[click.link_id];
-            if (channel && channelStats[channel]) {
-              channelStats[channel].clicks++;
-            }
-          });
-        }
-      }
-
       analytics.channelPerformance = channelStats;
 
-      // Top IG posts by engagement (simplified - would need media_id from comments)
-      // For now, return empty array - will be enhanced when we have comment media_id tracking
-      analytics.topPosts = [];
+      // Top IG posts by comments and the revenue their DMs brought in.
+      // Per post already, so the product filter doesn't apply.
+      if (!productId) {
+        analytics.topPosts = await getTopPosts(shopId, { startDate, endDate });
+      }
     }
   } catch (error) {
     console.error("[analytics] Error calculating analytics:", error);
@@ -1764,6 +2331,39 @@ export async function getAnalytics(shopId, planName, options = {}) {
   return analytics;
 }
 
+/**
+ * Instagram posts ranked by the net revenue and comments they brought in over
+ * a range (get_top_posts rpc, supabase_migration_weekly_digest.sql). Only
+ * comments logged with a media_id count. Failure-safe (empty array).
+ *
+ * @param {string} shopId
+ * @param {{startDate?: string|null, endDate?: string|null, limit?: number}} [options]
+ * @returns {Promise<Array<{mediaId: string, comments: number, dmsSent: number, clicks: number, orders: number, revenue: number}>>}
+ */
+export async function getTopPosts(shopId, { startDate = null, endDate = null, limit = 5 } = {}) {
+  if (!shopId) return [];
+  const { data, error } = await supabase.rpc("get_top_posts", {
+    p_shop_id: shopId,
+    p_start: startDate || null,
+    p_end: endDate && !endDate.includes("T") ? `${endDate}T23:59:59.999Z` : endDate || null,
+    p_limit: limit,
+  });
+
+  if (error) {
+    console.error("[analytics] Error fetching top posts:", error);
+    return [];
+  }
+
+  return (data || []).map((row) => ({
+    mediaId: row.media_id,
+    comments: Number(row.comments) || 0,
+    dmsSent: Number(row.dms_sent) || 0,
+    clicks: Number(row.clicks) || 0,
+    orders: Number(row.orders) || 0,
+    revenue: Number(row.revenue) || 0,
+  }));
+}
+
 /**
  * Get Pro analytics data for a shop
  * Includes customer segments, sentiment analysis, revenue attribution, follow-up performance
@@ -1773,246 +2373,110 @@ export async function getProAnalytics(shopId, options = {}) {
   const endDate = options.endDate && !options.endDate.includes("T")
     ? `${options.endDate}T23:59:59.999Z`
     : options.endDate;
-  
+
   const proAnalytics = {
     customerSegments: { firstTime: 0, repeat: 0, total: 0 },
     sentimentAnalysis: { positive: 0, neutral: 0, negative: 0, total: 0 },
-    revenueAttribution: { total: 0, byChannel: { dm: 0, comment: 0 }, currency: "USD" },
+    revenueAttribution: {
+      total: 0,
+      net: 0,
+      byChannel: { dm: 0, comment: 0 },
+      netByChannel: { dm: 0, comment: 0 },
+      agentDiscount: { orders: 0, revenue: 0 },
+      currency: "USD",
+    },
     followUpPerformance: {
       withFollowup: { messages: 0, clicks: 0, revenue: 0, ctr: 0 },
       withoutFollowup: { messages: 0, clicks: 0, revenue: 0, ctr: 0 },
     },
+    // Same orders credited to DM link clicks within the attribution window,
+    // under each model (see attribution.server.js).
+    attributionModels: {
+      first_touch: { total: 0, byChannel: { dm: 0, comment: 0 } },
+      last_touch: { total: 0, byChannel: { dm: 0, comment: 0 } },
+      linear: { total: 0, byChannel: { dm: 0, comment: 0 } },
+    },
   };
 
   try {
-    // When filtering by post/product, pre-fetch matching message IDs
-    let postFilterMessageIds = null;
-    if (productId) {
-      let pfLinksQ = supabase.from("links_sent").select("message_id").eq("shop_id", shopId).eq("product_id", productId);
-      if (startDate) pfLinksQ = pfLinksQ.gte("created_at", startDate);
-      if (endDate) pfLinksQ = pfLinksQ.lte("created_at", endDate);
-      const { data: pfLinks } = await pfLinksQ;
-      postFilterMessageIds = [...new Set((pfLinks || []).map(l => l.message_id).filter(Boolean))];
-    }
-
-    let messagesQuery = supabase
-      .from("messages")
-      .select("*")
-      .eq("shop_id", shopId);
-
-    if (postFilterMessageIds) {
-      // See note above: never-match sentinel must be a valid UUID for
-      // messages.id (UUID column). "__none__" raises 22P02.
-      messagesQuery = messagesQuery.in(
-        "id",
-        postFilterMessageIds.length > 0 ? postFilterMessageIds : ["00000000-0000-0000-0000-000000000000"]
-      );
-    }
-    if (startDate) {
-      messagesQuery = messagesQuery.gte("created_at", startDate);
-    }
-    if (endDate) {
-      messagesQuery = messagesQuery.lte("created_at", endDate);
-    }
-
-    const { data: allMessages, error: messagesError } = await messagesQuery;
-
-    if (messagesError) {
-      console.error("[pro-analytics] Error fetching messages:", messagesError);
-      return proAnalytics;
-    }
-
-    if (!allMessages || allMessages.length === 0) {
-      return proAnalytics;
+    // Unique customers don't add up across days, so segments come from their
+    // own RPC over messages rather than the daily rollups.
+    const [rows, segmentsResult, modelsResult] = await Promise.all([
+      getAnalyticsRollup(shopId, { startDate, endDate, productId }),
+      supabase.rpc("get_customer_segments", {
+        p_shop_id: shopId,
+        p_start: startDate || null,
+        p_end: endDate || null,
+        p_product_id: productId || null,
+      }),
+      // Model credit is split per order, not per product, so the post filter doesn't apply.
+      productId
+        ? Promise.resolve({ data: [], error: null })
+        : supabase.rpc("get_attribution_model_revenue", {
+          p_shop_id: shopId,
+          p_start: startDate || null,
+          p_end: endDate || null,
+        }),
+    ]);
+
+    if (segmentsResult.error) {
+      console.error("[pro-analytics] Error fetching customer segments:", segmentsResult.error);
+    } else {
+      const segments = Array.isArray(segmentsResult.data) ? segmentsResult.data[0] : segmentsResult.data;
+      proAnalytics.customerSegments.firstTime = Number(segments?.first_time) || 0;
+      proAnalytics.customerSegments.repeat = Number(segments?.repeat) || 0;
+      proAnalytics.customerSegments.total =
+        proAnalytics.customerSegments.firstTime + proAnalytics.customerSegments.repeat;
     }
 
-    // Customer Segments: Count unique from_user_id interactions
-    const userInteractionCounts = {};
-    allMessages.forEach(msg => {
-      if (msg.from_user_id) {
-        userInteractionCounts[msg.from_user_id] = (userInteractionCounts[msg.from_user_id] || 0) + 1;
+    const { sentimentAnalysis, revenueAttribution, followUpPerformance } = proAnalytics;
+    rows.forEach(row => {
+      sentimentAnalysis.positive += Number(row.sentiment_positive) || 0;
+      sentimentAnalysis.neutral += Number(row.sentiment_neutral) || 0;
+      sentimentAnalysis.negative += Number(row.sentiment_negative) || 0;
+
+      // Gross is the order total at purchase; net is after refunds and cancellations.
+      const revenue = Number(row.revenue) || 0;
+      const netRevenue = Number(row.net_revenue) || 0;
+      revenueAttribution.total += revenue;
+      revenueAttribution.net += netRevenue;
+      if (row.channel === "dm" || row.channel === "comment") {
+        revenueAttribution.byChannel[row.channel] += revenue;
+        revenueAttribution.netByChannel[row.channel] += netRevenue;
       }
+      // Orders that redeemed a code the sales agent created.
+      revenueAttribution.agentDiscount.orders += Number(row.agent_discount_orders) || 0;
+      revenueAttribution.agentDiscount.revenue += Number(row.agent_discount_revenue) || 0;
+      if (row.currency) revenueAttribution.currency = row.currency;
+
+      // Follow-up performance: threads whose latest link got a follow-up vs not
+      followUpPerformance.withFollowup.messages += Number(row.followup_messages) || 0;
+      followUpPerformance.withFollowup.clicks += Number(row.followup_clicked) || 0;
+      followUpPerformance.withFollowup.revenue += Number(row.followup_revenue) || 0;
+      followUpPerformance.withoutFollowup.messages += Number(row.no_followup_messages) || 0;
+      followUpPerformance.withoutFollowup.clicks += Number(row.no_followup_clicked) || 0;
+      followUpPerformance.withoutFollowup.revenue += Number(row.no_followup_revenue) || 0;
     });
 
-    Object.values(userInteractionCounts).forEach(count => {
-      if (count === 1) {
-        proAnalytics.customerSegments.firstTime++;
-      } else {
-        proAnalytics.customerSegments.repeat++;
-      }
-    });
-    proAnalytics.customerSegments.total = Object.keys(userInteractionCounts).length;
-
-    // Sentiment Analysis: Aggregate sentiment counts
-    allMessages.forEach(msg => {
-      if (msg.sentiment) {
-        const sentiment = msg.sentiment.toLowerCase();
-        if (sentiment === "positive" || sentiment.includes("positive")) {
-          proAnalytics.sentimentAnalysis.positive++;
-        } else if (sentiment === "negative" || sentiment.includes("negative")) {
-          proAnalytics.sentimentAnalysis.negative++;
-        } else {
-          proAnalytics.sentimentAnalysis.neutral++;
-        }
-        proAnalytics.sentimentAnalysis.total++;
-      }
-    });
-
-    // Revenue Attribution: Sum revenue from attribution table
-    let attributionQuery = supabase
-      .from("attribution")
-      .select("*")
-      .eq("shop_id", shopId);
-
-    if (startDate) {
-      attributionQuery = attributionQuery.gte("created_at", startDate);
-    }
-    if (endDate) {
-      attributionQuery = attributionQuery.lte("created_at", endDate);
-    }
-
-    const { data: attributions, error: attributionError } = await attributionQuery;
-
-    if (!attributionError && attributions) {
-      attributions.forEach(attr => {
-        const amount = parseFloat(attr.amount || 0);
-        proAnalytics.revenueAttribution.total += amount;
-        
-        if (attr.channel === "dm") {
-          proAnalytics.revenueAttribution.byChannel.dm += amount;
-        } else if (attr.channel === "comment") {
-          proAnalytics.revenueAttribution.byChannel.comment += amount;
-        }
-
-        // Use currency from first attribution (assuming all same currency)
-        if (!proAnalytics.revenueAttribution.currency && attr.currency) {
-          proAnalytics.revenueAttribution.currency = attr.currency;
-        }
-      });
-    }
-
-    // Follow-Up Performance: Compare threads with vs without follow-ups
-    const messageIds = allMessages.map(m => m.id);
-    
-    // Get links_sent for these messages
-    const { data: linksSent, error: linksError } = await supabase
-      .from("links_sent")
-      .select("id, message_id, link_id")
-      .eq("shop_id", shopId)
-      .in("message_id", messageIds.length > 0 ? messageIds : [null]);
-
-    if (!linksError && linksSent) {
-      const isCheckoutLinkId = (id) =>
-        !!id &&
-        !id.startsWith("dm_reply_") &&
-        !id.startsWith("size_q_") &&
-        !id.startsWith("info_") &&
-        !id.startsWith("pdp_") &&
-        !id.startsWith("followup_");
-      const linkIds = linksSent.map(l => l.link_id).filter(isCheckoutLinkId);
-      const messageToLink = {};
-      linksSent.forEach(link => {
-        if (link.message_id) {
-          const prev = messageToLink[link.message_id];
-          if (!prev || String(link.id) > String(prev.rowId)) {
-            messageToLink[link.message_id] = { linkId: link.link_id, rowId: link.id };
+    if (modelsResult.error) {
+      console.error("[pro-analytics] Error fetching attribution models:", modelsResult.error);
+    } else {
+      (modelsResult.data || []).forEach(row => {
+        for (const [model, stats] of Object.entries(proAnalytics.attributionModels)) {
+          const revenue = Number(row[model]) || 0;
+          stats.total += revenue;
+          if (row.channel === "dm" || row.channel === "comment") {
+            stats.byChannel[row.channel] += revenue;
           }
         }
       });
-      const messageToLinkId = {};
-      for (const [msgId, val] of Object.entries(messageToLink)) {
-        messageToLinkId[msgId] = val.linkId;
-      }
+    }
 
-      // Get follow-ups for these messages
-      const { data: followups, error: followupsError } = await supabase
-        .from("followups")
-        .select("message_id, link_id")
-        .eq("shop_id", shopId)
-        .in("message_id", messageIds);
+    sentimentAnalysis.total = sentimentAnalysis.positive + sentimentAnalysis.neutral + sentimentAnalysis.negative;
 
-      if (!followupsError && followups) {
-        const messagesWithFollowup = new Set();
-        followups.forEach(f => {
-          if (f.message_id) {
-            messagesWithFollowup.add(f.message_id);
-          }
-        });
-
-        // Get clicks for checkout links only
-        if (linkIds.length > 0) {
-          const { data: clicks, error: clicksError } = await supabase
-            .from("clicks")
-            .select("link_id")
-            .in("link_id", linkIds);
-
-          if (!clicksError && clicks) {
-            const linkIdToClicks = {};
-            clicks.forEach(click => {
-              if (click.link_id) {
-                linkIdToClicks[click.link_id] = (linkIdToClicks[click.link_id] || 0) + 1;
-              }
-            });
-
-            // Categorize messages
-            allMessages.forEach(msg => {
-              const linkId = messageToLinkId[msg.id];
-              if (!linkId) return;
-
-              const hasFollowup = messagesWithFollowup.has(msg.id);
-              const hasClick = linkIdToClicks[linkId] > 0;
-
-              if (hasFollowup) {
-                proAnalytics.followUpPerformance.withFollowup.messages++;
-                if (hasClick) {
-                  proAnalytics.followUpPerformance.withFollowup.clicks++;
-                }
-              } else {
-                proAnalytics.followUpPerformance.withoutFollowup.messages++;
-                if (hasClick) {
-                  proAnalytics.followUpPerformance.withoutFollowup.clicks++;
-                }
-              }
-            });
-
-            // Calculate CTR
-            if (proAnalytics.followUpPerformance.withFollowup.messages > 0) {
-              proAnalytics.followUpPerformance.withFollowup.ctr = 
-                (proAnalytics.followUpPerformance.withFollowup.clicks / 
-                 proAnalytics.followUpPerformance.withFollowup.messages) * 100;
-            }
-
-            if (proAnalytics.followUpPerformance.withoutFollowup.messages > 0) {
-              proAnalytics.followUpPerformance.withoutFollowup.ctr = 
-                (proAnalytics.followUpPerformance.withoutFollowup.clicks / 
-                 proAnalytics.followUpPerformance.withoutFollowup.messages) * 100;
-            }
-
-            // Calculate revenue for follow-up vs non-follow-up
-            // Match attribution by link_id
-            if (attributions) {
-              attributions.forEach(attr => {
-                if (attr.link_id) {
-                  // Find message that has this link_id
-                  const messageId = Object.keys(messageToLinkId).find(
-                    mid => messageToLinkId[mid] === attr.link_id
-                  );
-                  
-                  if (messageId) {
-                    const hasFollowup = messagesWithFollowup.has(messageId);
-                    const amount = parseFloat(attr.amount || 0);
-                    
-                    if (hasFollowup) {
-                      proAnalytics.followUpPerformance.withFollowup.revenue += amount;
-                    } else {
-                      proAnalytics.followUpPerformance.withoutFollowup.revenue += amount;
-                    }
-                  }
-                }
-              });
-            }
-          }
-        }
+    for (const bucket of [followUpPerformance.withFollowup, followUpPerformance.withoutFollowup]) {
+      if (bucket.messages > 0) {
+        bucket.ctr = (bucket.clicks / bucket.messages) * 100;
       }
     }
   } catch (error) {
@@ -0,0 +1,134 @@
+/**
+ * Automation decision log: one automation_decisions row per automation run on
+ * an inbound message, so merchants can see why a message did or didn't get a
+ * reply (supabase_migration_automation_decisions.sql).
+ *
+ * The handlers fill a trace (createDecisionTrace) passed as ctx.decision:
+ * which pipeline wrote the reply, the model, the sales agent's tool calls
+ * and the knowledge base passages its answers drew on. recordDecision() adds the gate (the handler's reason, as a
+ * SKIP_REASONS code), the classifier output and the reply that was claimed,
+ * and also stores the outcome on the message for the conversion funnel.
+ */
+
+import supabase from "./supabase.server";
+import { LLM_TASKS, resolveLlmModel } from "./llm.server";
+import { recordAutomationOutcome, skipReasonCode } from "./funnel.server";
+
+// Tool arguments are customer-derived (search queries, sizes); keep them short.
+const MAX_TOOL_ARGS_LENGTH = 300;
+
+/**
+ * @returns {{
+ *   pipeline: string|null,
+ *   model: string|null,
+ *   toolCalls: Array<{name: string, args: string, ok: boolean}>,
+ *   citations: Array<{entry_id: string, chunk: number, title: string}>,
+ * }}
+ */
+export function createDecisionTrace() {
+  return { pipeline: null, model: null, toolCalls: [], citations: [] };
+}
+
+/**
+ * Add a sales-agent tool call to a trace. No-op without a trace.
+ * @param {ReturnType<typeof createDecisionTrace>|null|undefined} trace
+ * @param {string} name
+ * @param {Object} args
+ * @param {boolean} ok
+ */
+export function traceToolCall(trace, name, args, ok) {
+  if (!trace) return;
+  let argsText = "";
+  try {
+    argsText = JSON.stringify(args || {});
+  } catch {
+    argsText = "{}";
+  }
+  trace.toolCalls.push({
+    name: name || "unknown",
+    args: argsText.length > MAX_TOOL_ARGS_LENGTH ? `${argsText.slice(0, MAX_TOOL_ARGS_LENGTH)}…` : argsText,
+    ok,
+  });
+}
+
+/**
+ * Add the knowledge base passages a search_knowledge_base call returned to a
+ * trace, once each. No-op without a trace.
+ * @param {ReturnType<typeof createDecisionTrace>|null|undefined} trace
+ * @param {Array<{entryId: string, chunk: number, title: string}>} passages - searchKnowledgeBase() results
+ */
+export function traceCitations(trace, passages) {
+  if (!trace) return;
+  for (const passage of passages || []) {
+    if (trace.citations.some((c) => c.entry_id === passage.entryId && c.chunk === passage.chunk)) continue;
+    trace.citations.push({ entry_id: passage.entryId, chunk: passage.chunk, title: passage.title });
+  }
+}
+
+/** The reply text claimed for a message (dm_reply_* row in links_sent). */
+async function getClaimedReply(messageId) {
+  const { data, error } = await supabase
+    .from("links_sent")
+    .select("reply_text")
+    .eq("message_id", messageId)
+    .like("link_id", "dm_reply_%")
+    .order("sent_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) {
+    console.warn("[decision-log] Error loading reply:", error.message);
+    return null;
+  }
+  return data?.reply_text || null;
+}
+
+/**
+ * Record the outcome of one automation run. Never throws.
+ *
+ * @param {string} shopId
+ * @param {Object} message - messages row (ai_intent, ai_confidence, sentiment, ai_entities)
+ * @param {{ sent: boolean, reason?: string }} result - automation handler result
+ * @param {Object} [options]
+ * @param {string} [options.code] - skip code decided outside the handlers (see recordAutomationOutcome)
+ * @param {ReturnType<typeof createDecisionTrace>} [options.trace]
+ * @param {Object} [options.classification] - classifyMessage() result; defaults to the message's stored AI fields
+ */
+export async function recordDecision(shopId, message, result, { code = null, trace = null, classification = null } = {}) {
+  if (!shopId || !message?.id || !result) return;
+  await recordAutomationOutcome(message.id, result, code);
+
+  const source = classification || {
+    intent: message.ai_intent,
+    confidence: message.ai_confidence,
+    sentiment: message.sentiment,
+    entities: message.ai_entities,
+  };
+  const classified = source.intent != null || source.error;
+  try {
+    const { error } = await supabase.from("automation_decisions").insert({
+      shop_id: shopId,
+      message_id: message.id,
+      outcome: result.sent ? "sent" : "skipped",
+      gate: result.sent ? null : code || skipReasonCode(result.reason),
+      reason: result.reason ? String(result.reason).slice(0, 500) : null,
+      pipeline: trace?.pipeline || null,
+      classification: classified
+        ? {
+          intent: source.intent ?? null,
+          confidence: source.confidence ?? null,
+          sentiment: source.sentiment ?? null,
+          entities: source.entities ?? null,
+          model: source.model || (await resolveLlmModel(LLM_TASKS.CLASSIFIER, shopId)),
+          ...(source.error ? { error: String(source.error) } : {}),
+        }
+        : null,
+      tool_calls: trace?.toolCalls || [],
+      citations: trace?.citations || [],
+      reply_text: result.sent ? await getClaimedReply(message.id) : null,
+      model: result.sent ? trace?.model || null : null,
+    });
+    if (error) console.warn("[decision-log] Error recording decision:", error.message);
+  } catch (error) {
+    console.warn("[decision-log] Error recording decision:", error?.message || error);
+  }
+}
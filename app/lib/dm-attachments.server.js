@@ -0,0 +1,105 @@
+/**
+ * Attachments on inbound DMs (screenshots, shared posts, shared reels).
+ *
+ * Customers often send a picture of the product instead of naming it. A DM
+ * with only an attachment used to be classified as not_relevant and dropped.
+ * Here we normalize the attachments Meta sends and resolve each one to a
+ * product: shared posts/reels by their media ID through post_product_map,
+ * images (when the merchant opts in) by vision matching against catalog
+ * photos. The result is stored on messages.attachments and used as thread
+ * product context by handleIncomingDm.
+ */
+
+import { getProductMappings } from "./db.server";
+import { matchProductImage } from "./ai.server";
+import { getCatalogImageCandidates } from "./shopify-data.server";
+import logger from "./logger.server";
+
+/**
+ * Normalize Meta's attachment payloads into { type, url, media_id, title }.
+ * Story mentions are handled as story context and audio/video/files carry
+ * nothing we can match, so they're dropped here.
+ * @param {Array|undefined} rawAttachments - message.attachments from the webhook
+ * @returns {Array<{type: "image"|"post"|"reel", url: string|null, media_id: string|null, title: string|null}>}
+ */
+export function normalizeDmAttachments(rawAttachments) {
+  if (!Array.isArray(rawAttachments)) return [];
+  const out = [];
+  for (const a of rawAttachments) {
+    const payload = a?.payload || {};
+    if (a?.type === "image") {
+      out.push({ type: "image", url: payload.url || null, media_id: null, title: null });
+    } else if (a?.type === "ig_post" || a?.type === "share") {
+      out.push({
+        type: "post",
+        url: payload.url || null,
+        media_id: payload.ig_post_media_id ? String(payload.ig_post_media_id) : null,
+        title: payload.title || null,
+      });
+    } else if (a?.type === "ig_reel" || a?.type === "reel") {
+      out.push({
+        type: "reel",
+        url: payload.url || null,
+        media_id: payload.reel_video_id ? String(payload.reel_video_id) : null,
+        title: payload.title || null,
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Resolve normalized attachments to products. Shared media resolves through
+ * post_product_map; the first still image left unresolved is vision-matched
+ * when settings.image_matching_enabled is on (paid plans only). Never throws:
+ * an unresolved attachment simply carries no product.
+ *
+ * @param {Object} shop - shops row (id, shopify_domain)
+ * @param {Object} plan - resolved plan (vision matching is off on FREE)
+ * @param {Array} attachments - normalizeDmAttachments() result
+ * @param {Object|null} settings - settings row
+ * @returns {Promise<Array>} attachments with product_id/variant_id/product_handle/match_source when resolved
+ */
+export async function resolveDmAttachments(shop, plan, attachments, settings) {
+  if (!attachments?.length) return [];
+  const resolved = attachments.map((a) => ({ ...a }));
+
+  if (resolved.some((a) => a.media_id)) {
+    try {
+      const mappings = await getProductMappings(shop.id);
+      for (const a of resolved) {
+        const mapping = a.media_id ? mappings.find((m) => m.ig_media_id === a.media_id) : null;
+        if (mapping?.product_id) {
+          a.product_id = mapping.product_id;
+          a.variant_id = mapping.variant_id || null;
+          a.product_handle = mapping.product_handle || null;
+          a.match_source = "mapping";
+        }
+      }
+    } catch (error) {
+      console.error("[attachments] Error loading product mappings:", error);
+    }
+  }
+
+  // Reel URLs point at video, so only images and shared-post previews qualify.
+  const visionTarget = resolved.find((a) => !a.product_id && a.url && (a.type === "image" || a.type === "post"));
+  const visionAllowed = settings?.image_matching_enabled === true && plan?.name !== "FREE" && !!shop.shopify_domain;
+  if (visionTarget && visionAllowed) {
+    const candidates = await getCatalogImageCandidates(shop.shopify_domain);
+    const match = await matchProductImage(visionTarget.url, candidates, { shopId: shop.id });
+    const product = match ? candidates.find((c) => c.id === match.productId) : null;
+    if (product) {
+      visionTarget.product_id = product.id;
+      visionTarget.variant_id = product.variantId;
+      visionTarget.product_handle = product.handle;
+      visionTarget.match_source = "vision";
+      visionTarget.match_confidence = match.confidence;
+    }
+  }
+
+  const hit = resolved.find((a) => a.product_id);
+  logger.debug(
+    `[attachments] Resolved ${resolved.length} attachment(s) for shop ${shop.id}: product=${hit?.product_id ?? "none"} via=${hit?.match_source ?? "-"}`
+  );
+  return resolved;
+}
@@ -0,0 +1,331 @@
+/**
+ * A/B experiments on reply styles (supabase_migration_experiments.sql).
+ *
+ * While an experiment runs, every conversation automation replies to is
+ * assigned one of its variants at random and keeps it for the rest of the
+ * experiment. A variant can change the tone, add to the brand voice's custom
+ * instruction, send a product page instead of a checkout link, and leave the
+ * price out. The links sent in the conversation carry the variant, so
+ * results compare click-through and attributed revenue per variant.
+ *
+ * Keyword rules are not part of experiments: their DM is the merchant's own
+ * campaign text.
+ */
+
+import supabase from "./supabase.server";
+import { cached, invalidateCached } from "./loader-cache.server";
+
+export const EXPERIMENT_TONES = ["friendly", "expert", "casual"];
+export const EXPERIMENT_LINK_TYPES = ["checkout", "pdp"];
+export const MIN_EXPERIMENT_VARIANTS = 2;
+export const MAX_EXPERIMENT_VARIANTS = 4;
+export const MAX_PROMPT_ADDENDUM_LENGTH = 500;
+
+// Read on every automated reply, changed only from the experiments page
+// (which invalidates it).
+const RUNNING_CACHE_TTL_MS = 60 * 1000;
+
+// Below this many conversations per variant a difference is noise, whatever
+// the test says.
+const MIN_CONVERSATIONS_FOR_SIGNIFICANCE = 30;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Clean up a variant from the form into experiment_variants columns.
+ * @param {Object} raw - { label, tone, prompt_addendum, link_type, include_price }
+ * @param {number} index - Position in the experiment (0 = control)
+ */
+export function normalizeExperimentVariant(raw, index) {
+  const tone = EXPERIMENT_TONES.includes(raw?.tone) ? raw.tone : null;
+  return {
+    position: index,
+    label: String(raw?.label || "").trim() || `Variant ${String.fromCharCode(65 + index)}`,
+    tone,
+    prompt_addendum: String(raw?.prompt_addendum || "").trim() || null,
+    link_type: raw?.link_type === "pdp" ? "pdp" : "checkout",
+    include_price: raw?.include_price !== false,
+  };
+}
+
+/**
+ * Validate a new experiment. Returns an error message, or null.
+ * @param {string} name
+ * @param {Array<ReturnType<typeof normalizeExperimentVariant>>} variants
+ * @returns {string|null}
+ */
+export function validateExperiment(name, variants) {
+  if (!String(name || "").trim()) return "Give the experiment a name";
+  if (!Array.isArray(variants) || variants.length < MIN_EXPERIMENT_VARIANTS) {
+    return `An experiment needs at least ${MIN_EXPERIMENT_VARIANTS} variants`;
+  }
+  if (variants.length > MAX_EXPERIMENT_VARIANTS) {
+    return `An experiment can have at most ${MAX_EXPERIMENT_VARIANTS} variants`;
+  }
+  for (const variant of variants) {
+    if ((variant.prompt_addendum || "").length > MAX_PROMPT_ADDENDUM_LENGTH) {
+      return `Instructions must be ${MAX_PROMPT_ADDENDUM_LENGTH} characters or fewer`;
+    }
+  }
+  const signatures = variants.map((v) =>
+    JSON.stringify([v.tone, v.prompt_addendum, v.link_type, v.include_price]),
+  );
+  if (new Set(signatures).size !== signatures.length) {
+    return "Each variant must differ from the others in at least one setting";
+  }
+  return null;
+}
+
+/**
+ * The shop's experiments, newest first, each with its variants in order.
+ * @param {string} shopId
+ */
+export async function getExperiments(shopId) {
+  const { data, error } = await supabase
+    .from("experiments")
+    .select("*, experiment_variants(*)")
+    .eq("shop_id", shopId)
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    console.error("[experiments] Error fetching experiments:", error);
+    throw error;
+  }
+  return (data || []).map(({ experiment_variants: variants, ...experiment }) => ({
+    ...experiment,
+    variants: (variants || []).sort((a, b) => a.position - b.position),
+  }));
+}
+
+/**
+ * Start an experiment. Fails when one is already running for the shop.
+ * @param {string} shopId
+ * @param {{ name: string, variants: Array<ReturnType<typeof normalizeExperimentVariant>> }} experiment
+ */
+export async function createExperiment(shopId, { name, variants }) {
+  const { data: experiment, error } = await supabase
+    .from("experiments")
+    .insert({ shop_id: shopId, name: String(name).trim(), status: "running" })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === "23505") {
+      throw new Error("Another experiment is already running. Stop it before starting a new one.");
+    }
+    console.error("[experiments] Error creating experiment:", error);
+    throw error;
+  }
+
+  const { error: variantsError } = await supabase
+    .from("experiment_variants")
+    .insert(variants.map((v) => ({ ...v, experiment_id: experiment.id, shop_id: shopId })));
+
+  if (variantsError) {
+    console.error("[experiments] Error creating variants:", variantsError);
+    await supabase.from("experiments").delete().eq("id", experiment.id);
+    throw variantsError;
+  }
+
+  invalidateExperiments(shopId);
+  return experiment;
+}
+
+/** Stop a running experiment; its results stay available. */
+export async function stopExperiment(shopId, experimentId) {
+  const { error } = await supabase
+    .from("experiments")
+    .update({ status: "stopped", stopped_at: new Date().toISOString() })
+    .eq("shop_id", shopId)
+    .eq("id", experimentId)
+    .eq("status", "running");
+
+  if (error) {
+    console.error("[experiments] Error stopping experiment:", error);
+    throw error;
+  }
+  invalidateExperiments(shopId);
+}
+
+/** Delete an experiment and its results. Links keep working, untagged. */
+export async function deleteExperiment(shopId, experimentId) {
+  const { error } = await supabase
+    .from("experiments")
+    .delete()
+    .eq("shop_id", shopId)
+    .eq("id", experimentId);
+
+  if (error) {
+    console.error("[experiments] Error deleting experiment:", error);
+    throw error;
+  }
+  invalidateExperiments(shopId);
+}
+
+/** Drop the cached running experiment after the merchant changes experiments. */
+export function invalidateExperiments(shopId) {
+  invalidateCached(`experiment:${shopId}`);
+}
+
+async function getRunningExperiment(shopId) {
+  return cached(`experiment:${shopId}`, RUNNING_CACHE_TTL_MS, async () => {
+    const { data, error } = await supabase
+      .from("experiments")
+      .select("id, experiment_variants(*)")
+      .eq("shop_id", shopId)
+      .eq("status", "running")
+      .maybeSingle();
+    if (error) throw error;
+    if (!data || (data.experiment_variants || []).length === 0) return null;
+    return { id: data.id, variants: data.experiment_variants };
+  });
+}
+
+/**
+ * The variant for this conversation under the shop's running experiment,
+ * assigning one at random on first contact. Null when no experiment is
+ * running. Never throws: a failure means the reply goes out untested.
+ *
+ * @param {string} shopId
+ * @param {string|null} igUserId - Customer's Instagram user ID (the conversation)
+ * @returns {Promise<{ experimentId: string, variant: Object } | null>}
+ */
+export async function assignExperimentVariant(shopId, igUserId) {
+  if (!shopId || !igUserId) return null;
+  try {
+    const experiment = await getRunningExperiment(shopId);
+    if (!experiment) return null;
+
+    const pick = (variantId) => {
+      const variant = experiment.variants.find((v) => v.id === variantId);
+      return variant ? { experimentId: experiment.id, variant } : null;
+    };
+    const readAssignment = async () => {
+      const { data, error } = await supabase
+        .from("experiment_assignments")
+        .select("variant_id")
+        .eq("experiment_id", experiment.id)
+        .eq("ig_user_id", String(igUserId))
+        .maybeSingle();
+      if (error) throw error;
+      return data?.variant_id || null;
+    };
+
+    const existing = await readAssignment();
+    if (existing) return pick(existing);
+
+    const variant = experiment.variants[Math.floor(Math.random() * experiment.variants.length)];
+    const { error } = await supabase.from("experiment_assignments").insert({
+      experiment_id: experiment.id,
+      ig_user_id: String(igUserId),
+      shop_id: shopId,
+      variant_id: variant.id,
+    });
+    if (error) {
+      // 23505: a concurrent reply in the same conversation assigned first.
+      if (error.code === "23505") return pick(await readAssignment());
+      throw error;
+    }
+    return { experimentId: experiment.id, variant };
+  } catch (err) {
+    console.warn("[experiments] Variant assignment failed, replying without one:", err?.message);
+    return null;
+  }
+}
+
+/**
+ * Brand voice as seen by a variant: its tone replaces the brand voice tone
+ * and its instructions ride on the custom instruction.
+ * @param {Object|null} brandVoice - brand_voice row
+ * @param {Object|null} variant - experiment_variants row
+ */
+export function applyVariantVoice(brandVoice, variant) {
+  if (!variant || (!variant.tone && !variant.prompt_addendum)) return brandVoice;
+  return {
+    ...(brandVoice || {}),
+    ...(variant.tone ? { tone: variant.tone } : {}),
+    ...(variant.prompt_addendum
+      ? {
+          custom_instruction: [brandVoice?.custom_instruction, variant.prompt_addendum]
+            .filter(Boolean)
+            .join(". "),
+        }
+      : {}),
+  };
+}
+
+// Abramowitz & Stegun 26.2.17; plenty for a significance badge.
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const d = 0.3989422804014327 * Math.exp((-z * z) / 2);
+  const tail = d * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Two-sided p-value of a two-proportion z-test, or null when either side is
+ * too small to say anything.
+ */
+function proportionPValue(successA, totalA, successB, totalB) {
+  if (totalA < MIN_CONVERSATIONS_FOR_SIGNIFICANCE || totalB < MIN_CONVERSATIONS_FOR_SIGNIFICANCE) return null;
+  const pooled = (successA + successB) / (totalA + totalB);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  if (!se) return null;
+  const z = (successA / totalA - successB / totalB) / se;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+/**
+ * Per-variant results for an experiment: replies and conversations,
+ * click-through and order rate, attributed revenue, and for every variant
+ * after the first (the control) whether its click-through and order rate
+ * differ significantly from the control's.
+ *
+ * Rates are per conversation: variants are assigned per customer, so a
+ * customer's replies are one trial, clicked or ordered if any of them was.
+ *
+ * @param {{ id: string, variants: Array<Object> }} experiment
+ * @returns {Promise<Array<{ variantId: string, label: string, replies: number, conversations: number, clickedConversations: number, ctr: number, orderedConversations: number, orders: number, orderRate: number, revenue: number, revenuePerConversation: number, currency: string|null, ctrPValue: number|null, orderPValue: number|null, ctrSignificant: boolean, orderSignificant: boolean }>>}
+ */
+export async function getExperimentResults(experiment) {
+  const { data, error } = await supabase.rpc("get_experiment_results", { p_experiment_id: experiment.id });
+  if (error) {
+    console.error("[experiments] Error fetching experiment results:", error);
+    throw error;
+  }
+
+  const byVariant = new Map((data || []).map((row) => [row.variant_id, row]));
+  const rows = experiment.variants.map((variant) => {
+    const row = byVariant.get(variant.id) || {};
+    const conversations = Number(row.conversations) || 0;
+    const clickedConversations = Number(row.clicked_conversations) || 0;
+    const orderedConversations = Number(row.ordered_conversations) || 0;
+    const revenue = Number(row.revenue) || 0;
+    return {
+      variantId: variant.id,
+      label: variant.label,
+      replies: Number(row.replies) || 0,
+      conversations,
+      clickedConversations,
+      ctr: conversations > 0 ? clickedConversations / conversations : 0,
+      orderedConversations,
+      orders: Number(row.orders) || 0,
+      orderRate: conversations > 0 ? orderedConversations / conversations : 0,
+      revenue,
+      revenuePerConversation: conversations > 0 ? revenue / conversations : 0,
+      currency: row.currency || null,
+    };
+  });
+
+  const control = rows[0];
+  return rows.map((row, i) => {
+    const ctrPValue = i === 0 ? null : proportionPValue(row.clickedConversations, row.conversations, control.clickedConversations, control.conversations);
+    const orderPValue = i === 0 ? null : proportionPValue(row.orderedConversations, row.conversations, control.orderedConversations, control.conversations);
+    return {
+      ...row,
+      ctrPValue,
+      orderPValue,
+      ctrSignificant: ctrPValue !== null && ctrPValue < SIGNIFICANCE_LEVEL,
+      orderSignificant: orderPValue !== null && orderPValue < SIGNIFICANCE_LEVEL,
+    };
+  });
+}
@@ -0,0 +1,257 @@
+/**
+ * Data export: conversations, links sent, link clicks and attributed orders
+ * for a date range, streamed as CSV or NDJSON (one JSON object per line) so a
+ * large shop never has to fit in memory. Messages and orders are read through
+ * getMessages / getAttributionRecords with the same filters as the Analytics
+ * page, a page at a time.
+ *
+ * Used by the embedded app (app.export.jsx, gated by plan) and the operator
+ * dashboard (admin.export.jsx).
+ */
+
+import supabase from "./supabase.server";
+import { getMessages, getAttributionRecords } from "./db.server";
+import { csvCell } from "./csv";
+
+const PAGE_SIZE = 500;
+// links_sent ids per clicks query (PostgREST puts them in the URL).
+const LINK_ID_CHUNK = 200;
+
+const PLAN_LEVELS = { FREE: 0, GROWTH: 1, PRO: 2 };
+
+/**
+ * Exportable datasets. `minPlan` mirrors what the plan shows in the app: the
+ * message log and order attribution are Growth+.
+ */
+export const EXPORT_DATASETS = {
+  messages: {
+    label: "Conversations",
+    minPlan: "GROWTH",
+    columns: [
+      "id", "created_at", "channel", "from_username", "media_id", "text", "ai_intent", "ai_confidence",
+      "sentiment", "automation_status", "skip_reason", "ai_responded", "ai_response_text", "ai_response_sent_at",
+    ],
+  },
+  links: {
+    label: "Links sent",
+    minPlan: "FREE",
+    columns: [
+      "link_id", "sent_at", "message_id", "product_id", "variant_id", "url", "discount_code",
+      "expires_at", "revoked_at", "redirect_url",
+    ],
+  },
+  clicks: {
+    label: "Link clicks",
+    minPlan: "FREE",
+    columns: ["link_id", "clicked_at", "quality", "quality_reason"],
+  },
+  attribution: {
+    label: "Attributed orders",
+    minPlan: "GROWTH",
+    columns: [
+      "order_id", "created_at", "link_id", "channel", "amount", "net_amount", "currency",
+      "presentment_amount", "presentment_currency", "discount_code", "cancelled_at",
+    ],
+  },
+};
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+};
+
+/**
+ * Whether a plan may export a dataset.
+ * @param {string|null|undefined} planName
+ * @param {string} dataset
+ */
+export function canExport(planName, dataset) {
+  const config = EXPORT_DATASETS[dataset];
+  if (!config) return false;
+  return (PLAN_LEVELS[planName] ?? 0) >= PLAN_LEVELS[config.minPlan];
+}
+
+function endOfDay(date) {
+  return date && !date.includes("T") ? `${date}T23:59:59.999Z` : date;
+}
+
+async function* messageRows(shopId, { startDate, endDate, channel }) {
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await getMessages(shopId, {
+      channel,
+      startDate,
+      endDate: endOfDay(endDate),
+      limit: PAGE_SIZE,
+      offset,
+      orderBy: "created_at",
+      orderDirection: "asc",
+    });
+    for (const m of page) {
+      yield { ...m, automation_decisions: undefined };
+    }
+    if (page.length < PAGE_SIZE) return;
+  }
+}
+
+async function* attributionRows(shopId, { startDate, endDate, channel, orderId }) {
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await getAttributionRecords(shopId, {
+      channel,
+      orderId,
+      startDate,
+      endDate,
+      limit: PAGE_SIZE,
+      offset,
+      orderDirection: "asc",
+    });
+    yield* page;
+    if (page.length < PAGE_SIZE) return;
+  }
+}
+
+/** Tracked links (reply-claim rows without a URL are left out). */
+async function* linkRows(shopId, { startDate, endDate }) {
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from("links_sent")
+      .select("link_id, sent_at, message_id, product_id, variant_id, url, discount_code, expires_at, revoked_at, redirect_url")
+      .eq("shop_id", shopId)
+      .not("url", "is", null)
+      .order("sent_at", { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+    if (startDate) query = query.gte("sent_at", startDate);
+    if (endDate) query = query.lte("sent_at", endOfDay(endDate));
+    const { data, error } = await query;
+    if (error) {
+      console.error("[export] Error loading links:", error);
+      throw error;
+    }
+    yield* data || [];
+    if (!data || data.length < PAGE_SIZE) return;
+  }
+}
+
+/**
+ * Clicks in the range on any of the shop's links (clicks rows carry no
+ * shop_id, so they're looked up by link), every quality included (only
+ * "human" counts as a click in the app). IP and user agent are not exported.
+ */
+async function* clickRows(shopId, { startDate, endDate }) {
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data: links, error: linksError } = await supabase
+      .from("links_sent")
+      .select("link_id")
+      .eq("shop_id", shopId)
+      .not("url", "is", null)
+      .order("link_id", { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+    if (linksError) {
+      console.error("[export] Error loading links:", linksError);
+      throw linksError;
+    }
+    const linkIds = (links || []).map((l) => l.link_id).filter(Boolean);
+    for (let i = 0; i < linkIds.length; i += LINK_ID_CHUNK) {
+      let query = supabase
+        .from("clicks")
+        .select("link_id, created_at, quality, quality_reason")
+        .in("link_id", linkIds.slice(i, i + LINK_ID_CHUNK))
+        .order("created_at", { ascending: true });
+      if (startDate) query = query.gte("created_at", startDate);
+      if (endDate) query = query.lte("created_at", endOfDay(endDate));
+      const { data, error } = await query;
+      if (error) {
+        console.error("[export] Error loading clicks:", error);
+        throw error;
+      }
+      for (const c of data || []) {
+        yield { link_id: c.link_id, clicked_at: c.created_at, quality: c.quality, quality_reason: c.quality_reason };
+      }
+    }
+    if (!links || links.length < PAGE_SIZE) return;
+  }
+}
+
+const ROW_SOURCES = {
+  messages: messageRows,
+  links: linkRows,
+  clicks: clickRows,
+  attribution: attributionRows,
+};
+
+function formatRow(row, columns, format) {
+  if (format === "ndjson") {
+    return JSON.stringify(Object.fromEntries(columns.map((c) => [c, row[c] ?? null]))) + "\n";
+  }
+  return columns.map((c) => csvCell(row[c])).join(",") + "\n";
+}
+
+/**
+ * Suggested download file name, e.g. "messages-2026-01-01-to-2026-01-31.csv".
+ * @param {string} dataset
+ * @param {string} format
+ * @param {{ startDate?: string|null, endDate?: string|null }} range
+ */
+export function exportFilename(dataset, format, { startDate = null, endDate = null } = {}) {
+  const range = [startDate?.slice(0, 10), endDate?.slice(0, 10)].filter(Boolean).join("-to-") || "all";
+  return `${dataset}-${range}.${EXPORT_FORMATS[format]?.extension || "csv"}`;
+}
+
+/**
+ * Stream one dataset as a download Response. Throws on an unknown dataset or
+ * format; plan checks are the caller's (see canExport).
+ *
+ * @param {string} shopId
+ * @param {Object} options
+ * @param {string} options.dataset - key of EXPORT_DATASETS
+ * @param {string} [options.format] - "csv" (default) or "ndjson"
+ * @param {string|null} [options.startDate]
+ * @param {string|null} [options.endDate] - date strings without a time cover the whole day
+ * @param {string|null} [options.channel] - "dm" | "comment" (messages, attribution)
+ * @param {string|null} [options.orderId] - attribution only
+ * @returns {Response}
+ */
+export function createExportResponse(shopId, { dataset, format = "csv", startDate = null, endDate = null, channel = null, orderId = null }) {
+  const config = EXPORT_DATASETS[dataset];
+  const formatConfig = EXPORT_FORMATS[format];
+  if (!config || !formatConfig) {
+    throw new Error(`Unknown export: ${dataset} as ${format}`);
+  }
+
+  const rows = ROW_SOURCES[dataset](shopId, { startDate, endDate, channel, orderId });
+  const encoder = new TextEncoder();
+  let headerSent = format !== "csv";
+
+  // Pull-based: the next page is only read once the client has taken the last.
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        if (!headerSent) {
+          headerSent = true;
+          controller.enqueue(encoder.encode(config.columns.join(",") + "\n"));
+          return;
+        }
+        const { value, done } = await rows.next();
+        if (done) {
+          controller.close();
+          return;
+        }
+        controller.enqueue(encoder.encode(formatRow(value, config.columns, format)));
+      } catch (error) {
+        console.error(`[export] ${dataset} export failed for shop ${shopId}:`, error);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await rows.return(undefined);
+    },
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      "Content-Type": formatConfig.contentType,
+      "Content-Disposition": `attachment; filename="${exportFilename(dataset, format, { startDate, endDate })}"`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
@@ -1,33 +1,71 @@
 /**
  * Follow-Up Automation for Pro Plans
- * Sends follow-up DMs 23-24 hours after last message if no click was recorded.
+ * Runs the merchant's follow-up sequence (followup_steps) for conversations
+ * where we sent a product link. Each step fires `delay_hours` after the
+ * customer's last DM if its condition holds at that moment:
+ *   - not_clicked:      no link from the exchange was clicked
+ *   - clicked_no_order: a link was clicked but no order is attributed yet
+ *   - ordered:          an order was attributed (thank-you)
+ * Shops without a configured sequence get DEFAULT_FOLLOWUP_STEPS, the single
+ * 23h "not clicked" nudge this feature started as.
+ *
+ * Messaging window:
+ *   - Every step must go out inside Meta's 24h standard messaging window,
+ *     measured from the customer's last DM. Step delays are validated below
+ *     24h and a run closes once the window (minus a small margin) has passed.
+ *   - The HUMAN_AGENT tag is only for replies a person types (the inbox uses
+ *     it); automated follow-ups never send with it, so there is no 7-day path.
  *
  * Concurrency notes:
- *   - The followups table has a UNIQUE INDEX on (shop_id, message_id, link_id).
- *   - We CLAIM each follow-up by inserting that row BEFORE sending the DM.
- *   - If the insert fails with PG 23505 (unique violation) another tick has
- *     already claimed it and we skip silently.
- *   - This is bulletproof against multiple ticks, multiple instances, and
- *     server restarts that re-trigger the startup tick of the in-process
- *     scheduler within the 23–24h window.
+ *   - Each conversation gets one followup_runs row (UNIQUE shop_id,
+ *     message_id) holding a snapshot of the steps and `next_step`.
+ *   - A step is CLAIMED by moving next_step from n to n+1 with a
+ *     compare-and-set update BEFORE the DM is sent. If no row matched,
+ *     another tick / instance already took that step and we skip silently.
+ *   - If the send fails we move next_step back so the next tick can retry
+ *     while the window is still open.
+ *     A permanent failure (sendDmReply returns sent: false) stops the run.
+ *     Steps are never queued (the queue doesn't know the window): a send
+ *     that can't go out now is released the same way.
  *
  * Brand-voice notes:
  *   - We never prepend `custom_instruction` text to the customer-facing
  *     message. The instruction is treated as a style directive and applied
- *     via OpenAI. If AI is unavailable we fall back to a canned tone-based
- *     message (no instruction text included).
+ *     via the LLM (follow-up task). If AI is unavailable we fall back to a canned tone-based
+ *     message (no instruction text included). Steps with merchant-written
+ *     copy are sent as written.
  */
 
-import OpenAI from "openai";
-import { getShopPlanAndUsage, getSettings, getBrandVoice, isHumanTakeoverActive } from "./db.server";
+import {
+  getShopPlanAndUsage,
+  getSettings,
+  getBrandVoice,
+  getFollowupSteps,
+  isHumanTakeoverActive,
+  isOptedOut,
+} from "./db.server";
 import { sendDmReply } from "./automation.server";
-import { REPLY_MODEL, completionParamsForModel } from "./sales-agent.server";
+import { chatCompletion, isLlmConfigured, LLM_TASKS } from "./llm.server";
+import { isLlmBudgetExceeded } from "./llm-usage.server";
+import { peekRateLimit, RATE_LIMIT_BUCKETS } from "./rate-limit.server";
+import { getLinkProductIds } from "./links.server";
 import supabase from "./supabase.server";
 import { logError } from "./error-handler.server";
 import logger from "./logger.server";
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
+const HOUR_MS = 60 * 60 * 1000;
+const MESSAGING_WINDOW_MS = 24 * HOUR_MS;
+// Don't start a send this close to the window closing; a queued DM (rate
+// limit) can take a few minutes to actually go out.
+const WINDOW_MARGIN_MS = 15 * 60 * 1000;
+
+// Latest a step may be scheduled: one scheduler tick (15 min) before the
+// margin, so a due step is always picked up while it can still send.
+const MAX_STEP_DELAY_HOURS = 23.5;
+
+export const FOLLOWUP_CONDITIONS = ["not_clicked", "clicked_no_order", "ordered"];
+export const MAX_FOLLOWUP_STEPS = 5;
+export const DEFAULT_FOLLOWUP_STEPS = [{ delay_hours: 23, condition: "not_clicked", message: null }];
 
 const FALLBACK_BY_TONE = {
   friendly:
@@ -37,58 +75,95 @@ const FALLBACK_BY_TONE = {
   casual: "Hey! 👋 Just wanted to check in — any questions? Happy to help!",
 };
 
-/**
- * Atomically claim a follow-up slot. Returns true if we successfully claimed
- * (caller should now send the DM). Returns false if another worker has
- * already claimed it (caller should skip silently). Throws on real errors.
- */
-async function claimFollowupSlot(shopId, messageId, linkId) {
-  const { error } = await supabase
-    .from("followups")
-    .insert({ shop_id: shopId, message_id: messageId, link_id: linkId });
+const CLICKED_FALLBACK_BY_TONE = {
+  friendly:
+    "Hi! Saw you had a look. Anything I can help with, like sizing or shipping? 😊",
+  expert:
+    "Hello, if you have any questions about sizing, materials, or shipping before ordering, I'm happy to help.",
+  casual: "Hey! Any questions before you grab it? Just ask 👋",
+};
 
-  if (!error) return true;
+const THANK_YOU_FALLBACK_BY_TONE = {
+  friendly: "Thank you so much for your order! 💛 If you need anything at all, just message us here.",
+  expert: "Thank you for your order. If you have any questions, please reply here and we'll help.",
+  casual: "Thanks for ordering! 🙌 Hit us up here if you need anything.",
+};
 
-  // 23505 = PG unique_violation → already claimed by another tick / instance.
-  if (error.code === "23505") return false;
+const FALLBACKS_BY_CONDITION = {
+  not_clicked: FALLBACK_BY_TONE,
+  clicked_no_order: CLICKED_FALLBACK_BY_TONE,
+  ordered: THANK_YOU_FALLBACK_BY_TONE,
+};
 
-  throw error;
-}
+// What the customer did, as the model should understand it, per condition.
+const FOLLOWUP_SITUATIONS = {
+  not_clicked:
+    "Generate a brief Instagram DM follow-up check-in to a customer who received a product link from us earlier today and hasn't clicked it yet.",
+  clicked_no_order:
+    "Generate a brief Instagram DM follow-up to a customer who opened the product link we sent earlier today but hasn't ordered. Offer to answer any questions (sizing, shipping, materials).",
+  ordered:
+    "Generate a brief Instagram DM thanking a customer who just placed an order through the link we sent them.",
+};
 
 /**
- * Release a previously-claimed follow-up slot. Used only when the actual DM
- * send fails so we don't permanently block a retry on the next hourly tick
- * (still inside the 23–24h window).
+ * Validate one step as entered by the merchant.
+ * @param {{ delay_hours: any, condition: any, message?: string|null }} step
+ * @returns {string|null} error message, or null when valid
  */
-async function releaseFollowupSlot(shopId, messageId, linkId) {
-  try {
-    await supabase
-      .from("followups")
-      .delete()
-      .eq("shop_id", shopId)
-      .eq("message_id", messageId)
-      .eq("link_id", linkId);
-  } catch (err) {
-    console.error("[followup] Error releasing followup slot:", err);
+export function validateFollowupStep(step) {
+  const delay = Number(step?.delay_hours);
+  if (!Number.isFinite(delay) || delay <= 0) return "Enter a delay in hours";
+  if (delay < 0.25) return "Wait at least 15 minutes before a follow-up";
+  if (delay > MAX_STEP_DELAY_HOURS) {
+    return "Instagram only allows automated messages within 24 hours of the customer's last DM. Use a delay of 23.5 hours or less.";
   }
+  if (!FOLLOWUP_CONDITIONS.includes(step?.condition)) return "Choose when this step should send";
+  if (step?.message && String(step.message).length > 1000) return "Keep the message under 1000 characters";
+  return null;
+}
+
+/** Enabled steps for a shop as a run snapshot, falling back to the default nudge. */
+async function loadSequence(shopId) {
+  const rows = await getFollowupSteps(shopId, { enabledOnly: true });
+  const steps = rows
+    .map((r) => ({ delay_hours: Number(r.delay_hours), condition: r.condition, message: r.message || null }))
+    .filter((s) => !validateFollowupStep(s))
+    .slice(0, MAX_FOLLOWUP_STEPS);
+  return steps.length > 0 ? steps : DEFAULT_FOLLOWUP_STEPS;
 }
 
 /**
- * Check if the customer clicked ANY of the given links.
+ * Whether the customer clicked any of the links and whether an order was
+ * attributed to them. Returns null when either lookup fails so the caller
+ * waits for the next tick instead of guessing.
  */
-async function hasAnyLinkBeenClicked(linkIds) {
-  if (!linkIds || linkIds.length === 0) return false;
-  const { count, error } = await supabase
-    .from("clicks")
-    .select("*", { count: "exact", head: true })
-    .in("link_id", linkIds);
+async function getLinkEngagement(shopId, linkIds) {
+  if (!linkIds || linkIds.length === 0) return { clicked: false, ordered: false };
+
+  const [clicksRes, ordersRes] = await Promise.all([
+    // Link previews and bots don't mean the customer opened it (click-quality.server.js).
+    supabase.from("clicks").select("*", { count: "exact", head: true }).in("link_id", linkIds).eq("quality", "human"),
+    supabase
+      .from("attribution")
+      .select("*", { count: "exact", head: true })
+      .eq("shop_id", shopId)
+      .in("link_id", linkIds),
+  ]);
 
-  if (error) {
-    console.error("[followup] Error checking clicks:", error);
-    return false; // Assume not clicked if error
+  if (clicksRes.error || ordersRes.error) {
+    console.error("[followup] Error checking link engagement:", clicksRes.error || ordersRes.error);
+    return null;
   }
 
-  return (count || 0) > 0;
+  const ordered = (ordersRes.count || 0) > 0;
+  // An attributed order implies the link was opened even if the click row is missing.
+  return { clicked: ordered || (clicksRes.count || 0) > 0, ordered };
+}
+
+function conditionHolds(condition, engagement) {
+  if (condition === "ordered") return engagement.ordered;
+  if (condition === "clicked_no_order") return engagement.clicked && !engagement.ordered;
+  return !engagement.clicked;
 }
 
 /**
@@ -99,10 +174,10 @@ async function hasAnyLinkBeenClicked(linkIds) {
  *   - "unknown"  → a follow-up was sent but its product can't be determined
  *                  (or a lookup failed) — treat as blocking, fail closed
  *
- * One follow-up per CONVERSATION, where a conversation is defined by product:
- * a reply to the follow-up about the same product must not restart the clock,
- * but a genuinely new exchange about a different product (new comment, new
- * question) gets its own single follow-up even within the 7 days.
+ * One sequence per CONVERSATION, where a conversation is defined by product:
+ * a reply to a follow-up about the same product must not restart the
+ * sequence, but a genuinely new exchange about a different product (new
+ * comment, new question) gets its own sequence even within the 7 days.
  */
 async function recentFollowupProducts(shopId, fromUserId) {
   const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
@@ -135,22 +210,21 @@ async function recentFollowupProducts(shopId, fromUserId) {
 
   const { data: links, error: linksError } = await supabase
     .from("links_sent")
-    .select("product_id")
+    .select("product_id, line_items")
     .eq("shop_id", shopId)
     .in("link_id", linkIds);
   if (linksError) {
     console.error("[followup] Error resolving followup products:", linksError);
     return "unknown"; // fail closed
   }
-  const products = new Set((links || []).map((l) => l.product_id).filter(Boolean));
+  const products = new Set((links || []).flatMap(getLinkProductIds));
   return products.size > 0 ? products : "unknown";
 }
 
 /**
  * True when the customer sent another DM after this message — they responded,
- * so the conversation moved on and this exchange must not get a follow-up.
- * (If the newer exchange goes quiet with an unclicked link, it triggers its
- * own follow-up when it crosses the 23-24h window.)
+ * so the conversation moved on and this exchange's sequence stops. (If the
+ * newer exchange has an unclicked link, it starts its own sequence.)
  */
 async function customerRespondedAfter(shopId, fromUserId, createdAt) {
   const { data, error } = await supabase
@@ -168,18 +242,323 @@ async function customerRespondedAfter(shopId, fromUserId, createdAt) {
   return !!(data && data.length > 0);
 }
 
+/**
+ * Mark the first follow-up of a conversation in `followups`, which the
+ * 7-day conversation check above and the analytics follow-up metrics read.
+ */
+async function recordFollowupSent(shopId, messageId, linkId) {
+  const { error } = await supabase
+    .from("followups")
+    .insert({ shop_id: shopId, message_id: messageId, link_id: linkId });
+  // 23505: a follow-up for this message was already recorded (legacy row).
+  if (error && error.code !== "23505") {
+    console.error("[followup] Error recording followup:", error);
+  }
+}
+
+/**
+ * Claim step `run.next_step` by moving next_step forward. Returns true when
+ * this worker won the step. Throws on real errors.
+ */
+async function claimRunStep(run) {
+  const { data, error } = await supabase
+    .from("followup_runs")
+    .update({ next_step: run.next_step + 1, updated_at: new Date().toISOString() })
+    .eq("id", run.id)
+    .eq("status", "active")
+    .eq("next_step", run.next_step)
+    .select("id");
+  if (error) throw error;
+  return !!(data && data.length > 0);
+}
+
+/** Undo a claim after a failed send so the next tick can retry the step. */
+async function releaseRunStep(run) {
+  try {
+    await supabase
+      .from("followup_runs")
+      .update({ next_step: run.next_step, updated_at: new Date().toISOString() })
+      .eq("id", run.id)
+      .eq("next_step", run.next_step + 1);
+  } catch (err) {
+    console.error("[followup] Error releasing run step:", err);
+  }
+}
+
+async function finishRun(run, status, stopReason) {
+  const { error } = await supabase
+    .from("followup_runs")
+    .update({ status, stop_reason: stopReason, updated_at: new Date().toISOString() })
+    .eq("id", run.id)
+    .eq("status", "active");
+  if (error) console.error("[followup] Error closing run:", error);
+}
+
+/**
+ * Start a run for each customer whose latest linked DM is inside the
+ * messaging window and doesn't have one yet.
+ */
+async function startRuns(shop, steps, now) {
+  const windowStart = new Date(now.getTime() - MESSAGING_WINDOW_MS);
+
+  const { data: allMessages, error: messagesError } = await supabase
+    .from("messages")
+    .select("id, channel, from_user_id, last_user_message_at, created_at")
+    .eq("shop_id", shop.id)
+    .eq("channel", "dm") // Only DMs for follow-ups
+    .gte("last_user_message_at", windowStart.toISOString())
+    .not("last_user_message_at", "is", null);
+
+  if (messagesError) {
+    console.error(`[followup] Error fetching messages for shop ${shop.id}:`, messagesError);
+    return;
+  }
+  if (!allMessages || allMessages.length === 0) return;
+
+  // Get real outbound links for these messages. url IS NOT NULL excludes
+  // the dm_reply_* claim rows (url=null) that made EVERY replied message
+  // look like it had a link; info_ shortlinks (policy pages etc.) don't
+  // count either — follow-ups are about unclicked product links.
+  const messageIds = allMessages.map((m) => m.id);
+  const { data: linksSent, error: linksError } = await supabase
+    .from("links_sent")
+    .select("id, message_id, link_id, url, product_id, line_items")
+    .eq("shop_id", shop.id)
+    .in("message_id", messageIds)
+    .not("url", "is", null);
+
+  if (linksError) {
+    console.error(`[followup] Error fetching links for shop ${shop.id}:`, linksError);
+    return;
+  }
+
+  // Map message_id → all its product links (checkout + PDP).
+  const messageToLinks = {};
+  (linksSent || []).forEach((link) => {
+    if (!link.message_id || !link.link_id) return;
+    if (link.link_id.startsWith("info_") || link.link_id.startsWith("followup_")) return;
+    (messageToLinks[link.message_id] ||= []).push({
+      linkId: link.link_id,
+      productIds: getLinkProductIds(link),
+    });
+  });
+
+  // ONE candidate per customer: their most recent linked message in the
+  // window. A single session usually produces several linked messages;
+  // without this collapse each one started its own sequence.
+  const byUser = new Map();
+  for (const m of allMessages) {
+    if (!messageToLinks[m.id] || !m.from_user_id) continue;
+    const prev = byUser.get(m.from_user_id);
+    if (!prev || new Date(m.created_at) > new Date(prev.created_at)) {
+      byUser.set(m.from_user_id, m);
+    }
+  }
+  if (byUser.size === 0) return;
+
+  const candidateIds = [...byUser.values()].map((m) => m.id);
+  const { data: existingRuns, error: runsError } = await supabase
+    .from("followup_runs")
+    .select("message_id")
+    .eq("shop_id", shop.id)
+    .in("message_id", candidateIds);
+  if (runsError) {
+    console.error(`[followup] Error fetching runs for shop ${shop.id}:`, runsError);
+    return;
+  }
+  const hasRun = new Set((existingRuns || []).map((r) => r.message_id));
+
+  for (const message of byUser.values()) {
+    if (hasRun.has(message.id)) continue;
+    try {
+      // The customer wrote back after this message; the conversation moved on.
+      if (await customerRespondedAfter(shop.id, message.from_user_id, message.created_at)) continue;
+
+      // One sequence per conversation (scoped by product, see
+      // recentFollowupProducts): a reply like "still thinking" to an earlier
+      // follow-up about the same product doesn't start a second sequence.
+      const links = messageToLinks[message.id];
+      const chasedProducts = await recentFollowupProducts(shop.id, message.from_user_id);
+      if (chasedProducts) {
+        const candidateProducts = links.flatMap((l) => l.productIds);
+        const isNewConversation =
+          chasedProducts !== "unknown" &&
+          candidateProducts.length > 0 &&
+          candidateProducts.some((p) => !chasedProducts.has(p));
+        if (!isNewConversation) {
+          logger.debug(
+            `[followup] Customer ${message.from_user_id} already got a follow-up for this conversation, skipping`
+          );
+          continue;
+        }
+      }
+
+      const { error: insertError } = await supabase.from("followup_runs").upsert(
+        {
+          shop_id: shop.id,
+          ig_user_id: String(message.from_user_id),
+          message_id: message.id,
+          anchor_at: message.last_user_message_at,
+          link_ids: links.map((l) => l.linkId),
+          product_ids: [...new Set(links.flatMap((l) => l.productIds))],
+          steps,
+        },
+        { onConflict: "shop_id,message_id", ignoreDuplicates: true }
+      );
+      if (insertError) {
+        console.error("[followup] Error starting follow-up run:", insertError);
+        continue;
+      }
+      logger.debug(`[followup] Started ${steps.length}-step sequence for message ${message.id}`);
+    } catch (error) {
+      logError("processFollowups - start run", error, { shopId: shop.id, messageId: message.id });
+    }
+  }
+}
+
+/**
+ * Send (or skip) the next step of one run when it is due. At most one DM
+ * per run per tick, so a missed tick never sends two steps back to back.
+ */
+async function advanceRun(shop, run, now, getVoice) {
+  const steps = Array.isArray(run.steps) ? run.steps : [];
+  const stepIndex = run.next_step;
+  const step = steps[stepIndex];
+  if (!step) {
+    await finishRun(run, "completed", null);
+    return;
+  }
+
+  const age = now.getTime() - new Date(run.anchor_at).getTime();
+  if (age >= MESSAGING_WINDOW_MS - WINDOW_MARGIN_MS) {
+    await finishRun(run, "completed", "window_closed");
+    return;
+  }
+  if (age < Number(step.delay_hours) * HOUR_MS) return; // not due yet
+
+  if (await customerRespondedAfter(shop.id, run.ig_user_id, run.anchor_at)) {
+    await finishRun(run, "stopped", "customer_replied");
+    return;
+  }
+
+  // Never nudge someone who sent STOP.
+  if (await isOptedOut(shop.id, run.ig_user_id)) {
+    await finishRun(run, "stopped", "opted_out");
+    return;
+  }
+
+  // While the merchant is handling this customer personally (inbox pause or
+  // a recent reply from the Instagram app) a bot message would talk over
+  // them. Keep the run; the step sends if they hand back in time.
+  if (await isHumanTakeoverActive(shop.id, run.ig_user_id)) {
+    logger.debug(`[followup] Human takeover active for user ${run.ig_user_id}, holding follow-up`);
+    return;
+  }
+
+  const engagement = await getLinkEngagement(shop.id, run.link_ids);
+  if (!engagement) return;
+
+  const isLastStep = stepIndex + 1 >= steps.length;
+
+  if (!conditionHolds(step.condition, engagement)) {
+    // Condition is checked once, when the step is due; move past it.
+    if (await claimRunStep(run)) {
+      logger.debug(`[followup] Step ${stepIndex + 1} (${step.condition}) not applicable for run ${run.id}, skipped`);
+      if (isLastStep) await finishRun(run, "completed", null);
+    }
+    return;
+  }
+
+  const usageData = await getShopPlanAndUsage(shop.id);
+  if (!usageData?.plan) return;
+  if (usageData.usage >= usageData.cap) {
+    logger.debug(
+      `[followup] Shop ${shop.id} at usage cap (${usageData.usage}/${usageData.cap}), skipping follow-up`
+    );
+    return;
+  }
+
+  // A generated step needs an LLM call; hold it while the shop is over its
+  // LLM limit (rate-limit.server.js) and retry on the next tick. The send
+  // itself queues when Meta is limited (sendDmReply).
+  if (!step.message && !(await peekRateLimit(shop.id, RATE_LIMIT_BUCKETS.LLM, { plan: usageData.plan })).allowed) {
+    logger.debug(`[followup] Shop ${shop.id} at its LLM rate limit, holding step ${stepIndex + 1} of run ${run.id}`);
+    return;
+  }
+
+  if (!(await claimRunStep(run))) {
+    logger.debug(`[followup] Step ${stepIndex + 1} of run ${run.id} already claimed, skipping`);
+    return;
+  }
+
+  let text;
+  let sendResult;
+  try {
+    text = step.message || (await generateFollowupMessage(await getVoice(), step.condition, { shopId: shop.id, messageId: run.message_id }));
+    // Never queued: outbound_dm_queue could deliver it after the messaging
+    // window closes. A held step is retried on the next tick instead.
+    sendResult = await sendDmReply(shop.id, run.ig_user_id, text, { allowQueue: false });
+  } catch (error) {
+    await releaseRunStep(run);
+    throw error;
+  }
+
+  if (sendResult?.held) {
+    logger.debug(`[followup] Step ${stepIndex + 1} of run ${run.id} held (${sendResult.reason}), retrying next tick`);
+    await releaseRunStep(run);
+    return;
+  }
+
+  // sent: false is a permanent failure (recipient gone, no permission):
+  // later steps would fail the same way, so the run stops here.
+  if (sendResult?.sent === false) {
+    console.warn(`[followup] Step ${stepIndex + 1} of run ${run.id} could not be delivered: ${sendResult.reason}`);
+    await finishRun(run, "stopped", "send_failed");
+    return;
+  }
+
+  const sentAt = new Date().toISOString();
+  const { error: runUpdateError } = await supabase
+    .from("followup_runs")
+    .update({
+      steps_sent: (run.steps_sent || 0) + 1,
+      last_sent_at: sentAt,
+      updated_at: sentAt,
+      ...(isLastStep ? { status: "completed" } : {}),
+    })
+    .eq("id", run.id);
+  if (runUpdateError) console.error("[followup] Error updating run:", runUpdateError);
+
+  if (!run.steps_sent) await recordFollowupSent(shop.id, run.message_id, run.link_ids?.[0] || null);
+
+  // Record the follow-up on the triggering message so the analytics message
+  // log shows it in the conversation. The first step keeps the original
+  // followup_<message id> link_id; url stays null (nothing to click).
+  const { error: logFuError } = await supabase.from("links_sent").insert({
+    shop_id: shop.id,
+    message_id: run.message_id,
+    url: null,
+    link_id: stepIndex === 0 ? `followup_${run.message_id}` : `followup_${run.message_id}_${stepIndex + 1}`,
+    reply_text: text,
+  });
+  if (logFuError && logFuError.code !== "23505") {
+    console.error("[followup] Error logging follow-up to conversation:", logFuError);
+  }
+
+  logger.debug(
+    `[followup] ✅ Step ${stepIndex + 1}/${steps.length} (${step.condition}) sent for message ${run.message_id} in shop ${shop.id}`
+  );
+}
+
 /**
  * Process follow-ups for all eligible shops
- * This should be called by a scheduled job (cron) every hour
+ * Called by the in-process scheduler (every 15 minutes) or /cron/followups
  */
 export async function processFollowups() {
   logger.debug("[followup] Starting follow-up processing...");
 
   try {
-    // Calculate time window: 23-24 hours ago
     const now = new Date();
-    const twentyThreeHoursAgo = new Date(now.getTime() - 23 * 60 * 60 * 1000);
-    const twentyFourHoursAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
 
     // Get all PRO (or beta-trial) shops with followup_enabled = true.
     // Beta-trial shops are stored as plan="FREE" but get PRO features at
@@ -201,7 +580,6 @@ export async function processFollowups() {
       return;
     }
 
-    // Check settings for each shop
     for (const shop of proShops) {
       try {
         const settings = await getSettings(shop.id);
@@ -211,186 +589,34 @@ export async function processFollowups() {
           continue;
         }
 
-        // Get messages where:
-        // 1. last_user_message_at is between 23-24 hours ago
-        // 2. Has a link sent
-        // 3. No follow-up has been sent yet
-        // First, get all messages in the time window
-        const { data: allMessages, error: messagesError } = await supabase
-          .from("messages")
-          .select(
-            `
-            id,
-            channel,
-            from_user_id,
-            last_user_message_at,
-            created_at
-          `
-          )
-          .eq("shop_id", shop.id)
-          .eq("channel", "dm") // Only DMs for follow-ups
-          .gte("last_user_message_at", twentyFourHoursAgo.toISOString())
-          .lte("last_user_message_at", twentyThreeHoursAgo.toISOString())
-          .not("last_user_message_at", "is", null);
-
-        if (messagesError) {
-          console.error(
-            `[followup] Error fetching messages for shop ${shop.id}:`,
-            messagesError
-          );
-          continue;
-        }
-
-        if (!allMessages || allMessages.length === 0) {
-          continue;
-        }
+        const steps = await loadSequence(shop.id);
+        await startRuns(shop, steps, now);
 
-        // Get real outbound links for these messages. url IS NOT NULL excludes
-        // the dm_reply_* claim rows (url=null) that made EVERY replied message
-        // look like it had a link; info_ shortlinks (policy pages etc.) don't
-        // count either — follow-ups are about unclicked product links.
-        const messageIds = allMessages.map((m) => m.id);
-        const { data: linksSent, error: linksError } = await supabase
-          .from("links_sent")
-          .select("id, message_id, link_id, url, product_id")
+        const { data: runs, error: runsError } = await supabase
+          .from("followup_runs")
+          .select("id, ig_user_id, message_id, anchor_at, link_ids, steps, next_step, steps_sent")
           .eq("shop_id", shop.id)
-          .in("message_id", messageIds)
-          .not("url", "is", null);
-
-        if (linksError) {
-          console.error(
-            `[followup] Error fetching links for shop ${shop.id}:`,
-            linksError
-          );
+          .eq("status", "active");
+        if (runsError) {
+          console.error(`[followup] Error fetching active runs for shop ${shop.id}:`, runsError);
           continue;
         }
 
-        // Map message_id → all its product links (checkout + PDP).
-        const messageToLinks = {};
-        (linksSent || []).forEach((link) => {
-          if (!link.message_id || !link.link_id) return;
-          if (link.link_id.startsWith("info_") || link.link_id.startsWith("followup_")) return;
-          (messageToLinks[link.message_id] ||= []).push({
-            linkId: link.link_id,
-            productId: link.product_id || null,
-          });
-        });
-
-        // ONE candidate per customer: their most recent linked message in the
-        // window. A single session usually produces several linked messages,
-        // and they cross the 23-24h window on different hourly ticks — without
-        // this collapse, each one earned its own follow-up (customers got
-        // duplicate check-ins an hour apart).
-        const byUser = new Map();
-        for (const m of allMessages) {
-          if (!messageToLinks[m.id] || !m.from_user_id) continue;
-          const prev = byUser.get(m.from_user_id);
-          if (!prev || new Date(m.created_at) > new Date(prev.created_at)) {
-            byUser.set(m.from_user_id, m);
-          }
-        }
+        // Brand voice is only needed if a due step has no merchant copy.
+        let brandVoice;
+        const getVoice = async () => {
+          if (brandVoice === undefined) brandVoice = await getBrandVoice(shop.id);
+          return brandVoice;
+        };
 
-        // Process one candidate message per customer
-        for (const message of byUser.values()) {
-          let claimed = false;
-          const links = messageToLinks[message.id];
-          const linkIds = links.map((l) => l.linkId);
-          const claimLinkId = linkIds[0];
+        for (const run of runs || []) {
           try {
-            // Skip if the customer wrote back after this message.
-            if (await customerRespondedAfter(shop.id, message.from_user_id, message.created_at)) {
-              logger.debug(
-                `[followup] Customer ${message.from_user_id} responded after message ${message.id}, skipping`
-              );
-              continue;
-            }
-
-            // Skip if they clicked ANY link from this exchange.
-            if (await hasAnyLinkBeenClicked(linkIds)) continue;
-
-            // Skip while the merchant is handling this customer personally
-            // (human-takeover pause) — a bot check-in would talk over them.
-            if (await isHumanTakeoverActive(shop.id, message.from_user_id)) {
-              logger.debug(
-                `[followup] Human takeover active for user ${message.from_user_id}, skipping follow-up`
-              );
-              continue;
-            }
-
-            // One follow-up per conversation. A conversation is scoped by
-            // product: if their recent follow-up chased the same product this
-            // exchange is about, it's the same conversation (e.g. they replied
-            // "still thinking" to the nudge) — no second nudge. If this
-            // exchange is about a DIFFERENT product, it's a genuinely new
-            // conversation and gets its own follow-up.
-            const chasedProducts = await recentFollowupProducts(shop.id, message.from_user_id);
-            if (chasedProducts) {
-              const candidateProducts = links.map((l) => l.productId).filter(Boolean);
-              const isNewConversation =
-                chasedProducts !== "unknown" &&
-                candidateProducts.length > 0 &&
-                candidateProducts.some((p) => !chasedProducts.has(p));
-              if (!isNewConversation) {
-                logger.debug(
-                  `[followup] Customer ${message.from_user_id} already got a follow-up for this conversation, skipping`
-                );
-                continue;
-              }
-            }
-
-            const usageData = await getShopPlanAndUsage(shop.id);
-            if (!usageData?.plan) continue;
-
-            if (usageData.usage >= usageData.cap) {
-              logger.debug(
-                `[followup] Shop ${shop.id} at usage cap (${usageData.usage}/${usageData.cap}), skipping follow-up`
-              );
-              continue;
-            }
-
-            // Atomically claim the follow-up slot. If another tick already
-            // claimed (or sent) this one we skip silently.
-            claimed = await claimFollowupSlot(shop.id, message.id, claimLinkId);
-            if (!claimed) {
-              logger.debug(
-                `[followup] Already claimed for message ${message.id}, skipping`
-              );
-              continue;
-            }
-
-            // Generate follow-up message (AI-tuned to brand voice when
-            // configured; never leaks raw custom_instruction text).
-            const brandVoice = await getBrandVoice(shop.id);
-            const followupMessage = await generateFollowupMessage(brandVoice);
-
-            await sendDmReply(shop.id, message.from_user_id, followupMessage);
-
-            // Record the follow-up on the triggering message so the analytics
-            // message log shows it in the conversation. link_id is stable per
-            // message (one follow-up max), url stays null (nothing to click).
-            const { error: logFuError } = await supabase.from("links_sent").insert({
-              shop_id: shop.id,
-              message_id: message.id,
-              url: null,
-              link_id: `followup_${message.id}`,
-              reply_text: followupMessage,
-            });
-            if (logFuError && logFuError.code !== "23505") {
-              console.error("[followup] Error logging follow-up to conversation:", logFuError);
-            }
-
-            logger.debug(
-              `[followup] ✅ Follow-up sent for message ${message.id} in shop ${shop.id}`
-            );
+            await advanceRun(shop, run, now, getVoice);
           } catch (error) {
-            // If the send failed AFTER we claimed, release the slot so the
-            // next hourly tick (still within 23–24h) can retry.
-            if (claimed && claimLinkId) {
-              await releaseFollowupSlot(shop.id, message.id, claimLinkId);
-            }
-            logError("processFollowups - message", error, {
+            logError("processFollowups - run", error, {
               shopId: shop.id,
-              messageId: message.id,
+              runId: run.id,
+              messageId: run.message_id,
             });
           }
         }
@@ -406,30 +632,35 @@ export async function processFollowups() {
 }
 
 /**
- * Generate a follow-up message tailored to the shop's brand voice.
+ * Generate a follow-up message for a step's condition, tailored to the
+ * shop's brand voice.
  *
  * IMPORTANT: We never prepend `custom_instruction` to the user-facing text.
  * The instruction is a STYLE directive for the model — it should shape the
  * output, not appear in it.
  */
-async function generateFollowupMessage(brandVoice) {
+async function generateFollowupMessage(brandVoice, condition = "not_clicked", llmContext = null) {
   const tone = brandVoice?.tone || "friendly";
   const customInstruction = (brandVoice?.custom_instruction || "").trim();
-  const fallback = FALLBACK_BY_TONE[tone] || FALLBACK_BY_TONE.friendly;
+  const fallbacks = FALLBACKS_BY_CONDITION[condition] || FALLBACK_BY_TONE;
+  const fallback = fallbacks[tone] || fallbacks.friendly;
 
   // No AI client → use canned tone-based fallback (NEVER prepend the
   // custom_instruction; that would leak it to the customer).
-  if (!openai) return fallback;
+  if (!isLlmConfigured(LLM_TASKS.FOLLOWUP)) return fallback;
+
+  // Shop has spent its plan's monthly LLM token budget → canned fallback.
+  if (await isLlmBudgetExceeded(llmContext?.shopId)) return fallback;
 
   // No brand voice config worth invoking the model for → canned fallback.
   if (!customInstruction && (!tone || tone === "friendly")) return fallback;
 
   try {
-    const userPrompt = `Generate a brief Instagram DM follow-up check-in to a customer who received a product link from us about 24 hours ago and hasn't clicked it yet.
+    const userPrompt = `${FOLLOWUP_SITUATIONS[condition] || FOLLOWUP_SITUATIONS.not_clicked}
 
 Requirements:
 ${customInstruction ? `- CRITICAL STYLE REQUIREMENT: ${customInstruction}. You MUST write in this exact style. This is the most important requirement.` : `- Style: Use a ${tone} tone`}
-- This is a soft check-in, NOT a sales push
+- ${condition === "ordered" ? "This is a thank-you, NOT an upsell" : "This is a soft check-in, NOT a sales push"}
 - Do NOT include any link, URL, or product name
 - Do NOT introduce yourself or the business
 - Do NOT make up information (no prices, policies, or product details)
@@ -444,17 +675,19 @@ Write the message:`;
       ? `You are an assistant that writes short Instagram DM follow-up messages. Follow the custom style instruction exactly — it is the most important requirement. Never include the style instruction text itself in your output. Do not default to being friendly or helpful unless the instruction explicitly says so.`
       : `You are a helpful assistant that writes brief, warm follow-up messages on Instagram DMs. Keep responses short and natural.`;
 
-    const completion = await openai.chat.completions.create(completionParamsForModel(REPLY_MODEL, {
-      model: REPLY_MODEL,
+    const completion = await chatCompletion({
+      task: LLM_TASKS.FOLLOWUP,
+      shopId: llmContext?.shopId,
+      messageId: llmContext?.messageId,
       messages: [
         { role: "system", content: systemMessage },
         { role: "user", content: userPrompt },
       ],
-      max_tokens: 100,
+      maxTokens: 100,
       temperature: 0.7,
-    }));
+    });
 
-    const aiMessage = completion?.choices?.[0]?.message?.content?.trim();
+    const aiMessage = completion.content?.trim();
     // Deterministic em-dash strip (reads as AI-written; prompt bans it too)
     if (aiMessage) return aiMessage.replace(/\s*—\s*/g, ", ");
   } catch (err) {
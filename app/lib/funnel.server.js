@@ -0,0 +1,164 @@
+/**
+ * Conversion funnel for the comments on a post, or on every post mapped to a
+ * product:
+ *
+ *   received → classified eligible → DM sent → link clicked → checkout started → order
+ *
+ * The automation handlers return { sent, reason } with a human-readable
+ * reason. recordAutomationOutcome() stores it on the message as a stable
+ * skip_reason code (plus the original text), and get_conversion_funnel()
+ * (supabase_migration_conversion_funnel.sql) counts each step and the skip
+ * reasons in SQL.
+ */
+
+import supabase from "./supabase.server";
+
+/**
+ * Skip reason codes. `stage` is the funnel step a message with this reason
+ * never reaches: "eligible" reasons stop it before classification counts it,
+ * "sent" reasons stop an eligible message from getting its DM.
+ */
+export const SKIP_REASONS = {
+  disabled_post: { label: "Post has automation turned off", stage: "eligible" },
+  automation_disabled: { label: "Automation turned off", stage: "eligible" },
+  plan_restricted: { label: "Not included in plan", stage: "eligible" },
+  classification_failed: { label: "Could not be classified", stage: "eligible" },
+  intent_not_eligible: { label: "Not a shopping question", stage: "eligible" },
+  low_confidence: { label: "Classifier not confident enough", stage: "eligible" },
+  too_old: { label: "Too old to answer", stage: "eligible" },
+  opted_out: { label: "Customer opted out", stage: "eligible" },
+  cap_exceeded: { label: "Monthly message limit reached", stage: "sent" },
+  takeover: { label: "You replied manually (paused)", stage: "sent" },
+  outside_window: { label: "Outside Instagram's 24-hour window", stage: "sent" },
+  already_replied: { label: "Already answered", stage: "sent" },
+  no_product: { label: "No product linked to the post", stage: "sent" },
+  other: { label: "Other", stage: "sent" },
+};
+
+const ELIGIBILITY_REASONS = Object.entries(SKIP_REASONS)
+  .filter(([, r]) => r.stage === "eligible")
+  .map(([code]) => code);
+
+// Matched against the reason strings in automation.server.js, in order.
+const REASON_PATTERNS = [
+  [/usage cap/i, "cap_exceeded"],
+  [/confidence .* below threshold/i, "low_confidence"],
+  [/owner replied manually/i, "takeover"],
+  [/disabled for this (story|post)/i, "disabled_post"],
+  [/automation disabled/i, "automation_disabled"],
+  [/intent .* not (eligible|supported)/i, "intent_not_eligible"],
+  [/opted out/i, "opted_out"],
+  [/not available on free plan/i, "plan_restricted"],
+  [/24-hour messaging window/i, "outside_window"],
+  [/older than/i, "too_old"],
+  [/already replied/i, "already_replied"],
+  [/no product mapping/i, "no_product"],
+];
+
+/**
+ * Map an automation handler's reason text to a SKIP_REASONS code.
+ * @param {string|null|undefined} reason
+ * @returns {string}
+ */
+export function skipReasonCode(reason) {
+  if (!reason) return "other";
+  const match = REASON_PATTERNS.find(([re]) => re.test(reason));
+  return match ? match[1] : "other";
+}
+
+/**
+ * Store an automation outcome on its message. `code` overrides the mapping
+ * from `result.reason` for skips decided outside the handlers (disabled
+ * post, classifier failure). A message already marked sent stays sent
+ * (duplicate webhooks come back as "Already replied"). Never throws.
+ *
+ * @param {string} messageId
+ * @param {{ sent: boolean, reason?: string }} result
+ * @param {string} [code]
+ */
+export async function recordAutomationOutcome(messageId, result, code = null) {
+  if (!messageId || !result) return;
+  const update = result.sent
+    ? { automation_status: "sent", skip_reason: null, skip_detail: null }
+    : {
+      automation_status: "skipped",
+      skip_reason: code || skipReasonCode(result.reason),
+      skip_detail: result.reason ? String(result.reason).slice(0, 500) : null,
+    };
+  try {
+    const { error } = await supabase
+      .from("messages")
+      .update(update)
+      .eq("id", messageId)
+      .or("automation_status.is.null,automation_status.eq.skipped");
+    if (error) console.warn("[funnel] Error recording automation outcome:", error.message);
+  } catch (error) {
+    console.warn("[funnel] Error recording automation outcome:", error?.message || error);
+  }
+}
+
+/**
+ * A checkout was opened from one of our links (checkouts/create|update).
+ * Never throws.
+ */
+export async function recordCheckoutStart(shopId, { token, linkId, completedAt }) {
+  if (!shopId || !token || !linkId) return;
+  try {
+    const { error } = await supabase.from("link_checkouts").upsert(
+      {
+        shop_id: shopId,
+        link_id: linkId,
+        checkout_token: token,
+        ...(completedAt ? { completed_at: completedAt } : {}),
+      },
+      { onConflict: "shop_id,checkout_token" }
+    );
+    if (error) console.warn("[funnel] Error recording checkout start:", error.message);
+  } catch (error) {
+    console.warn("[funnel] Error recording checkout start:", error?.message || error);
+  }
+}
+
+/**
+ * Funnel for the comments on `mediaIds`. Date strings without a time cover
+ * whole days. Returns null on error.
+ *
+ * @param {string} shopId
+ * @param {{ mediaIds: string[], startDate?: string|null, endDate?: string|null }} options
+ */
+export async function getConversionFunnel(shopId, { mediaIds, startDate = null, endDate = null }) {
+  if (!shopId || !mediaIds?.length) return null;
+  const end = endDate && !endDate.includes("T") ? `${endDate}T23:59:59.999Z` : endDate;
+
+  const { data, error } = await supabase.rpc("get_conversion_funnel", {
+    p_shop_id: shopId,
+    p_media_ids: mediaIds,
+    p_start: startDate || null,
+    p_end: end || null,
+    p_eligibility_reasons: ELIGIBILITY_REASONS,
+  });
+  if (error) {
+    console.error("[funnel] Error loading conversion funnel:", error);
+    return null;
+  }
+
+  const row = (Array.isArray(data) ? data[0] : data) || {};
+  const skipCounts = row.skip_reasons || {};
+  const reasonsFor = (stage) =>
+    Object.entries(skipCounts)
+      .filter(([code]) => (SKIP_REASONS[code] || SKIP_REASONS.other).stage === stage)
+      .map(([code, count]) => ({ code, label: (SKIP_REASONS[code] || SKIP_REASONS.other).label, count: Number(count) || 0 }))
+      .sort((a, b) => b.count - a.count);
+
+  return {
+    steps: [
+      { key: "received", label: "Comments received", count: Number(row.received) || 0, skipReasons: [] },
+      { key: "eligible", label: "Classified eligible", count: Number(row.eligible) || 0, skipReasons: reasonsFor("eligible") },
+      { key: "sent", label: "DM sent", count: Number(row.dm_sent) || 0, skipReasons: reasonsFor("sent") },
+      { key: "clicked", label: "Link clicked", count: Number(row.clicked) || 0, skipReasons: [] },
+      { key: "checkout", label: "Checkout started", count: Number(row.checkout_started) || 0, skipReasons: [] },
+      { key: "order", label: "Order", count: Number(row.orders) || 0, skipReasons: [] },
+    ],
+    revenue: Number(row.revenue) || 0,
+  };
+}
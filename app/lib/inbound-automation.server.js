@@ -0,0 +1,419 @@
+/**
+ * Inbound automation runs (DMs and comments), admitted against the shared
+ * rate limits (rate-limit.server.js).
+ *
+ * The Meta webhook logs each message, then hands it to runOrDeferAutomation.
+ * When the shop is over its LLM or Meta Graph limit, the customer has had
+ * their hourly share of replies, or this instance already has
+ * MAX_CONCURRENT_AUTOMATIONS runs going, the message goes to
+ * deferred_automations instead of running. processDeferredAutomations (the
+ * scheduler, or /cron/deferred-automations) runs it once the window reopens.
+ */
+
+import { updateMessageAI, updateMessageAttachments, getSettings, getShopPlanAndUsage, alreadyRepliedToMessage, alreadyRepliedToComment, isOptedOut, isHumanTakeoverActive } from "./db.server";
+import { classifyMessage } from "./ai.server";
+import { handleIncomingDm, handleIncomingComment, handleKeywordRuleComment } from "./automation.server";
+import { createDecisionTrace, recordDecision } from "./decision-log.server";
+import { findMatchingCommentRule } from "./comment-rules.server";
+import { resolveDmAttachments } from "./dm-attachments.server";
+import { parseOptCommand } from "./opt-outs.server";
+import { consumeRateLimit, peekRateLimit, firstExhaustedRateLimit, cleanOldRateLimitCounters, RATE_LIMIT_BUCKETS } from "./rate-limit.server";
+import supabase from "./supabase.server";
+import { incCounter } from "./metrics.server";
+import logger from "./logger.server";
+
+/**
+ * Per-instance cap on concurrent runs, so a burst of webhooks doesn't
+ * overwhelm downstream APIs (OpenAI, Shopify, Meta, DB). Runs over the cap
+ * are deferred rather than held in memory.
+ */
+const MAX_CONCURRENT_AUTOMATIONS = 30;
+let _activeAutomations = 0;
+
+const DEFERRED_BATCH_SIZE = 50;
+const MAX_DEFERRED_ATTEMPTS = 3;
+// A run deferred for capacity only needs the instance to drain.
+const CAPACITY_RETRY_MS = 30 * 1000;
+// Finished rows (done / failed) are kept this long for debugging, then purged
+// with the webhook payloads they hold.
+const DEFERRED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * The cheap handleIncomingDm gates that can rule a reply out before any LLM
+ * call: opt-out, human takeover, usage cap. STOP / START always pass.
+ */
+async function canAnswerDm(shopId, message, usageData) {
+  if (parseOptCommand(message.text)) return true;
+  if (usageData.usage >= usageData.cap) return false;
+  if (!message.from_user_id) return true;
+  const [optedOut, takeover] = await Promise.all([
+    isOptedOut(shopId, message.from_user_id),
+    isHumanTakeoverActive(shopId, message.from_user_id),
+  ]);
+  return !optedOut && !takeover;
+}
+
+/**
+ * Classify a DM and run the DM automation for it.
+ * @param {string} shopId
+ * @param {Object} message - The logged messages row
+ * @param {Object} payload - { attachments, story } from the webhook
+ * @param {Object|null} settings
+ */
+export async function runDmAutomation(shopId, message, { attachments = [], story = null } = {}, settings) {
+  // Screenshots / shared posts: resolve them to a product
+  // before anything else so an attachment-only DM can still
+  // be answered, and a text that follows it has context.
+  // Resolving costs vision calls, so only when the DM can be
+  // answered at all; otherwise handleIncomingDm records why not.
+  let usageData = null;
+  let shopData = null;
+  if (attachments.length > 0) {
+    [usageData, { data: shopData }] = await Promise.all([
+      getShopPlanAndUsage(shopId),
+      supabase.from("shops").select("*").eq("id", shopId).single(),
+    ]);
+    if (!usageData || !shopData) return;
+  }
+  if (attachments.length > 0 && (await canAnswerDm(shopId, message, usageData))) {
+    const resolvedAttachments = await resolveDmAttachments(
+      shopData,
+      usageData.plan,
+      attachments,
+      settings
+    );
+    await updateMessageAttachments(message.id, resolvedAttachments).catch(() => {});
+    if (!message.text && !resolvedAttachments.some((a) => a.product_id)) {
+      logger.debug(`[inbound] Attachment-only DM ${message.id} matched no product, no automation`);
+      return;
+    }
+  }
+
+  // Attachment-only DMs have nothing to classify; the
+  // resolved product carries the intent (see handleIncomingDm).
+  // STOP / START skip the classifier too, so an opt-out is
+  // honored even when OpenAI is unavailable.
+  let classification = null;
+  if (message.text && !parseOptCommand(message.text)) {
+    classification = await classifyMessage(message.text, { shopId, messageId: message.id });
+    if (classification.intent === null || classification.error) {
+      await recordDecision(shopId, message, { sent: false, reason: classification.error || "Not classified" }, { code: "classification_failed", classification });
+      return;
+    }
+
+    await updateMessageAI(
+      message.id,
+      classification.intent,
+      classification.confidence,
+      classification.sentiment
+    );
+  }
+
+  const { data: updatedMessage } = await supabase
+    .from("messages")
+    .select("*")
+    .eq("id", message.id)
+    .single();
+
+  if (!updatedMessage) return;
+
+  // Attach entities from classification (not stored in DB)
+  updatedMessage.ai_entities = classification?.entities || null;
+
+  usageData = usageData ?? (await getShopPlanAndUsage(shopId));
+  if (!usageData) return;
+
+  if (!shopData) {
+    ({ data: shopData } = await supabase
+      .from("shops")
+      .select("*")
+      .eq("id", shopId)
+      .single());
+  }
+
+  if (!shopData) return;
+
+  // Use the beta-aware plan that getShopPlanAndUsage already
+  // resolved (raw shopData.plan ignores active beta trials,
+  // which would incorrectly gate PRO features like clarifying
+  // questions for merchants on the beta).
+  const plan = usageData.plan;
+  const decision = createDecisionTrace();
+  const automationResult = await handleIncomingDm(updatedMessage, shopData, plan, {
+    settings,
+    usageData,
+    alreadyRepliedChecked: true,
+    story,
+    decision,
+  });
+  await recordDecision(shopId, updatedMessage, automationResult, { trace: decision });
+  if (automationResult.sent) {
+    incCounter("automations_sent");
+    await countCustomerReply(shopId, message);
+    logger.debug(`[inbound] ✅ Automated DM sent for message ${message.id}`);
+  } else {
+    incCounter("automations_skipped");
+    logger.debug(`[inbound] Automation skipped for message ${message.id}: ${automationResult.reason}`);
+  }
+}
+
+/**
+ * Run the keyword rule or comment automation for a comment.
+ * @param {string} shopId
+ * @param {Object} message - The logged messages row
+ * @param {Object} payload - { mediaId } from the webhook
+ * @param {Object|null} settings
+ */
+export async function runCommentAutomation(shopId, message, { mediaId }, settings) {
+  // Keyword rules run before the classifier: a matching
+  // campaign keyword ("comment LINK") is a deterministic
+  // opt-in, so it never waits on (or pays for) OpenAI.
+  const rule = await findMatchingCommentRule(shopId, message.text, mediaId);
+  if (rule) {
+    const usageData = await getShopPlanAndUsage(shopId);
+    if (!usageData) return;
+    const { data: shopData } = await supabase
+      .from("shops")
+      .select("*")
+      .eq("id", shopId)
+      .single();
+    if (!shopData) return;
+
+    const decision = createDecisionTrace();
+    const ruleResult = await handleKeywordRuleComment(message, mediaId, shopData, usageData.plan, rule, { settings, usageData, alreadyRepliedChecked: true, decision });
+    await recordDecision(shopId, message, ruleResult, { trace: decision });
+    if (ruleResult.sent) {
+      incCounter("automations_sent");
+      await countCustomerReply(shopId, message);
+      logger.debug(`[inbound] ✅ Keyword rule ${rule.id} replied to comment ${message.id}`);
+    } else {
+      incCounter("automations_skipped");
+      logger.debug(`[inbound] Keyword rule ${rule.id} skipped for comment ${message.id}: ${ruleResult.reason}`);
+    }
+    return;
+  }
+
+  const classification = await classifyMessage(message.text, { shopId, messageId: message.id, channel: "comment" });
+  if (classification.intent === null || classification.error) {
+    await recordDecision(shopId, message, { sent: false, reason: classification.error || "Not classified" }, { code: "classification_failed", classification });
+    return;
+  }
+
+  await updateMessageAI(
+    message.id,
+    classification.intent,
+    classification.confidence,
+    classification.sentiment
+  );
+
+  const { data: updatedMessage } = await supabase
+    .from("messages")
+    .select("*")
+    .eq("id", message.id)
+    .single();
+
+  if (!updatedMessage || !mediaId) return;
+
+  updatedMessage.ai_entities = classification.entities || null;
+
+  const usageData = await getShopPlanAndUsage(shopId);
+  if (!usageData) return;
+
+  const { data: shopData } = await supabase
+    .from("shops")
+    .select("*")
+    .eq("id", shopId)
+    .single();
+
+  if (!shopData) return;
+
+  // Use the beta-aware plan that getShopPlanAndUsage already
+  // resolved (see note in runDmAutomation).
+  const plan = usageData.plan;
+  const decision = createDecisionTrace();
+  const automationResult = await handleIncomingComment(updatedMessage, mediaId, shopData, plan, { settings, usageData, alreadyRepliedChecked: true, decision });
+  await recordDecision(shopId, updatedMessage, automationResult, { trace: decision });
+  if (automationResult.sent) {
+    incCounter("automations_sent");
+    await countCustomerReply(shopId, message);
+    logger.debug(`[inbound] ✅ Comment private reply sent for comment ${message.id}`);
+  } else {
+    incCounter("automations_skipped");
+    logger.debug(`[inbound] Comment private reply skipped for comment ${message.id}: ${automationResult.reason}`);
+  }
+}
+
+function runChain(shopId, channel, message, payload, settings) {
+  return channel === "comment"
+    ? runCommentAutomation(shopId, message, { mediaId: payload.media_id }, settings)
+    : runDmAutomation(shopId, message, { attachments: payload.attachments || [], story: payload.story || null }, settings);
+}
+
+/**
+ * Why a run can't start now, or null when it can. STOP / START always run:
+ * an opt-out never waits on limits it doesn't use.
+ * @returns {Promise<{ reason: string, retryAt: string } | null>}
+ */
+async function admissionBlock(shopId, channel, message) {
+  if (channel === "dm" && parseOptCommand(message.text)) return null;
+  if (_activeAutomations >= MAX_CONCURRENT_AUTOMATIONS) {
+    return { reason: "capacity", retryAt: new Date(Date.now() + CAPACITY_RETRY_MS).toISOString() };
+  }
+  const exhausted = await firstExhaustedRateLimit(shopId, [RATE_LIMIT_BUCKETS.LLM, RATE_LIMIT_BUCKETS.META_GRAPH]);
+  if (exhausted) return { reason: exhausted.bucket, retryAt: exhausted.retryAt };
+  if (message.from_user_id) {
+    const replies = await peekRateLimit(shopId, RATE_LIMIT_BUCKETS.CUSTOMER_REPLIES, { key: message.from_user_id });
+    if (!replies.allowed) return { reason: RATE_LIMIT_BUCKETS.CUSTOMER_REPLIES, retryAt: replies.retryAt };
+  }
+  return null;
+}
+
+/** Charge a sent reply to the customer's hourly allowance (checked at admission). */
+async function countCustomerReply(shopId, message) {
+  if (message.from_user_id) {
+    await consumeRateLimit(shopId, RATE_LIMIT_BUCKETS.CUSTOMER_REPLIES, { key: message.from_user_id });
+  }
+}
+
+async function withAutomationSlot(fn) {
+  _activeAutomations++;
+  try {
+    return await fn();
+  } finally {
+    _activeAutomations--;
+  }
+}
+
+async function deferAutomation({ shopId, channel, message, payload, reason, retryAt }) {
+  const { error } = await supabase.from("deferred_automations").insert({
+    shop_id: shopId,
+    message_id: message.id,
+    channel,
+    payload,
+    reason,
+    not_before: retryAt,
+  });
+  // 23505: already waiting (duplicate webhook).
+  if (error && error.code !== "23505") {
+    console.error("[inbound] Error deferring automation:", error);
+    throw error;
+  }
+  incCounter("automations_deferred");
+  logger.debug(`[inbound] Deferred ${channel} automation for message ${message.id} (${reason}) until ${retryAt}`);
+}
+
+/**
+ * Run a message's automation now, or queue it in deferred_automations when a
+ * limit turns it away.
+ *
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {"dm"|"comment"} params.channel
+ * @param {Object} params.message - The logged messages row
+ * @param {Object} params.payload - { attachments, story } for DMs, { media_id } for comments
+ * @param {Object|null} params.settings
+ * @returns {Promise<{ deferred: boolean, reason?: string }>}
+ */
+export async function runOrDeferAutomation({ shopId, channel, message, payload, settings }) {
+  const block = await admissionBlock(shopId, channel, message);
+  if (block) {
+    await deferAutomation({ shopId, channel, message, payload, ...block });
+    return { deferred: true, reason: block.reason };
+  }
+  await withAutomationSlot(() => runChain(shopId, channel, message, payload, settings));
+  return { deferred: false };
+}
+
+function backoffMs(attempts) {
+  return 60 * 1000 * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+async function updateDeferred(id, fields) {
+  const { error } = await supabase
+    .from("deferred_automations")
+    .update({ ...fields, processing_since: null, updated_at: new Date().toISOString() })
+    .eq("id", id);
+  if (error) console.error("[inbound] Error updating deferred automation:", error);
+}
+
+// Settings or an earlier run may have made the automation moot since it
+// was deferred.
+async function isStale(row, message, settings) {
+  if (row.channel === "comment") {
+    if (settings?.comment_automation_enabled === false || settings?.channel_preference === "dm") return true;
+    if (Array.isArray(settings?.disabled_post_ids) && settings.disabled_post_ids.includes(row.payload?.media_id)) return true;
+    return alreadyRepliedToComment(row.shop_id, message.external_id);
+  }
+  if (settings?.dm_automation_enabled === false || settings?.channel_preference === "comment") return true;
+  return alreadyRepliedToMessage(message.id);
+}
+
+/** Drop finished deferred automations past DEFERRED_RETENTION_MS. Best-effort. */
+export async function cleanOldDeferredAutomations() {
+  const cutoff = new Date(Date.now() - DEFERRED_RETENTION_MS).toISOString();
+  const { error } = await supabase
+    .from("deferred_automations")
+    .delete()
+    .in("status", ["done", "failed"])
+    .lt("updated_at", cutoff);
+  if (error) console.warn("[inbound] Error cleaning old deferred automations:", error.message);
+}
+
+/**
+ * Run deferred automations whose window has reopened. Rows still over a
+ * limit move to the next window; failed runs retry with backoff, up to
+ * MAX_DEFERRED_ATTEMPTS.
+ * @returns {Promise<{ processed: number, ran: number, rescheduled: number, skipped: number, failed: number }>}
+ */
+export async function processDeferredAutomations() {
+  cleanOldRateLimitCounters().catch(() => {});
+  cleanOldDeferredAutomations().catch(() => {});
+
+  const result = { processed: 0, ran: 0, rescheduled: 0, skipped: 0, failed: 0 };
+  const { data: rows, error } = await supabase.rpc("claim_deferred_automations", { p_limit: DEFERRED_BATCH_SIZE });
+  if (error) {
+    console.error("[inbound] Error claiming deferred automations:", error);
+    return result;
+  }
+
+  for (const row of rows || []) {
+    result.processed += 1;
+    try {
+      const { data: message } = await supabase
+        .from("messages")
+        .select("*")
+        .eq("id", row.message_id)
+        .maybeSingle();
+      const settings = await getSettings(row.shop_id);
+      if (!message || (await isStale(row, message, settings))) {
+        await updateDeferred(row.id, { status: "done" });
+        result.skipped += 1;
+        continue;
+      }
+
+      const block = await admissionBlock(row.shop_id, row.channel, message);
+      if (block) {
+        await updateDeferred(row.id, { status: "pending", reason: block.reason, not_before: block.retryAt });
+        result.rescheduled += 1;
+        continue;
+      }
+
+      await withAutomationSlot(() => runChain(row.shop_id, row.channel, message, row.payload || {}, settings));
+      await updateDeferred(row.id, { status: "done", last_error: null });
+      result.ran += 1;
+    } catch (err) {
+      console.error(`[inbound] Error running deferred automation ${row.id}:`, err);
+      const attempts = (row.attempts || 0) + 1;
+      const shouldFail = attempts >= MAX_DEFERRED_ATTEMPTS;
+      await updateDeferred(row.id, {
+        status: shouldFail ? "failed" : "pending",
+        attempts,
+        last_error: err?.message ?? String(err),
+        not_before: shouldFail ? row.not_before : new Date(Date.now() + backoffMs(attempts)).toISOString(),
+      });
+      result.failed += 1;
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,96 @@
+/**
+ * Unified inbox helpers: turn a customer's messages, the bot's replies
+ * (links_sent) and staff replies (inbox_replies) into one timeline, and work
+ * out whether staff can still message them.
+ */
+
+import { getRecentConversationContext, getInboxReplies, getConversationTakeovers, isOptedOut } from "./db.server";
+
+const STANDARD_WINDOW_MS = 24 * 60 * 60 * 1000;
+const HUMAN_AGENT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const THREAD_WINDOW_HOURS = 30 * 24;
+
+/**
+ * Meta messaging windows for a manual reply: anyone may reply within 24h of
+ * the customer's last DM; a person may reply up to 7 days with the
+ * HUMAN_AGENT tag; after that only the customer can restart the thread.
+ * Comment-only customers have no DM thread to reply in.
+ * @param {string|null} lastDmAt - ISO time of the customer's last inbound DM
+ * @returns {{ canReply: boolean, humanAgent: boolean, reason: string|null }}
+ */
+export function getReplyWindow(lastDmAt) {
+  if (!lastDmAt) {
+    return { canReply: false, humanAgent: false, reason: "This customer has only commented. Instagram lets you DM them once they message you." };
+  }
+  const age = Date.now() - new Date(lastDmAt).getTime();
+  if (age < STANDARD_WINDOW_MS) return { canReply: true, humanAgent: false, reason: null };
+  if (age < HUMAN_AGENT_WINDOW_MS) return { canReply: true, humanAgent: true, reason: null };
+  return { canReply: false, humanAgent: false, reason: "Their last DM is over 7 days old. Instagram only allows a reply after they message you again." };
+}
+
+/**
+ * Everything the inbox shows for one customer.
+ * @param {string} shopId
+ * @param {string} igUserId
+ */
+export async function getInboxThread(shopId, igUserId) {
+  const context = await getRecentConversationContext(shopId, igUserId, {
+    windowHours: THREAD_WINDOW_HOURS,
+    maxMessages: 100,
+    maxLinks: 100,
+  });
+  const [staffReplies, takeovers, optedOut] = await Promise.all([
+    context.windowStartIso ? getInboxReplies(shopId, igUserId, context.windowStartIso) : Promise.resolve([]),
+    getConversationTakeovers(shopId, [igUserId]),
+    isOptedOut(shopId, igUserId),
+  ]);
+
+  const items = [];
+  for (const m of context.messages || []) {
+    items.push({
+      kind: "inbound",
+      id: m.id,
+      at: m.created_at,
+      channel: m.channel,
+      text: m.text,
+      intent: m.ai_intent,
+      confidence: m.ai_confidence,
+    });
+  }
+
+  // One reply can carry several links_sent rows (checkout + product page);
+  // show it once with all of its links.
+  const botReplies = new Map();
+  for (const l of context.linksSent || []) {
+    const key = `${l.message_id}|${l.reply_text || l.link_id}`;
+    const existing = botReplies.get(key);
+    if (existing) {
+      if (l.url) existing.links.push({ linkId: l.link_id, url: l.url });
+      continue;
+    }
+    botReplies.set(key, {
+      kind: "bot",
+      id: l.id,
+      at: l.sent_at,
+      text: l.reply_text,
+      links: l.url ? [{ linkId: l.link_id, url: l.url }] : [],
+    });
+  }
+  items.push(...botReplies.values());
+
+  for (const r of staffReplies) {
+    items.push({ kind: "staff", id: r.id, at: r.created_at, text: r.text, sentBy: r.sent_by, humanAgent: r.human_agent_tag });
+  }
+
+  items.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  const lastDm = (context.messages || []).find((m) => m.channel === "dm") || null;
+  const takeover = takeovers.get(String(igUserId)) || null;
+  return {
+    items,
+    lastDmAt: lastDm?.created_at || null,
+    paused: !!takeover?.paused,
+    lastHumanAt: takeover?.last_human_at || null,
+    optedOut,
+  };
+}
@@ -0,0 +1,289 @@
+/**
+ * Merchant knowledge base (supabase_migration_knowledge_base.sql).
+ *
+ * Merchants add Q&A pairs and paste longer documents (size guides, care
+ * instructions, shipping tables) on the Knowledge base page. The sales agent
+ * searches them with its search_knowledge_base tool, for store knowledge
+ * that isn't in the catalog or get_store_info's policies and pages.
+ *
+ * Indexing is local and needs no embeddings API: each entry is split into
+ * passages (an FAQ is one passage; a document is split on paragraphs, then
+ * lines, then sentences, into chunks of about CHUNK_CHARS) and the shop's
+ * passages are ranked with BM25. The index is built from the stored entries
+ * on first use, cached per process for a minute, and rebuilt at once in the
+ * process that saves an edit. Matching is on words, so entries only match
+ * queries in their own language.
+ */
+
+import supabase from "./supabase.server";
+import { cached, invalidateCached } from "./loader-cache.server";
+
+export const KNOWLEDGE_KINDS = ["faq", "document"];
+export const MAX_KNOWLEDGE_ENTRIES = 200;
+export const MAX_KNOWLEDGE_TITLE_LENGTH = 200;
+export const MAX_FAQ_ANSWER_LENGTH = 2000;
+export const MAX_DOCUMENT_LENGTH = 30000;
+
+// Read on every agent reply. The knowledge base page invalidates it, but only
+// in its own process; other instances pick up edits and deletions when this
+// expires, like the comment rules cache.
+const INDEX_CACHE_TTL_MS = 60 * 1000;
+
+// Passage size: big enough to hold a size table, small enough that a few
+// passages keep the agent's context lean.
+const CHUNK_CHARS = 800;
+
+// Standard BM25 parameters.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Words that match nearly every passage and only add noise to the ranking.
+const STOPWORDS = new Set([
+  "a", "an", "the", "and", "or", "but", "of", "to", "in", "on", "at", "for", "with", "from", "by", "as",
+  "is", "are", "was", "were", "be", "been", "do", "does", "did", "have", "has", "had", "will", "would",
+  "can", "could", "should", "i", "me", "my", "you", "your", "we", "our", "us", "it", "its", "this",
+  "that", "these", "those", "what", "which", "how", "when", "where", "who", "if", "there", "any", "so",
+]);
+
+/**
+ * Clean up an entry from the form into knowledge_entries columns.
+ * @param {Object} raw - { kind, title, body }
+ */
+export function normalizeKnowledgeEntry(raw) {
+  return {
+    kind: raw?.kind === "document" ? "document" : "faq",
+    title: String(raw?.title || "").trim(),
+    body: String(raw?.body || "").replace(/\r\n/g, "\n").trim(),
+  };
+}
+
+/**
+ * Validate an entry. Returns an error message, or null.
+ * @param {ReturnType<typeof normalizeKnowledgeEntry>} entry
+ * @returns {string|null}
+ */
+export function validateKnowledgeEntry(entry) {
+  const isFaq = entry.kind === "faq";
+  if (!entry.title) return isFaq ? "Enter the question" : "Give the document a title";
+  if (entry.title.length > MAX_KNOWLEDGE_TITLE_LENGTH) {
+    return `${isFaq ? "Questions" : "Titles"} can be at most ${MAX_KNOWLEDGE_TITLE_LENGTH} characters`;
+  }
+  if (!entry.body) return isFaq ? "Enter the answer" : "Paste the document text";
+  const maxBody = isFaq ? MAX_FAQ_ANSWER_LENGTH : MAX_DOCUMENT_LENGTH;
+  if (entry.body.length > maxBody) {
+    return `${isFaq ? "Answers" : "Documents"} can be at most ${maxBody.toLocaleString("en-US")} characters`;
+  }
+  return null;
+}
+
+/**
+ * All of a shop's entries, oldest first.
+ * @param {string} shopId
+ */
+export async function listKnowledgeEntries(shopId) {
+  const { data, error } = await supabase
+    .from("knowledge_entries")
+    .select("*")
+    .eq("shop_id", shopId)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    console.error("[knowledge-base] Error fetching entries:", error);
+    throw error;
+  }
+  return data || [];
+}
+
+/**
+ * Insert an entry, or update it when `entryId` is set. The shop_id filter on
+ * update keeps one shop from editing another shop's entry by id.
+ * @param {string} shopId
+ * @param {ReturnType<typeof normalizeKnowledgeEntry>} entry
+ * @param {string|null} [entryId]
+ */
+export async function saveKnowledgeEntry(shopId, entry, entryId = null) {
+  const row = { ...entry, shop_id: shopId, updated_at: new Date().toISOString() };
+
+  if (!entryId) {
+    const { count, error: countError } = await supabase
+      .from("knowledge_entries")
+      .select("id", { count: "exact", head: true })
+      .eq("shop_id", shopId);
+    if (countError) {
+      console.error("[knowledge-base] Error counting entries:", countError);
+      throw countError;
+    }
+    if ((count || 0) >= MAX_KNOWLEDGE_ENTRIES) {
+      throw new Error(`The knowledge base holds at most ${MAX_KNOWLEDGE_ENTRIES} entries. Delete one to add another.`);
+    }
+  }
+
+  const { data, error } = entryId
+    ? await supabase
+        .from("knowledge_entries")
+        .update(row)
+        .eq("id", entryId)
+        .eq("shop_id", shopId)
+        .select()
+        .single()
+    : await supabase.from("knowledge_entries").insert(row).select().single();
+
+  if (error) {
+    console.error("[knowledge-base] Error saving entry:", error);
+    throw error;
+  }
+  invalidateKnowledgeBase(shopId);
+  return data;
+}
+
+export async function deleteKnowledgeEntry(shopId, entryId) {
+  const { error } = await supabase
+    .from("knowledge_entries")
+    .delete()
+    .eq("shop_id", shopId)
+    .eq("id", entryId);
+
+  if (error) {
+    console.error("[knowledge-base] Error deleting entry:", error);
+    throw error;
+  }
+  invalidateKnowledgeBase(shopId);
+}
+
+/** Drop the shop's cached index after its entries change. */
+export function invalidateKnowledgeBase(shopId) {
+  invalidateCached(`knowledgebase:${shopId}`);
+}
+
+/** Greedily join pieces (each at most CHUNK_CHARS) into chunks of at most CHUNK_CHARS. */
+function packPieces(pieces, joiner) {
+  const chunks = [];
+  let current = "";
+  for (const piece of pieces) {
+    if (current && current.length + joiner.length + piece.length > CHUNK_CHARS) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = current ? `${current}${joiner}${piece}` : piece;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split an over-long block on lines (tables, lists), then sentences, then at
+ * the last space before the limit.
+ */
+function splitToFit(text) {
+  if (text.length <= CHUNK_CHARS) return [text];
+  for (const [pattern, joiner] of [[/\n/, "\n"], [/(?<=[.!?])\s+/, " "]]) {
+    const parts = text.split(pattern).map((s) => s.trim()).filter(Boolean);
+    if (parts.length > 1) return packPieces(parts.flatMap(splitToFit), joiner);
+  }
+  const space = text.lastIndexOf(" ", CHUNK_CHARS);
+  const cut = space > CHUNK_CHARS / 2 ? space : CHUNK_CHARS;
+  return [text.slice(0, cut).trim(), ...splitToFit(text.slice(cut).trim())];
+}
+
+/** Passages for one entry, in order. */
+function chunkKnowledgeEntry(entry) {
+  if (entry.kind !== "document") return [entry.body];
+  const paragraphs = entry.body.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+  return packPieces(paragraphs.flatMap(splitToFit), "\n\n");
+}
+
+function tokenize(text) {
+  const words = String(text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .filter((word) => !STOPWORDS.has(word))
+    // Fold plain plurals so "sizes" finds "size" ("dress" stays "dress").
+    .map((word) => (word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word));
+}
+
+function buildIndex(entries) {
+  const passages = [];
+  const documentFrequency = new Map();
+  for (const entry of entries) {
+    chunkKnowledgeEntry(entry).forEach((text, chunk) => {
+      // The title is indexed with every passage: a size guide's later chunks
+      // are still about sizes.
+      const terms = tokenize(`${entry.title}\n${text}`);
+      const termFrequency = new Map();
+      for (const term of terms) termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+      for (const term of termFrequency.keys()) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+      passages.push({ entryId: entry.id, chunk, kind: entry.kind, title: entry.title, text, termFrequency, length: terms.length });
+    });
+  }
+  const averageLength = passages.reduce((sum, p) => sum + p.length, 0) / (passages.length || 1);
+  return { passages, documentFrequency, averageLength };
+}
+
+async function getKnowledgeIndex(shopId) {
+  return cached(`knowledgebase:${shopId}`, INDEX_CACHE_TTL_MS, async () =>
+    buildIndex(await listKnowledgeEntries(shopId))
+  );
+}
+
+/**
+ * True when the shop has at least one entry, so the agent gets the tool.
+ * Never throws: a failed read means the agent replies without it.
+ * @param {string} shopId
+ * @returns {Promise<boolean>}
+ */
+export async function hasKnowledgeBase(shopId) {
+  if (!shopId) return false;
+  try {
+    return (await getKnowledgeIndex(shopId)).passages.length > 0;
+  } catch (err) {
+    console.warn("[knowledge-base] Could not load the knowledge base:", err?.message);
+    return false;
+  }
+}
+
+/**
+ * Best-matching passages for a query, best first. Passages that share no
+ * word with the query are left out.
+ *
+ * @param {string} shopId
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<{ entryId: string, chunk: number, kind: string, title: string, text: string, score: number }>>}
+ */
+export async function searchKnowledgeBase(shopId, query, { limit = 3 } = {}) {
+  const { passages, documentFrequency, averageLength } = await getKnowledgeIndex(shopId);
+  const queryTerms = [...new Set(tokenize(query))];
+  if (passages.length === 0 || queryTerms.length === 0) return [];
+
+  const scored = [];
+  for (const passage of passages) {
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = passage.termFrequency.get(term);
+      if (!tf) continue;
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (passages.length - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * passage.length / averageLength));
+    }
+    if (score > 0) scored.push({ passage, score });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ passage, score }) => ({
+      entryId: passage.entryId,
+      chunk: passage.chunk,
+      kind: passage.kind,
+      title: passage.title,
+      text: passage.text,
+      score: Math.round(score * 100) / 100,
+    }));
+}
@@ -21,6 +21,9 @@ import { getShopifyProductContextForReply, getShopPrimaryDomainHost } from "./sh
 /** Base62 alphabet for URL-safe short IDs (62^8 ≈ 218T combinations) */
 const ID_CHARS = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
 
+/** Most distinct lines one multi-item cart link may carry. */
+export const MAX_CART_LINES = 10;
+
 /**
  * Generate an 8-character link_id (base62, low collision risk)
  */
@@ -114,6 +117,51 @@ export async function shortenUrlsInReply(shop, messageId, text) {
   return result;
 }
 
+/**
+ * Parse an order/checkout landing URL to extract link_id and UTM parameters
+ * (our links carry ref=link_{link_id}). Shared by the orders and checkouts
+ * webhooks.
+ * @param {string} url - The URL to parse
+ * @returns {Object} - { linkId, utmSource, utmMedium, utmCampaign }
+ */
+export function parseAttributionUrl(url) {
+  if (!url) return null;
+
+  try {
+    // Shopify's order `landing_site` is typically a RELATIVE path
+    // (e.g. "/cart/51139...:1?ref=link_abc123"), while `referring_site` is
+    // usually an absolute URL. `new URL(relativePath)` throws "Invalid URL"
+    // without a base, which previously made this function return null for
+    // every landing_site and silently skip attribution. Supplying a base
+    // resolves relative paths and is ignored for absolute URLs — we only
+    // read query params, so the placeholder host is irrelevant.
+    const urlObj = new URL(url, "https://shopify-attribution.local");
+    const params = urlObj.searchParams;
+
+    // Extract link_id from ref parameter (format: ref=link_{link_id})
+    const ref = params.get("ref");
+    let linkId = null;
+    if (ref && ref.startsWith("link_")) {
+      linkId = ref.replace("link_", "");
+    }
+
+    // Extract UTM parameters
+    const utmSource = params.get("utm_source");
+    const utmMedium = params.get("utm_medium");
+    const utmCampaign = params.get("utm_campaign");
+
+    return {
+      linkId,
+      utmSource,
+      utmMedium,
+      utmCampaign,
+    };
+  } catch (error) {
+    console.error(`[links] Error parsing URL: ${url}`, error);
+    return null;
+  }
+}
+
 export function getShopDomainHost(shop) {
   const rawDomain = shop?.shopify_domain;
   if (!rawDomain) return null;
@@ -209,31 +257,125 @@ export async function buildProductPageLink(shop, productId, variantId = null, pr
 }
 
 /**
- * Build a Shopify checkout/cart link with UTMs and link_id
+ * Build a storefront collection link (/collections/{handle}), or a homepage
+ * link when no handle is given. Used by keyword comment rules that point at
+ * a collection or at the store as a whole. Link IDs are prefixed "col_" so,
+ * like PDP links, clicks are tracked but stay out of the checkout CTR.
+ *
+ * @param {Object} shop - Shop object with shopify_domain
+ * @param {string|null} collectionHandle - Collection handle (null = homepage)
+ * @param {string} [campaign] - utm_campaign value
+ * @returns {{url: string, linkId: string} | null} - null when the shop has no domain
+ */
+export function buildCollectionPageLink(shop, collectionHandle = null, campaign = "comment_keyword") {
+  const shopHost = getShopDomainHost(shop);
+  if (!shopHost) {
+    logger.warn("[buildCollectionPageLink] Missing shop domain; skipping collection link");
+    return null;
+  }
+
+  const linkId = `col_${generateLinkId()}`;
+  return { url: collectionPageUrl(shopHost, collectionHandle, linkId, campaign), linkId };
+}
+
+/** Collection (or homepage, without a handle) URL carrying a link's attribution params. */
+function collectionPageUrl(shopHost, collectionHandle, linkId, campaign) {
+  const handle = (collectionHandle || "").trim();
+  const path = handle ? `/collections/${encodeURIComponent(handle)}` : "/";
+
+  const params = new URLSearchParams({
+    ref: `link_${linkId}`,
+    utm_source: "instagram",
+    utm_medium: "ig_dm",
+    utm_campaign: campaign,
+  });
+  return `https://${shopHost}${path}?${params.toString()}`;
+}
+
+/**
+ * Where an existing link goes when its product can't be bought any more:
+ * the product's collection, or the homepage. Keeps the link's own ref so a
+ * purchase still attributes to it.
+ *
  * @param {Object} shop - Shop object with shopify_domain
+ * @param {string} linkId
+ * @param {string|null} collectionHandle
+ * @returns {string|null} - null when the shop has no domain
+ */
+export function buildFallbackUrl(shop, linkId, collectionHandle = null) {
+  const shopHost = getShopDomainHost(shop);
+  if (!shopHost) return null;
+  return collectionPageUrl(shopHost, collectionHandle, linkId, "link_fallback");
+}
+
+/**
+ * True for checkout (cart permalink) link ids. Mirrors is_checkout_link_id()
+ * in supabase_migration_analytics_daily.sql: every other kind is prefixed.
+ * @param {string|null|undefined} linkId
+ */
+export function isCheckoutLinkId(linkId) {
+  if (!linkId) return false;
+  return !["dm_reply_", "public_reply_", "size_q_", "info_", "pdp_", "col_", "followup_"]
+    .some((prefix) => linkId.startsWith(prefix));
+}
+
+/**
+ * New destination for an existing link that the merchant pointed at a
+ * replacement product. Checkout links get a cart permalink (keeping the
+ * link's discount code); every other link gets the product page. The URL
+ * carries the original link_id so clicks and orders stay with the DM that
+ * sent it. Throws when the product can't be resolved.
+ *
+ * @param {Object} shop - Shop object with shopify_domain
+ * @param {{link_id: string, discount_code?: string|null}} link - links_sent row
  * @param {string} productId - Shopify product ID (gid format)
  * @param {string|null} variantId - Shopify variant ID (gid format, optional)
- * @param {number} qty - Quantity (default: 1)
- * @returns {Promise<{url: string, linkId: string}>} - Checkout URL and link ID
+ * @returns {Promise<string>}
  */
-export async function buildCheckoutLink(shop, productId, variantId = null, qty = 1, _shorten = true) {
+export async function buildReplacementUrl(shop, link, productId, variantId = null) {
   const shopHost = getShopDomainHost(shop);
   if (!shopHost) {
     throw new Error("Shop domain is required");
   }
-
   if (!productId) {
     throw new Error("Product ID is required");
   }
 
-  // Generate unique link_id
-  const linkId = generateLinkId();
+  if (isCheckoutLinkId(link.link_id)) {
+    const variantNumericId = await resolveVariantNumericId(shop, productId, variantId);
+    if (!variantNumericId) {
+      throw new Error(`Could not determine a variant for product ${productId}`);
+    }
+    return withCheckoutParams(`https://${shopHost}/cart/${variantNumericId}:1`, link.link_id, link.discount_code || null);
+  }
 
-  // Extract numeric IDs from GID format
-  // Product ID format: gid://shopify/Product/123456789
-  // Variant ID format: gid://shopify/ProductVariant/123456789
-  const productIdMatch = productId.match(/\/(\d+)$/);
+  const product = await getShopifyProductContextForReply(shop.shopify_domain, productId);
+  const handle = (product?.handle || "").trim();
+  if (!handle) {
+    throw new Error(`Could not find product ${productId}`);
+  }
+  const params = new URLSearchParams();
+  const variantIdMatch = variantId ? variantId.match(/\/(\d+)$/) : null;
+  if (variantIdMatch) {
+    params.set("variant", variantIdMatch[1]);
+  }
+  params.set("ref", `link_${link.link_id}`);
+  params.set("utm_source", "instagram");
+  params.set("utm_medium", "ig_dm");
+  params.set("utm_campaign", "link_redirect");
+  return `https://${shopHost}/products/${handle}?${params.toString()}`;
+}
 
+/**
+ * Resolve a variant to its numeric ID for a cart permalink. With no variant,
+ * fetches the product's first variant from Shopify. Returns null when none
+ * can be determined (the caller decides whether that's fatal).
+ * @param {Object} shop - Shop object with shopify_domain
+ * @param {string} productId - Shopify product ID (gid format)
+ * @param {string|number|null} variantId - Shopify variant ID (gid or numeric, optional)
+ * @returns {Promise<string|null>}
+ */
+async function resolveVariantNumericId(shop, productId, variantId) {
   // If variant_id is null, try to fetch the first variant from Shopify
   let finalVariantId = variantId;
   if (!finalVariantId) {
@@ -276,24 +418,74 @@ export async function buildCheckoutLink(shop, productId, variantId = null, qty =
 
   // Validate variant_id is actually a variant ID (not a product ID)
   // Handle both GID format (gid://shopify/ProductVariant/123) and numeric format (123)
-  let variantNumericId = null;
-  if (finalVariantId) {
-    // Check if it's a GID format with ProductVariant
-    if (finalVariantId.includes("ProductVariant")) {
-      const variantIdMatch = finalVariantId.match(/\/(\d+)$/);
-      variantNumericId = variantIdMatch ? variantIdMatch[1] : null;
-    } else if (typeof finalVariantId === "string" && /^\d+$/.test(finalVariantId)) {
-      // If it's just a numeric string, use it directly
-      variantNumericId = finalVariantId;
-    } else if (typeof finalVariantId === "number") {
-      // If it's a number, convert to string
-      variantNumericId = String(finalVariantId);
-    } else {
-      // If variantId doesn't match expected formats, log warning and treat as null
-      console.warn(`[buildCheckoutLink] Invalid variant_id format: ${finalVariantId} (type: ${typeof finalVariantId})`);
-      variantNumericId = null;
-    }
+  if (!finalVariantId) return null;
+  // Check if it's a GID format with ProductVariant
+  if (typeof finalVariantId === "string" && finalVariantId.includes("ProductVariant")) {
+    const variantIdMatch = finalVariantId.match(/\/(\d+)$/);
+    return variantIdMatch ? variantIdMatch[1] : null;
+  }
+  if (typeof finalVariantId === "string" && /^\d+$/.test(finalVariantId)) {
+    // If it's just a numeric string, use it directly
+    return finalVariantId;
+  }
+  if (typeof finalVariantId === "number") {
+    // If it's a number, convert to string
+    return String(finalVariantId);
   }
+  // If variantId doesn't match expected formats, log warning and treat as null
+  console.warn(`[buildCheckoutLink] Invalid variant_id format: ${finalVariantId} (type: ${typeof finalVariantId})`);
+  return null;
+}
+
+/** Append the attribution params (and an optional discount) to a cart URL. */
+function withCheckoutParams(cartUrl, linkId, discountCode) {
+  // Attribution params — append to whichever URL we ended up with.
+  const params = new URLSearchParams({
+    ref: `link_${linkId}`,
+    utm_source: "instagram",
+    utm_medium: "ig_dm",
+    utm_campaign: "dm_to_buy",
+  });
+  // Cart permalinks accept discount=CODE and apply it to the checkout they
+  // create, so the customer never has to type the code.
+  if (discountCode) {
+    params.set("discount", discountCode);
+  }
+
+  const separator = cartUrl.includes("?") ? "&" : "?";
+  return `${cartUrl}${separator}${params.toString()}`;
+}
+
+/**
+ * Build a Shopify checkout/cart link with UTMs and link_id
+ * @param {Object} shop - Shop object with shopify_domain
+ * @param {string} productId - Shopify product ID (gid format)
+ * @param {string|null} variantId - Shopify variant ID (gid format, optional)
+ * @param {number} qty - Quantity (default: 1)
+ * @param {boolean} _shorten - Unused; kept for existing callers
+ * @param {Object} [options]
+ * @param {string|null} [options.discountCode] - Discount code applied at checkout via Shopify's discount= parameter
+ * @returns {Promise<{url: string, linkId: string}>} - Checkout URL and link ID
+ */
+export async function buildCheckoutLink(shop, productId, variantId = null, qty = 1, _shorten = true, options = {}) {
+  const shopHost = getShopDomainHost(shop);
+  if (!shopHost) {
+    throw new Error("Shop domain is required");
+  }
+
+  if (!productId) {
+    throw new Error("Product ID is required");
+  }
+
+  // Generate unique link_id
+  const linkId = generateLinkId();
+
+  // Extract numeric IDs from GID format
+  // Product ID format: gid://shopify/Product/123456789
+  // Variant ID format: gid://shopify/ProductVariant/123456789
+  const productIdMatch = productId.match(/\/(\d+)$/);
+
+  const variantNumericId = await resolveVariantNumericId(shop, productId, variantId);
 
   if (!productIdMatch) {
     throw new Error("Invalid product ID format");
@@ -316,19 +508,90 @@ export async function buildCheckoutLink(shop, productId, variantId = null, qty =
     checkoutUrl = `https://${shopHost}/cart/add?id=${productNumericId}&quantity=${qty}`;
   }
 
-  // Attribution params — append to whichever URL we ended up with.
-  const params = new URLSearchParams({
-    ref: `link_${linkId}`,
-    utm_source: "instagram",
-    utm_medium: "ig_dm",
-    utm_campaign: "dm_to_buy",
-  });
+  return {
+    url: withCheckoutParams(checkoutUrl, linkId, options.discountCode),
+    linkId: linkId,
+  };
+}
 
-  const separator = checkoutUrl.includes("?") ? "&" : "?";
-  const finalUrl = `${checkoutUrl}${separator}${params.toString()}`;
+/**
+ * Build one cart permalink for several variants (/cart/v1:q1,v2:q2) with the
+ * same attribution params as buildCheckoutLink. Lines for the same variant
+ * are merged. Unlike the single-product link there is no /cart/add fallback,
+ * so every line must resolve to a variant or this throws.
+ *
+ * @param {Object} shop - Shop object with shopify_domain
+ * @param {Array<{productId: string, variantId?: string|null, quantity?: number}>} items
+ * @param {Object} [options]
+ * @param {string|null} [options.discountCode]
+ * @returns {Promise<{url: string, linkId: string, lineItems: Array<{product_id: string, variant_id: string, quantity: number}>}>}
+ *   lineItems is what gets stored on links_sent.line_items.
+ */
+export async function buildCartLink(shop, items, options = {}) {
+  const shopHost = getShopDomainHost(shop);
+  if (!shopHost) {
+    throw new Error("Shop domain is required");
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error("At least one cart item is required");
+  }
+  if (items.length > MAX_CART_LINES) {
+    throw new Error(`A cart link can hold at most ${MAX_CART_LINES} products`);
+  }
 
+  const lines = new Map(); // variant numeric id -> line
+  for (const item of items) {
+    if (!item?.productId) throw new Error("Product ID is required");
+    const variantNumericId = await resolveVariantNumericId(shop, item.productId, item.variantId || null);
+    if (!variantNumericId) {
+      throw new Error(`Could not determine a variant for product ${item.productId}`);
+    }
+    const quantity = Number.isInteger(item.quantity) && item.quantity > 0 ? item.quantity : 1;
+    const existing = lines.get(variantNumericId);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      lines.set(variantNumericId, {
+        product_id: item.productId,
+        variant_id: `gid://shopify/ProductVariant/${variantNumericId}`,
+        quantity,
+      });
+    }
+  }
+
+  const linkId = generateLinkId();
+  const path = [...lines.entries()].map(([id, line]) => `${id}:${line.quantity}`).join(",");
   return {
-    url: finalUrl,
-    linkId: linkId,
+    url: withCheckoutParams(`https://${shopHost}/cart/${path}`, linkId, options.discountCode),
+    linkId,
+    lineItems: [...lines.values()],
   };
 }
+
+/**
+ * Every product a links_sent row points at: the line_items of a multi-item
+ * cart link, otherwise its single product_id.
+ * @param {{product_id?: string|null, line_items?: Array<{product_id: string}>|null}} link
+ * @returns {string[]}
+ */
+export function getLinkProductIds(link) {
+  if (Array.isArray(link?.line_items) && link.line_items.length > 0) {
+    return [...new Set(link.line_items.map((l) => l?.product_id).filter(Boolean))];
+  }
+  return link?.product_id ? [link.product_id] : [];
+}
+
+/**
+ * The product / variant pairs a links_sent row puts in the cart: its
+ * line_items, otherwise its single product_id and variant_id.
+ * @param {{product_id?: string|null, variant_id?: string|null, line_items?: Array<{product_id: string, variant_id?: string|null}>|null}} link
+ * @returns {Array<{productId: string, variantId: string|null}>}
+ */
+export function getLinkLineItems(link) {
+  const lines = Array.isArray(link?.line_items) && link.line_items.length > 0
+    ? link.line_items
+    : [{ product_id: link?.product_id, variant_id: link?.variant_id }];
+  return lines
+    .filter((l) => l?.product_id)
+    .map((l) => ({ productId: l.product_id, variantId: l.variant_id || null }));
+}
@@ -0,0 +1,153 @@
+/**
+ * LLM token and cost accounting (supabase_migration_llm_usage.sql).
+ *
+ * chatCompletion() in llm.server.js records one llm_usage row per completed
+ * call with the shop and message it ran for; the /admin store table sums
+ * them per month. Cost is an estimate from PRICES_PER_MILLION below (list
+ * prices, USD); it is not reconciled against the provider's invoice.
+ *
+ * Budgets: a plan's llmTokenBudget (plans.js, or LLM_TOKEN_BUDGET_<PLAN>)
+ * caps a shop's monthly tokens. Once it's spent, reply-writing tasks use the
+ * canned templates instead of the LLM until the month rolls over; the
+ * classifier keeps running because every pipeline needs an intent.
+ */
+
+import supabase from "./supabase.server";
+import logger from "./logger.server";
+import { cached } from "./loader-cache.server";
+import { getShopPlanAndUsage } from "./db.server";
+import { PLANS } from "./plans";
+
+// USD per 1M tokens [prompt, completion]. Matched by longest prefix so dated
+// snapshots (gpt-4o-mini-2024-07-18) price like their family.
+const PRICES_PER_MILLION = {
+  "gpt-4o-mini": [0.15, 0.6],
+  "gpt-4o": [2.5, 10],
+  "gpt-4.1-nano": [0.1, 0.4],
+  "gpt-4.1-mini": [0.4, 1.6],
+  "gpt-4.1": [2, 8],
+  "gpt-5-nano": [0.05, 0.4],
+  "gpt-5-mini": [0.25, 2],
+  "gpt-5": [1.25, 10],
+  "o4-mini": [1.1, 4.4],
+  "o3-mini": [1.1, 4.4],
+  o3: [2, 8],
+};
+
+const PRICE_PREFIXES = Object.keys(PRICES_PER_MILLION).sort((a, b) => b.length - a.length);
+
+const BUDGET_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Estimated USD cost of one call. 0 for local and mock providers (no
+ * per-token bill), null for an OpenAI model without a known price.
+ * @returns {number|null}
+ */
+export function estimateLlmCost(provider, model, promptTokens, completionTokens) {
+  if (provider !== "openai") return 0;
+  const prefix = PRICE_PREFIXES.find((p) => model === p || model?.startsWith(`${p}-`));
+  if (!prefix) return null;
+  const [promptPrice, completionPrice] = PRICES_PER_MILLION[prefix];
+  return (promptTokens * promptPrice + completionTokens * completionPrice) / 1_000_000;
+}
+
+/** Start of the current usage month (UTC), the window budgets and /admin use. */
+export function llmUsageMonthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+}
+
+/**
+ * Record one completed LLM call. Never throws: accounting must not cost a
+ * customer their reply.
+ *
+ * @param {Object} entry
+ * @param {string|null} entry.shopId - Calls without a shop (scripts) aren't recorded
+ * @param {string|null} [entry.messageId] - Inbound message the call was for
+ * @param {string} entry.task - LLM_TASKS value
+ * @param {string} entry.provider
+ * @param {string} entry.model
+ * @param {Object|null} entry.usage - Chat-completions usage ({ prompt_tokens, completion_tokens })
+ */
+export async function recordLlmUsage({ shopId, messageId = null, task, provider, model, usage }) {
+  if (!shopId) return;
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  try {
+    const { error } = await supabase.from("llm_usage").insert({
+      shop_id: shopId,
+      message_id: messageId,
+      task,
+      provider,
+      model,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      cost_usd: estimateLlmCost(provider, model, promptTokens, completionTokens),
+    });
+    if (error) console.warn("[llm-usage] Error recording usage:", error.message);
+  } catch (error) {
+    console.warn("[llm-usage] Error recording usage:", error?.message || error);
+  }
+}
+
+/**
+ * Monthly token budget for a plan config, or null for none.
+ * @param {Object} plan - getPlanConfig() result
+ * @returns {number|null}
+ */
+export function getLlmTokenBudget(plan) {
+  const override = Number.parseInt(process.env[`LLM_TOKEN_BUDGET_${plan?.name}`] || "", 10);
+  if (Number.isFinite(override) && override > 0) return override;
+  return plan?.llmTokenBudget ?? null;
+}
+
+/**
+ * True when the shop has used up its plan's monthly token budget. Cached
+ * for a minute; false when no budget applies or the check fails.
+ * @param {string|null} shopId
+ * @returns {Promise<boolean>}
+ */
+export async function isLlmBudgetExceeded(shopId) {
+  if (!shopId) return false;
+  if (!Object.values(PLANS).some((plan) => getLlmTokenBudget(plan) != null)) return false;
+  try {
+    return await cached(`llmbudget:${shopId}`, BUDGET_CACHE_TTL_MS, async () => {
+      const { plan } = await getShopPlanAndUsage(shopId);
+      const budget = getLlmTokenBudget(plan);
+      if (budget == null) return false;
+      const { data, error } = await supabase.rpc("get_shop_llm_tokens", {
+        p_shop_id: shopId,
+        p_since: llmUsageMonthStart(),
+      });
+      if (error) throw error;
+      const exceeded = Number(data || 0) >= budget;
+      if (exceeded) logger.debug(`[llm-usage] Shop ${shopId} over its LLM budget (${data}/${budget} tokens)`);
+      return exceeded;
+    });
+  } catch (error) {
+    console.warn(`[llm-usage] Budget check failed for shop ${shopId}:`, error?.message || error);
+    return false;
+  }
+}
+
+/**
+ * This month's usage per shop for the /admin store table.
+ * @returns {Promise<Map<string, {calls: number, tokens: number, costUsd: number}>>}
+ */
+export async function getLlmUsageByShop() {
+  const { data, error } = await supabase.rpc("get_llm_usage_by_shop", {
+    p_since: llmUsageMonthStart(),
+  });
+  if (error) {
+    console.error("getLlmUsageByShop error", error);
+    throw error;
+  }
+  const byShop = new Map();
+  for (const row of data || []) {
+    byShop.set(row.shop_id, {
+      calls: Number(row.calls || 0),
+      tokens: Number(row.prompt_tokens || 0) + Number(row.completion_tokens || 0),
+      costUsd: Number(row.cost_usd || 0),
+    });
+  }
+  return byShop;
+}
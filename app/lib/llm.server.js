@@ -0,0 +1,285 @@
+/**
+ * LLM provider layer. Every chat completion in the app (intent classifier,
+ * photo matching, the sales agent's tool loop, the legacy reply generators
+ * and follow-ups) goes through chatCompletion(), which picks a provider and
+ * model for the task and shop and falls back to a second provider when the
+ * first one errors (including 429s).
+ *
+ * Providers:
+ * - openai: api.openai.com (OPENAI_API_KEY).
+ * - local: any OpenAI-compatible endpoint such as Ollama or vLLM
+ *   (LLM_LOCAL_BASE_URL, e.g. http://localhost:11434/v1; LLM_LOCAL_API_KEY
+ *   if the server wants one; default model LLM_LOCAL_MODEL).
+ * - mock: deterministic and offline. Answers "{}" in JSON mode and a fixed
+ *   sentence otherwise, unless setMockResponder() installs scripted answers
+ *   (the replay harness does).
+ *
+ * Routing, most specific first:
+ * 1. shops.llm_config[task] (supabase_migration_llm_config.sql)
+ * 2. LLM_<TASK>_PROVIDER / LLM_<TASK>_MODEL, e.g. LLM_CLASSIFIER_MODEL
+ * 3. LLM_PROVIDER (default openai) and the task's default model:
+ *    gpt-4o-mini for the classifier, SALES_AGENT_MODEL (default gpt-4.1)
+ *    for the agent and follow-ups.
+ * The fallback resolves the same way from llm_config[task].fallback,
+ * LLM_<TASK>_FALLBACK_PROVIDER / _MODEL and LLM_FALLBACK_PROVIDER / _MODEL.
+ *
+ * Every completed call is recorded in llm_usage with its tokens and
+ * estimated cost (llm-usage.server.js), and every call made for a shop
+ * counts against its per-minute LLM rate limit (rate-limit.server.js).
+ */
+
+import OpenAI from "openai";
+import supabase from "./supabase.server";
+import { cached } from "./loader-cache.server";
+import { recordLlmUsage } from "./llm-usage.server";
+import { consumeRateLimit, RATE_LIMIT_BUCKETS } from "./rate-limit.server";
+
+export const LLM_TASKS = {
+  /** Intent classification and photo matching (cheap, JSON mode). */
+  CLASSIFIER: "classifier",
+  /** Customer-facing replies: the sales agent and the legacy reply generators. */
+  AGENT: "agent",
+  /** Follow-up nudges (followup.server.js). */
+  FOLLOWUP: "followup",
+};
+
+export const LLM_PROVIDERS = ["openai", "local", "mock"];
+
+const SHOP_CONFIG_TTL_MS = 5 * 60 * 1000;
+
+const MOCK_REPLY = "Thanks for your message! We'll get back to you shortly.";
+
+if (!process.env.OPENAI_API_KEY && (process.env.LLM_PROVIDER || "openai") === "openai") {
+  console.warn("[llm] OPENAI_API_KEY not set - AI features will be disabled");
+}
+
+const clients = new Map();
+
+/** OpenAI SDK client for a provider, or null when it isn't configured. */
+function clientFor(provider) {
+  if (clients.has(provider)) return clients.get(provider);
+  let client = null;
+  if (provider === "openai" && process.env.OPENAI_API_KEY) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  } else if (provider === "local" && process.env.LLM_LOCAL_BASE_URL) {
+    client = new OpenAI({
+      apiKey: process.env.LLM_LOCAL_API_KEY || "local",
+      baseURL: process.env.LLM_LOCAL_BASE_URL,
+    });
+  }
+  clients.set(provider, client);
+  return client;
+}
+
+function isProviderConfigured(provider) {
+  return provider === "mock" || !!clientFor(provider);
+}
+
+function defaultModel(provider, task) {
+  if (provider === "mock") return "mock";
+  if (provider === "local") return process.env.LLM_LOCAL_MODEL || "llama3.1";
+  return task === LLM_TASKS.CLASSIFIER ? "gpt-4o-mini" : process.env.SALES_AGENT_MODEL || "gpt-4.1";
+}
+
+function envRoutes(task) {
+  const prefix = `LLM_${task.toUpperCase()}_`;
+  const env = process.env;
+  const provider = env[`${prefix}PROVIDER`] || env.LLM_PROVIDER || "openai";
+  const primary = { provider, model: env[`${prefix}MODEL`] || defaultModel(provider, task) };
+
+  const fallbackProvider = env[`${prefix}FALLBACK_PROVIDER`] || env.LLM_FALLBACK_PROVIDER;
+  const fallback = fallbackProvider
+    ? {
+      provider: fallbackProvider,
+      model: env[`${prefix}FALLBACK_MODEL`] || env.LLM_FALLBACK_MODEL || defaultModel(fallbackProvider, task),
+    }
+    : null;
+  return { primary, fallback };
+}
+
+/**
+ * Apply one llm_config entry ({ provider?, model? }) over a route. A model
+ * only carries over when the provider stays the same.
+ */
+function overrideRoute(route, entry, task) {
+  if (!entry || typeof entry !== "object") return route;
+  const provider = LLM_PROVIDERS.includes(entry.provider) ? entry.provider : route?.provider;
+  if (!provider) return route;
+  const model = typeof entry.model === "string" && entry.model.trim()
+    ? entry.model.trim()
+    : provider === route?.provider
+      ? route.model
+      : defaultModel(provider, task);
+  return { provider, model };
+}
+
+/**
+ * The shop's llm_config, or {} when it has none. Cached; a failed read (e.g.
+ * the migration hasn't run) is cached as {} too so it only warns once per TTL.
+ */
+async function getShopLlmConfig(shopId) {
+  if (!shopId) return {};
+  return cached(`llmconfig:${shopId}`, SHOP_CONFIG_TTL_MS, async () => {
+    const { data, error } = await supabase
+      .from("shops")
+      .select("llm_config")
+      .eq("id", shopId)
+      .maybeSingle();
+    if (error) {
+      console.warn(`[llm] Could not load llm_config for shop ${shopId}:`, error.message);
+      return {};
+    }
+    const config = data?.llm_config;
+    return config && typeof config === "object" && !Array.isArray(config) ? config : {};
+  });
+}
+
+async function resolveRoutes(task, shopId) {
+  const { primary, fallback } = envRoutes(task);
+  const entry = (await getShopLlmConfig(shopId))[task];
+  if (!entry || typeof entry !== "object") return { primary, fallback };
+  return {
+    primary: overrideRoute(primary, entry, task),
+    fallback: entry.fallback ? overrideRoute(fallback, entry.fallback, task) : fallback,
+  };
+}
+
+/**
+ * True when the task can run on the env-configured provider or its fallback.
+ * Sync so it can gate code paths up front; per-shop config only redirects
+ * tasks that are already enabled.
+ * @param {string} task - LLM_TASKS value
+ */
+export function isLlmConfigured(task) {
+  const { primary, fallback } = envRoutes(task);
+  return isProviderConfigured(primary.provider) || (!!fallback && isProviderConfigured(fallback.provider));
+}
+
+/**
+ * Model the task will use for this shop (the primary route). For decision
+ * traces recorded before the call is made.
+ * @param {string} task - LLM_TASKS value
+ * @param {string|null} [shopId]
+ * @returns {Promise<string>}
+ */
+export async function resolveLlmModel(task, shopId = null) {
+  const { primary } = await resolveRoutes(task, shopId);
+  return primary.model;
+}
+
+/**
+ * Build chat-completions params that work across model families: gpt-5/o*
+ * reasoning models reject `temperature` and want `max_completion_tokens`.
+ */
+function completionParamsForModel(model, base) {
+  const isReasoningModel = /^(gpt-5|o\d)/.test(model);
+  if (isReasoningModel) {
+    const { temperature: _temperature, max_tokens, ...rest } = base;
+    return { ...rest, max_completion_tokens: max_tokens };
+  }
+  return base;
+}
+
+let mockResponder = null;
+
+/**
+ * Script the mock provider: `fn` gets the chat-completions params (plus
+ * `task`) and returns the assistant message ({ content } or { tool_calls }).
+ * Pass null to restore the fixed answers.
+ * @param {((params: Object) => Object | Promise<Object>) | null} fn
+ */
+export function setMockResponder(fn) {
+  mockResponder = fn;
+}
+
+async function mockCompletion(task, params) {
+  const reply = mockResponder
+    ? await mockResponder({ task, ...params })
+    : { content: params.response_format ? "{}" : MOCK_REPLY };
+  return {
+    message: { role: "assistant", content: null, ...reply },
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+  };
+}
+
+async function complete(route, task, base) {
+  const params = { model: route.model, ...base };
+  if (route.provider === "mock") {
+    return { ...(await mockCompletion(task, params)), ...route };
+  }
+  const response = await clientFor(route.provider).chat.completions.create(
+    completionParamsForModel(route.model, params)
+  );
+  return {
+    message: response.choices[0]?.message || { role: "assistant", content: null },
+    usage: response.usage || null,
+    ...route,
+  };
+}
+
+/**
+ * Run one chat completion for a task. Throws when no provider is configured
+ * or when the primary and the fallback both fail; callers keep their own
+ * error handling and retries.
+ *
+ * @param {Object} request
+ * @param {string} request.task - LLM_TASKS value
+ * @param {string|null} [request.shopId] - Applies the shop's llm_config; usage is recorded against it
+ * @param {string|null} [request.messageId] - Inbound message the call is for (usage attribution)
+ * @param {Array<Object>} request.messages - Chat messages (OpenAI shape)
+ * @param {Array<Object>} [request.tools] - Function tools (OpenAI shape)
+ * @param {"auto"|"none"|"required"} [request.toolChoice]
+ * @param {boolean} [request.json] - JSON mode (response_format json_object)
+ * @param {number} [request.temperature]
+ * @param {number} [request.maxTokens]
+ * @returns {Promise<{ message: Object, content: string|null, provider: string, model: string, usage: Object|null }>}
+ */
+export async function chatCompletion({
+  task,
+  shopId = null,
+  messageId = null,
+  messages,
+  tools = null,
+  toolChoice = null,
+  json = false,
+  temperature,
+  maxTokens,
+}) {
+  const base = { messages };
+  if (temperature != null) base.temperature = temperature;
+  if (maxTokens != null) base.max_tokens = maxTokens;
+  if (tools?.length) {
+    base.tools = tools;
+    if (toolChoice) base.tool_choice = toolChoice;
+  }
+  if (json) base.response_format = { type: "json_object" };
+
+  const { primary, fallback } = await resolveRoutes(task, shopId);
+  const routes = [primary, fallback].filter(
+    (route, i) =>
+      route &&
+      isProviderConfigured(route.provider) &&
+      !(i === 1 && route.provider === primary.provider && route.model === primary.model)
+  );
+  if (routes.length === 0) {
+    throw new Error(`No LLM provider configured for ${task} (${primary.provider})`);
+  }
+  // Counted here, enforced where work starts: a reply that is already being
+  // written finishes rather than failing halfway.
+  await consumeRateLimit(shopId, RATE_LIMIT_BUCKETS.LLM);
+
+  for (let i = 0; ; i++) {
+    const route = routes[i];
+    try {
+      const result = await complete(route, task, base);
+      await recordLlmUsage({ shopId, messageId, task, provider: route.provider, model: route.model, usage: result.usage });
+      return { ...result, content: result.message.content ?? null };
+    } catch (error) {
+      const next = routes[i + 1];
+      if (!next) throw error;
+      console.warn(
+        `[llm] ${route.provider}/${route.model} failed for ${task} (${error.status || error.message}), falling back to ${next.provider}/${next.model}`
+      );
+    }
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Mail transport for merchant-facing email (the weekly digest).
+ *
+ * SMTP_HOST selects a plain SMTP transport (SMTP_PORT, SMTP_SECURE,
+ * SMTP_USER / SMTP_PASSWORD when the server wants auth), e.g. a local mail
+ * catcher on localhost:1025 while testing. Otherwise the Gmail account used
+ * for the founder alerts (GMAIL_USER / GMAIL_APP_PASSWORD). MAIL_FROM
+ * overrides the sender address.
+ */
+
+import nodemailer from "nodemailer";
+
+let transporter = null;
+
+/**
+ * The configured transport, or null when no mail settings are present.
+ * @returns {import("nodemailer").Transporter|null}
+ */
+export function getMailTransport() {
+  if (transporter) return transporter;
+
+  const smtpHost = process.env.SMTP_HOST;
+  if (smtpHost) {
+    const user = process.env.SMTP_USER;
+    transporter = nodemailer.createTransport({
+      host: smtpHost,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      ...(user ? { auth: { user, pass: process.env.SMTP_PASSWORD || "" } } : {}),
+    });
+    return transporter;
+  }
+
+  const gmailUser = process.env.GMAIL_USER;
+  const gmailAppPassword = process.env.GMAIL_APP_PASSWORD;
+  if (gmailUser && gmailAppPassword) {
+    transporter = nodemailer.createTransport({
+      service: "gmail",
+      auth: { user: gmailUser, pass: gmailAppPassword },
+    });
+    return transporter;
+  }
+
+  return null;
+}
+
+/** Sender address for merchant email. */
+export function getMailFrom() {
+  return process.env.MAIL_FROM || process.env.SMTP_USER || process.env.GMAIL_USER || "no-reply@socialrepl.ai";
+}
@@ -1,6 +1,7 @@
 import { encryptToken, decryptToken } from "./crypto.server";
 import logger from "./logger.server";
 import supabase from "./supabase.server";
+import { consumeRateLimit, RATE_LIMIT_BUCKETS } from "./rate-limit.server";
 
 const META_APP_ID = process.env.META_APP_ID;
 const META_APP_SECRET = process.env.META_APP_SECRET;
@@ -444,6 +445,7 @@ export async function ensureInstagramWebhookSubscription(shopId) {
 /**
  * Make authenticated request to Meta Graph API with automatic token refresh
  * Uses graph.facebook.com (Facebook Login) or graph.instagram.com (Instagram Login) based on auth_type.
+ * Counts against the shop's Meta Graph rate limit (rate-limit.server.js).
  */
 export async function metaGraphAPIWithRefresh(shopId, endpoint, tokenType = "page", options = {}) {
   const auth = await getMetaAuthWithRefresh(shopId);
@@ -458,6 +460,7 @@ export async function metaGraphAPIWithRefresh(shopId, endpoint, tokenType = "pag
     throw new Error(`No ${tokenType} access token available`);
   }
 
+  await consumeRateLimit(shopId, RATE_LIMIT_BUCKETS.META_GRAPH);
   if (auth.auth_type === "instagram") {
     return metaGraphAPIInstagram(endpoint, accessToken, options);
   }
@@ -497,11 +500,28 @@ export async function sendInstagramPrivateReply(shopId, commentId, message) {
   });
 }
 
+/**
+ * Post a public threaded reply under an Instagram comment (POST /{comment-id}/replies).
+ * Same endpoint on both hosts; unlike private replies it shows on the post for everyone.
+ */
+export async function replyToInstagramComment(shopId, commentId, message) {
+  if (!shopId || !commentId || !message) {
+    throw new Error("shopId, commentId, and message are required");
+  }
+  const endpoint = `/${encodeURIComponent(commentId)}/replies`;
+  return metaGraphAPIWithRefresh(shopId, endpoint, "page", {
+    method: "POST",
+    body: { message },
+  });
+}
+
 /**
  * Send a direct Instagram DM (outbound) via Messaging API.
  * Works for both Facebook Login and Instagram Login auth types.
+ * Pass `{ humanAgent: true }` for a person replying 24h-7d after the
+ * customer's last message (HUMAN_AGENT tag; never use it for automation).
  */
-export async function sendInstagramDm(shopId, igUserId, text) {
+export async function sendInstagramDm(shopId, igUserId, text, options = {}) {
   if (!shopId || !igUserId || !text) {
     throw new Error("shopId, igUserId, and text are required");
   }
@@ -517,6 +537,7 @@ export async function sendInstagramDm(shopId, igUserId, text) {
   const messageData = {
     recipient: { id: String(igUserId) },
     message: { text: text },
+    ...(options.humanAgent ? { messaging_type: "MESSAGE_TAG", tag: "HUMAN_AGENT" } : {}),
   };
   return metaGraphAPIWithRefresh(shopId, endpoint, "page", {
     method: "POST",
@@ -1164,3 +1185,26 @@ export async function getInstagramMedia(igBusinessId, shopId, options = {}) {
   }
 }
 
+/**
+ * Currently live stories (last 24h) for the connected account. Story IDs are
+ * regular IG media IDs, and they're what Meta sends in reply_to.story.id when
+ * a customer replies to one, so they can be mapped like posts.
+ */
+export async function getInstagramStories(igBusinessId, shopId) {
+  try {
+    const auth = await getMetaAuthWithRefresh(shopId);
+    if (!auth || !auth.page_access_token) {
+      throw new Error("No Instagram access token available");
+    }
+
+    const params = { fields: "id,media_type,media_url,permalink,thumbnail_url,timestamp" };
+    const storiesEndpoint = auth.auth_type === "instagram" ? "/me/stories" : `/${igBusinessId}/stories`;
+    const storiesData = await metaGraphAPIWithRefresh(shopId, storiesEndpoint, "page", { params });
+
+    return { data: storiesData.data || [] };
+  } catch (error) {
+    console.error("[meta] Error fetching Instagram stories:", error);
+    throw error;
+  }
+}
+
@@ -18,6 +18,7 @@ const counters = {
   comment_messages_processed: 0,
   automations_sent: 0,
   automations_skipped: 0,
+  automations_deferred: 0,
   openai_requests: 0,
   openai_429s: 0,
   queue_processed: 0,
@@ -0,0 +1,74 @@
+/**
+ * STOP / START handling for the opt-out registry (opt_outs table).
+ *
+ * Only a message that IS the keyword counts ("STOP", "stop!", "Opt out"), the
+ * way SMS carriers handle it. Matching anywhere in the text made "don't cancel
+ * my order" an opt-out, and skipping just that one message meant the next DM
+ * from the same person was automated again.
+ */
+
+import { csvCell } from "./csv";
+
+const STOP_KEYWORDS = new Set([
+  "stop",
+  "stop all",
+  "stopall",
+  "unsubscribe",
+  "opt out",
+  "optout",
+  "cancel",
+  "end",
+  "quit",
+  "no more messages",
+  "no messages",
+]);
+
+const START_KEYWORDS = new Set(["start", "unstop", "subscribe", "opt in", "optin", "resume"]);
+
+export const OPT_OUT_CONFIRMATION =
+  "You're unsubscribed and won't get any more automated messages from us. Reply START anytime to opt back in.";
+
+export const OPT_IN_CONFIRMATION =
+  "You're opted back in. Reply STOP anytime to stop automated messages.";
+
+/**
+ * Detect an explicit STOP/START command.
+ * @param {string|null} text - Inbound DM text
+ * @returns {{ command: "stop"|"start", keyword: string }|null}
+ */
+export function parseOptCommand(text) {
+  const normalized = String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, " ")
+    .replace(/-/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!normalized || normalized.length > 20) return null;
+  if (STOP_KEYWORDS.has(normalized)) return { command: "stop", keyword: normalized };
+  if (START_KEYWORDS.has(normalized)) return { command: "start", keyword: normalized };
+  return null;
+}
+
+/**
+ * Compliance export of the registry (active and opted-back-in rows).
+ * @param {Array<Object>} rows - getOptOuts(shopId, { includeOptedIn: true })
+ * @returns {string} CSV text
+ */
+export function optOutsToCsv(rows) {
+  const header = ["ig_user_id", "ig_username", "status", "source", "keyword", "opted_out_at", "opted_in_at", "opted_in_source"];
+  const lines = (rows || []).map((r) =>
+    [
+      r.ig_user_id,
+      r.ig_username,
+      r.opted_in_at ? "opted_in" : "opted_out",
+      r.source,
+      r.keyword,
+      r.opted_out_at,
+      r.opted_in_at,
+      r.opted_in_source,
+    ]
+      .map(csvCell)
+      .join(",")
+  );
+  return [header.join(","), ...lines].join("\n");
+}
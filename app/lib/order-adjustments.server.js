@@ -0,0 +1,219 @@
+/**
+ * Refunds, cancellations and edits against attributed orders.
+ *
+ * recordAttribution() stores the order total once at orders/create. Later
+ * webhooks adjust it: each change becomes an attribution_adjustments row
+ * (negative = revenue lost) and attribution.net_amount is kept at
+ * amount + sum(adjustments), or zero once cancelled. Everything is in the
+ * shop currency.
+ *
+ *   - refunds/create: one 'refund' row per Shopify refund, from its successful
+ *     refund transactions. Those are in the customer's (presentment)
+ *     currency and are converted with the order's own shop/presentment ratio.
+ *   - orders/updated: the payload carries every refund so far (recorded the
+ *     same way, idempotent by refund id), then net is reconciled to Shopify's
+ *     current_total_price with an 'edit' row.
+ *   - orders/cancelled: a 'cancel' row writes off what was left, and net
+ *     stays zero from then on whatever refunds arrive afterwards.
+ *
+ * Orders we never attributed are ignored.
+ */
+
+import supabase from "./supabase.server";
+import logger from "./logger.server";
+
+// Differences below a cent are rounding, not edits.
+const MIN_ADJUSTMENT = 0.005;
+
+function toNumber(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Order money fields in shop and presentment currency. Shopify's REST
+ * total_price is already in the shop currency; the *_set fields say so
+ * explicitly and also carry what the customer paid in.
+ *
+ * @param {Object} order - orders/* webhook payload
+ * @returns {{ amount: number, currency: string, presentmentAmount: number|null, presentmentCurrency: string|null }}
+ */
+export function getOrderAmounts(order) {
+  const shopMoney = order?.total_price_set?.shop_money;
+  const presentmentMoney = order?.total_price_set?.presentment_money;
+  return {
+    amount: toNumber(shopMoney?.amount) ?? toNumber(order?.total_price) ?? toNumber(order?.current_total_price) ?? 0,
+    currency: shopMoney?.currency_code || order?.currency || "USD",
+    presentmentAmount: toNumber(presentmentMoney?.amount),
+    presentmentCurrency: presentmentMoney?.currency_code || order?.presentment_currency || null,
+  };
+}
+
+async function getAttributionForOrder(shopId, orderId) {
+  const { data, error } = await supabase
+    .from("attribution")
+    .select("order_id, amount, currency, presentment_amount, presentment_currency, cancelled_at")
+    .eq("shop_id", shopId)
+    .eq("order_id", orderId)
+    .order("created_at", { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  if (error) {
+    console.error("[order-adjustments] Error loading attribution:", error);
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Convert an amount the customer was charged/refunded into the shop currency
+ * using the order's own rate. Returns null when the currency is neither.
+ */
+function toShopCurrency(amount, currency, attribution) {
+  if (!currency || currency === attribution.currency) return amount;
+  const presentmentAmount = toNumber(attribution.presentment_amount);
+  if (currency === attribution.presentment_currency && presentmentAmount > 0) {
+    return amount * ((toNumber(attribution.amount) || 0) / presentmentAmount);
+  }
+  return null;
+}
+
+/** Refund total in the shop currency, or null when it can't be converted. */
+function refundShopAmount(refund, attribution) {
+  let total = 0;
+  for (const tx of refund?.transactions || []) {
+    if (tx?.kind !== "refund" || tx?.status !== "success") continue;
+    const converted = toShopCurrency(toNumber(tx.amount) || 0, tx.currency, attribution);
+    if (converted === null) return null;
+    total += converted;
+  }
+  return total;
+}
+
+async function insertAdjustment(shopId, orderId, row) {
+  const { error } = await supabase.from("attribution_adjustments").upsert(
+    {
+      shop_id: shopId,
+      order_id: orderId,
+      ...row,
+    },
+    { onConflict: "shop_id,order_id,kind,external_id", ignoreDuplicates: true }
+  );
+  if (error) {
+    console.error("[order-adjustments] Error recording adjustment:", error);
+    throw error;
+  }
+}
+
+async function getAdjustmentTotal(shopId, orderId) {
+  const { data, error } = await supabase
+    .from("attribution_adjustments")
+    .select("amount")
+    .eq("shop_id", shopId)
+    .eq("order_id", orderId);
+  if (error) {
+    console.error("[order-adjustments] Error loading adjustments:", error);
+    throw error;
+  }
+  return (data || []).reduce((sum, r) => sum + (toNumber(r.amount) || 0), 0);
+}
+
+async function updateNetAmount(shopId, orderId, attribution, extra = {}) {
+  const cancelled = !!(extra.cancelled_at || attribution.cancelled_at);
+  const netAmount = cancelled ? 0 : (toNumber(attribution.amount) || 0) + (await getAdjustmentTotal(shopId, orderId));
+  const { error } = await supabase
+    .from("attribution")
+    .update({ net_amount: netAmount, ...extra })
+    .eq("shop_id", shopId)
+    .eq("order_id", orderId);
+  if (error) {
+    console.error("[order-adjustments] Error updating net amount:", error);
+    throw error;
+  }
+  return netAmount;
+}
+
+async function recordRefund(shopId, orderId, refund, attribution) {
+  const refundId = refund?.id?.toString();
+  if (!refundId) return false;
+  const amount = refundShopAmount(refund, attribution);
+  if (amount === null) {
+    console.warn(`[order-adjustments] Refund ${refundId} on order ${orderId} is in an unexpected currency; skipping`);
+    return false;
+  }
+  if (amount < MIN_ADJUSTMENT) return false;
+  const firstTx = (refund.transactions || []).find((tx) => tx?.kind === "refund" && tx?.status === "success");
+  await insertAdjustment(shopId, orderId, {
+    kind: "refund",
+    external_id: refundId,
+    amount: -amount,
+    original_amount: firstTx ? -(toNumber(firstTx.amount) || 0) : null,
+    original_currency: firstTx?.currency || null,
+  });
+  return true;
+}
+
+/**
+ * refunds/create: record one refund against its attributed order.
+ * Returns the order's new net amount, or null when the order isn't ours.
+ *
+ * @param {string} shopId
+ * @param {Object} refund - refunds/create webhook payload
+ */
+export async function recordRefundAdjustment(shopId, refund) {
+  const orderId = refund?.order_id?.toString();
+  if (!shopId || !orderId) return null;
+  const attribution = await getAttributionForOrder(shopId, orderId);
+  if (!attribution) return null;
+
+  await recordRefund(shopId, orderId, refund, attribution);
+  const netAmount = await updateNetAmount(shopId, orderId, attribution);
+  logger.debug(`[order-adjustments] Order ${orderId} net after refund: ${netAmount}`);
+  return netAmount;
+}
+
+/**
+ * orders/updated and orders/cancelled: catch up on refunds, then reconcile
+ * net to what Shopify says the order is worth now (zero once cancelled).
+ * Returns the new net amount, or null when the order isn't ours.
+ *
+ * @param {string} shopId
+ * @param {Object} order - orders/updated or orders/cancelled webhook payload
+ */
+export async function syncOrderAdjustments(shopId, order) {
+  const orderId = order?.id?.toString();
+  if (!shopId || !orderId) return null;
+  const attribution = await getAttributionForOrder(shopId, orderId);
+  if (!attribution) return null;
+
+  for (const refund of order.refunds || []) {
+    await recordRefund(shopId, orderId, refund, attribution);
+  }
+
+  const cancelled = !!order.cancelled_at;
+  const target = cancelled
+    ? 0
+    : toNumber(order.current_total_price_set?.shop_money?.amount) ?? toNumber(order.current_total_price);
+
+  // Once cancelled, net is pinned to zero; the one 'cancel' row records the write-off.
+  if (target !== null && !attribution.cancelled_at) {
+    const net = (toNumber(attribution.amount) || 0) + (await getAdjustmentTotal(shopId, orderId));
+    const delta = target - net;
+    if (Math.abs(delta) >= MIN_ADJUSTMENT) {
+      await insertAdjustment(shopId, orderId, {
+        kind: cancelled ? "cancel" : "edit",
+        external_id: cancelled ? "cancel" : order.updated_at || new Date().toISOString(),
+        amount: delta,
+      });
+    }
+  }
+
+  const netAmount = await updateNetAmount(
+    shopId,
+    orderId,
+    attribution,
+    cancelled ? { cancelled_at: order.cancelled_at } : {}
+  );
+  logger.debug(`[order-adjustments] Order ${orderId} net after update: ${netAmount}`);
+  return netAmount;
+}
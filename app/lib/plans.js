@@ -1,3 +1,9 @@
+// llmTokenBudget: monthly LLM tokens (prompt + completion) per shop before
+// replies drop to the canned templates; null = no budget. Overridable with
+// LLM_TOKEN_BUDGET_<PLAN> on the server (llm-usage.server.js).
+// rateLimits: shared per-shop limits (rate-limit.server.js). LLM and Meta
+// Graph calls per minute, and automated runs per Instagram customer per
+// hour; a message over a limit waits in the deferred queue.
 export const PLANS = {
   FREE: {
     name: "FREE",
@@ -8,6 +14,8 @@ export const PLANS = {
     brandVoice: false,
     followup: false,
     prioritySupport: false,
+    llmTokenBudget: null,
+    rateLimits: { llmCallsPerMinute: 30, metaCallsPerMinute: 60, repliesPerCustomerPerHour: 10 },
   },
   GROWTH: {
     name: "GROWTH",
@@ -18,6 +26,8 @@ export const PLANS = {
     brandVoice: true,
     followup: false,
     prioritySupport: false,
+    llmTokenBudget: null,
+    rateLimits: { llmCallsPerMinute: 120, metaCallsPerMinute: 120, repliesPerCustomerPerHour: 20 },
   },
   PRO: {
     name: "PRO",
@@ -28,6 +38,8 @@ export const PLANS = {
     brandVoice: true,
     followup: true,
     prioritySupport: true,
+    llmTokenBudget: null,
+    rateLimits: { llmCallsPerMinute: 300, metaCallsPerMinute: 240, repliesPerCustomerPerHour: 30 },
   },
 };
 
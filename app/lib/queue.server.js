@@ -1,6 +1,8 @@
 import supabase from "./supabase.server";
+import { isOptedOut } from "./db.server";
 import { getMetaAuthWithRefresh, getInstagramUserIdFromToken, metaGraphAPI, metaGraphAPIInstagram } from "./meta.server";
 import { incCounter } from "./metrics.server";
+import { consumeRateLimit, peekRateLimit, RATE_LIMIT_BUCKETS } from "./rate-limit.server";
 import logger from "./logger.server";
 
 const MAX_PER_MINUTE = 120;
@@ -79,6 +81,7 @@ export async function sendDmNow(shopId, igUserId, text) {
     message: { text: text },
   };
 
+  await consumeRateLimit(shopId, RATE_LIMIT_BUCKETS.META_GRAPH);
   const apiCall =
     metaAuth.auth_type === "instagram"
       ? () => metaGraphAPIInstagram(endpoint, accessToken, { method: "POST", body: messageData })
@@ -149,12 +152,25 @@ export async function processDmQueue() {
   for (const row of rows) {
     processed += 1;
 
-    const allowed = await canSendForShop(row.shop_id);
+    // The customer may have sent STOP after this DM was queued.
+    if (await isOptedOut(row.shop_id, row.ig_user_id)) {
+      await supabase
+        .from("outbound_dm_queue")
+        .update({ status: "failed", last_error: "Recipient opted out", processing_since: null, updated_at: new Date().toISOString() })
+        .eq("id", row.id);
+      failed += 1;
+      continue;
+    }
+
+    // Over the shop's Meta Graph limit (rate-limit.server.js): wait for the
+    // window to reopen instead of spending the send.
+    const metaLimit = await peekRateLimit(row.shop_id, RATE_LIMIT_BUCKETS.META_GRAPH);
+    const allowed = metaLimit.allowed && (await canSendForShop(row.shop_id));
     if (!allowed) {
-      const nextMinute = new Date(Date.now() + 60 * 1000).toISOString();
+      const notBefore = metaLimit.allowed ? new Date(Date.now() + 60 * 1000).toISOString() : metaLimit.retryAt;
       await supabase
         .from("outbound_dm_queue")
-        .update({ not_before: nextMinute, status: "pending", processing_since: null, updated_at: new Date().toISOString() })
+        .update({ not_before: notBefore, status: "pending", processing_since: null, updated_at: new Date().toISOString() })
         .eq("id", row.id);
       continue;
     }
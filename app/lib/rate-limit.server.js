@@ -0,0 +1,163 @@
+/**
+ * Shared rate limiter (supabase_migration_rate_limits.sql).
+ *
+ * Counts live in Postgres (rate_limit_counters, one row per shop, bucket and
+ * fixed window), so limits hold across replicas and survive deploys. The
+ * limits come from the shop's plan (plans.js rateLimits).
+ *
+ * Buckets:
+ * - llm: every chatCompletion() made for a shop (llm.server.js)
+ * - meta_graph: Meta Graph calls made with a shop's token (meta.server.js,
+ *   queue.server.js)
+ * - customer_replies: automated replies sent per Instagram customer, per hour
+ *
+ * Calls are counted where they happen and checked where work starts:
+ * inbound automations (inbound-automation.server.js) go to the deferred queue
+ * instead of running while the shop is over its LLM or Meta limit, the DM
+ * queue and follow-ups hold their sends the same way. A run that started
+ * under the limit finishes, so a window can overshoot by one run's calls.
+ *
+ * Fail-open: when the counters can't be read or written, work goes ahead.
+ */
+
+import supabase from "./supabase.server";
+import { cached } from "./loader-cache.server";
+import { getShopPlanAndUsage } from "./db.server";
+import { PLANS } from "./plans";
+
+export const RATE_LIMIT_BUCKETS = {
+  LLM: "llm",
+  META_GRAPH: "meta_graph",
+  CUSTOMER_REPLIES: "customer_replies",
+};
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const BUCKET_CONFIG = {
+  [RATE_LIMIT_BUCKETS.LLM]: { planKey: "llmCallsPerMinute", windowMs: MINUTE_MS },
+  [RATE_LIMIT_BUCKETS.META_GRAPH]: { planKey: "metaCallsPerMinute", windowMs: MINUTE_MS },
+  [RATE_LIMIT_BUCKETS.CUSTOMER_REPLIES]: { planKey: "repliesPerCustomerPerHour", windowMs: HOUR_MS },
+};
+
+const PLAN_CACHE_TTL_MS = 60 * 1000;
+
+// Counter rows are only read for the current window; keep two hours so the
+// hourly bucket's current row is never swept.
+const COUNTER_RETENTION_MS = 2 * HOUR_MS;
+
+/**
+ * The plan's limit for a bucket, or null for none.
+ * @param {Object|null} plan - getPlanConfig() result
+ * @param {string} bucket - RATE_LIMIT_BUCKETS value
+ * @returns {number|null}
+ */
+export function getRateLimit(plan, bucket) {
+  const limit = plan?.rateLimits?.[BUCKET_CONFIG[bucket]?.planKey];
+  return Number.isFinite(limit) && limit > 0 ? limit : null;
+}
+
+// Under the smallest limit any plan has, no plan lookup is needed.
+function lowestPlanLimit(bucket) {
+  const limits = Object.values(PLANS).map((plan) => getRateLimit(plan, bucket));
+  return limits.includes(null) ? Infinity : Math.min(...limits);
+}
+
+function currentWindow(bucket, now = Date.now()) {
+  const { windowMs } = BUCKET_CONFIG[bucket];
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { windowStart: new Date(start).toISOString(), retryAt: new Date(start + windowMs).toISOString() };
+}
+
+function counterKey(bucket, key) {
+  return key ? `${bucket}:${key}` : bucket;
+}
+
+async function shopPlan(shopId) {
+  return cached(`ratelimitplan:${shopId}`, PLAN_CACHE_TTL_MS, async () => (await getShopPlanAndUsage(shopId)).plan);
+}
+
+async function isOverLimit(shopId, bucket, count, plan) {
+  if (count <= lowestPlanLimit(bucket)) return false;
+  const limit = getRateLimit(plan || (await shopPlan(shopId)), bucket);
+  return limit != null && count > limit;
+}
+
+/**
+ * Count one call against a bucket's current window.
+ *
+ * @param {string} shopId
+ * @param {string} bucket - RATE_LIMIT_BUCKETS value
+ * @param {Object} [options]
+ * @param {string|null} [options.key] - Sub-key, e.g. the IG user for customer_replies
+ * @param {Object|null} [options.plan] - The shop's plan config, when the caller has it
+ * @returns {Promise<{ allowed: boolean, retryAt: string }>} allowed is false when this call went over the limit
+ */
+export async function consumeRateLimit(shopId, bucket, { key = null, plan = null } = {}) {
+  const { windowStart, retryAt } = currentWindow(bucket);
+  if (!shopId) return { allowed: true, retryAt };
+  try {
+    const { data, error } = await supabase.rpc("increment_rate_limit_counter", {
+      p_shop_id: shopId,
+      p_bucket: counterKey(bucket, key),
+      p_window_start: windowStart,
+    });
+    if (error) throw error;
+    return { allowed: !(await isOverLimit(shopId, bucket, Number(data || 0), plan)), retryAt };
+  } catch (error) {
+    console.warn(`[rate-limit] Could not count ${bucket} for shop ${shopId}, allowing:`, error?.message || error);
+    return { allowed: true, retryAt };
+  }
+}
+
+/**
+ * Whether the bucket's current window is already at its limit, without
+ * counting anything.
+ *
+ * @param {string} shopId
+ * @param {string} bucket - RATE_LIMIT_BUCKETS value
+ * @param {Object} [options] - Same as consumeRateLimit
+ * @returns {Promise<{ allowed: boolean, retryAt: string }>}
+ */
+export async function peekRateLimit(shopId, bucket, { key = null, plan = null } = {}) {
+  const { windowStart, retryAt } = currentWindow(bucket);
+  if (!shopId) return { allowed: true, retryAt };
+  try {
+    const { data, error } = await supabase
+      .from("rate_limit_counters")
+      .select("count")
+      .eq("shop_id", shopId)
+      .eq("bucket", counterKey(bucket, key))
+      .eq("window_start", windowStart)
+      .maybeSingle();
+    if (error) throw error;
+    // The next call would be count + 1.
+    return { allowed: !(await isOverLimit(shopId, bucket, Number(data?.count || 0) + 1, plan)), retryAt };
+  } catch (error) {
+    console.warn(`[rate-limit] Could not read ${bucket} for shop ${shopId}, allowing:`, error?.message || error);
+    return { allowed: true, retryAt };
+  }
+}
+
+/**
+ * The first of `buckets` the shop is at its limit for, or null when all
+ * have room.
+ * @param {string} shopId
+ * @param {string[]} buckets - RATE_LIMIT_BUCKETS values
+ * @param {Object|null} [plan]
+ * @returns {Promise<{ bucket: string, retryAt: string } | null>}
+ */
+export async function firstExhaustedRateLimit(shopId, buckets, plan = null) {
+  for (const bucket of buckets) {
+    const { allowed, retryAt } = await peekRateLimit(shopId, bucket, { plan });
+    if (!allowed) return { bucket, retryAt };
+  }
+  return null;
+}
+
+/** Drop counter rows for windows that have closed. Best-effort. */
+export async function cleanOldRateLimitCounters() {
+  const cutoff = new Date(Date.now() - COUNTER_RETENTION_MS).toISOString();
+  const { error } = await supabase.from("rate_limit_counters").delete().lt("window_start", cutoff);
+  if (error) console.warn("[rate-limit] Error cleaning old counters:", error.message);
+}
@@ -1,5 +1,7 @@
 /**
- * In-process scheduler for outbound DM queue + follow-up automation.
+ * In-process scheduler for outbound DM queue, deferred automations,
+ * follow-up automation, abandoned-checkout recovery, the analytics rollups
+ * and the weekly performance email.
  *
  * Why in-process?
  *   - One less moving piece (no Railway dashboard cron, no external scheduler).
@@ -7,15 +9,20 @@
  *     safe even if multiple app instances run their own scheduler — at most
  *     one instance will claim each row.
  *
- * The legacy /cron/dm-queue and /cron/followups HTTP endpoints still work and
- * can be used for manual triggering or by an external scheduler (set
- * DISABLE_SCHEDULER=true to keep them as the only path).
+ * The legacy /cron/dm-queue, /cron/deferred-automations, /cron/followups,
+ * /cron/checkout-recovery, /cron/analytics-rollup and /cron/weekly-digest HTTP endpoints still work and can be used for manual triggering or by an
+ * external scheduler (set DISABLE_SCHEDULER=true to keep them as the only
+ * path).
  */
 
 import logger from "./logger.server";
 
 const DM_QUEUE_INTERVAL_MS = 60 * 1000;          // every 1 minute
-const FOLLOWUPS_INTERVAL_MS = 60 * 60 * 1000;    // every 1 hour
+const DEFERRED_INTERVAL_MS = 60 * 1000;          // every 1 minute (rate limit windows are per minute)
+const FOLLOWUPS_INTERVAL_MS = 15 * 60 * 1000;    // every 15 minutes
+const RECOVERY_INTERVAL_MS = 5 * 60 * 1000;      // every 5 minutes
+const ANALYTICS_INTERVAL_MS = 10 * 60 * 1000;    // every 10 minutes
+const WEEKLY_DIGEST_INTERVAL_MS = 60 * 60 * 1000; // every hour (sends once a week per shop)
 const STARTUP_DELAY_MS = 10 * 1000;              // wait 10s after boot
 
 let started = false;
@@ -32,6 +39,18 @@ async function tickDmQueue() {
   }
 }
 
+async function tickDeferredAutomations() {
+  try {
+    const { processDeferredAutomations } = await import("./inbound-automation.server");
+    const result = await processDeferredAutomations();
+    if (result?.processed > 0) {
+      logger.debug("[scheduler] deferred-automations tick", result);
+    }
+  } catch (err) {
+    console.error("[scheduler] deferred-automations tick error:", err?.message || err);
+  }
+}
+
 async function tickFollowups() {
   try {
     const { processFollowups } = await import("./followup.server");
@@ -42,6 +61,36 @@ async function tickFollowups() {
   }
 }
 
+async function tickCheckoutRecovery() {
+  try {
+    const { processCheckoutRecoveries } = await import("./checkout-recovery.server");
+    const result = await processCheckoutRecoveries();
+    if (result?.processed > 0) {
+      logger.debug("[scheduler] checkout-recovery tick", result);
+    }
+  } catch (err) {
+    console.error("[scheduler] checkout-recovery tick error:", err?.message || err);
+  }
+}
+
+async function tickAnalyticsRollup() {
+  try {
+    const { refreshAnalyticsRollups } = await import("./analytics-rollup.server");
+    await refreshAnalyticsRollups();
+  } catch (err) {
+    console.error("[scheduler] analytics-rollup tick error:", err?.message || err);
+  }
+}
+
+async function tickWeeklyDigest() {
+  try {
+    const { sendWeeklyDigests } = await import("./weekly-digest.server");
+    await sendWeeklyDigests();
+  } catch (err) {
+    console.error("[scheduler] weekly-digest tick error:", err?.message || err);
+  }
+}
+
 /**
  * Start the in-process scheduler. Idempotent — calling twice is a no-op.
  * Returns false if scheduling is disabled by environment.
@@ -58,16 +107,28 @@ export function startScheduler() {
 
   logger.debug(
     `[scheduler] starting (dm-queue every ${DM_QUEUE_INTERVAL_MS / 1000}s, ` +
-      `followups every ${FOLLOWUPS_INTERVAL_MS / 60000}min)`
+      `deferred-automations every ${DEFERRED_INTERVAL_MS / 1000}s, ` +
+      `followups every ${FOLLOWUPS_INTERVAL_MS / 60000}min, ` +
+      `checkout-recovery every ${RECOVERY_INTERVAL_MS / 60000}min, ` +
+      `analytics-rollup every ${ANALYTICS_INTERVAL_MS / 60000}min, ` +
+      `weekly-digest every ${WEEKLY_DIGEST_INTERVAL_MS / 60000}min)`
   );
 
   // Wait a beat after boot so DB / env / supabase clients are ready, then
   // immediately run a first pass and start the recurring intervals.
   setTimeout(() => {
     tickDmQueue();
+    tickDeferredAutomations();
     tickFollowups();
+    tickCheckoutRecovery();
+    tickAnalyticsRollup();
+    tickWeeklyDigest();
     setInterval(tickDmQueue, DM_QUEUE_INTERVAL_MS);
+    setInterval(tickDeferredAutomations, DEFERRED_INTERVAL_MS);
     setInterval(tickFollowups, FOLLOWUPS_INTERVAL_MS);
+    setInterval(tickCheckoutRecovery, RECOVERY_INTERVAL_MS);
+    setInterval(tickAnalyticsRollup, ANALYTICS_INTERVAL_MS);
+    setInterval(tickWeeklyDigest, WEEKLY_DIGEST_INTERVAL_MS);
   }, STARTUP_DELAY_MS);
 
   return true;
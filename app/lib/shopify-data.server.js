@@ -520,6 +520,112 @@ export async function getShopPrimaryDomainHost(shopDomain) {
   });
 }
 
+/**
+ * Whether a product can still be bought on the storefront: it exists, is
+ * ACTIVE, is published to the Online Store and has a variant for sale. Also
+ * returns the numeric IDs of its variants for sale (a link for one variant
+ * needs that variant in stock), and its handle and first collection handle
+ * for fallbacks. Cached 5
+ * minutes per product (tracked-link clicks call this). Returns null when the
+ * shop has no session or the lookup fails, so callers can keep the original
+ * destination rather than guess.
+ *
+ * @param {string} shopDomain
+ * @param {string} productId - Shopify product GID
+ * @returns {Promise<{available: boolean, availableVariantIds: string[], handle: string|null, collectionHandle: string|null}|null>}
+ */
+export async function getProductAvailability(shopDomain, productId) {
+  if (!shopDomain || !productId) return null;
+  return cached(`productavail:${shopDomain}:${productId}`, 5 * 60 * 1000, async () => {
+    const admin = await getAdminClient(shopDomain);
+    if (!admin) throw new Error("no admin session");
+    const response = await shopGraphql(
+      admin,
+      `query productAvailability($id: ID!) {
+        product(id: $id) {
+          status
+          handle
+          onlineStoreUrl
+          collections(first: 1) { nodes { handle } }
+          variants(first: 100) { nodes { id availableForSale } }
+        }
+      }`,
+      { id: productId }
+    );
+    if (response?.errors?.length) {
+      throw new Error(response.errors[0]?.message || "GraphQL error");
+    }
+    const product = response?.data?.product;
+    // Deleted products come back as null.
+    if (!product) return { available: false, availableVariantIds: [], handle: null, collectionHandle: null };
+    const availableVariantIds = (product.variants?.nodes || [])
+      .filter((v) => v.availableForSale)
+      .map((v) => String(v.id).split("/").pop());
+    return {
+      available: product.status === "ACTIVE" && !!product.onlineStoreUrl && availableVariantIds.length > 0,
+      availableVariantIds,
+      handle: product.handle || null,
+      collectionHandle: product.collections?.nodes?.[0]?.handle || null,
+    };
+  }).catch((err) => {
+    logger.debug(`[shopify-data] availability lookup failed for ${productId} on ${shopDomain}: ${err?.message || err}`);
+    return null;
+  });
+}
+
+/**
+ * Create a single-use percentage discount code on the store (requires the
+ * write_discounts scope). The code applies to the whole order, can be
+ * redeemed once in total, and expires at `endsAt`. Throws on user errors or
+ * when the shop has no usable session, since the caller must not hand the
+ * customer a code that doesn't exist.
+ *
+ * @param {string} shopDomain
+ * @param {{ code: string, title: string, percent: number, endsAt: string }} discount
+ * @returns {Promise<string>} the DiscountCodeNode GID
+ */
+export async function createShopifyBasicDiscount(shopDomain, { code, title, percent, endsAt }) {
+  const admin = await getAdminClient(shopDomain);
+  if (!admin) throw new Error(`No Admin API session for ${shopDomain}`);
+
+  const response = await shopGraphql(
+    admin,
+    `mutation createAgentDiscount($basicCodeDiscount: DiscountCodeBasicInput!) {
+      discountCodeBasicCreate(basicCodeDiscount: $basicCodeDiscount) {
+        codeDiscountNode { id }
+        userErrors { field code message }
+      }
+    }`,
+    {
+      basicCodeDiscount: {
+        title,
+        code,
+        startsAt: new Date().toISOString(),
+        endsAt,
+        context: { all: "ALL" },
+        customerGets: {
+          value: { percentage: percent / 100 },
+          items: { all: true },
+        },
+        usageLimit: 1,
+        appliesOncePerCustomer: true,
+        combinesWith: { orderDiscounts: false, productDiscounts: false, shippingDiscounts: true },
+      },
+    },
+  );
+
+  const result = response?.data?.discountCodeBasicCreate;
+  const userErrors = result?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new Error(`discountCodeBasicCreate: ${userErrors.map((e) => e.message).join("; ")}`);
+  }
+  const id = result?.codeDiscountNode?.id;
+  if (!id) {
+    throw new Error(`discountCodeBasicCreate returned no discount${response?.errors ? `: ${JSON.stringify(response.errors)}` : ""}`);
+  }
+  return id;
+}
+
 /**
  * Fetch full product context (title, description, options, variant options) for AI replies.
  * Used when replying to comments on mapped products so the AI can answer variant questions
@@ -950,3 +1056,56 @@ export async function searchProductsByDomain(shopDomain, searchTerm, limit = 5)
   }
 }
 
+
+const CATALOG_IMAGES_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Active products with their featured image, for matching a customer's DM
+ * screenshot against the catalog. Cached per shop: a burst of image DMs
+ * shouldn't re-query the catalog every time.
+ * @param {string} shopDomain - Shop domain
+ * @param {number} limit - Maximum number of products (default: 50)
+ * @returns {Promise<Array<{id, title, handle, imageUrl, variantId}>>}
+ */
+export async function getCatalogImageCandidates(shopDomain, limit = 50) {
+  if (!shopDomain) return [];
+  try {
+    return await cached(`catalogimages:${shopDomain}`, CATALOG_IMAGES_TTL_MS, async () => {
+      const admin = await getAdminClient(shopDomain);
+      if (!admin) return [];
+
+      const response = await shopGraphql(
+        admin,
+        `query catalogImages($first: Int!) {
+          products(first: $first, query: "status:active", sortKey: UPDATED_AT, reverse: true) {
+            nodes {
+              id
+              title
+              handle
+              featuredMedia {
+                preview {
+                  image { url(transform: { maxWidth: 512, maxHeight: 512 }) }
+                }
+              }
+              variants(first: 1) { nodes { id } }
+            }
+          }
+        }`,
+        { first: limit }
+      );
+
+      return (response?.data?.products?.nodes || [])
+        .map((p) => ({
+          id: p.id,
+          title: p.title,
+          handle: p.handle || null,
+          imageUrl: p.featuredMedia?.preview?.image?.url || null,
+          variantId: p.variants?.nodes?.[0]?.id || null,
+        }))
+        .filter((p) => p.imageUrl);
+    });
+  } catch (error) {
+    console.error("[shopify-data] Error fetching catalog images:", error?.message);
+    return [];
+  }
+}
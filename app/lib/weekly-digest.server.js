@@ -0,0 +1,311 @@
+/**
+ * Weekly performance email for merchants who opt in (settings
+ * weekly_digest_enabled + weekly_digest_recipients): messages handled, links
+ * sent, clicks and attributed revenue for the previous week, each compared
+ * with the week before, plus top posts and missed opportunities.
+ *
+ * Weeks run Monday to Sunday in UTC. The scheduler ticks hourly and sends the
+ * week that just ended from Monday on; a shop that turns the email on later
+ * in the week waits for the next Monday instead of getting a stale report.
+ *
+ * Concurrency notes:
+ *   - A weekly_digests row (UNIQUE shop_id, week_start) is claimed BEFORE
+ *     sending, so several app instances send each digest once.
+ *   - If the send fails the claim is deleted and the next tick retries.
+ *
+ * Mail goes through mailer.server.js (SMTP_HOST, or the Gmail account).
+ */
+
+import supabase from "./supabase.server";
+import {
+  getAnalytics,
+  getMissedOpportunityComments,
+  getProductMappings,
+  getShopPlanAndUsage,
+} from "./db.server";
+import { getMailTransport, getMailFrom } from "./mailer.server";
+import logger from "./logger.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Send the week that just ended until this many days after it closed.
+const SEND_WINDOW_DAYS = 2;
+const MISSED_EXAMPLES = 3;
+
+export const MAX_DIGEST_RECIPIENTS = 10;
+
+const EMAIL_RE = /^[^\s@,;<>]+@[^\s@,;<>]+\.[^\s@,;<>]+$/;
+
+/**
+ * Split a comma / newline separated recipient list, de-duplicated and
+ * lowercased. Anything that doesn't look like an address comes back in
+ * `invalid`.
+ *
+ * @param {string} input
+ * @returns {{ recipients: string[], invalid: string[] }}
+ */
+export function parseDigestRecipients(input) {
+  const recipients = [];
+  const invalid = [];
+  for (const part of String(input || "").split(/[\s,;]+/)) {
+    const email = part.trim().toLowerCase();
+    if (!email) continue;
+    if (!EMAIL_RE.test(email)) {
+      invalid.push(part.trim());
+    } else if (!recipients.includes(email)) {
+      recipients.push(email);
+    }
+  }
+  return { recipients, invalid };
+}
+
+/** Monday 00:00 UTC of the week before `now`'s week. */
+export function previousWeekStart(now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+  return new Date(today - (daysSinceMonday + 7) * DAY_MS);
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/** First and last day (YYYY-MM-DD) of the week starting at weekStart. */
+function weekRange(weekStart) {
+  return { startDate: isoDate(weekStart), endDate: isoDate(new Date(weekStart.getTime() + 6 * DAY_MS)) };
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency: currency || "USD" }).format(amount || 0);
+  } catch {
+    return `${(amount || 0).toFixed(2)} ${currency || ""}`.trim();
+  }
+}
+
+/** "+12%", "-5%", "no change", or "new" when last week was zero. */
+function formatChange(current, previous) {
+  if (!previous) return current ? "new" : "no change";
+  const pct = Math.round(((current - previous) / previous) * 100);
+  if (pct === 0) return "no change";
+  return `${pct > 0 ? "+" : ""}${pct}%`;
+}
+
+function truncate(text, max) {
+  const s = String(text || "").replace(/\s+/g, " ").trim();
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+/**
+ * Figures and rendered email for one shop's week.
+ *
+ * @param {{ id: string, shopify_domain: string }} shop
+ * @param {string} planName
+ * @param {Date} weekStart - Monday 00:00 UTC
+ * @returns {Promise<{ subject: string, text: string, html: string }>}
+ */
+export async function buildWeeklyDigest(shop, planName, weekStart) {
+  const week = weekRange(weekStart);
+  const prior = weekRange(new Date(weekStart.getTime() - 7 * DAY_MS));
+  const isPaid = planName === "GROWTH" || planName === "PRO";
+
+  const [current, previous, missed, mappings] = await Promise.all([
+    getAnalytics(shop.id, planName, week),
+    // Totals only for the comparison week, so no top posts.
+    getAnalytics(shop.id, "FREE", prior),
+    // FREE plans don't reply to comments, so every buying comment is missed;
+    // paid plans only miss the ones the automation skipped.
+    getMissedOpportunityComments(shop.id, {
+      limit: 100,
+      startDate: week.startDate,
+      endDate: `${week.endDate}T23:59:59.999Z`,
+      skippedOnly: isPaid,
+    }),
+    isPaid ? getProductMappings(shop.id).catch(() => []) : Promise.resolve([]),
+  ]);
+
+  const metrics = [
+    { label: "Messages handled", current: current.messagesReceived, previous: previous.messagesReceived },
+    { label: "Links sent", current: current.linksSent, previous: previous.linksSent },
+    { label: "Link clicks", current: current.clicks, previous: previous.clicks },
+    {
+      label: "Attributed revenue",
+      current: current.netRevenue,
+      previous: previous.netRevenue,
+      money: true,
+    },
+  ].map((m) => ({
+    ...m,
+    value: m.money ? formatMoney(m.current, current.currency) : String(m.current),
+    change: formatChange(m.current, m.previous),
+  }));
+
+  const handleByMedia = new Map(mappings.map((m) => [m.ig_media_id, m.product_handle]));
+  const topPosts = current.topPosts.map((p) => ({
+    ...p,
+    label: handleByMedia.get(p.mediaId) ? `Post for ${handleByMedia.get(p.mediaId)}` : `Post ${p.mediaId}`,
+    revenueText: formatMoney(p.revenue, current.currency),
+  }));
+  const missedExamples = missed.slice(0, MISSED_EXAMPLES).map((c) => ({
+    from: c.from_username ? `@${c.from_username}` : "A customer",
+    text: truncate(c.text, 140),
+  }));
+
+  const storeName = shop.shopify_domain.replace(".myshopify.com", "");
+  const subject = `Your week on Instagram: ${metrics[0].value} messages, ${metrics[3].value} in sales (${storeName})`;
+  const weekLabel = `${week.startDate} to ${week.endDate}`;
+  const missedIntro = isPaid
+    ? `${missed.length} buying ${missed.length === 1 ? "comment was" : "comments were"} skipped by the automation`
+    : `${missed.length} buying ${missed.length === 1 ? "comment" : "comments"} got no reply — comment replies are included in Growth`;
+  const footer = "You're getting this because the weekly email is turned on in SocialRepl.ai. Turn it off under Weekly email on the app's home page.";
+
+  const text = [
+    `SocialRepl.ai weekly report for ${shop.shopify_domain}`,
+    `Week of ${weekLabel} (UTC), compared with the week before.`,
+    "",
+    ...metrics.map((m) => `${m.label}: ${m.value} (${m.change})`),
+    ...(topPosts.length > 0
+      ? [
+        "",
+        "Top posts:",
+        ...topPosts.map((p, i) =>
+          `${i + 1}. ${p.label}: ${p.comments} comments, ${p.dmsSent} DMs, ${p.clicks} clicks, ${p.orders} orders, ${p.revenueText}`),
+      ]
+      : []),
+    ...(missed.length > 0
+      ? ["", `Missed opportunities: ${missedIntro}.`, ...missedExamples.map((c) => `- ${c.from}: "${c.text}"`)]
+      : []),
+    "",
+    footer,
+  ].join("\n");
+
+  const cell = "padding:6px 12px;border-bottom:1px solid #e3e3e3;";
+  const html = `<div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#303030;max-width:560px;">
+<h2 style="margin:0 0 4px;">Your week on Instagram</h2>
+<p style="margin:0 0 16px;color:#616161;">${escapeHtml(shop.shopify_domain)} · ${escapeHtml(weekLabel)} (UTC), compared with the week before</p>
+<table style="border-collapse:collapse;width:100%;">
+${metrics.map((m) => `<tr><td style="${cell}">${escapeHtml(m.label)}</td><td style="${cell}text-align:right;font-weight:600;">${escapeHtml(m.value)}</td><td style="${cell}text-align:right;color:#616161;">${escapeHtml(m.change)}</td></tr>`).join("\n")}
+</table>
+${topPosts.length > 0
+    ? `<h3 style="margin:24px 0 8px;">Top posts</h3>
+<table style="border-collapse:collapse;width:100%;">
+<tr><th style="${cell}text-align:left;">Post</th><th style="${cell}text-align:right;">Comments</th><th style="${cell}text-align:right;">Clicks</th><th style="${cell}text-align:right;">Orders</th><th style="${cell}text-align:right;">Revenue</th></tr>
+${topPosts.map((p) => `<tr><td style="${cell}">${escapeHtml(p.label)}</td><td style="${cell}text-align:right;">${p.comments}</td><td style="${cell}text-align:right;">${p.clicks}</td><td style="${cell}text-align:right;">${p.orders}</td><td style="${cell}text-align:right;">${escapeHtml(p.revenueText)}</td></tr>`).join("\n")}
+</table>`
+    : ""}
+${missed.length > 0
+    ? `<h3 style="margin:24px 0 8px;">Missed opportunities</h3>
+<p style="margin:0 0 8px;">${escapeHtml(missedIntro)}.</p>
+<ul style="margin:0;padding-left:20px;">${missedExamples.map((c) => `<li>${escapeHtml(c.from)}: “${escapeHtml(c.text)}”</li>`).join("")}</ul>`
+    : ""}
+<p style="margin:24px 0 0;font-size:12px;color:#8a8a8a;">${escapeHtml(footer)}</p>
+</div>`;
+
+  return { subject, text, html };
+}
+
+/** Release a claim so the next tick retries the send. */
+async function releaseClaim(claimId) {
+  const { error } = await supabase.from("weekly_digests").delete().eq("id", claimId);
+  if (error) console.error("[weekly-digest] Error releasing claim:", error);
+}
+
+/**
+ * Send last week's digest to every opted-in shop that hasn't had it yet.
+ * Safe to call as often as you like (claims make it send once per week).
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ sent: number, failed: number, skipped: number }>}
+ */
+export async function sendWeeklyDigests(now = new Date()) {
+  const result = { sent: 0, failed: 0, skipped: 0 };
+
+  const weekStart = previousWeekStart(now);
+  const weekEnded = weekStart.getTime() + 7 * DAY_MS;
+  if (now.getTime() - weekEnded > SEND_WINDOW_DAYS * DAY_MS) return result;
+
+  const transport = getMailTransport();
+  if (!transport) {
+    logger.debug("[weekly-digest] No mail transport configured (SMTP_HOST or GMAIL_USER); skipping");
+    return result;
+  }
+
+  const { data: optedIn, error } = await supabase
+    .from("settings")
+    .select("shop_id, weekly_digest_recipients")
+    .eq("weekly_digest_enabled", true);
+  if (error) {
+    console.error("[weekly-digest] Error fetching opted-in shops:", error);
+    return result;
+  }
+  if (!optedIn || optedIn.length === 0) return result;
+
+  const { data: shops, error: shopsError } = await supabase
+    .from("shops")
+    .select("id, shopify_domain")
+    .in("id", optedIn.map((row) => row.shop_id))
+    .eq("active", true);
+  if (shopsError) {
+    console.error("[weekly-digest] Error fetching shops:", shopsError);
+    return result;
+  }
+  const shopsById = new Map((shops || []).map((shop) => [shop.id, shop]));
+
+  for (const row of optedIn) {
+    const shop = shopsById.get(row.shop_id);
+    const recipients = Array.isArray(row.weekly_digest_recipients) ? row.weekly_digest_recipients : [];
+    if (!shop || recipients.length === 0) {
+      result.skipped++;
+      continue;
+    }
+
+    const { data: claim, error: claimError } = await supabase
+      .from("weekly_digests")
+      .insert({ shop_id: shop.id, week_start: isoDate(weekStart), recipients })
+      .select("id")
+      .single();
+    if (claimError) {
+      // 23505: already sent (or being sent) by another tick / instance.
+      if (claimError.code !== "23505") {
+        console.error(`[weekly-digest] Error claiming digest for shop ${shop.id}:`, claimError);
+      }
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const { plan } = await getShopPlanAndUsage(shop.id);
+      const digest = await buildWeeklyDigest(shop, plan.name, weekStart);
+      await transport.sendMail({
+        from: getMailFrom(),
+        to: recipients.join(", "),
+        subject: digest.subject,
+        text: digest.text,
+        html: digest.html,
+      });
+      const { error: sentError } = await supabase
+        .from("weekly_digests")
+        .update({ sent_at: new Date().toISOString() })
+        .eq("id", claim.id);
+      if (sentError) console.error("[weekly-digest] Error marking digest sent:", sentError);
+      result.sent++;
+    } catch (err) {
+      console.error(`[weekly-digest] Error sending digest for shop ${shop.id}:`, err?.message || err);
+      await releaseClaim(claim.id);
+      result.failed++;
+    }
+  }
+
+  if (result.sent > 0 || result.failed > 0) {
+    logger.debug("[weekly-digest] run complete", result);
+  }
+  return result;
+}
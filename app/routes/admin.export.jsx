@@ -0,0 +1,32 @@
+import { getAdminSession, isAdminAuthConfigured } from "../lib/admin-auth.server";
+import { createExportResponse, EXPORT_DATASETS, EXPORT_FORMATS } from "../lib/export.server";
+
+/**
+ * Resource route: GET /admin/export?shop_id=…&dataset=messages&format=csv
+ * Operator export of one shop's data (see export.server.js). Not gated by
+ * the shop's plan: support may need any dataset to answer a merchant.
+ */
+export const loader = async ({ request }) => {
+  if (!isAdminAuthConfigured() || !getAdminSession(request)) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  const url = new URL(request.url);
+  const shopId = url.searchParams.get("shop_id") || "";
+  const dataset = url.searchParams.get("dataset") || "";
+  const format = url.searchParams.get("format") || "csv";
+  if (!shopId) {
+    return new Response("shop_id is required", { status: 400 });
+  }
+  if (!EXPORT_DATASETS[dataset] || !EXPORT_FORMATS[format]) {
+    return new Response("Unknown export", { status: 400 });
+  }
+
+  return createExportResponse(shopId, {
+    dataset,
+    format,
+    startDate: url.searchParams.get("start_date") || null,
+    endDate: url.searchParams.get("end_date") || null,
+    channel: url.searchParams.get("channel") || null,
+  });
+};
@@ -12,6 +12,9 @@ import { getAdminDashboardStores, getOutboundQueueOverview, getOutboundQueueItem
 import { getInstagramAccountInfo, ensureInstagramWebhookSubscription } from "../lib/meta.server";
 import { getStoreTotalRevenueYTD, getStoreManagedTrial } from "../lib/shopify-data.server";
 import { cached } from "../lib/loader-cache.server";
+import { EXPORT_DATASETS } from "../lib/export.server";
+import { getLlmUsageByShop, getLlmTokenBudget } from "../lib/llm-usage.server";
+import { getPlanConfig } from "../lib/plans";
 
 // Re-assert each connected account's Instagram webhook subscription at most
 // once a day (see ensureInstagramWebhookSubscription for why this matters).
@@ -120,9 +123,29 @@ export const loader = async ({ request }) => {
       return { ...s, trial };
     });
 
+    // This month's LLM tokens and estimated cost per store (llm_usage), with
+    // the plan's token budget if it has one. Best-effort: a failed read
+    // leaves the column at "—" instead of breaking the table.
+    let llmUsageByShop = null;
+    try {
+      llmUsageByShop = await getLlmUsageByShop();
+    } catch {
+      // logged in getLlmUsageByShop
+    }
+    const storesWithLlm = storesFinal.map((s) => ({
+      ...s,
+      llm_usage: llmUsageByShop
+        ? {
+            ...(llmUsageByShop.get(s.shop_id) || { calls: 0, tokens: 0, costUsd: 0 }),
+            budget: getLlmTokenBudget(getPlanConfig(s.beta_trial ? "PRO" : s.plan)),
+          }
+        : null,
+    }));
+
     const queueOverview = await getOutboundQueueOverview({ shopId, status });
     const queueItems = await getOutboundQueueItems({ shopId, status, limit: 50 });
-    return { authenticated: true, stores: storesFinal, queueOverview, queueItems, queueFilters: { shopId, status } };
+    const exportDatasets = Object.entries(EXPORT_DATASETS).map(([key, d]) => ({ key, label: d.label }));
+    return { authenticated: true, stores: storesWithLlm, queueOverview, queueItems, queueFilters: { shopId, status }, exportDatasets };
   } catch (err) {
     console.error("Admin dashboard loader error:", err);
     return { authenticated: true, stores: [], queueOverview: null, queueItems: [], error: String(err.message) };
@@ -361,8 +384,36 @@ function formatStoreRevenue(value, currencyCode, capped) {
   return capped ? `${formatted}+` : formatted;
 }
 
+// Compact token count: 950, 12.4k, 3.1M.
+function formatTokens(value) {
+  return new Intl.NumberFormat("en-US", { notation: "compact", maximumFractionDigits: 1 }).format(value);
+}
+
+// This month's LLM spend for a store: tokens and estimated cost, against the
+// plan's token budget when there is one. Red once the budget is spent (the
+// store is on canned-template replies until the month rolls over).
+function LlmUsageCell({ usage }) {
+  if (!usage) return <span style={{ color: "#8a8a8a" }}>—</span>;
+  const cost = new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: usage.costUsd > 0 && usage.costUsd < 1 ? 4 : 2,
+  }).format(usage.costUsd);
+  const overBudget = usage.budget != null && usage.tokens >= usage.budget;
+  return (
+    <span
+      title={`${usage.calls.toLocaleString()} LLM call${usage.calls === 1 ? "" : "s"} this month · cost is an estimate from list prices`}
+      style={{ color: overBudget ? "#f87171" : undefined, whiteSpace: "nowrap" }}
+    >
+      {formatTokens(usage.tokens)}
+      {usage.budget != null && ` / ${formatTokens(usage.budget)}`} tokens · {cost}
+    </span>
+  );
+}
+
 export default function Admin() {
-  const { authenticated, stores, queueOverview, queueItems, queueFilters, error: loaderError } = useLoaderData() ?? {};
+  const { authenticated, stores, queueOverview, queueItems, queueFilters, exportDatasets, error: loaderError } = useLoaderData() ?? {};
   const actionData = useActionData();
 
   const [sort, setSort] = useState({ key: null, dir: "desc" });
@@ -388,6 +439,8 @@ export default function Admin() {
         case "storeRevenue":
           // null = couldn't read the figure (no/expired token); sink to bottom.
           return row.total_revenue_ytd;
+        case "llmCost":
+          return row.llm_usage ? row.llm_usage.costUsd : null;
         default:
           return null;
       }
@@ -495,6 +548,7 @@ export default function Admin() {
               <SortHeader label="Messages sent" sortKey="messages" sort={sort} onSort={toggleSort} />
               <SortHeader label="Revenue attribution" sortKey="revenue" sort={sort} onSort={toggleSort} />
               <SortHeader label="Store revenue (YTD)" sortKey="storeRevenue" sort={sort} onSort={toggleSort} />
+              <SortHeader label="LLM usage (month)" sortKey="llmCost" sort={sort} onSort={toggleSort} />
               <th style={styles.th}>Review ask</th>
             </tr>
           </thead>
@@ -540,6 +594,9 @@ export default function Admin() {
                   <td style={styles.td}>
                     {formatStoreRevenue(row.total_revenue_ytd, row.total_revenue_currency, row.total_revenue_capped)}
                   </td>
+                  <td style={styles.td}>
+                    <LlmUsageCell usage={row.llm_usage} />
+                  </td>
                   <td style={styles.td}>
                     <ReviewPromptCell reviewPrompt={row.review_prompt} />
                   </td>
@@ -547,7 +604,7 @@ export default function Admin() {
               ))
             ) : (
               <tr>
-                <td colSpan={9} style={styles.tdEmpty}>
+                <td colSpan={10} style={styles.tdEmpty}>
                   No stores yet.
                 </td>
               </tr>
@@ -647,6 +704,46 @@ export default function Admin() {
           </tbody>
         </table>
       </div>
+
+      {/* Plain GET form so the browser handles the streamed download. */}
+      <div style={styles.sectionHeader}>
+        <h2 style={styles.sectionTitle}>Data Export</h2>
+        <form method="get" action="/admin/export" style={styles.filters}>
+          <label style={styles.filterLabel}>
+            Shop
+            <select name="shop_id" required defaultValue="" style={styles.select}>
+              <option value="" disabled>Choose a shop</option>
+              {stores && stores.length > 0 && stores.map((row) => (
+                <option key={row.shop_id} value={row.shop_id}>{row.shopify_domain}</option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.filterLabel}>
+            Data
+            <select name="dataset" defaultValue="messages" style={styles.select}>
+              {(exportDatasets || []).map((d) => (
+                <option key={d.key} value={d.key}>{d.label}</option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.filterLabel}>
+            From
+            <input type="date" name="start_date" style={styles.select} />
+          </label>
+          <label style={styles.filterLabel}>
+            To
+            <input type="date" name="end_date" style={styles.select} />
+          </label>
+          <label style={styles.filterLabel}>
+            Format
+            <select name="format" defaultValue="csv" style={styles.select}>
+              <option value="csv">CSV</option>
+              <option value="ndjson">NDJSON</option>
+            </select>
+          </label>
+          <button type="submit" style={styles.filterBtn}>Download</button>
+        </form>
+      </div>
     </div>
   );
 }
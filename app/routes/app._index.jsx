@@ -2,9 +2,10 @@ import { Suspense, useEffect, useState, useRef } from "react";
 import { Await, useFetcher, useSearchParams, useNavigate, useLoaderData, useRouteError } from "react-router";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { getShopWithPlan } from "../lib/loader-helpers.server";
-import { getMetaAuthWithRefresh, getInstagramAccountInfo, getInstagramMedia, deleteMetaAuth, ensureInstagramWebhookSubscription, checkInstagramMessageAccess } from "../lib/meta.server";
+import { getMetaAuthWithRefresh, getInstagramAccountInfo, getInstagramMedia, getInstagramStories, deleteMetaAuth, ensureInstagramWebhookSubscription, checkInstagramMessageAccess } from "../lib/meta.server";
 import { getSettings, updateSettings, getBrandVoice, updateBrandVoice, getProductMappings, saveProductMapping, deleteProductMapping, getMissedCommentCount, getAttributedRevenueThisMonth, getAttributionCount, getSentLinkCount, getLastInboundMessageAt, recordReviewPrompt } from "../lib/db.server";
 import { getCurrentSubscription, getTrialStatus } from "../lib/billing.server";
+import { parseDigestRecipients, MAX_DIGEST_RECIPIENTS } from "../lib/weekly-digest.server";
 import { cached, invalidateCached } from "../lib/loader-cache.server";
 import { PlanGate, usePlanAccess } from "../components/PlanGate";
 import { PostsSection, PostsSectionSkeleton } from "../components/home/PostsSection";
@@ -41,7 +42,7 @@ const MSG_ACCESS_TTL_MS = 10 * 60 * 1000;
 //     (cached) trial status. Banners MUST come from awaited data so they're in
 //     the first paint and never pop in later (CLS).
 //   - Streamed (`deferred`): the slow external calls — Shopify product catalog
-//     and Instagram account/media. The page renders immediately with a
+//     and Instagram account/media/stories. The page renders immediately with a
 //     skeleton grid and these stream in when ready.
 export const loader = async ({ request }) => {
   const { shop, plan, admin } = await getShopWithPlan(request);
@@ -51,7 +52,7 @@ export const loader = async ({ request }) => {
   let brandVoice = null;
   let productMappings = [];
   let missedComments = 0;
-  let monthRevenue = { total: 0, currency: "USD" };
+  let monthRevenue = { total: 0, net: 0, currency: "USD" };
   let trialStatus = null;
   let reviewEligible = false;
   let lastInboundMessageAt = null;
@@ -67,12 +68,10 @@ export const loader = async ({ request }) => {
         getBrandVoice(shop.id),
         getProductMappings(shop.id).catch(() => []),
         plan?.name === "FREE" ? getMissedCommentCount(shop.id) : Promise.resolve(0),
-        // This month's attributed revenue, for the honest ROI banner
-        // ("drove $X — Growth costs $39"). Only shown when it's in the
-        // merchant's favor, so fetching for FREE/GROWTH is enough.
-        plan?.name !== "PRO"
-          ? getAttributedRevenueThisMonth(shop.id).catch(() => ({ total: 0, currency: "USD" }))
-          : Promise.resolve({ total: 0, currency: "USD" }),
+        // This month's attributed revenue (gross and net of refunds) for the
+        // plan card, and the honest ROI banner ("drove $X — Growth costs
+        // $39"), which goes by net so returns can't inflate it.
+        getAttributedRevenueThisMonth(shop.id).catch(() => ({ total: 0, net: 0, currency: "USD" })),
         // Free-trial countdown for the banner. Failure-safe and cached: a
         // billing API hiccup should never block the dashboard, and the Shopify
         // call only runs once per TTL instead of on every page load.
@@ -118,7 +117,7 @@ export const loader = async ({ request }) => {
   const igBusinessId = metaAuth?.ig_business_id || null;
   const hasIg = !!metaAuth && (!!igBusinessId || metaAuth.auth_type === "instagram");
   const deferred = (async () => {
-    if (!shopId) return { shopifyProducts: [], instagramInfo: null, mediaData: null };
+    if (!shopId) return { shopifyProducts: [], instagramInfo: null, mediaData: null, storiesData: null };
     // Self-heal the per-account webhook subscription (daily, best-effort,
     // off the critical path). Result is unused; failures resolve to null.
     if (hasIg) {
@@ -126,7 +125,7 @@ export const loader = async ({ request }) => {
         ensureInstagramWebhookSubscription(shopId),
       ).catch(() => null);
     }
-    const [shopifyProducts, instagramInfo, mediaData] = await Promise.all([
+    const [shopifyProducts, instagramInfo, mediaData, storiesData] = await Promise.all([
       cached(`products:${shopId}`, PRODUCTS_TTL_MS, async () => {
         try {
           const response = await admin.graphql(`
@@ -165,11 +164,16 @@ export const loader = async ({ request }) => {
             getInstagramMedia(igBusinessId || "", shopId, { limit: 25 }),
           ).catch(() => null)
         : Promise.resolve(null),
+      hasIg
+        ? cached(`igstories:${shopId}`, IG_TTL_MS, () =>
+            getInstagramStories(igBusinessId || "", shopId),
+          ).catch(() => null)
+        : Promise.resolve(null),
     ]);
-    return { shopifyProducts, instagramInfo, mediaData };
+    return { shopifyProducts, instagramInfo, mediaData, storiesData };
   })();
 
-  return { shop, plan, metaAuth, settings, brandVoice, productMappings, missedComments, monthRevenue, trialStatus, reviewEligible, lastInboundMessageAt, messageAccess, deferred };
+  return { shop, plan, metaAuth, settings, brandVoice, productMappings, missedComments, monthRevenue, trialStatus, reviewEligible, lastInboundMessageAt, messageAccess, maxDigestRecipients: MAX_DIGEST_RECIPIENTS, deferred };
 };
 
 export const action = async ({ request }) => {
@@ -208,6 +212,7 @@ export const action = async ({ request }) => {
       // reconnect doesn't briefly show the old account's posts.
       invalidateCached(`iginfo:${shop.id}`);
       invalidateCached(`igmedia:${shop.id}`);
+      invalidateCached(`igstories:${shop.id}`);
       invalidateCached(`igmsgaccess:${shop.id}`);
       return { success: true, message: "Instagram account disconnected successfully" };
     }
@@ -218,6 +223,8 @@ export const action = async ({ request }) => {
       const dmAutomationEnabled = formData.get("dm_automation_enabled") === "true";
       const commentAutomationEnabled = formData.get("comment_automation_enabled") === "true";
       const followupEnabled = formData.get("followup_enabled") === "true";
+      const publicCommentReplyEnabled = formData.get("public_comment_reply_enabled") === "true";
+      const imageMatchingEnabled = formData.get("image_matching_enabled") === "true";
       const brandVoiceTone = formData.get("brand_voice_tone") || null;
       const brandVoiceCustom = formData.get("brand_voice_custom") || "";
       const brandVoiceReplyLang = formData.get("brand_voice_reply_language") || "auto";
@@ -229,6 +236,18 @@ export const action = async ({ request }) => {
             comment_automation_enabled: commentAutomationEnabled,
             followup_enabled: followupEnabled,
             disabled_post_ids: currentSettings?.disabled_post_ids ?? [],
+            public_comment_reply_enabled: publicCommentReplyEnabled,
+            image_matching_enabled: imageMatchingEnabled,
+            checkout_recovery_enabled: currentSettings?.checkout_recovery_enabled ?? false,
+            checkout_recovery_delay_minutes: currentSettings?.checkout_recovery_delay_minutes ?? 60,
+            checkout_recovery_discount_code: currentSettings?.checkout_recovery_discount_code ?? null,
+            agent_discount_enabled: currentSettings?.agent_discount_enabled ?? false,
+            agent_discount_max_percent: currentSettings?.agent_discount_max_percent ?? 10,
+            agent_discount_per_customer_limit: currentSettings?.agent_discount_per_customer_limit ?? 1,
+            agent_discount_intents: currentSettings?.agent_discount_intents ?? ["purchase", "price_request"],
+            attribution_window_days: currentSettings?.attribution_window_days ?? 7,
+            weekly_digest_enabled: currentSettings?.weekly_digest_enabled ?? false,
+            weekly_digest_recipients: currentSettings?.weekly_digest_recipients ?? [],
           }),
           updateBrandVoice(shop.id, {
             tone: brandVoiceTone || "friendly",
@@ -243,6 +262,39 @@ export const action = async ({ request }) => {
       }
     }
 
+    // ── Weekly performance email ───────────────────────────────────────────
+    if (actionType === "save-weekly-digest") {
+      if (!shop?.id) return { error: "Shop not found" };
+      const enabled = formData.get("weekly_digest_enabled") === "true";
+      const { recipients, invalid } = parseDigestRecipients(formData.get("weekly_digest_recipients"));
+      if (invalid.length > 0) {
+        return { error: `Not a valid email address: ${invalid.join(", ")}` };
+      }
+      if (recipients.length > MAX_DIGEST_RECIPIENTS) {
+        return { error: `Add at most ${MAX_DIGEST_RECIPIENTS} recipients.` };
+      }
+      if (enabled && recipients.length === 0) {
+        return { error: "Add at least one email address to get the weekly email." };
+      }
+      try {
+        const currentSettings = await getSettings(shop.id);
+        await updateSettings(shop.id, {
+          ...currentSettings,
+          weekly_digest_enabled: enabled,
+          weekly_digest_recipients: recipients,
+        });
+        return {
+          success: true,
+          actionType: "save-weekly-digest",
+          recipients,
+          message: enabled ? "Weekly email is on. The next one goes out on Monday." : "Weekly email settings saved.",
+        };
+      } catch (err) {
+        console.error("[home] Error saving weekly email settings:", err);
+        return { error: err.message || "Failed to save weekly email settings" };
+      }
+    }
+
     // ── Toggle per-post automation ─────────────────────────────────────────
     if (actionType === "toggle-post-automation") {
       if (!shop?.id) return { error: "Shop not found" };
@@ -264,6 +316,18 @@ export const action = async ({ request }) => {
           comment_automation_enabled: currentSettings?.comment_automation_enabled ?? true,
           followup_enabled: currentSettings?.followup_enabled ?? true,
           disabled_post_ids: newIds,
+          public_comment_reply_enabled: currentSettings?.public_comment_reply_enabled ?? false,
+          image_matching_enabled: currentSettings?.image_matching_enabled ?? false,
+          checkout_recovery_enabled: currentSettings?.checkout_recovery_enabled ?? false,
+          checkout_recovery_delay_minutes: currentSettings?.checkout_recovery_delay_minutes ?? 60,
+          checkout_recovery_discount_code: currentSettings?.checkout_recovery_discount_code ?? null,
+          agent_discount_enabled: currentSettings?.agent_discount_enabled ?? false,
+          agent_discount_max_percent: currentSettings?.agent_discount_max_percent ?? 10,
+          agent_discount_per_customer_limit: currentSettings?.agent_discount_per_customer_limit ?? 1,
+          agent_discount_intents: currentSettings?.agent_discount_intents ?? ["purchase", "price_request"],
+          attribution_window_days: currentSettings?.attribution_window_days ?? 7,
+          weekly_digest_enabled: currentSettings?.weekly_digest_enabled ?? false,
+          weekly_digest_recipients: currentSettings?.weekly_digest_recipients ?? [],
         });
         return { success: true, actionType: "toggle-post-automation", newDisabledIds: newIds, message: `Post automation ${togglePost === "enable" ? "enabled" : "disabled"}` };
       } catch (err) {
@@ -456,7 +520,7 @@ function RecheckIconButton({ onClick, checking }) {
 
 export default function Index() {
   const loaderData = useLoaderData();
-  const { shop, plan, metaAuth, settings, brandVoice, productMappings, missedComments, monthRevenue, trialStatus, reviewEligible, lastInboundMessageAt, messageAccess, deferred } = loaderData || {};
+  const { shop, plan, metaAuth, settings, brandVoice, productMappings, missedComments, monthRevenue, trialStatus, reviewEligible, lastInboundMessageAt, messageAccess, maxDigestRecipients, deferred } = loaderData || {};
   const { hasAccess, isFree } = usePlanAccess();
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
@@ -488,6 +552,7 @@ export default function Index() {
   const connectFetcher = useFetcher();      // OAuth connect / disconnect
   const automationFetcher = useFetcher();   // Automation settings + brand voice
   const postFetcher = useFetcher();         // Per-post toggle, save/delete mapping
+  const digestFetcher = useFetcher();       // Weekly performance email
   const reviewReportFetcher = useFetcher(); // Fire-and-forget review-prompt logging
   // Ref so the review effect can submit without adding the fetcher (whose
   // identity changes on every state transition) to its dependency array.
@@ -499,9 +564,13 @@ export default function Index() {
   const [dmAutomationEnabled, setDmAutomationEnabled] = useState(settings?.dm_automation_enabled ?? true);
   const [commentAutomationEnabled, setCommentAutomationEnabled] = useState(settings?.comment_automation_enabled ?? true);
   const [followupEnabled, setFollowupEnabled] = useState(settings?.followup_enabled ?? true);
+  const [publicCommentReplyEnabled, setPublicCommentReplyEnabled] = useState(settings?.public_comment_reply_enabled ?? false);
+  const [imageMatchingEnabled, setImageMatchingEnabled] = useState(settings?.image_matching_enabled ?? false);
   const [brandVoiceTone, setBrandVoiceTone] = useState(brandVoice?.tone || "friendly");
   const [brandVoiceCustom, setBrandVoiceCustom] = useState(brandVoice?.custom_instruction || "");
   const [brandVoiceReplyLang, setBrandVoiceReplyLang] = useState(brandVoice?.reply_language || "auto");
+  const [weeklyDigestEnabled, setWeeklyDigestEnabled] = useState(settings?.weekly_digest_enabled ?? false);
+  const [weeklyDigestRecipients, setWeeklyDigestRecipients] = useState((settings?.weekly_digest_recipients || []).join("\n"));
 
   // Sync automation/brand-voice form state from loader data when it changes
   // (initial load or full revalidation). All feed/mapping/picker state lives
@@ -511,6 +580,10 @@ export default function Index() {
       setDmAutomationEnabled(settings.dm_automation_enabled ?? true);
       setCommentAutomationEnabled(settings.comment_automation_enabled ?? true);
       setFollowupEnabled(settings.followup_enabled ?? true);
+      setPublicCommentReplyEnabled(settings.public_comment_reply_enabled ?? false);
+      setImageMatchingEnabled(settings.image_matching_enabled ?? false);
+      setWeeklyDigestEnabled(settings.weekly_digest_enabled ?? false);
+      setWeeklyDigestRecipients((settings.weekly_digest_recipients || []).join("\n"));
     }
     if (brandVoice) {
       setBrandVoiceTone(brandVoice.tone || "friendly");
@@ -712,12 +785,12 @@ export default function Index() {
       )}
       {/* Honest ROI report: only rendered when tracked sales actually exceed
           the Growth price, so it reads as a report, not an ad. */}
-      {plan && plan.name === "FREE" && (monthRevenue?.total || 0) >= 39 && (
+      {plan && plan.name === "FREE" && (monthRevenue?.net || 0) >= 39 && (
         <s-banner tone="success">
           <div className="srHStack" style={{ gap: "12px", alignItems: "center", flexWrap: "wrap" }}>
             <div style={{ flex: 1 }}>
               <span className="srTextStrong">
-                SocialRepl.ai drove {new Intl.NumberFormat("en-US", { style: "currency", currency: monthRevenue.currency || "USD" }).format(monthRevenue.total)} in tracked sales this month.
+                SocialRepl.ai drove {new Intl.NumberFormat("en-US", { style: "currency", currency: monthRevenue.currency || "USD" }).format(monthRevenue.net)} in tracked sales this month, after refunds.
               </span>
               <span className="srCardDesc" style={{ display: "block", marginTop: "4px" }}>
                 Growth costs $39/mo and adds comment automation, brand voice, and 500 messages — it would already be paying for itself.
@@ -727,13 +800,13 @@ export default function Index() {
           </div>
         </s-banner>
       )}
-      {plan && plan.name === "GROWTH" && (monthRevenue?.total || 0) >= 78 && (
+      {plan && plan.name === "GROWTH" && (monthRevenue?.net || 0) >= 78 && (
         <s-banner tone="success">
           <span className="srTextStrong">
-            SocialRepl.ai drove {new Intl.NumberFormat("en-US", { style: "currency", currency: monthRevenue.currency || "USD" }).format(monthRevenue.total)} in tracked sales this month
+            SocialRepl.ai drove {new Intl.NumberFormat("en-US", { style: "currency", currency: monthRevenue.currency || "USD" }).format(monthRevenue.net)} in tracked sales this month after refunds
           </span>
           <span className="srCardDesc">
-            {" "}— {Math.round((monthRevenue.total / 39) * 10) / 10}x its $39/mo cost.
+            {" "}— {Math.round((monthRevenue.net / 39) * 10) / 10}x its $39/mo cost.
           </span>
         </s-banner>
       )}
@@ -830,6 +903,13 @@ export default function Index() {
                     max={plan.cap}
                   />
                 )}
+                {(monthRevenue?.total || 0) > 0 && (
+                  <span className="srCardDesc">
+                    Tracked sales this month:{" "}
+                    {new Intl.NumberFormat("en-US", { style: "currency", currency: monthRevenue.currency || "USD" }).format(monthRevenue.total)} gross,{" "}
+                    {new Intl.NumberFormat("en-US", { style: "currency", currency: monthRevenue.currency || "USD" }).format(monthRevenue.net)} net of refunds
+                  </span>
+                )}
                 {shop.usage_count >= plan.cap && (
                   <s-button href="/app/billing/select" variant="primary" size="slim" className="srBtnCompact srUpgradeBtn">
                     Upgrade plan
@@ -981,6 +1061,8 @@ export default function Index() {
           <input type="hidden" name="dm_automation_enabled" value={dmAutomationEnabled ? "true" : "false"} />
           <input type="hidden" name="comment_automation_enabled" value={commentAutomationEnabled ? "true" : "false"} />
           <input type="hidden" name="followup_enabled" value={followupEnabled ? "true" : "false"} />
+          <input type="hidden" name="public_comment_reply_enabled" value={publicCommentReplyEnabled ? "true" : "false"} />
+          <input type="hidden" name="image_matching_enabled" value={imageMatchingEnabled ? "true" : "false"} />
           <input type="hidden" name="brand_voice_tone" value={brandVoiceTone || "friendly"} />
           <input type="hidden" name="brand_voice_custom" value={brandVoiceCustom || ""} />
           <input type="hidden" name="brand_voice_reply_language" value={brandVoiceReplyLang || "auto"} />
@@ -1001,6 +1083,27 @@ export default function Index() {
                     </label>
                   </div>
                 </div>
+                <div className="srToggleRow">
+                  <div className="srToggleRowInner">
+                    <div className="srToggleRowText">
+                      <span className="srCardTitle">Match product photos</span>
+                      <span className="srCardDesc">
+                        {hasAccess("GROWTH")
+                          ? "When a customer DMs a screenshot or photo, compare it with your product images to find the product they mean. Shared posts you've mapped are recognized either way."
+                          : "Upgrade to Growth to unlock product photo matching"}
+                      </span>
+                    </div>
+                    <label className="srToggle" aria-label="Match product photos">
+                      <input
+                        type="checkbox"
+                        checked={hasAccess("GROWTH") ? imageMatchingEnabled : false}
+                        onChange={(e) => setImageMatchingEnabled(e.target.checked)}
+                        disabled={!hasAccess("GROWTH") || !dmAutomationEnabled}
+                      />
+                      <span className="srToggleTrack"><span className="srToggleThumb" /></span>
+                    </label>
+                  </div>
+                </div>
                 <div className="srToggleRow">
                   <div className="srToggleRowInner">
                     <div className="srToggleRowText">
@@ -1022,13 +1125,34 @@ export default function Index() {
                     </label>
                   </div>
                 </div>
+                <div className="srToggleRow">
+                  <div className="srToggleRowInner">
+                    <div className="srToggleRowText">
+                      <span className="srCardTitle">Public comment reply</span>
+                      <span className="srCardDesc">
+                        {hasAccess("GROWTH")
+                          ? "Also reply under the comment (e.g. \"Sent you a DM 💌\") so other viewers see you answered. Wording rotates with your brand voice."
+                          : "Upgrade to Growth to unlock comment automation"}
+                      </span>
+                    </div>
+                    <label className="srToggle" aria-label="Public comment reply">
+                      <input
+                        type="checkbox"
+                        checked={hasAccess("GROWTH") ? publicCommentReplyEnabled : false}
+                        onChange={(e) => setPublicCommentReplyEnabled(e.target.checked)}
+                        disabled={!hasAccess("GROWTH") || !commentAutomationEnabled}
+                      />
+                      <span className="srToggleTrack"><span className="srToggleThumb" /></span>
+                    </label>
+                  </div>
+                </div>
                 <div className="srToggleRow srToggleRowLast">
                   <div className="srToggleRowInner">
                     <div className="srToggleRowText">
                       <span className="srCardTitle">Follow-up messages</span>
                       <span className="srCardDesc">
                         {hasAccess("PRO")
-                          ? "Send a reminder 23–24 hours after last message if no link click"
+                          ? <>Check in after a product link is sent, based on clicks and orders. <s-link href="/app/followups">Edit sequence</s-link></>
                           : "Upgrade to Pro to unlock follow-ups"}
                       </span>
                     </div>
@@ -1119,6 +1243,55 @@ export default function Index() {
         </automationFetcher.Form>
       </s-section>
 
+      {/* ── Weekly email ──────────────────────────────────────────────── */}
+      <s-section heading="Weekly email">
+        <digestFetcher.Form method="post">
+          <input type="hidden" name="action" value="save-weekly-digest" />
+          <input type="hidden" name="weekly_digest_enabled" value={weeklyDigestEnabled ? "true" : "false"} />
+          <s-box padding="base" borderWidth="base" borderRadius="base" background="subdued">
+            <div className="srToggleStack">
+              <div className="srToggleRow">
+                <div className="srToggleRowInner">
+                  <div className="srToggleRowText">
+                    <span className="srCardTitle">Weekly performance email</span>
+                    <span className="srCardDesc">
+                      Every Monday: messages handled, links sent, clicks, attributed revenue, top posts and missed
+                      opportunities for the past week, compared with the week before.
+                    </span>
+                  </div>
+                  <label className="srToggle" aria-label="Weekly performance email">
+                    <input type="checkbox" checked={weeklyDigestEnabled} onChange={(e) => setWeeklyDigestEnabled(e.target.checked)} />
+                    <span className="srToggleTrack"><span className="srToggleThumb" /></span>
+                  </label>
+                </div>
+              </div>
+              <div className="srToggleRow srToggleRowLast">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="weekly-digest-recipients">Send to</label>
+                  <span className="srCardDesc">One email address per line (up to {maxDigestRecipients}).</span>
+                  <textarea
+                    id="weekly-digest-recipients"
+                    name="weekly_digest_recipients"
+                    rows={3}
+                    value={weeklyDigestRecipients}
+                    onChange={(e) => setWeeklyDigestRecipients(e.target.value)}
+                    className="srInput srInputRow"
+                    placeholder="you@yourstore.com"
+                  />
+                  {digestFetcher.data?.error && <s-text tone="critical">{digestFetcher.data.error}</s-text>}
+                  {digestFetcher.data?.success && <s-text tone="success">{digestFetcher.data.message}</s-text>}
+                </div>
+              </div>
+            </div>
+          </s-box>
+          <div className="srSaveBtnWrap">
+            <button type="submit" className="srPrimaryBtn" disabled={digestFetcher.state !== "idle"}>
+              {digestFetcher.state !== "idle" ? "Saving…" : "Save weekly email"}
+            </button>
+          </div>
+        </digestFetcher.Form>
+      </s-section>
+
       {/* ── Your Instagram Posts ───────────────────────────────────────── */}
       {/* Hidden on FREE: post-by-post mapping and per-post automation toggles
           are part of the paid DM/comment automation experience. FREE merchants
@@ -1140,6 +1313,7 @@ export default function Index() {
               {(resolved) => (
                 <PostsSection
                   mediaData={resolved?.mediaData}
+                  storiesData={resolved?.storiesData}
                   shopifyProducts={resolved?.shopifyProducts || []}
                   productMappings={productMappings}
                   disabledPostIds={settings?.disabled_post_ids || []}
@@ -1,10 +1,15 @@
 import { useState } from "react";
-import { useOutletContext, useRouteError, useLoaderData, useSearchParams, useNavigate } from "react-router";
+import { useOutletContext, useRouteError, useLoaderData, useSearchParams, useNavigate, useFetcher } from "react-router";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { getShopWithPlan } from "../lib/loader-helpers.server";
 import { PlanGate, usePlanAccess } from "../components/PlanGate";
-import { getAttributionRecords, getMessages, getMessageCount, getAnalytics, getProAnalytics, getProductMappings, getMissedOpportunityComments } from "../lib/db.server";
+import { getAttributionRecords, getMessages, getMessageCount, getAnalytics, getProAnalytics, getProductMappings, getMissedOpportunityComments, getSettings, updateSettings } from "../lib/db.server";
+import { MIN_ATTRIBUTION_WINDOW_DAYS, MAX_ATTRIBUTION_WINDOW_DAYS, DEFAULT_ATTRIBUTION_WINDOW_DAYS } from "../lib/attribution.server";
 import { getMetaAuthWithRefresh, getInstagramMediaByIds } from "../lib/meta.server";
+import { getConversionFunnel, SKIP_REASONS } from "../lib/funnel.server";
+import { canExport, EXPORT_DATASETS } from "../lib/export.server";
+import { getExperiments, getExperimentResults } from "../lib/experiments.server";
+import { ExperimentResults } from "../components/ExperimentResults";
 import { cached } from "../lib/loader-cache.server";
 import supabase from "../lib/supabase.server";
 
@@ -13,6 +18,19 @@ import supabase from "../lib/supabase.server";
 // every load/filter change.
 const IG_MEDIA_TTL_MS = 5 * 60 * 1000;
 
+const ATTRIBUTION_MODEL_LABELS = {
+  first_touch: "First touch",
+  last_touch: "Last touch",
+  linear: "Linear",
+};
+
+const DECISION_PIPELINE_LABELS = {
+  agent: "Sales agent",
+  legacy: "Standard reply",
+  keyword_rule: "Keyword rule",
+  opt_command: "STOP / START",
+};
+
 export const loader = async ({ request }) => {
   const { shop, plan } = await getShopWithPlan(request);
 
@@ -35,8 +53,9 @@ export const loader = async ({ request }) => {
   const analyticsStartDate = url.searchParams.get("analytics_start_date") || null;
   const analyticsEndDate = url.searchParams.get("analytics_end_date") || null;
 
-  // Pro-only: post filter
+  // Pro-only: post filter, and product scope for the conversion funnel
   const postFilterId = url.searchParams.get("post_id") || null;
+  const funnelProductId = url.searchParams.get("funnel_product") || null;
 
   // For Pro users, load product mappings + the mapped posts' media for the
   // post filter. Mappings are the source of truth: fetching each mapped post
@@ -95,6 +114,7 @@ export const loader = async ({ request }) => {
     analytics,
     proAnalytics,
     missedOpportunities,
+    settings,
   ] = await Promise.all([
     getAttributionRecords(shop.id, { channel, orderId, startDate, endDate, limit, linkIds: postFilterLinkIds }),
     getMessages(shop.id, {
@@ -121,10 +141,40 @@ export const loader = async ({ request }) => {
     plan?.name === "FREE"
       ? getMissedOpportunityComments(shop.id, { limit: 10 }).catch(() => [])
       : Promise.resolve([]),
+    plan?.name === "PRO" ? getSettings(shop.id).catch(() => null) : Promise.resolve(null),
   ]);
 
   const { mediaPosts, productMappings } = await proContextPromise;
 
+  // Conversion funnel (PRO): the selected post, or every post mapped to the
+  // selected product.
+  let funnel = null;
+  const funnelMediaIds = postFilterId
+    ? [postFilterId]
+    : funnelProductId
+      ? [...new Set(productMappings.filter((m) => m.product_id === funnelProductId).map((m) => m.ig_media_id).filter(Boolean))]
+      : [];
+  if (plan?.name === "PRO" && funnelMediaIds.length > 0) {
+    funnel = await getConversionFunnel(shop.id, {
+      mediaIds: funnelMediaIds,
+      startDate: analyticsStartDate,
+      endDate: analyticsEndDate,
+    }).catch(() => null);
+  }
+  const funnelProducts = [...new Map(
+    productMappings.filter((m) => m.product_id).map((m) => [m.product_id, m.product_handle || m.product_id])
+  )].map(([id, label]) => ({ id, label }));
+
+  // Latest reply experiment (Growth+): the running one, or the last one stopped.
+  let experiment = null;
+  if (plan?.name && plan.name !== "FREE") {
+    const [latest] = await getExperiments(shop.id).catch(() => []);
+    if (latest) {
+      const results = await getExperimentResults(latest).catch(() => null);
+      if (results) experiment = { ...latest, results };
+    }
+  }
+
   const messageTotalPages = Math.ceil(messageTotalCount / messageLimit);
 
   return {
@@ -152,17 +202,95 @@ export const loader = async ({ request }) => {
     mediaPosts,
     productMappings,
     postFilterId,
+    funnel,
+    funnelProducts,
+    funnelProductId: postFilterId ? null : funnelProductId,
+    experiment,
+    skipReasonLabels: Object.fromEntries(Object.entries(SKIP_REASONS).map(([code, r]) => [code, r.label])),
+    exportDatasets: Object.entries(EXPORT_DATASETS).map(([key, d]) => ({
+      key,
+      label: d.label,
+      allowed: canExport(plan?.name, key),
+    })),
     missedOpportunities,
+    attributionWindow: {
+      days: settings?.attribution_window_days ?? DEFAULT_ATTRIBUTION_WINDOW_DAYS,
+      min: MIN_ATTRIBUTION_WINDOW_DAYS,
+      max: MAX_ATTRIBUTION_WINDOW_DAYS,
+    },
   };
 };
 
+export const action = async ({ request }) => {
+  try {
+    const { shop, plan } = await getShopWithPlan(request);
+    if (!shop?.id) return { error: "Shop not found" };
+    if (plan?.name !== "PRO") return { error: "Attribution models are available on the Pro plan" };
+
+    const formData = await request.formData();
+    const actionType = formData.get("action");
+
+    if (actionType === "save-attribution-window") {
+      const days = Number(formData.get("attribution_window_days"));
+      if (!Number.isInteger(days) || days < MIN_ATTRIBUTION_WINDOW_DAYS || days > MAX_ATTRIBUTION_WINDOW_DAYS) {
+        return { error: `Attribution window must be ${MIN_ATTRIBUTION_WINDOW_DAYS}–${MAX_ATTRIBUTION_WINDOW_DAYS} days` };
+      }
+      try {
+        const currentSettings = await getSettings(shop.id);
+        await updateSettings(shop.id, { ...currentSettings, attribution_window_days: days });
+        return { success: true, message: "Attribution window saved" };
+      } catch (err) {
+        console.error("[analytics] Error saving attribution window:", err);
+        return { error: err.message || "Failed to save attribution window" };
+      }
+    }
+
+    return { error: "Unknown action" };
+  } catch (error) {
+    console.error("[analytics] Action error:", error);
+    return { error: error.message || "An error occurred" };
+  }
+};
+
 export default function AnalyticsPage() {
   const { shop, plan } = useOutletContext() || {};
   const { isFree, isPro } = usePlanAccess();
-  const { attributionRecords, filters, messages, messageTotalCount, messageTotalPages, messageCurrentPage, messageFilters, analytics, proAnalytics, analyticsFilters, mediaPosts, productMappings, postFilterId, missedOpportunities } = useLoaderData();
+  const { attributionRecords, filters, messages, messageTotalCount, messageTotalPages, messageCurrentPage, messageFilters, analytics, proAnalytics, analyticsFilters, mediaPosts, productMappings, postFilterId, funnel, funnelProducts, funnelProductId, experiment, skipReasonLabels, exportDatasets, missedOpportunities, attributionWindow } = useLoaderData();
+  const windowFetcher = useFetcher();
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const [expandedMessages, setExpandedMessages] = useState(new Set());
+  const [expandedDecisions, setExpandedDecisions] = useState(new Set());
+  const [exportState, setExportState] = useState({ busy: false, error: null });
+
+  // Exports stream from the /app/export resource route; fetch goes through
+  // App Bridge's authenticated fetch, then the body is handed to the browser
+  // as a download.
+  const handleExport = async (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const params = new URLSearchParams();
+    for (const key of ["dataset", "format", "start_date", "end_date", "channel"]) {
+      if (formData.get(key)) params.set(key, formData.get(key));
+    }
+    setExportState({ busy: true, error: null });
+    try {
+      const response = await fetch(`/app/export?${params.toString()}`);
+      if (!response.ok) {
+        throw new Error((await response.text()) || "Export failed");
+      }
+      const filename = response.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || "export.csv";
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = filename;
+      a.click();
+      URL.revokeObjectURL(url);
+      setExportState({ busy: false, error: null });
+    } catch (err) {
+      setExportState({ busy: false, error: err.message || "Export failed" });
+    }
+  };
 
   // Build a set of mapped media IDs for the post picker
   const mappedMediaIds = new Set((productMappings || []).map(m => m.ig_media_id));
@@ -171,6 +299,7 @@ export default function AnalyticsPage() {
     const params = new URLSearchParams(searchParams);
     if (mediaId) {
       params.set("post_id", mediaId);
+      params.delete("funnel_product");
     } else {
       params.delete("post_id");
     }
@@ -178,6 +307,18 @@ export default function AnalyticsPage() {
     navigate(`/app/analytics?${params.toString()}`, { replace: true, preventScrollReset: true });
   };
 
+  const handleFunnelProduct = (productId) => {
+    const params = new URLSearchParams(searchParams);
+    if (productId) {
+      params.set("funnel_product", productId);
+      params.delete("post_id");
+    } else {
+      params.delete("funnel_product");
+    }
+    params.delete("message_page");
+    navigate(`/app/analytics?${params.toString()}`, { replace: true, preventScrollReset: true });
+  };
+
   // Format date for display
   const formatDate = (dateString) => {
     if (!dateString) return "—";
@@ -288,6 +429,18 @@ export default function AnalyticsPage() {
     });
   };
 
+  const toggleDecisionExpanded = (messageId) => {
+    setExpandedDecisions((prev) => {
+      const newSet = new Set(prev);
+      if (newSet.has(messageId)) {
+        newSet.delete(messageId);
+      } else {
+        newSet.add(messageId);
+      }
+      return newSet;
+    });
+  };
+
     const usagePct = shop?.usage_count && plan?.cap ? Math.round((shop.usage_count / plan.cap) * 100) : 0;
 
     return (
@@ -515,8 +668,11 @@ export default function AnalyticsPage() {
                       </s-box>
                       <s-box padding="base" borderWidth="base" borderRadius="base" background="base">
                         <div className="srCardPad srVStackTight">
-                          <span className="srTextSubdued">Clicks</span>
+                          <span className="srTextSubdued" title="Clicks by people. Bots, link previews and repeat clicks within 30 minutes are left out.">Clicks</span>
                           <span className="srHeadingLg">{analytics.clicks || 0}</span>
+                          {analytics.rawClicks > analytics.clicks && (
+                            <span className="srTextSubdued">{analytics.rawClicks} raw, incl. bots and repeats</span>
+                          )}
                         </div>
                       </s-box>
                       <s-box padding="base" borderWidth="base" borderRadius="base" background="base">
@@ -641,9 +797,14 @@ export default function AnalyticsPage() {
                             <div className="srCardPad srVStack">
                               <span className="srTextStrong">Revenue Attribution</span>
                               <div className="srVStackTight">
-                                <span className="srHeadingMd">{formatCurrency(proAnalytics.revenueAttribution.total, proAnalytics.revenueAttribution.currency)}</span>
-                                <span className="srStatRow"><span className="srStatLabel">From DMs: </span><span className="srStatValue">{formatCurrency(proAnalytics.revenueAttribution.byChannel.dm, proAnalytics.revenueAttribution.currency)}</span></span>
-                                <span className="srStatRow"><span className="srStatLabel">From Comments: </span><span className="srStatValue">{formatCurrency(proAnalytics.revenueAttribution.byChannel.comment, proAnalytics.revenueAttribution.currency)}</span></span>
+                                <span className="srHeadingMd">{formatCurrency(proAnalytics.revenueAttribution.net, proAnalytics.revenueAttribution.currency)}</span>
+                                <span className="srTextSubdued">Net, after refunds and cancellations</span>
+                                <span className="srStatRow"><span className="srStatLabel">Gross: </span><span className="srStatValue">{formatCurrency(proAnalytics.revenueAttribution.total, proAnalytics.revenueAttribution.currency)}</span></span>
+                                <span className="srStatRow"><span className="srStatLabel">From DMs: </span><span className="srStatValue">{formatCurrency(proAnalytics.revenueAttribution.netByChannel.dm, proAnalytics.revenueAttribution.currency)} net / {formatCurrency(proAnalytics.revenueAttribution.byChannel.dm, proAnalytics.revenueAttribution.currency)} gross</span></span>
+                                <span className="srStatRow"><span className="srStatLabel">From Comments: </span><span className="srStatValue">{formatCurrency(proAnalytics.revenueAttribution.netByChannel.comment, proAnalytics.revenueAttribution.currency)} net / {formatCurrency(proAnalytics.revenueAttribution.byChannel.comment, proAnalytics.revenueAttribution.currency)} gross</span></span>
+                                {proAnalytics.revenueAttribution.agentDiscount?.orders > 0 && (
+                                  <span className="srStatRow"><span className="srStatLabel">With agent discount codes: </span><span className="srStatValue">{formatCurrency(proAnalytics.revenueAttribution.agentDiscount.revenue, proAnalytics.revenueAttribution.currency)} ({proAnalytics.revenueAttribution.agentDiscount.orders} orders)</span></span>
+                                )}
                               </div>
                             </div>
                           </s-box>
@@ -668,6 +829,64 @@ export default function AnalyticsPage() {
                               </div>
                             </div>
                           </s-box>
+
+                          {/* Attribution Models */}
+                          <s-box padding="base" borderWidth="base" borderRadius="base" background="base">
+                            <div className="srCardPad srVStack">
+                              <span className="srTextStrong">Attribution Models</span>
+                              <span className="srTextSubdued">
+                                Orders placed within {attributionWindow.days} days of a link click, even without the link.
+                              </span>
+                              {postFilterId ? (
+                                <span className="srTextSubdued">Shown for all posts.</span>
+                              ) : null}
+                              <div className="srTableWrap">
+                                <table className="srTable">
+                                  <thead>
+                                    <tr>
+                                      <th className="srTh srTextLeft">Model</th>
+                                      <th className="srTh srTextLeft">Total</th>
+                                      <th className="srTh srTextLeft">DMs</th>
+                                      <th className="srTh srTextLeft">Comments</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {Object.entries(ATTRIBUTION_MODEL_LABELS).map(([model, label]) => {
+                                      const stats = proAnalytics.attributionModels?.[model];
+                                      return (
+                                        <tr key={model}>
+                                          <td>{label}</td>
+                                          <td>{formatCurrency(stats?.total || 0, proAnalytics.revenueAttribution.currency)}</td>
+                                          <td>{formatCurrency(stats?.byChannel.dm || 0, proAnalytics.revenueAttribution.currency)}</td>
+                                          <td>{formatCurrency(stats?.byChannel.comment || 0, proAnalytics.revenueAttribution.currency)}</td>
+                                        </tr>
+                                      );
+                                    })}
+                                  </tbody>
+                                </table>
+                              </div>
+                              <windowFetcher.Form method="post" className="srHStackTight">
+                                <input type="hidden" name="action" value="save-attribution-window" />
+                                <label className="srStatLabel" htmlFor="attribution-window">Window (days)</label>
+                                <input
+                                  id="attribution-window"
+                                  type="number"
+                                  name="attribution_window_days"
+                                  min={attributionWindow.min}
+                                  max={attributionWindow.max}
+                                  step="1"
+                                  defaultValue={attributionWindow.days}
+                                  className="srInput srInputRow"
+                                />
+                                <button type="submit" className="srPrimaryBtn" disabled={windowFetcher.state !== "idle"}>
+                                  {windowFetcher.state !== "idle" ? "Saving…" : "Save"}
+                                </button>
+                              </windowFetcher.Form>
+                              {windowFetcher.data?.error && (
+                                <s-text tone="critical">{windowFetcher.data.error}</s-text>
+                              )}
+                            </div>
+                          </s-box>
                         </div>
                       ) : null}
                     </PlanGate>
@@ -680,6 +899,89 @@ export default function AnalyticsPage() {
             )}
           </s-section>
 
+          {/* Conversion funnel (Pro): comments on the selected post, or on
+              every post mapped to the selected product. */}
+          {isPro && funnelProducts.length > 0 && (
+            <s-section heading="Conversion funnel">
+              <div className="srVStack">
+                <div className="srFilterRow">
+                  <label className="srFieldLabel srFlex1">
+                    <span className="srTextSubdued">Product</span>
+                    <select
+                      className="srSelect"
+                      value={funnelProductId || ""}
+                      onChange={(e) => handleFunnelProduct(e.target.value || null)}
+                    >
+                      <option value="">{postFilterId ? "Selected post" : "Choose a product…"}</option>
+                      {funnelProducts.map((p) => (
+                        <option key={p.id} value={p.id}>{p.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                {funnel ? (
+                  <div className="srTableWrap">
+                    <table className="srTable">
+                      <thead>
+                        <tr>
+                          <th className="srTh srTextLeft">Step</th>
+                          <th className="srTh srTextLeft">Count</th>
+                          <th className="srTh srTextLeft">From previous step</th>
+                          <th className="srTh srTextLeft">Why people dropped</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {funnel.steps.map((step, idx) => {
+                          const previous = idx > 0 ? funnel.steps[idx - 1].count : null;
+                          return (
+                            <tr key={step.key}>
+                              <td>{step.label}</td>
+                              <td>
+                                {step.count}
+                                {step.key === "order" && funnel.revenue > 0 && (
+                                  <span className="srTextSubdued"> ({formatCurrency(funnel.revenue, proAnalytics?.revenueAttribution?.currency)} net)</span>
+                                )}
+                              </td>
+                              <td>{previous ? `${((step.count / previous) * 100).toFixed(1)}%` : "—"}</td>
+                              <td>
+                                {step.skipReasons.length > 0 ? (
+                                  <div className="srWrapRow">
+                                    {step.skipReasons.map((r) => (
+                                      <s-badge key={r.code} tone="subdued">{r.label} ({r.count})</s-badge>
+                                    ))}
+                                  </div>
+                                ) : "—"}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <span className="srTextSubdued">
+                    Pick a post above or a product to see how its comments turn into orders.
+                  </span>
+                )}
+              </div>
+            </s-section>
+          )}
+
+          {/* Latest reply experiment (Growth+): results per variant, managed
+              on the Experiments page. */}
+          {experiment && (
+            <s-section heading={`Experiment: ${experiment.name}`}>
+              <div className="srVStack">
+                <span className="srTextSubdued">
+                  {experiment.status === "running" ? "Running" : "Stopped"} since{" "}
+                  {new Date(experiment.stopped_at || experiment.started_at).toLocaleDateString()}. Not affected by the
+                  date filter above. <s-link href="/app/experiments">Manage experiments</s-link>
+                </span>
+                <ExperimentResults variants={experiment.variants} results={experiment.results} />
+              </div>
+            </s-section>
+          )}
+
           {/* Missed opportunities (FREE only): the actual purchase-intent
               comments that got no automated reply this month, shown dimmed.
               Specific real conversations beat an abstract feature pitch —
@@ -882,6 +1184,9 @@ export default function AnalyticsPage() {
                   <div className="srVStack">
                     {messages.map((message) => {
                       const isExpanded = expandedMessages.has(message.id);
+                      const decisions = message.automation_decisions || [];
+                      const lastDecision = decisions[decisions.length - 1] || null;
+                      const isDecisionExpanded = expandedDecisions.has(message.id);
                       return (
                         <div key={message.id} className="srMsgCard">
                           <div className="srVStack">
@@ -916,11 +1221,94 @@ export default function AnalyticsPage() {
                                   {message.sentiment}
                                 </s-badge>
                               )}
+                              {lastDecision?.outcome === "skipped" && (
+                                <s-badge tone="warning">
+                                  Skipped: {skipReasonLabels[lastDecision.gate] || skipReasonLabels.other}
+                                </s-badge>
+                              )}
                             </div>
 
-                            <s-button variant="plain" size="small" onClick={() => toggleMessageExpanded(message.id)}>
-                              {isExpanded ? "Hide Conversation" : "Show Conversation"}
-                            </s-button>
+                            <div className="srHStackTight">
+                              <s-button variant="plain" size="small" onClick={() => toggleMessageExpanded(message.id)}>
+                                {isExpanded ? "Hide Conversation" : "Show Conversation"}
+                              </s-button>
+                              {decisions.length > 0 && (
+                                <s-button variant="plain" size="small" onClick={() => toggleDecisionExpanded(message.id)}>
+                                  {isDecisionExpanded
+                                    ? "Hide details"
+                                    : lastDecision.outcome === "sent" ? "Why it replied" : "Why didn't it reply?"}
+                                </s-button>
+                              )}
+                            </div>
+
+                            {/* Automation decision log: one entry per automation run */}
+                            {isDecisionExpanded && (
+                              <div className="srVStack">
+                                {decisions.map((decision) => (
+                                  <div key={decision.id} className="srMsgInner">
+                                    <div className="srVStackTight">
+                                      <div className="srHStackTight">
+                                        <s-badge tone={decision.outcome === "sent" ? "success" : "warning"}>
+                                          {decision.outcome === "sent" ? "Replied" : "Not replied"}
+                                        </s-badge>
+                                        <span className="srTextSubdued">{new Date(decision.created_at).toLocaleString()}</span>
+                                      </div>
+                                      {decision.outcome === "skipped" && (
+                                        <span className="srStatRow">
+                                          <span className="srStatLabel">Stopped by: </span>
+                                          <span className="srStatValue">
+                                            {skipReasonLabels[decision.gate] || skipReasonLabels.other}
+                                            {decision.reason ? ` (${decision.reason})` : ""}
+                                          </span>
+                                        </span>
+                                      )}
+                                      {decision.classification && (
+                                        <span className="srStatRow">
+                                          <span className="srStatLabel">Classifier: </span>
+                                          <span className="srStatValue">
+                                            {decision.classification.error
+                                              ? `failed (${decision.classification.error})`
+                                              : `${decision.classification.intent || "none"}${decision.classification.confidence != null ? ` (${(decision.classification.confidence * 100).toFixed(0)}%)` : ""}${decision.classification.sentiment ? `, ${decision.classification.sentiment}` : ""}`}
+                                            {decision.classification.model ? ` · ${decision.classification.model}` : ""}
+                                          </span>
+                                        </span>
+                                      )}
+                                      {decision.pipeline && (
+                                        <span className="srStatRow">
+                                          <span className="srStatLabel">Handled by: </span>
+                                          <span className="srStatValue">
+                                            {DECISION_PIPELINE_LABELS[decision.pipeline] || decision.pipeline}
+                                            {decision.model ? ` · ${decision.model}` : ""}
+                                          </span>
+                                        </span>
+                                      )}
+                                      {decision.tool_calls?.length > 0 && (
+                                        <div className="srVStackTight">
+                                          <span className="srStatLabel">Agent tool calls:</span>
+                                          <pre className="srMonoPre">
+                                            {decision.tool_calls.map((call) => `${call.ok ? "✓" : "✗"} ${call.name} ${call.args}`).join("\n")}
+                                          </pre>
+                                        </div>
+                                      )}
+                                      {decision.citations?.length > 0 && (
+                                        <div className="srVStackTight">
+                                          <span className="srStatLabel">Knowledge base sources:</span>
+                                          <pre className="srMonoPre">
+                                            {decision.citations.map((c) => `${c.title}${c.chunk > 0 ? ` (part ${c.chunk + 1})` : ""}`).join("\n")}
+                                          </pre>
+                                        </div>
+                                      )}
+                                      {decision.reply_text && (
+                                        <div className="srVStackTight">
+                                          <span className="srStatLabel">Reply sent:</span>
+                                          <span className="srMsgText">{decision.reply_text}</span>
+                                        </div>
+                                      )}
+                                    </div>
+                                  </div>
+                                ))}
+                              </div>
+                            )}
 
                             {/* Collapsible Conversation */}
                             {isExpanded && (
@@ -995,6 +1383,60 @@ export default function AnalyticsPage() {
             </s-section>
           </PlanGate>
           )}
+
+          {/* Export: one dataset at a time, streamed as CSV or NDJSON */}
+          <s-section heading="Export data">
+            <form onSubmit={handleExport}>
+              <div className="srVStack">
+                <span className="srTextSubdued">
+                  Download your data for a spreadsheet or BI tool. Dates are in UTC.
+                </span>
+                <div className="srFilterRow">
+                  <label className="srFieldLabel srFlex1">
+                    <span className="srTextSubdued">Data</span>
+                    <select name="dataset" className="srSelect" defaultValue={exportDatasets.find((d) => d.allowed)?.key}>
+                      {exportDatasets.map((d) => (
+                        <option key={d.key} value={d.key} disabled={!d.allowed}>
+                          {d.label}{d.allowed ? "" : " (Growth and Pro)"}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="srFieldLabel">
+                    <span className="srTextSubdued">Start Date</span>
+                    <input type="date" name="start_date" defaultValue={analyticsFilters?.startDate || ""} className="srInput" />
+                  </label>
+                  <label className="srFieldLabel">
+                    <span className="srTextSubdued">End Date</span>
+                    <input type="date" name="end_date" defaultValue={analyticsFilters?.endDate || ""} className="srInput" />
+                  </label>
+                  <label className="srFieldLabel">
+                    <span className="srTextSubdued">Channel</span>
+                    <select name="channel" className="srSelect" defaultValue="">
+                      <option value="">All Channels</option>
+                      <option value="dm">DM</option>
+                      <option value="comment">Comment</option>
+                    </select>
+                  </label>
+                  <label className="srFieldLabel">
+                    <span className="srTextSubdued">Format</span>
+                    <select name="format" className="srSelect" defaultValue="csv">
+                      <option value="csv">CSV</option>
+                      <option value="ndjson">NDJSON</option>
+                    </select>
+                  </label>
+                  <div className="srFilterActions">
+                    <s-button type="submit" variant="secondary" disabled={exportState.busy}>
+                      {exportState.busy ? "Exporting…" : "Export"}
+                    </s-button>
+                  </div>
+                </div>
+                {exportState.error && (
+                  <s-text tone="critical">{exportState.error}</s-text>
+                )}
+              </div>
+            </form>
+          </s-section>
       </s-page>
     );
   }
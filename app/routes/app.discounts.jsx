@@ -0,0 +1,241 @@
+import { useState } from "react";
+import { useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { getShopWithPlan } from "../lib/loader-helpers.server";
+import { getSettings, updateSettings, getRecentAgentDiscountCodes } from "../lib/db.server";
+import {
+  AGENT_DISCOUNT_INTENT_OPTIONS,
+  MAX_AGENT_DISCOUNT_PERCENT,
+  MAX_AGENT_DISCOUNTS_PER_CUSTOMER,
+} from "../lib/agent-discounts.server";
+import { PlanGate } from "../components/PlanGate";
+
+const INTENT_LABELS = {
+  purchase: "Ready to buy",
+  price_request: "Asking about price",
+  product_question: "Product question",
+  variant_inquiry: "Size or color question",
+};
+
+const STATUS_BADGES = {
+  issued: { tone: "info", label: "Sent" },
+  unsent: { tone: "subdued", label: "Not delivered" },
+  redeemed: { tone: "success", label: "Redeemed" },
+};
+
+export const loader = async ({ request }) => {
+  const { shop } = await getShopWithPlan(request);
+  const limits = {
+    maxPercent: MAX_AGENT_DISCOUNT_PERCENT,
+    maxPerCustomer: MAX_AGENT_DISCOUNTS_PER_CUSTOMER,
+    intentOptions: AGENT_DISCOUNT_INTENT_OPTIONS,
+  };
+  if (!shop?.id) {
+    return {
+      discount: { enabled: false, maxPercent: 10, perCustomerLimit: 1, intents: ["purchase", "price_request"] },
+      codes: [],
+      limits,
+    };
+  }
+
+  const [settings, codes] = await Promise.all([
+    getSettings(shop.id).catch(() => null),
+    getRecentAgentDiscountCodes(shop.id),
+  ]);
+
+  return {
+    discount: {
+      enabled: settings?.agent_discount_enabled ?? false,
+      maxPercent: settings?.agent_discount_max_percent ?? 10,
+      perCustomerLimit: settings?.agent_discount_per_customer_limit ?? 1,
+      intents: settings?.agent_discount_intents ?? ["purchase", "price_request"],
+    },
+    codes,
+    limits,
+  };
+};
+
+export const action = async ({ request }) => {
+  try {
+    const { shop } = await getShopWithPlan(request);
+    if (!shop?.id) return { error: "Shop not found" };
+
+    const formData = await request.formData();
+    const actionType = formData.get("action");
+
+    if (actionType === "save-discounts") {
+      const maxPercent = Number(formData.get("max_percent"));
+      if (!Number.isInteger(maxPercent) || maxPercent < 1 || maxPercent > MAX_AGENT_DISCOUNT_PERCENT) {
+        return { error: `Maximum discount must be a whole number from 1 to ${MAX_AGENT_DISCOUNT_PERCENT}%` };
+      }
+      const perCustomerLimit = Number(formData.get("per_customer_limit"));
+      if (
+        !Number.isInteger(perCustomerLimit) ||
+        perCustomerLimit < 1 ||
+        perCustomerLimit > MAX_AGENT_DISCOUNTS_PER_CUSTOMER
+      ) {
+        return { error: `Codes per customer must be from 1 to ${MAX_AGENT_DISCOUNTS_PER_CUSTOMER}` };
+      }
+      const intents = formData.getAll("intents").filter((i) => AGENT_DISCOUNT_INTENT_OPTIONS.includes(i));
+      const enabled = formData.get("enabled") === "true";
+      if (enabled && intents.length === 0) {
+        return { error: "Pick at least one kind of message the agent can offer a discount on" };
+      }
+      try {
+        const currentSettings = await getSettings(shop.id);
+        await updateSettings(shop.id, {
+          ...currentSettings,
+          agent_discount_enabled: enabled,
+          agent_discount_max_percent: maxPercent,
+          agent_discount_per_customer_limit: perCustomerLimit,
+          agent_discount_intents: intents,
+        });
+        return { success: true, message: "Discount settings saved" };
+      } catch (err) {
+        console.error("[discounts] Error saving discount settings:", err);
+        return { error: err.message || "Failed to save discount settings" };
+      }
+    }
+
+    return { error: "Unknown action" };
+  } catch (error) {
+    console.error("[discounts] Action error:", error);
+    return { error: error.message || "An error occurred" };
+  }
+};
+
+export default function DiscountsPage() {
+  const { discount, codes, limits } = useLoaderData();
+  const fetcher = useFetcher();
+  const [enabled, setEnabled] = useState(discount.enabled);
+  const feedback = fetcher.data;
+
+  return (
+    <s-page heading="Agent discounts">
+      {feedback?.success && (
+        <s-banner tone="success"><s-text>{feedback.message}</s-text></s-banner>
+      )}
+      {feedback?.error && (
+        <s-banner tone="critical"><s-text>{feedback.error}</s-text></s-banner>
+      )}
+
+      <PlanGate requiredPlan="GROWTH" feature="Agent discount codes">
+        <s-section heading="Discount codes in DMs">
+          <span className="srCardDesc">
+            Let the AI offer a customer a one-time discount when it would help close the sale. Each code is created in
+            your Shopify admin, works for a single order, expires after 48 hours and is already applied to the
+            checkout link the AI sends.
+          </span>
+          <fetcher.Form method="post">
+            <input type="hidden" name="action" value="save-discounts" />
+            <input type="hidden" name="enabled" value={enabled ? "true" : "false"} />
+            <div className="srToggleStack">
+              <div className="srToggleRow">
+                <div className="srToggleRowInner">
+                  <div className="srToggleRowText">
+                    <span className="srCardTitle">Allow the AI to offer discount codes</span>
+                  </div>
+                  <label className="srToggle" aria-label="Allow the AI to offer discount codes">
+                    <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+                    <span className="srToggleTrack"><span className="srToggleThumb" /></span>
+                  </label>
+                </div>
+              </div>
+              <div className="srToggleRow">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="discount-max">Maximum discount (%)</label>
+                  <span className="srCardDesc">The AI never offers more than this, whatever the customer asks for.</span>
+                  <input
+                    id="discount-max"
+                    type="number"
+                    name="max_percent"
+                    min="1"
+                    max={limits.maxPercent}
+                    step="1"
+                    defaultValue={discount.maxPercent}
+                    className="srInput srInputRow"
+                  />
+                </div>
+              </div>
+              <div className="srToggleRow">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="discount-limit">Codes per customer</label>
+                  <span className="srCardDesc">How many codes one Instagram customer can ever receive.</span>
+                  <input
+                    id="discount-limit"
+                    type="number"
+                    name="per_customer_limit"
+                    min="1"
+                    max={limits.maxPerCustomer}
+                    step="1"
+                    defaultValue={discount.perCustomerLimit}
+                    className="srInput srInputRow"
+                  />
+                </div>
+              </div>
+              <div className="srToggleRow srToggleRowLast">
+                <div className="srToggleRowText">
+                  <span className="srCardTitle">Only for messages that are</span>
+                  {limits.intentOptions.map((intent) => (
+                    <label key={intent} className="srHStack" style={{ gap: "8px" }}>
+                      <input type="checkbox" name="intents" value={intent} defaultChecked={discount.intents.includes(intent)} />
+                      <span>{INTENT_LABELS[intent] || intent}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+            <div className="srSaveBtnWrap">
+              <button type="submit" className="srPrimaryBtn" disabled={fetcher.state !== "idle"}>
+                {fetcher.state !== "idle" ? "Saving…" : "Save"}
+              </button>
+            </div>
+          </fetcher.Form>
+        </s-section>
+
+        <s-section heading="Recent codes">
+          {codes.length === 0 ? (
+            <span className="srCardDesc">The AI hasn&apos;t offered any discount codes yet.</span>
+          ) : (
+            <div className="srTableWrap">
+              <table className="srTable">
+                <thead>
+                  <tr>
+                    <th className="srTh srTextLeft">Code</th>
+                    <th className="srTh srTextLeft">Discount</th>
+                    <th className="srTh srTextLeft">Customer</th>
+                    <th className="srTh srTextLeft">Created</th>
+                    <th className="srTh srTextLeft">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {codes.map((c) => {
+                    const badge = STATUS_BADGES[c.status] || STATUS_BADGES.issued;
+                    const expired = c.status === "issued" && new Date(c.expires_at) < new Date();
+                    return (
+                      <tr key={c.id}>
+                        <td>{c.code}</td>
+                        <td>{c.percent}%</td>
+                        <td>{c.ig_user_id}</td>
+                        <td>{new Date(c.created_at).toLocaleString()}</td>
+                        <td>
+                          <s-badge tone={expired ? "subdued" : badge.tone}>{expired ? "Expired" : badge.label}</s-badge>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </s-section>
+      </PlanGate>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => boundary.headers(headersArgs);
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
@@ -0,0 +1,290 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { getShopWithPlan } from "../lib/loader-helpers.server";
+import {
+  getExperiments,
+  getExperimentResults,
+  createExperiment,
+  stopExperiment,
+  deleteExperiment,
+  normalizeExperimentVariant,
+  validateExperiment,
+  MIN_EXPERIMENT_VARIANTS,
+  MAX_EXPERIMENT_VARIANTS,
+  MAX_PROMPT_ADDENDUM_LENGTH,
+} from "../lib/experiments.server";
+import { PlanGate } from "../components/PlanGate";
+import { ExperimentResults } from "../components/ExperimentResults";
+
+// Older experiments stay listed, but only the newest few get results queries.
+const MAX_EXPERIMENTS_WITH_RESULTS = 5;
+
+export const loader = async ({ request }) => {
+  const { shop, plan } = await getShopWithPlan(request);
+  const limits = {
+    minVariants: MIN_EXPERIMENT_VARIANTS,
+    maxVariants: MAX_EXPERIMENT_VARIANTS,
+    maxAddendumLength: MAX_PROMPT_ADDENDUM_LENGTH,
+  };
+  if (!shop?.id || plan?.name === "FREE") {
+    return { experiments: [], limits };
+  }
+
+  const experiments = await getExperiments(shop.id).catch(() => []);
+  const withResults = await Promise.all(
+    experiments.map(async (experiment, i) => ({
+      ...experiment,
+      results: i < MAX_EXPERIMENTS_WITH_RESULTS
+        ? await getExperimentResults(experiment).catch(() => null)
+        : null,
+    })),
+  );
+  return { experiments: withResults, limits };
+};
+
+export const action = async ({ request }) => {
+  try {
+    const { shop, plan } = await getShopWithPlan(request);
+    if (!shop?.id) return { error: "Shop not found" };
+    if (plan?.name === "FREE") {
+      return { error: "Experiments test brand voice settings. Upgrade to Growth to use them." };
+    }
+
+    const formData = await request.formData();
+    const actionType = formData.get("action");
+
+    // ── Start an experiment ────────────────────────────────────────────────
+    if (actionType === "create-experiment") {
+      const name = String(formData.get("name") || "").trim();
+      const count = Math.min(Number(formData.get("variant_count")) || 0, MAX_EXPERIMENT_VARIANTS);
+      const variants = [];
+      for (let i = 0; i < count; i++) {
+        variants.push(normalizeExperimentVariant({
+          label: formData.get(`variant_${i}_label`),
+          tone: formData.get(`variant_${i}_tone`),
+          prompt_addendum: formData.get(`variant_${i}_prompt_addendum`),
+          link_type: formData.get(`variant_${i}_link_type`),
+          include_price: formData.get(`variant_${i}_include_price`) === "true",
+        }, i));
+      }
+      const validationError = validateExperiment(name, variants);
+      if (validationError) return { error: validationError };
+
+      try {
+        await createExperiment(shop.id, { name, variants });
+        return { success: true, actionType: "create-experiment", message: "Experiment started" };
+      } catch (err) {
+        console.error("[experiments] Error starting experiment:", err);
+        return { error: err.message || "Failed to start experiment" };
+      }
+    }
+
+    // ── Stop / delete ──────────────────────────────────────────────────────
+    if (actionType === "stop-experiment" || actionType === "delete-experiment") {
+      const experimentId = formData.get("experimentId");
+      if (!experimentId) return { error: "Missing experiment ID" };
+      try {
+        if (actionType === "stop-experiment") {
+          await stopExperiment(shop.id, experimentId);
+          return { success: true, message: "Experiment stopped. New conversations get your normal brand voice again." };
+        }
+        await deleteExperiment(shop.id, experimentId);
+        return { success: true, message: "Experiment deleted" };
+      } catch (err) {
+        console.error("[experiments] Error updating experiment:", err);
+        return { error: err.message || "Failed to update experiment" };
+      }
+    }
+
+    return { error: "Unknown action" };
+  } catch (error) {
+    console.error("[experiments] Action error:", error);
+    return { error: error.message || "An error occurred" };
+  }
+};
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString() : "—";
+}
+
+export default function ExperimentsPage() {
+  const { experiments, limits } = useLoaderData();
+  const formFetcher = useFetcher();
+  const rowFetcher = useFetcher();
+  const [variantCount, setVariantCount] = useState(limits.minVariants);
+  const [formKey, setFormKey] = useState(0);
+
+  // Reset the form after a successful start (remounting clears uncontrolled inputs).
+  useEffect(() => {
+    if (formFetcher.state === "idle" && formFetcher.data?.actionType === "create-experiment" && formFetcher.data?.success) {
+      setFormKey((k) => k + 1);
+      setVariantCount(limits.minVariants);
+    }
+  }, [formFetcher.state, formFetcher.data, limits.minVariants]);
+
+  const running = experiments.find((e) => e.status === "running");
+  const feedback = formFetcher.data || rowFetcher.data;
+
+  return (
+    <s-page heading="Reply experiments">
+      {feedback?.success && (
+        <s-banner tone="success"><s-text>{feedback.message}</s-text></s-banner>
+      )}
+      {feedback?.error && (
+        <s-banner tone="critical"><s-text>{feedback.error}</s-text></s-banner>
+      )}
+
+      <PlanGate requiredPlan="GROWTH" feature="Reply experiments">
+        {!running && (
+          <s-section heading="New experiment">
+            <span className="srCardDesc">
+              Try reply styles against each other. Each conversation gets one variant at random and keeps it.
+              Variants change how automated DMs and comment replies are written; keyword rules aren&apos;t affected.
+              The first variant is the control the others are compared with.
+            </span>
+            <formFetcher.Form method="post" key={formKey}>
+              <input type="hidden" name="action" value="create-experiment" />
+              <input type="hidden" name="variant_count" value={variantCount} />
+              <div className="srToggleStack">
+                <div className="srToggleRow">
+                  <div className="srToggleRowText">
+                    <label className="srCardTitle" htmlFor="experiment-name">Name</label>
+                    <input
+                      id="experiment-name"
+                      type="text"
+                      name="name"
+                      maxLength={100}
+                      placeholder="e.g. Casual vs expert, spring drop"
+                      className="srInput srInputRow"
+                    />
+                  </div>
+                </div>
+                {Array.from({ length: variantCount }, (_, i) => (
+                  <div key={i} className={`srToggleRow${i === variantCount - 1 ? " srToggleRowLast" : ""}`}>
+                    <div className="srToggleRowText">
+                      <span className="srCardTitle">
+                        Variant {String.fromCharCode(65 + i)}{i === 0 ? " (control)" : ""}
+                      </span>
+                      <div className="srHStack" style={{ gap: "8px", flexWrap: "wrap" }}>
+                        <input
+                          type="text"
+                          name={`variant_${i}_label`}
+                          maxLength={60}
+                          placeholder={`Label (Variant ${String.fromCharCode(65 + i)})`}
+                          className="srInput srInputRow"
+                          aria-label="Variant label"
+                        />
+                        <select name={`variant_${i}_tone`} className="srSelect srInputRow" defaultValue="" aria-label="Tone">
+                          <option value="">Brand voice tone</option>
+                          <option value="friendly">Friendly</option>
+                          <option value="expert">Expert</option>
+                          <option value="casual">Casual</option>
+                        </select>
+                        <select name={`variant_${i}_link_type`} className="srSelect srInputRow" defaultValue="checkout" aria-label="Link type">
+                          <option value="checkout">Checkout link</option>
+                          <option value="pdp">Product page link</option>
+                        </select>
+                        <select name={`variant_${i}_include_price`} className="srSelect srInputRow" defaultValue="true" aria-label="Price">
+                          <option value="true">Mention the price</option>
+                          <option value="false">Leave the price out</option>
+                        </select>
+                      </div>
+                      <textarea
+                        name={`variant_${i}_prompt_addendum`}
+                        rows={2}
+                        maxLength={limits.maxAddendumLength}
+                        className="srInput srInputRow"
+                        placeholder="Extra instructions, added to your brand voice (optional), e.g. Mention free shipping over $50"
+                        aria-label="Extra instructions"
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <span className="srCardDesc">
+                Product page links only change replies to buyers; questions about a product always get its page.
+                Customers who ask for the price still get it.
+              </span>
+              <div className="srHStack" style={{ gap: "8px", marginTop: "8px" }}>
+                <s-button
+                  variant="secondary"
+                  disabled={variantCount >= limits.maxVariants}
+                  onClick={() => setVariantCount((n) => Math.min(n + 1, limits.maxVariants))}
+                >
+                  Add variant
+                </s-button>
+                <s-button
+                  variant="secondary"
+                  disabled={variantCount <= limits.minVariants}
+                  onClick={() => setVariantCount((n) => Math.max(n - 1, limits.minVariants))}
+                >
+                  Remove variant
+                </s-button>
+              </div>
+              <div className="srSaveBtnWrap">
+                <button type="submit" className="srPrimaryBtn" disabled={formFetcher.state !== "idle"}>
+                  {formFetcher.state !== "idle" ? "Starting…" : "Start experiment"}
+                </button>
+              </div>
+            </formFetcher.Form>
+          </s-section>
+        )}
+
+        {experiments.length === 0 ? (
+          <s-section heading="Experiments">
+            <span className="srCardDesc">No experiments yet.</span>
+          </s-section>
+        ) : (
+          experiments.map((experiment) => (
+            <s-section key={experiment.id} heading={experiment.name}>
+              <div className="srHStack" style={{ gap: "8px", alignItems: "center", marginBottom: "8px" }}>
+                <s-badge tone={experiment.status === "running" ? "success" : "subdued"}>
+                  {experiment.status === "running" ? "Running" : "Stopped"}
+                </s-badge>
+                <span className="srCardDesc">
+                  Started {formatDate(experiment.started_at)}
+                  {experiment.stopped_at ? `, stopped ${formatDate(experiment.stopped_at)}` : ""}
+                </span>
+                {experiment.status === "running" ? (
+                  <s-button
+                    variant="secondary" size="slim" className="srBtnCompact"
+                    disabled={rowFetcher.state !== "idle"}
+                    onClick={() => rowFetcher.submit({ action: "stop-experiment", experimentId: experiment.id }, { method: "post" })}
+                  >
+                    Stop
+                  </s-button>
+                ) : (
+                  <s-button
+                    variant="secondary" tone="critical" size="slim" className="srBtnCompact"
+                    disabled={rowFetcher.state !== "idle"}
+                    onClick={() => rowFetcher.submit({ action: "delete-experiment", experimentId: experiment.id }, { method: "post" })}
+                  >
+                    Delete
+                  </s-button>
+                )}
+              </div>
+              {experiment.results ? (
+                <ExperimentResults variants={experiment.variants} results={experiment.results} />
+              ) : (
+                <span className="srCardDesc">Results aren&apos;t available for this experiment right now.</span>
+              )}
+            </s-section>
+          ))
+        )}
+        <span className="srCardDesc">
+          Click-through is the share of conversations where a link got a click from a person, and the order rate
+          the share with an order; orders and revenue are attributed to the links in those replies.
+          &ldquo;Better&rdquo; or &ldquo;Worse&rdquo; means the difference from the control is statistically
+          significant (95% confidence, at least 30 conversations per variant).
+        </span>
+      </PlanGate>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => boundary.headers(headersArgs);
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
@@ -0,0 +1,33 @@
+import { getShopWithPlan } from "../lib/loader-helpers.server";
+import { canExport, createExportResponse, EXPORT_DATASETS, EXPORT_FORMATS } from "../lib/export.server";
+
+/**
+ * Resource route: GET /app/export?dataset=messages&format=csv&start_date=…
+ * Streams one dataset as a file download (see export.server.js). The
+ * Analytics page fetches it through App Bridge's authenticated fetch.
+ */
+export const loader = async ({ request }) => {
+  const { shop, plan } = await getShopWithPlan(request);
+  if (!shop?.id) {
+    return new Response("Shop not found", { status: 404 });
+  }
+
+  const url = new URL(request.url);
+  const dataset = url.searchParams.get("dataset") || "";
+  const format = url.searchParams.get("format") || "csv";
+  if (!EXPORT_DATASETS[dataset] || !EXPORT_FORMATS[format]) {
+    return new Response("Unknown export", { status: 400 });
+  }
+  if (!canExport(plan?.name, dataset)) {
+    return new Response(`${EXPORT_DATASETS[dataset].label} export isn't included in your plan`, { status: 403 });
+  }
+
+  return createExportResponse(shop.id, {
+    dataset,
+    format,
+    startDate: url.searchParams.get("start_date") || null,
+    endDate: url.searchParams.get("end_date") || null,
+    channel: url.searchParams.get("channel") || null,
+    orderId: url.searchParams.get("order_id") || null,
+  });
+};
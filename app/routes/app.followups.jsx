@@ -0,0 +1,454 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { getShopWithPlan } from "../lib/loader-helpers.server";
+import {
+  getFollowupSteps,
+  saveFollowupStep,
+  deleteFollowupStep,
+  getRecentFollowupRuns,
+  getSettings,
+  updateSettings,
+} from "../lib/db.server";
+import { validateFollowupStep, MAX_FOLLOWUP_STEPS, DEFAULT_FOLLOWUP_STEPS } from "../lib/followup.server";
+import { MIN_RECOVERY_DELAY_MINUTES, MAX_RECOVERY_DELAY_MINUTES } from "../lib/checkout-recovery.server";
+import { PlanGate } from "../components/PlanGate";
+
+const CONDITION_LABELS = {
+  not_clicked: "Link not clicked",
+  clicked_no_order: "Clicked, no order yet",
+  ordered: "Order placed (thank-you)",
+};
+
+const STOP_REASON_LABELS = {
+  customer_replied: "Customer replied",
+  opted_out: "Opted out",
+  window_closed: "24h window closed",
+  send_failed: "Couldn't be delivered",
+};
+
+export const loader = async ({ request }) => {
+  const { shop } = await getShopWithPlan(request);
+  if (!shop?.id) {
+    return {
+      steps: [],
+      runs: [],
+      followupEnabled: false,
+      recovery: { enabled: false, delayMinutes: 60, discountCode: "" },
+      recoveryLimits: { min: MIN_RECOVERY_DELAY_MINUTES, max: MAX_RECOVERY_DELAY_MINUTES },
+      defaultSteps: DEFAULT_FOLLOWUP_STEPS,
+      maxSteps: MAX_FOLLOWUP_STEPS,
+    };
+  }
+
+  const [steps, runs, settings] = await Promise.all([
+    getFollowupSteps(shop.id).catch(() => []),
+    getRecentFollowupRuns(shop.id),
+    getSettings(shop.id).catch(() => null),
+  ]);
+
+  return {
+    steps,
+    runs,
+    followupEnabled: settings?.followup_enabled ?? true,
+    recovery: {
+      enabled: settings?.checkout_recovery_enabled ?? false,
+      delayMinutes: settings?.checkout_recovery_delay_minutes ?? 60,
+      discountCode: settings?.checkout_recovery_discount_code || "",
+    },
+    recoveryLimits: { min: MIN_RECOVERY_DELAY_MINUTES, max: MAX_RECOVERY_DELAY_MINUTES },
+    defaultSteps: DEFAULT_FOLLOWUP_STEPS,
+    maxSteps: MAX_FOLLOWUP_STEPS,
+  };
+};
+
+export const action = async ({ request }) => {
+  try {
+    const { shop, plan } = await getShopWithPlan(request);
+    if (!shop?.id) return { error: "Shop not found" };
+    if (!plan?.followup) {
+      return { error: "Follow-up sequences are part of the Pro plan." };
+    }
+
+    const formData = await request.formData();
+    const actionType = formData.get("action");
+
+    // ── Add a step ─────────────────────────────────────────────────────────
+    if (actionType === "save-step") {
+      const step = {
+        delay_hours: formData.get("delay_hours"),
+        condition: formData.get("condition"),
+        message: String(formData.get("message") || "").trim() || null,
+      };
+      const stepError = validateFollowupStep(step);
+      if (stepError) return { error: stepError };
+
+      try {
+        const existing = await getFollowupSteps(shop.id);
+        if (existing.length >= MAX_FOLLOWUP_STEPS) {
+          return { error: `A sequence can have up to ${MAX_FOLLOWUP_STEPS} steps` };
+        }
+        await saveFollowupStep(shop.id, { ...step, enabled: true });
+        return { success: true, actionType: "save-step", message: "Step added" };
+      } catch (err) {
+        console.error("[followups] Error saving step:", err);
+        return { error: err.message || "Failed to save step" };
+      }
+    }
+
+    // ── Abandoned-checkout recovery settings ───────────────────────────────
+    if (actionType === "save-recovery") {
+      const delayMinutes = Number(formData.get("delay_minutes"));
+      if (
+        !Number.isInteger(delayMinutes) ||
+        delayMinutes < MIN_RECOVERY_DELAY_MINUTES ||
+        delayMinutes > MAX_RECOVERY_DELAY_MINUTES
+      ) {
+        return {
+          error: `Wait between ${MIN_RECOVERY_DELAY_MINUTES} minutes and ${MAX_RECOVERY_DELAY_MINUTES / 60} hours before the recovery DM`,
+        };
+      }
+      const discountCode = String(formData.get("discount_code") || "").trim();
+      if (discountCode && !/^[\p{L}\p{N}_-]{1,40}$/u.test(discountCode)) {
+        return { error: "Discount codes can only contain letters, numbers, dashes and underscores" };
+      }
+      try {
+        const currentSettings = await getSettings(shop.id);
+        await updateSettings(shop.id, {
+          ...currentSettings,
+          checkout_recovery_enabled: formData.get("enabled") === "true",
+          checkout_recovery_delay_minutes: delayMinutes,
+          checkout_recovery_discount_code: discountCode || null,
+        });
+        return { success: true, message: "Checkout recovery saved" };
+      } catch (err) {
+        console.error("[followups] Error saving checkout recovery:", err);
+        return { error: err.message || "Failed to save checkout recovery" };
+      }
+    }
+
+    // ── Enable / disable a step ────────────────────────────────────────────
+    if (actionType === "toggle-step") {
+      const stepId = formData.get("stepId");
+      if (!stepId) return { error: "Missing step ID" };
+      try {
+        const steps = await getFollowupSteps(shop.id);
+        const step = steps.find((s) => s.id === stepId);
+        if (!step) return { error: "Step not found" };
+        await saveFollowupStep(shop.id, { ...step, enabled: formData.get("enabled") === "true" });
+        return { success: true, message: formData.get("enabled") === "true" ? "Step enabled" : "Step paused" };
+      } catch (err) {
+        console.error("[followups] Error toggling step:", err);
+        return { error: err.message || "Failed to update step" };
+      }
+    }
+
+    // ── Delete a step ──────────────────────────────────────────────────────
+    if (actionType === "delete-step") {
+      const stepId = formData.get("stepId");
+      if (!stepId) return { error: "Missing step ID" };
+      try {
+        await deleteFollowupStep(shop.id, stepId);
+        return { success: true, message: "Step deleted" };
+      } catch (err) {
+        console.error("[followups] Error deleting step:", err);
+        return { error: err.message || "Failed to delete step" };
+      }
+    }
+
+    return { error: "Unknown action" };
+  } catch (error) {
+    console.error("[followups] Action error:", error);
+    return { error: error.message || "An error occurred" };
+  }
+};
+
+function formatDelay(hours) {
+  const h = Number(hours);
+  if (h < 1) return `${Math.round(h * 60)} min`;
+  return Number.isInteger(h) ? `${h}h` : `${h.toFixed(1)}h`;
+}
+
+function truncate(text, max) {
+  if (!text) return "";
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function runStatus(run) {
+  if (run.status === "active") return { tone: "info", label: "In progress" };
+  if (run.status === "stopped") return { tone: "subdued", label: STOP_REASON_LABELS[run.stop_reason] || "Stopped" };
+  if (run.stop_reason === "window_closed") return { tone: "subdued", label: STOP_REASON_LABELS.window_closed };
+  return { tone: "success", label: "Finished" };
+}
+
+export default function FollowupsPage() {
+  const { steps, runs, followupEnabled, recovery, recoveryLimits, defaultSteps, maxSteps } = useLoaderData();
+  const formFetcher = useFetcher();
+  const rowFetcher = useFetcher();
+  const recoveryFetcher = useFetcher();
+  const [formKey, setFormKey] = useState(0);
+  const [recoveryEnabled, setRecoveryEnabled] = useState(recovery.enabled);
+
+  // Reset the form after a successful save (remounting clears uncontrolled inputs).
+  useEffect(() => {
+    if (formFetcher.state === "idle" && formFetcher.data?.actionType === "save-step" && formFetcher.data?.success) {
+      setFormKey((k) => k + 1);
+    }
+  }, [formFetcher.state, formFetcher.data]);
+
+  const feedback = formFetcher.data || rowFetcher.data || recoveryFetcher.data;
+  const enabledCount = steps.filter((s) => s.enabled).length;
+
+  return (
+    <s-page heading="Follow-up sequence">
+      {feedback?.success && (
+        <s-banner tone="success"><s-text>{feedback.message}</s-text></s-banner>
+      )}
+      {feedback?.error && (
+        <s-banner tone="critical"><s-text>{feedback.error}</s-text></s-banner>
+      )}
+
+      <PlanGate requiredPlan="PRO" feature="Follow-up sequences">
+        {!followupEnabled && (
+          <s-banner tone="warning">
+            <s-text>Follow-up messages are turned off. Turn them on from Home for this sequence to run.</s-text>
+          </s-banner>
+        )}
+
+        <s-section heading="New step">
+          <span className="srCardDesc">
+            After we send a customer a product link, each step is checked when its delay has passed since their
+            last DM. It sends only if its condition is true at that moment; otherwise it&apos;s skipped. The
+            sequence stops when the customer replies or opts out. Instagram only allows automated messages within
+            24 hours of the customer&apos;s last DM, so every step must fit in that window.
+          </span>
+          <formFetcher.Form method="post" key={formKey}>
+            <input type="hidden" name="action" value="save-step" />
+            <div className="srToggleStack">
+              <div className="srToggleRow">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="step-delay">Send after</label>
+                  <span className="srCardDesc">Hours after the customer&apos;s last message (0.25 to 23.5).</span>
+                  <input
+                    id="step-delay"
+                    type="number"
+                    name="delay_hours"
+                    min="0.25"
+                    max="23.5"
+                    step="0.25"
+                    placeholder="e.g. 4"
+                    className="srInput srInputRow"
+                  />
+                </div>
+              </div>
+              <div className="srToggleRow">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="step-condition">Only if</label>
+                  <select id="step-condition" name="condition" className="srSelect srInputRow" defaultValue="not_clicked">
+                    {Object.entries(CONDITION_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="srToggleRow srToggleRowLast">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="step-message">Message (optional)</label>
+                  <span className="srCardDesc">Sent exactly as written. Leave empty to have the AI write it in your brand voice.</span>
+                  <textarea
+                    id="step-message"
+                    name="message"
+                    rows={3}
+                    maxLength={1000}
+                    className="srInput srInputRow"
+                    placeholder="e.g. Still thinking it over? Happy to answer any sizing questions!"
+                  />
+                </div>
+              </div>
+            </div>
+            <div className="srSaveBtnWrap">
+              <button
+                type="submit"
+                className="srPrimaryBtn"
+                disabled={formFetcher.state !== "idle" || steps.length >= maxSteps}
+              >
+                {formFetcher.state !== "idle" ? "Saving…" : "Add step"}
+              </button>
+            </div>
+          </formFetcher.Form>
+        </s-section>
+
+        <s-section heading={`Steps (${steps.length}/${maxSteps})`}>
+          {enabledCount === 0 && (
+            <span className="srCardDesc" style={{ display: "block", marginBottom: "12px" }}>
+              No active steps, so the default applies:{" "}
+              {defaultSteps
+                .map((s) => `one AI-written check-in ${formatDelay(s.delay_hours)} after the last message if the link wasn't clicked`)
+                .join(", ")}
+              .
+            </span>
+          )}
+          {steps.length > 0 && (
+            <div className="srTableWrap">
+              <table className="srTable">
+                <thead>
+                  <tr>
+                    <th className="srTh srTextLeft">After</th>
+                    <th className="srTh srTextLeft">Only if</th>
+                    <th className="srTh srTextLeft">Message</th>
+                    <th className="srTh srTextLeft">Status</th>
+                    <th className="srTh srTextLeft" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {steps.map((step) => (
+                    <tr key={step.id}>
+                      <td>{formatDelay(step.delay_hours)}</td>
+                      <td>{CONDITION_LABELS[step.condition] || step.condition}</td>
+                      <td>
+                        <span className="srCardDesc">{step.message ? truncate(step.message, 80) : "AI-written"}</span>
+                      </td>
+                      <td>
+                        <s-badge tone={step.enabled ? "success" : "subdued"}>{step.enabled ? "Active" : "Paused"}</s-badge>
+                      </td>
+                      <td>
+                        <div className="srHStack" style={{ gap: "8px" }}>
+                          <s-button
+                            variant="secondary" size="slim" className="srBtnCompact"
+                            disabled={rowFetcher.state !== "idle"}
+                            onClick={() =>
+                              rowFetcher.submit(
+                                { action: "toggle-step", stepId: step.id, enabled: step.enabled ? "false" : "true" },
+                                { method: "post" },
+                              )
+                            }
+                          >
+                            {step.enabled ? "Pause" : "Resume"}
+                          </s-button>
+                          <s-button
+                            variant="secondary" tone="critical" size="slim" className="srBtnCompact"
+                            disabled={rowFetcher.state !== "idle"}
+                            onClick={() => rowFetcher.submit({ action: "delete-step", stepId: step.id }, { method: "post" })}
+                          >
+                            Delete
+                          </s-button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <span className="srCardDesc" style={{ display: "block", marginTop: "12px" }}>
+            Changes apply to conversations that start after you save; ones already in progress keep their steps.
+          </span>
+        </s-section>
+
+        <s-section heading="Abandoned checkout recovery">
+          <span className="srCardDesc">
+            When a customer opens a checkout link from a DM, starts checking out and doesn&apos;t finish, send them
+            one reminder with their link. It only goes out while they&apos;re inside Instagram&apos;s 24-hour window
+            and is cancelled as soon as an order comes in.
+          </span>
+          <recoveryFetcher.Form method="post">
+            <input type="hidden" name="action" value="save-recovery" />
+            <input type="hidden" name="enabled" value={recoveryEnabled ? "true" : "false"} />
+            <div className="srToggleStack">
+              <div className="srToggleRow">
+                <div className="srToggleRowInner">
+                  <div className="srToggleRowText">
+                    <span className="srCardTitle">Send recovery DMs</span>
+                  </div>
+                  <label className="srToggle" aria-label="Send recovery DMs">
+                    <input
+                      type="checkbox"
+                      checked={recoveryEnabled}
+                      onChange={(e) => setRecoveryEnabled(e.target.checked)}
+                    />
+                    <span className="srToggleTrack"><span className="srToggleThumb" /></span>
+                  </label>
+                </div>
+              </div>
+              <div className="srToggleRow">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="recovery-delay">Wait (minutes)</label>
+                  <span className="srCardDesc">Time since their last checkout activity before we message them.</span>
+                  <input
+                    id="recovery-delay"
+                    type="number"
+                    name="delay_minutes"
+                    min={recoveryLimits.min}
+                    max={recoveryLimits.max}
+                    step="5"
+                    defaultValue={recovery.delayMinutes}
+                    className="srInput srInputRow"
+                  />
+                </div>
+              </div>
+              <div className="srToggleRow srToggleRowLast">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="recovery-code">Discount code (optional)</label>
+                  <span className="srCardDesc">Create the code in Shopify first; we mention it in the DM.</span>
+                  <input
+                    id="recovery-code"
+                    type="text"
+                    name="discount_code"
+                    maxLength={40}
+                    defaultValue={recovery.discountCode}
+                    placeholder="e.g. COMEBACK10"
+                    className="srInput srInputRow"
+                    autoComplete="off"
+                  />
+                </div>
+              </div>
+            </div>
+            <div className="srSaveBtnWrap">
+              <button type="submit" className="srPrimaryBtn" disabled={recoveryFetcher.state !== "idle"}>
+                {recoveryFetcher.state !== "idle" ? "Saving…" : "Save"}
+              </button>
+            </div>
+          </recoveryFetcher.Form>
+        </s-section>
+
+        <s-section heading="Recent conversations">
+          {runs.length === 0 ? (
+            <span className="srCardDesc">No conversations have entered the sequence yet.</span>
+          ) : (
+            <div className="srTableWrap">
+              <table className="srTable">
+                <thead>
+                  <tr>
+                    <th className="srTh srTextLeft">Customer</th>
+                    <th className="srTh srTextLeft">Last DM</th>
+                    <th className="srTh srTextLeft">Sent</th>
+                    <th className="srTh srTextLeft">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {runs.map((run) => {
+                    const status = runStatus(run);
+                    return (
+                      <tr key={run.id}>
+                        <td>{run.ig_user_id}</td>
+                        <td>{new Date(run.anchor_at).toLocaleString()}</td>
+                        <td>{run.steps_sent} of {Array.isArray(run.steps) ? run.steps.length : 0}</td>
+                        <td><s-badge tone={status.tone}>{status.label}</s-badge></td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </s-section>
+      </PlanGate>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => boundary.headers(headersArgs);
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
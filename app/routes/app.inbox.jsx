@@ -0,0 +1,325 @@
+import { useEffect, useRef, useState } from "react";
+import { useFetcher, useLoaderData, useNavigate, useRouteError, useSearchParams } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { getShopWithPlan } from "../lib/loader-helpers.server";
+import { getInboxThreads, getConversationTakeovers, setConversationPaused, logInboxReply } from "../lib/db.server";
+import { getInboxThread, getReplyWindow } from "../lib/inbox.server";
+import { sendInstagramDm } from "../lib/meta.server";
+
+const MAX_REPLY_LENGTH = 1000;
+
+const INTENT_LABELS = {
+  purchase: "Purchase",
+  product_question: "Product question",
+  variant_inquiry: "Variant question",
+  price_request: "Price",
+  store_question: "Store question",
+  clarification_needed: "Unclear",
+  not_relevant: "Not relevant",
+};
+
+export const loader = async ({ request }) => {
+  const { shop } = await getShopWithPlan(request);
+  if (!shop?.id) return { threads: [], thread: null, selectedId: null };
+
+  const url = new URL(request.url);
+  const selectedId = url.searchParams.get("thread") || null;
+
+  const threads = await getInboxThreads(shop.id).catch((err) => {
+    console.error("[inbox] Error loading threads:", err);
+    return [];
+  });
+  const takeovers = await getConversationTakeovers(shop.id, threads.map((t) => t.from_user_id));
+  const threadsWithState = threads.map((t) => ({ ...t, paused: !!takeovers.get(String(t.from_user_id))?.paused }));
+
+  let thread = null;
+  if (selectedId) {
+    const summary = threadsWithState.find((t) => String(t.from_user_id) === selectedId) || null;
+    const detail = await getInboxThread(shop.id, selectedId).catch((err) => {
+      console.error("[inbox] Error loading thread:", err);
+      return null;
+    });
+    if (detail) {
+      thread = {
+        ...detail,
+        igUserId: selectedId,
+        username: summary?.from_username || null,
+        replyWindow: getReplyWindow(detail.lastDmAt),
+      };
+    }
+  }
+
+  return { threads: threadsWithState, thread, selectedId };
+};
+
+export const action = async ({ request }) => {
+  try {
+    const { shop, session } = await getShopWithPlan(request);
+    if (!shop?.id) return { error: "Shop not found" };
+
+    const formData = await request.formData();
+    const actionType = formData.get("action");
+    const igUserId = formData.get("igUserId");
+    if (!igUserId) return { error: "Missing conversation" };
+
+    // ── Manual reply ───────────────────────────────────────────────────────
+    if (actionType === "reply") {
+      const text = String(formData.get("text") || "").trim();
+      if (!text) return { error: "Write a message first" };
+      if (text.length > MAX_REPLY_LENGTH) return { error: `Keep replies under ${MAX_REPLY_LENGTH} characters` };
+
+      // Re-check the messaging window server-side; the page may be stale.
+      const detail = await getInboxThread(shop.id, igUserId);
+      const replyWindow = getReplyWindow(detail.lastDmAt);
+      if (!replyWindow.canReply) return { error: replyWindow.reason };
+
+      try {
+        await sendInstagramDm(shop.id, igUserId, text, { humanAgent: replyWindow.humanAgent });
+      } catch (err) {
+        console.error("[inbox] Error sending reply:", err);
+        return { error: `Instagram didn't accept the message: ${err.message || "unknown error"}` };
+      }
+
+      // The DM is out; bookkeeping failures shouldn't read as a failed send.
+      const sentBy = session?.onlineAccessInfo?.associated_user?.email || null;
+      await logInboxReply(shop.id, igUserId, text, { sentBy, humanAgentTag: replyWindow.humanAgent }).catch(() => {});
+      await setConversationPaused(shop.id, igUserId, true).catch(() => {});
+      return { success: true, actionType: "reply", message: "Reply sent. Automation is paused for this conversation." };
+    }
+
+    // ── Pause / resume automation for the thread ───────────────────────────
+    if (actionType === "pause" || actionType === "resume") {
+      try {
+        await setConversationPaused(shop.id, igUserId, actionType === "pause");
+        return {
+          success: true,
+          message: actionType === "pause"
+            ? "Automation paused for this conversation"
+            : "Automation resumed. The AI will answer this customer's next message.",
+        };
+      } catch (err) {
+        console.error("[inbox] Error updating pause state:", err);
+        return { error: err.message || "Failed to update conversation" };
+      }
+    }
+
+    return { error: "Unknown action" };
+  } catch (error) {
+    console.error("[inbox] Action error:", error);
+    return { error: error.message || "An error occurred" };
+  }
+};
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : "";
+}
+
+function truncate(text, max) {
+  if (!text) return "";
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function TimelineItem({ item }) {
+  if (item.kind === "inbound") {
+    return (
+      <s-box padding="base" borderWidth="base" borderRadius="base">
+        <div style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+          <div className="srHStack" style={{ gap: "8px" }}>
+            <s-badge tone="subdued">{item.channel === "comment" ? "Comment" : "DM"}</s-badge>
+            {item.intent && (
+              <s-badge tone="info">
+                {INTENT_LABELS[item.intent] || item.intent}
+                {item.confidence != null ? ` · ${Math.round(item.confidence * 100)}%` : ""}
+              </s-badge>
+            )}
+            <span className="srCardDesc">{formatTime(item.at)}</span>
+          </div>
+          <span>{item.text || <em>(attachment or story, no text)</em>}</span>
+        </div>
+      </s-box>
+    );
+  }
+
+  const isStaff = item.kind === "staff";
+  return (
+    <s-box padding="base" borderWidth="base" borderRadius="base" background="subdued">
+      <div style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+        <div className="srHStack" style={{ gap: "8px" }}>
+          <s-badge tone={isStaff ? "success" : "info"}>{isStaff ? "You" : "AI reply"}</s-badge>
+          {isStaff && item.sentBy && <span className="srCardDesc">{item.sentBy}</span>}
+          {isStaff && item.humanAgent && <span className="srCardDesc">Sent with human agent tag</span>}
+          <span className="srCardDesc">{formatTime(item.at)}</span>
+        </div>
+        <span style={{ whiteSpace: "pre-wrap" }}>{item.text || <em>(no text recorded)</em>}</span>
+        {item.links?.map((l) => (
+          <span key={l.linkId} className="srCardDesc">
+            Link sent: <a href={l.url} target="_blank" rel="noreferrer">{truncate(l.url, 80)}</a>
+          </span>
+        ))}
+      </div>
+    </s-box>
+  );
+}
+
+export default function InboxPage() {
+  const { threads, thread, selectedId } = useLoaderData();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const replyFetcher = useFetcher();
+  const stateFetcher = useFetcher();
+  const [draft, setDraft] = useState("");
+  const timelineEndRef = useRef(null);
+
+  const openThread = (igUserId) => {
+    const params = new URLSearchParams(searchParams);
+    params.set("thread", igUserId);
+    navigate(`/app/inbox?${params.toString()}`, { preventScrollReset: true });
+  };
+
+  // Clear the draft once a reply went out, and keep the newest message in view.
+  useEffect(() => {
+    if (replyFetcher.state === "idle" && replyFetcher.data?.actionType === "reply" && replyFetcher.data?.success) {
+      setDraft("");
+    }
+  }, [replyFetcher.state, replyFetcher.data]);
+
+  useEffect(() => {
+    timelineEndRef.current?.scrollIntoView({ block: "nearest" });
+  }, [thread?.items?.length]);
+
+  useEffect(() => {
+    setDraft("");
+  }, [selectedId]);
+
+  const feedback = replyFetcher.data || stateFetcher.data;
+  const sending = replyFetcher.state !== "idle";
+
+  return (
+    <s-page heading="Inbox">
+      {feedback?.success && (
+        <s-banner tone="success"><s-text>{feedback.message}</s-text></s-banner>
+      )}
+      {feedback?.error && (
+        <s-banner tone="critical"><s-text>{feedback.error}</s-text></s-banner>
+      )}
+
+      {thread && (
+        <s-section heading={thread.username ? `Conversation with @${thread.username}` : "Conversation"}>
+          <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
+            <div className="srHStack" style={{ gap: "8px", alignItems: "center" }}>
+              <s-badge tone={thread.paused ? "warning" : "success"}>
+                {thread.paused ? "Automation paused" : "Automation on"}
+              </s-badge>
+              {thread.optedOut && <s-badge tone="critical">Opted out</s-badge>}
+              <s-button
+                variant="secondary" size="slim" className="srBtnCompact"
+                disabled={stateFetcher.state !== "idle"}
+                onClick={() =>
+                  stateFetcher.submit(
+                    { action: thread.paused ? "resume" : "pause", igUserId: thread.igUserId },
+                    { method: "post" },
+                  )
+                }
+              >
+                {thread.paused ? "Resume automation" : "Pause automation"}
+              </s-button>
+            </div>
+
+            {thread.items.length === 0 ? (
+              <span className="srCardDesc">No messages in the last 30 days.</span>
+            ) : (
+              <div style={{ display: "flex", flexDirection: "column", gap: "8px", maxHeight: "480px", overflowY: "auto" }}>
+                {thread.items.map((item) => (
+                  <TimelineItem key={`${item.kind}-${item.id}`} item={item} />
+                ))}
+                <div ref={timelineEndRef} />
+              </div>
+            )}
+
+            {thread.replyWindow.canReply ? (
+              <replyFetcher.Form method="post">
+                <input type="hidden" name="action" value="reply" />
+                <input type="hidden" name="igUserId" value={thread.igUserId} />
+                <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+                  <textarea
+                    name="text"
+                    rows={3}
+                    maxLength={MAX_REPLY_LENGTH}
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    placeholder="Write a reply…"
+                    aria-label="Reply"
+                    className="srInput"
+                  />
+                  <span className="srCardDesc">
+                    Sending pauses automation for this customer until you resume it.
+                    {thread.replyWindow.humanAgent &&
+                      " Their last DM is over 24 hours old, so this goes out with Instagram's human agent tag. Only send personal replies, not promotions."}
+                  </span>
+                  <div className="srSaveBtnWrap">
+                    <button type="submit" className="srPrimaryBtn" disabled={sending || !draft.trim()}>
+                      {sending ? "Sending…" : "Send reply"}
+                    </button>
+                  </div>
+                </div>
+              </replyFetcher.Form>
+            ) : (
+              <span className="srCardDesc">{thread.replyWindow.reason}</span>
+            )}
+          </div>
+        </s-section>
+      )}
+
+      <s-section heading={`Conversations (${threads.length})`}>
+        {threads.length === 0 ? (
+          <span className="srCardDesc">No DMs or comments in the last 30 days.</span>
+        ) : (
+          <div className="srTableWrap">
+            <table className="srTable">
+              <thead>
+                <tr>
+                  <th className="srTh srTextLeft">Customer</th>
+                  <th className="srTh srTextLeft">Last message</th>
+                  <th className="srTh srTextLeft">Intent</th>
+                  <th className="srTh srTextLeft">Status</th>
+                  <th className="srTh srTextLeft">When</th>
+                </tr>
+              </thead>
+              <tbody>
+                {threads.map((t) => {
+                  const isSelected = String(t.from_user_id) === selectedId;
+                  return (
+                    <tr
+                      key={t.from_user_id}
+                      onClick={() => openThread(t.from_user_id)}
+                      style={{ cursor: "pointer", fontWeight: isSelected ? 600 : undefined }}
+                    >
+                      <td>{t.from_username ? `@${t.from_username}` : t.from_user_id}</td>
+                      <td>
+                        <span className="srCardDesc">
+                          {t.last_channel === "comment" ? "Comment: " : ""}
+                          {truncate(t.last_text, 70) || "(no text)"}
+                        </span>
+                      </td>
+                      <td>{t.last_intent ? INTENT_LABELS[t.last_intent] || t.last_intent : "—"}</td>
+                      <td>
+                        {t.paused ? <s-badge tone="warning">Paused</s-badge> : <s-badge tone="success">Automated</s-badge>}
+                      </td>
+                      <td><span className="srCardDesc">{formatTime(t.last_message_at)}</span></td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => boundary.headers(headersArgs);
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
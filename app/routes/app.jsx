@@ -72,7 +72,15 @@ export default function App() {
     <AppProvider embedded apiKey={apiKey}>
       <s-app-nav ref={navRef}>
         <s-link href="/app">Home</s-link>
+        <s-link href="/app/inbox">Inbox</s-link>
         <s-link href="/app/analytics">Analytics</s-link>
+        <s-link href="/app/links">Links</s-link>
+        <s-link href="/app/experiments">Experiments</s-link>
+        <s-link href="/app/rules">Keyword rules</s-link>
+        <s-link href="/app/knowledge-base">Knowledge base</s-link>
+        <s-link href="/app/followups">Follow-ups</s-link>
+        <s-link href="/app/discounts">Discounts</s-link>
+        <s-link href="/app/opt-outs">Opt-outs</s-link>
         <s-link href="/app/billing/select">Billing</s-link>
         <s-link href="/app/support">Support</s-link>
       </s-app-nav>
@@ -0,0 +1,325 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { getShopWithPlan } from "../lib/loader-helpers.server";
+import {
+  listKnowledgeEntries,
+  saveKnowledgeEntry,
+  deleteKnowledgeEntry,
+  searchKnowledgeBase,
+  normalizeKnowledgeEntry,
+  validateKnowledgeEntry,
+  MAX_KNOWLEDGE_ENTRIES,
+  MAX_KNOWLEDGE_TITLE_LENGTH,
+  MAX_FAQ_ANSWER_LENGTH,
+  MAX_DOCUMENT_LENGTH,
+} from "../lib/knowledge-base.server";
+
+export const loader = async ({ request }) => {
+  const { shop } = await getShopWithPlan(request);
+  const limits = {
+    maxEntries: MAX_KNOWLEDGE_ENTRIES,
+    maxTitleLength: MAX_KNOWLEDGE_TITLE_LENGTH,
+    maxAnswerLength: MAX_FAQ_ANSWER_LENGTH,
+    maxDocumentLength: MAX_DOCUMENT_LENGTH,
+  };
+  if (!shop?.id) return { entries: [], limits };
+
+  const entries = await listKnowledgeEntries(shop.id).catch(() => []);
+  return { entries, limits };
+};
+
+export const action = async ({ request }) => {
+  try {
+    const { shop } = await getShopWithPlan(request);
+    if (!shop?.id) return { error: "Shop not found" };
+
+    const formData = await request.formData();
+    const actionType = formData.get("action");
+
+    // ── Add / edit an entry ────────────────────────────────────────────────
+    if (actionType === "save-entry") {
+      const entry = normalizeKnowledgeEntry({
+        kind: formData.get("kind"),
+        title: formData.get("title"),
+        body: formData.get("body"),
+      });
+      const validationError = validateKnowledgeEntry(entry);
+      if (validationError) return { error: validationError };
+
+      const entryId = formData.get("entryId") || null;
+      try {
+        await saveKnowledgeEntry(shop.id, entry, entryId);
+        return { success: true, actionType: "save-entry", message: entryId ? "Entry updated" : "Entry added" };
+      } catch (err) {
+        console.error("[knowledge-base] Error saving entry:", err);
+        return { error: err.message || "Failed to save entry" };
+      }
+    }
+
+    // ── Delete an entry ────────────────────────────────────────────────────
+    if (actionType === "delete-entry") {
+      const entryId = formData.get("entryId");
+      if (!entryId) return { error: "Missing entry ID" };
+      try {
+        await deleteKnowledgeEntry(shop.id, entryId);
+        return { success: true, message: "Entry deleted" };
+      } catch (err) {
+        console.error("[knowledge-base] Error deleting entry:", err);
+        return { error: err.message || "Failed to delete entry" };
+      }
+    }
+
+    // ── Try a question against the index ───────────────────────────────────
+    if (actionType === "search") {
+      const query = String(formData.get("query") || "").trim();
+      if (!query) return { error: "Enter a question to search for" };
+      const results = await searchKnowledgeBase(shop.id, query);
+      return { actionType: "search", query, results };
+    }
+
+    return { error: "Unknown action" };
+  } catch (error) {
+    console.error("[knowledge-base] Action error:", error);
+    return { error: error.message || "An error occurred" };
+  }
+};
+
+function truncate(text, max) {
+  const s = String(text || "");
+  return s.length > max ? `${s.slice(0, max)}…` : s;
+}
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString() : "—";
+}
+
+export default function KnowledgeBasePage() {
+  const { entries, limits } = useLoaderData();
+  const formFetcher = useFetcher();
+  const rowFetcher = useFetcher();
+  const searchFetcher = useFetcher();
+  const [editing, setEditing] = useState(null);
+  const [kind, setKind] = useState("faq");
+  const [formKey, setFormKey] = useState(0);
+
+  // Reset the form after a successful save (remounting clears uncontrolled inputs).
+  useEffect(() => {
+    if (formFetcher.state === "idle" && formFetcher.data?.actionType === "save-entry" && formFetcher.data?.success) {
+      setEditing(null);
+      setKind("faq");
+      setFormKey((k) => k + 1);
+    }
+  }, [formFetcher.state, formFetcher.data]);
+
+  const startEditing = (entry) => {
+    setEditing(entry);
+    setKind(entry.kind);
+    setFormKey((k) => k + 1);
+  };
+
+  const cancelEditing = () => {
+    setEditing(null);
+    setKind("faq");
+    setFormKey((k) => k + 1);
+  };
+
+  const isFaq = kind === "faq";
+  const feedback = formFetcher.data || rowFetcher.data;
+  const search = searchFetcher.data?.actionType === "search" ? searchFetcher.data : null;
+  const atLimit = !editing && entries.length >= limits.maxEntries;
+
+  return (
+    <s-page heading="Knowledge base">
+      {feedback?.success && (
+        <s-banner tone="success"><s-text>{feedback.message}</s-text></s-banner>
+      )}
+      {feedback?.error && (
+        <s-banner tone="critical"><s-text>{feedback.error}</s-text></s-banner>
+      )}
+
+      <s-section heading={editing ? "Edit entry" : "Add to the knowledge base"}>
+        <span className="srCardDesc">
+          The AI sales associate searches these answers when customers ask about sizing, care, shipping and
+          anything else your product pages and store policies don&apos;t cover. Add common questions with
+          their answers, or paste longer documents such as a size guide or shipping table.
+        </span>
+        {atLimit ? (
+          <span className="srCardDesc">
+            You&apos;ve reached {limits.maxEntries} entries. Delete one to add another.
+          </span>
+        ) : (
+          <formFetcher.Form method="post" key={formKey}>
+            <input type="hidden" name="action" value="save-entry" />
+            {editing && <input type="hidden" name="entryId" value={editing.id} />}
+            <div className="srToggleStack">
+              <div className="srToggleRow">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="kb-kind">Type</label>
+                  <select
+                    id="kb-kind"
+                    name="kind"
+                    className="srSelect srInputRow"
+                    value={kind}
+                    onChange={(e) => setKind(e.target.value)}
+                  >
+                    <option value="faq">Question and answer</option>
+                    <option value="document">Document</option>
+                  </select>
+                </div>
+              </div>
+              <div className="srToggleRow">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="kb-title">{isFaq ? "Question" : "Title"}</label>
+                  <input
+                    id="kb-title"
+                    type="text"
+                    name="title"
+                    maxLength={limits.maxTitleLength}
+                    defaultValue={editing?.title || ""}
+                    placeholder={isFaq ? "e.g. Do your hoodies run small?" : "e.g. Size guide"}
+                    className="srInput srInputRow"
+                  />
+                </div>
+              </div>
+              <div className="srToggleRow srToggleRowLast">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="kb-body">{isFaq ? "Answer" : "Document text"}</label>
+                  <textarea
+                    id="kb-body"
+                    name="body"
+                    rows={isFaq ? 3 : 12}
+                    maxLength={isFaq ? limits.maxAnswerLength : limits.maxDocumentLength}
+                    defaultValue={editing?.body || ""}
+                    className="srInput srInputRow"
+                    placeholder={
+                      isFaq
+                        ? "e.g. They fit true to size. Size up for a relaxed fit."
+                        : "Paste the text. Blank lines between sections help the search find the right part."
+                    }
+                  />
+                </div>
+              </div>
+            </div>
+            <div className="srSaveBtnWrap">
+              {editing && (
+                <s-button variant="secondary" onClick={cancelEditing}>Cancel</s-button>
+              )}
+              <button type="submit" className="srPrimaryBtn" disabled={formFetcher.state !== "idle"}>
+                {formFetcher.state !== "idle" ? "Saving…" : editing ? "Save changes" : "Add entry"}
+              </button>
+            </div>
+          </formFetcher.Form>
+        )}
+      </s-section>
+
+      <s-section heading={`Entries (${entries.length})`}>
+        {entries.length === 0 ? (
+          <span className="srCardDesc">
+            No entries yet. Until you add some, the sales associate answers from your products and store policies only.
+          </span>
+        ) : (
+          <div className="srTableWrap">
+            <table className="srTable">
+              <thead>
+                <tr>
+                  <th className="srTh srTextLeft">Type</th>
+                  <th className="srTh srTextLeft">Question / title</th>
+                  <th className="srTh srTextLeft">Answer / text</th>
+                  <th className="srTh srTextLeft">Updated</th>
+                  <th className="srTh srTextLeft" />
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <tr key={entry.id}>
+                    <td>
+                      <s-badge tone="info">{entry.kind === "document" ? "Document" : "Q&A"}</s-badge>
+                    </td>
+                    <td>{truncate(entry.title, 80)}</td>
+                    <td><span className="srCardDesc">{truncate(entry.body, 120)}</span></td>
+                    <td>{formatDate(entry.updated_at)}</td>
+                    <td>
+                      <div className="srHStack" style={{ gap: "8px" }}>
+                        <s-button
+                          variant="secondary" size="slim" className="srBtnCompact"
+                          onClick={() => startEditing(entry)}
+                        >
+                          Edit
+                        </s-button>
+                        <s-button
+                          variant="secondary" tone="critical" size="slim" className="srBtnCompact"
+                          disabled={rowFetcher.state !== "idle"}
+                          onClick={() => rowFetcher.submit({ action: "delete-entry", entryId: entry.id }, { method: "post" })}
+                        >
+                          Delete
+                        </s-button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </s-section>
+
+      {entries.length > 0 && (
+        <s-section heading="Test a question">
+          <span className="srCardDesc">
+            See which passages the sales associate would find for a customer&apos;s question.
+          </span>
+          <searchFetcher.Form method="post">
+            <input type="hidden" name="action" value="search" />
+            <div className="srHStack" style={{ gap: "8px" }}>
+              <input
+                type="text"
+                name="query"
+                maxLength={200}
+                placeholder="e.g. what size should I get if I'm 180cm?"
+                className="srInput srInputRow"
+                aria-label="Question"
+              />
+              <button type="submit" className="srPrimaryBtn" disabled={searchFetcher.state !== "idle"}>
+                {searchFetcher.state !== "idle" ? "Searching…" : "Search"}
+              </button>
+            </div>
+          </searchFetcher.Form>
+          {searchFetcher.data?.error && (
+            <span className="srCardDesc">{searchFetcher.data.error}</span>
+          )}
+          {search && (search.results.length === 0 ? (
+            <span className="srCardDesc">Nothing matches &ldquo;{search.query}&rdquo;. Try adding an entry that answers it.</span>
+          ) : (
+            <div className="srTableWrap">
+              <table className="srTable">
+                <thead>
+                  <tr>
+                    <th className="srTh srTextLeft">Source</th>
+                    <th className="srTh srTextLeft">Passage</th>
+                    <th className="srTh srTextLeft">Score</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {search.results.map((result) => (
+                    <tr key={`${result.entryId}-${result.chunk}`}>
+                      <td>{result.title}{result.chunk > 0 ? ` (part ${result.chunk + 1})` : ""}</td>
+                      <td><span className="srCardDesc">{truncate(result.text, 240)}</span></td>
+                      <td>{result.score}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </s-section>
+      )}
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => boundary.headers(headersArgs);
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
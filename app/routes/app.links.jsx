@@ -0,0 +1,446 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRouteError, useSearchParams } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { getShopWithPlan } from "../lib/loader-helpers.server";
+import { getTrackedLinks, getTrackedLink, getLinkClickHistory, updateTrackedLink } from "../lib/db.server";
+import { buildReplacementUrl } from "../lib/links.server";
+import { searchShopifyProducts } from "../lib/shopify-data.server";
+
+const PAGE_SIZE = 50;
+
+export const loader = async ({ request }) => {
+  const { shop } = await getShopWithPlan(request);
+  if (!shop?.id) return { links: [], page: 1, hasMore: false };
+
+  const url = new URL(request.url);
+  const page = Math.max(1, parseInt(url.searchParams.get("page") || "1", 10) || 1);
+  // One extra row tells us whether there's a next page.
+  const links = await getTrackedLinks(shop.id, { limit: PAGE_SIZE + 1, offset: (page - 1) * PAGE_SIZE }).catch(() => []);
+  return { links: links.slice(0, PAGE_SIZE), page, hasMore: links.length > PAGE_SIZE };
+};
+
+export const action = async ({ request }) => {
+  try {
+    const { shop } = await getShopWithPlan(request);
+    if (!shop?.id) return { error: "Shop not found" };
+
+    const formData = await request.formData();
+    const actionType = formData.get("action");
+    const linkId = String(formData.get("linkId") || "");
+
+    // ── Product search (replacement picker) ────────────────────────────────
+    if (actionType === "search-products") {
+      // Strip Shopify search-syntax characters so user input can't break the query.
+      const term = String(formData.get("search") || "").trim().replace(/["*\\():]/g, "");
+      if (!term) return { success: true, actionType: "search-products", products: [] };
+      const products = await searchShopifyProducts(request, term, 10);
+      return { success: true, actionType: "search-products", products };
+    }
+
+    if (!linkId) return { error: "Missing link ID" };
+    const link = await getTrackedLink(shop.id, linkId);
+    if (!link) return { error: "Link not found" };
+
+    // ── Click history ──────────────────────────────────────────────────────
+    if (actionType === "load-clicks") {
+      const clicks = await getLinkClickHistory(shop.id, linkId);
+      return { success: true, actionType: "load-clicks", linkId, clicks };
+    }
+
+    // ── Revoke / restore ───────────────────────────────────────────────────
+    if (actionType === "revoke" || actionType === "restore") {
+      await updateTrackedLink(shop.id, linkId, {
+        revoked_at: actionType === "revoke" ? new Date().toISOString() : null,
+      });
+      return {
+        success: true,
+        message: actionType === "revoke"
+          ? "Link revoked. Customers who open it now land on your homepage."
+          : "Link restored.",
+      };
+    }
+
+    // ── Expiry ─────────────────────────────────────────────────────────────
+    if (actionType === "set-expiry") {
+      const date = String(formData.get("expires_on") || "").trim();
+      if (!date) {
+        await updateTrackedLink(shop.id, linkId, { expires_at: null });
+        return { success: true, message: "Expiry removed." };
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+        return { error: "Enter a valid date" };
+      }
+      // The link works through the end of the chosen day (UTC).
+      await updateTrackedLink(shop.id, linkId, { expires_at: `${date}T23:59:59.999Z` });
+      return { success: true, message: `Link expires after ${date}.` };
+    }
+
+    // ── Replacement destination ────────────────────────────────────────────
+    if (actionType === "redirect") {
+      const productId = String(formData.get("productId") || "");
+      const variantId = formData.get("variantId") ? String(formData.get("variantId")) : null;
+      if (!productId.startsWith("gid://shopify/Product/")) return { error: "Choose a product" };
+      try {
+        const redirectUrl = await buildReplacementUrl(shop, link, productId, variantId);
+        await updateTrackedLink(shop.id, linkId, {
+          redirect_product_id: productId,
+          redirect_variant_id: variantId,
+          redirect_url: redirectUrl,
+          redirected_at: new Date().toISOString(),
+        });
+        return { success: true, message: "Link now goes to the new product." };
+      } catch (err) {
+        console.error("[links] Error redirecting link:", err);
+        return { error: err.message || "Failed to redirect link" };
+      }
+    }
+
+    if (actionType === "clear-redirect") {
+      await updateTrackedLink(shop.id, linkId, {
+        redirect_product_id: null,
+        redirect_variant_id: null,
+        redirect_url: null,
+        redirected_at: new Date().toISOString(),
+      });
+      return { success: true, message: "Link goes to its original destination again." };
+    }
+
+    return { error: "Unknown action" };
+  } catch (error) {
+    console.error("[links] Action error:", error);
+    return { error: error.message || "An error occurred" };
+  }
+};
+
+const STATUS_BADGES = {
+  active: { tone: "success", label: "Active" },
+  redirected: { tone: "info", label: "Redirected" },
+  expired: { tone: "warning", label: "Expired" },
+  revoked: { tone: "critical", label: "Revoked" },
+};
+
+// Click quality (click-quality.server.js); only "human" counts as a click.
+const QUALITY_BADGES = {
+  human: { tone: "success", label: "Counted" },
+  duplicate: { tone: "info", label: "Repeat" },
+  preview: { tone: "warning", label: "Link preview" },
+  bot: { tone: "warning", label: "Bot" },
+};
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : "—";
+}
+
+/** Path and query of a storefront URL, without the attribution params. */
+function shortDestination(url) {
+  try {
+    const parsed = new URL(url);
+    for (const key of ["ref", "utm_source", "utm_medium", "utm_campaign"]) {
+      parsed.searchParams.delete(key);
+    }
+    const query = parsed.searchParams.toString();
+    return `${parsed.pathname}${query ? `?${query}` : ""}`;
+  } catch {
+    return url;
+  }
+}
+
+/** Rough device / app from a user agent, for the click history. */
+function describeUserAgent(ua) {
+  if (!ua) return "Unknown";
+  const app = /Instagram/i.test(ua) ? "Instagram" : /FBAN|FBAV/i.test(ua) ? "Facebook" : "Browser";
+  const device = /iPhone|iPad/i.test(ua)
+    ? "iOS"
+    : /Android/i.test(ua)
+      ? "Android"
+      : /Macintosh/i.test(ua)
+        ? "Mac"
+        : /Windows/i.test(ua) ? "Windows" : "Other";
+  return `${app} · ${device}`;
+}
+
+export default function LinksPage() {
+  const { links, page, hasMore } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const rowFetcher = useFetcher();
+  const clicksFetcher = useFetcher();
+  const searchFetcher = useFetcher();
+  const [selectedId, setSelectedId] = useState(null);
+  const [search, setSearch] = useState("");
+
+  const selected = links.find((l) => l.link_id === selectedId) || null;
+
+  // Load click history whenever a different link is opened.
+  useEffect(() => {
+    if (!selectedId) return;
+    clicksFetcher.submit({ action: "load-clicks", linkId: selectedId }, { method: "post" });
+    setSearch("");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedId]);
+
+  // Debounced product search for the replacement picker.
+  useEffect(() => {
+    const term = search.trim();
+    if (!term) return;
+    const timer = setTimeout(() => {
+      searchFetcher.submit({ action: "search-products", search: term }, { method: "post" });
+    }, 350);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [search]);
+
+  const clicks = clicksFetcher.data?.linkId === selectedId ? clicksFetcher.data.clicks || [] : [];
+  const products = search.trim() && searchFetcher.data?.actionType === "search-products" ? searchFetcher.data.products || [] : [];
+  const feedback = rowFetcher.data;
+  const busy = rowFetcher.state !== "idle";
+
+  const goToPage = (next) => {
+    setSelectedId(null);
+    setSearchParams(next > 1 ? { page: String(next) } : {});
+  };
+
+  return (
+    <s-page heading="Links">
+      {feedback?.success && feedback.message && (
+        <s-banner tone="success"><s-text>{feedback.message}</s-text></s-banner>
+      )}
+      {feedback?.error && (
+        <s-banner tone="critical"><s-text>{feedback.error}</s-text></s-banner>
+      )}
+
+      <s-section heading="How links work">
+        <span className="srCardDesc">
+          Every product, checkout and collection link in a DM is a tracked link. You can give a link an expiry,
+          revoke it, or send it to a different product. Revoked and expired links take customers to your
+          homepage. When a link&apos;s product is deleted, unpublished or sold out, customers land on its
+          collection (or your homepage) instead of an empty cart.
+        </span>
+      </s-section>
+
+      <s-section heading="Sent links">
+        {links.length === 0 ? (
+          <span className="srCardDesc">No links have been sent yet.</span>
+        ) : (
+          <div className="srTableWrap">
+            <table className="srTable">
+              <thead>
+                <tr>
+                  <th className="srTh srTextLeft">Sent</th>
+                  <th className="srTh srTextLeft">Destination</th>
+                  <th className="srTh srTextLeft">Clicks</th>
+                  <th className="srTh srTextLeft">Status</th>
+                  <th className="srTh srTextLeft" />
+                </tr>
+              </thead>
+              <tbody>
+                {links.map((link) => {
+                  const badge = STATUS_BADGES[link.status] || STATUS_BADGES.active;
+                  return (
+                    <tr key={link.link_id}>
+                      <td>{formatDate(link.sent_at)}</td>
+                      <td>
+                        <span title={link.redirect_url || link.url}>{shortDestination(link.redirect_url || link.url)}</span>
+                        {link.discount_code && <span className="srCardDesc"> · code {link.discount_code}</span>}
+                      </td>
+                      <td>
+                        {link.clicks}
+                        {link.rawClicks > link.clicks && (
+                          <span className="srCardDesc" title="Including bots, link previews and repeat clicks"> of {link.rawClicks}</span>
+                        )}
+                      </td>
+                      <td>
+                        <s-badge tone={badge.tone}>{badge.label}</s-badge>
+                        {link.expires_at && link.status !== "expired" && link.status !== "revoked" && (
+                          <span className="srCardDesc"> until {new Date(link.expires_at).toLocaleDateString()}</span>
+                        )}
+                      </td>
+                      <td>
+                        <s-button
+                          variant="secondary" size="slim" className="srBtnCompact"
+                          onClick={() => setSelectedId(selectedId === link.link_id ? null : link.link_id)}
+                        >
+                          {selectedId === link.link_id ? "Close" : "Manage"}
+                        </s-button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {(page > 1 || hasMore) && (
+          <div className="srHStack" style={{ gap: "8px", marginTop: "12px" }}>
+            <s-button variant="secondary" disabled={page <= 1} onClick={() => goToPage(page - 1)}>Newer</s-button>
+            <s-button variant="secondary" disabled={!hasMore} onClick={() => goToPage(page + 1)}>Older</s-button>
+          </div>
+        )}
+      </s-section>
+
+      {selected && (
+        <s-section heading={`Link ${selected.link_id}`}>
+          <div className="srToggleStack">
+            <div className="srToggleRow">
+              <div className="srToggleRowText">
+                <span className="srCardTitle">Destination</span>
+                <span className="srCardDesc">Sent with: {selected.url}</span>
+                {selected.redirect_url && (
+                  <span className="srCardDesc">Now goes to: {selected.redirect_url}</span>
+                )}
+              </div>
+            </div>
+
+            <div className="srToggleRow">
+              <div className="srToggleRowText">
+                <span className="srCardTitle">{selected.revoked_at ? "Revoked" : "Revoke"}</span>
+                <span className="srCardDesc">
+                  {selected.revoked_at
+                    ? `Revoked ${formatDate(selected.revoked_at)}. Customers who open it land on your homepage.`
+                    : "Stop this link from going to its product. Customers who open it land on your homepage."}
+                </span>
+                <div className="srHStack" style={{ gap: "8px", marginTop: "8px" }}>
+                  <s-button
+                    variant="secondary"
+                    disabled={busy}
+                    onClick={() =>
+                      rowFetcher.submit(
+                        { action: selected.revoked_at ? "restore" : "revoke", linkId: selected.link_id },
+                        { method: "post" },
+                      )
+                    }
+                  >
+                    {selected.revoked_at ? "Restore link" : "Revoke link"}
+                  </s-button>
+                </div>
+              </div>
+            </div>
+
+            <div className="srToggleRow">
+              <div className="srToggleRowText">
+                <label className="srCardTitle" htmlFor="link-expiry">Expiry</label>
+                <span className="srCardDesc">The link works through the end of this day (UTC). Leave empty for no expiry.</span>
+                <rowFetcher.Form method="post" key={`expiry-${selected.link_id}`}>
+                  <input type="hidden" name="action" value="set-expiry" />
+                  <input type="hidden" name="linkId" value={selected.link_id} />
+                  <div className="srHStack" style={{ gap: "8px", marginTop: "8px" }}>
+                    <input
+                      id="link-expiry"
+                      type="date"
+                      name="expires_on"
+                      defaultValue={selected.expires_at ? selected.expires_at.slice(0, 10) : ""}
+                      className="srInput"
+                    />
+                    <button type="submit" className="srPrimaryBtn" disabled={busy}>Save expiry</button>
+                  </div>
+                </rowFetcher.Form>
+              </div>
+            </div>
+
+            <div className="srToggleRow">
+              <div className="srToggleRowText">
+                <label className="srCardTitle" htmlFor="link-redirect-search">Send to a different product</label>
+                <span className="srCardDesc">
+                  Clicks and orders still count for this link. Checkout links open a cart with the new product.
+                </span>
+                <input
+                  id="link-redirect-search"
+                  type="text"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  placeholder="Search products"
+                  className="srInput srInputRow"
+                  autoComplete="off"
+                />
+                {products.length > 0 && (
+                  <div className="srTableWrap" style={{ marginTop: "8px" }}>
+                    <table className="srTable">
+                      <tbody>
+                        {products.map((product) => (
+                          <tr key={product.id}>
+                            <td>{product.title}</td>
+                            <td>
+                              <s-button
+                                variant="secondary" size="slim" className="srBtnCompact"
+                                disabled={busy}
+                                onClick={() => {
+                                  rowFetcher.submit(
+                                    { action: "redirect", linkId: selected.link_id, productId: product.id },
+                                    { method: "post" },
+                                  );
+                                  setSearch("");
+                                }}
+                              >
+                                Use this product
+                              </s-button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                {selected.redirect_url && (
+                  <div className="srHStack" style={{ gap: "8px", marginTop: "8px" }}>
+                    <s-button
+                      variant="secondary"
+                      disabled={busy}
+                      onClick={() => rowFetcher.submit({ action: "clear-redirect", linkId: selected.link_id }, { method: "post" })}
+                    >
+                      Use original destination
+                    </s-button>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="srToggleRow srToggleRowLast">
+              <div className="srToggleRowText">
+                <span className="srCardTitle">Click history ({selected.clicks} counted, {selected.rawClicks} total)</span>
+                <span className="srCardDesc">Bots, link previews and repeat clicks within 30 minutes are listed but not counted.</span>
+                {clicksFetcher.state !== "idle" ? (
+                  <span className="srCardDesc">Loading…</span>
+                ) : clicks.length === 0 ? (
+                  <span className="srCardDesc">No clicks yet.</span>
+                ) : (
+                  <div className="srTableWrap">
+                    <table className="srTable">
+                      <thead>
+                        <tr>
+                          <th className="srTh srTextLeft">When</th>
+                          <th className="srTh srTextLeft">Opened in</th>
+                          <th className="srTh srTextLeft">Counted as</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {clicks.map((click, i) => (
+                          <tr key={`${click.created_at}-${i}`}>
+                            <td>{formatDate(click.created_at)}</td>
+                            <td>{describeUserAgent(click.user_agent)}</td>
+                            <td>
+                              <s-badge tone={(QUALITY_BADGES[click.quality] || QUALITY_BADGES.human).tone}>
+                                {(QUALITY_BADGES[click.quality] || QUALITY_BADGES.human).label}
+                              </s-badge>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                {selected.rawClicks > clicks.length && clicks.length > 0 && (
+                  <span className="srCardDesc">Showing the latest {clicks.length} clicks.</span>
+                )}
+              </div>
+            </div>
+          </div>
+        </s-section>
+      )}
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => boundary.headers(headersArgs);
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
@@ -0,0 +1,195 @@
+import { useEffect } from "react";
+import { useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { getShopWithPlan } from "../lib/loader-helpers.server";
+import { getOptOuts, recordOptOut, recordOptIn, findIgUserIdByUsername } from "../lib/db.server";
+import { optOutsToCsv } from "../lib/opt-outs.server";
+
+export const loader = async ({ request }) => {
+  const { shop } = await getShopWithPlan(request);
+  if (!shop?.id) return { optOuts: [] };
+  const optOuts = await getOptOuts(shop.id).catch(() => []);
+  return { optOuts };
+};
+
+export const action = async ({ request }) => {
+  try {
+    const { shop } = await getShopWithPlan(request);
+    if (!shop?.id) return { error: "Shop not found" };
+
+    const formData = await request.formData();
+    const actionType = formData.get("action");
+
+    // ── Opt a customer out by @username ────────────────────────────────────
+    if (actionType === "add-opt-out") {
+      const username = String(formData.get("username") || "").trim();
+      if (!username) return { error: "Enter the customer's Instagram username" };
+      try {
+        const found = await findIgUserIdByUsername(shop.id, username);
+        if (!found) {
+          return { error: `@${username.replace(/^@/, "")} hasn't messaged or commented yet, so there's nothing to opt out.` };
+        }
+        await recordOptOut(shop.id, found.igUserId, { username: found.username, source: "merchant" });
+        return { success: true, message: `@${found.username} won't get automated messages` };
+      } catch (err) {
+        console.error("[opt-outs] Error adding opt-out:", err);
+        return { error: err.message || "Failed to opt out customer" };
+      }
+    }
+
+    // ── Opt a customer back in ─────────────────────────────────────────────
+    if (actionType === "remove-opt-out") {
+      const igUserId = formData.get("igUserId");
+      if (!igUserId) return { error: "Missing customer ID" };
+      try {
+        await recordOptIn(shop.id, igUserId, "merchant");
+        return { success: true, message: "Customer opted back in" };
+      } catch (err) {
+        console.error("[opt-outs] Error removing opt-out:", err);
+        return { error: err.message || "Failed to opt customer back in" };
+      }
+    }
+
+    // ── Compliance export (full history, including opt-ins) ───────────────
+    if (actionType === "export") {
+      try {
+        const rows = await getOptOuts(shop.id, { includeOptedIn: true });
+        return {
+          success: true,
+          actionType: "export",
+          csv: optOutsToCsv(rows),
+          filename: `opt-outs-${new Date().toISOString().slice(0, 10)}.csv`,
+        };
+      } catch (err) {
+        console.error("[opt-outs] Error exporting:", err);
+        return { error: err.message || "Failed to export opt-outs" };
+      }
+    }
+
+    return { error: "Unknown action" };
+  } catch (error) {
+    console.error("[opt-outs] Action error:", error);
+    return { error: error.message || "An error occurred" };
+  }
+};
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : "—";
+}
+
+export default function OptOutsPage() {
+  const { optOuts } = useLoaderData();
+  const formFetcher = useFetcher();
+  const rowFetcher = useFetcher();
+  const exportFetcher = useFetcher();
+
+  // Exports come back as CSV text; hand it to the browser as a download
+  // (the action runs through App Bridge's authenticated fetch).
+  useEffect(() => {
+    if (exportFetcher.state !== "idle" || exportFetcher.data?.actionType !== "export") return;
+    const { csv, filename } = exportFetcher.data;
+    const url = URL.createObjectURL(new Blob([csv], { type: "text/csv;charset=utf-8" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }, [exportFetcher.state, exportFetcher.data]);
+
+  const feedback = formFetcher.data || rowFetcher.data || (exportFetcher.data?.error ? exportFetcher.data : null);
+
+  return (
+    <s-page heading="Opt-outs">
+      {feedback?.success && feedback.message && (
+        <s-banner tone="success"><s-text>{feedback.message}</s-text></s-banner>
+      )}
+      {feedback?.error && (
+        <s-banner tone="critical"><s-text>{feedback.error}</s-text></s-banner>
+      )}
+
+      <s-section heading="How opt-outs work">
+        <span className="srCardDesc">
+          When a customer DMs STOP (or UNSUBSCRIBE, OPT OUT, CANCEL), they get a confirmation and no further
+          automated replies, comment DMs, or follow-ups until they DM START. Only a message that is just the
+          keyword counts, so &ldquo;don&apos;t cancel my order&rdquo; won&apos;t opt anyone out. You can still
+          message opted-out customers yourself from Instagram.
+        </span>
+        <formFetcher.Form method="post">
+          <input type="hidden" name="action" value="add-opt-out" />
+          <div className="srHStack" style={{ gap: "8px", marginTop: "12px" }}>
+            <input
+              type="text"
+              name="username"
+              placeholder="@username"
+              aria-label="Instagram username to opt out"
+              className="srInput srInputRow"
+              autoComplete="off"
+            />
+            <button type="submit" className="srPrimaryBtn" disabled={formFetcher.state !== "idle"}>
+              {formFetcher.state !== "idle" ? "Saving…" : "Opt out customer"}
+            </button>
+          </div>
+        </formFetcher.Form>
+      </s-section>
+
+      <s-section heading={`Opted-out customers (${optOuts.length})`}>
+        <div className="srHStack" style={{ gap: "8px", marginBottom: "12px" }}>
+          <s-button
+            variant="secondary"
+            disabled={exportFetcher.state !== "idle"}
+            onClick={() => exportFetcher.submit({ action: "export" }, { method: "post" })}
+          >
+            {exportFetcher.state !== "idle" ? "Exporting…" : "Export CSV"}
+          </s-button>
+          <span className="srCardDesc">The export includes customers who opted back in, with dates.</span>
+        </div>
+        {optOuts.length === 0 ? (
+          <span className="srCardDesc">No one has opted out.</span>
+        ) : (
+          <div className="srTableWrap">
+            <table className="srTable">
+              <thead>
+                <tr>
+                  <th className="srTh srTextLeft">Customer</th>
+                  <th className="srTh srTextLeft">How</th>
+                  <th className="srTh srTextLeft">Opted out</th>
+                  <th className="srTh srTextLeft" />
+                </tr>
+              </thead>
+              <tbody>
+                {optOuts.map((row) => (
+                  <tr key={row.id}>
+                    <td>{row.ig_username ? `@${row.ig_username}` : row.ig_user_id}</td>
+                    <td>
+                      <s-badge tone={row.source === "merchant" ? "info" : "subdued"}>
+                        {row.source === "merchant" ? "Added by you" : `Sent "${(row.keyword || "stop").toUpperCase()}"`}
+                      </s-badge>
+                    </td>
+                    <td>{formatDate(row.opted_out_at)}</td>
+                    <td>
+                      <s-button
+                        variant="secondary" size="slim" className="srBtnCompact"
+                        disabled={rowFetcher.state !== "idle"}
+                        onClick={() =>
+                          rowFetcher.submit({ action: "remove-opt-out", igUserId: row.ig_user_id }, { method: "post" })
+                        }
+                      >
+                        Opt back in
+                      </s-button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => boundary.headers(headersArgs);
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
@@ -0,0 +1,437 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { getShopWithPlan } from "../lib/loader-helpers.server";
+import { getMetaAuthWithRefresh, getInstagramMedia } from "../lib/meta.server";
+import { getCommentRules, saveCommentRule, deleteCommentRule } from "../lib/db.server";
+import { validateCommentRulePattern, invalidateCommentRules } from "../lib/comment-rules.server";
+import { cached } from "../lib/loader-cache.server";
+import { PlanGate } from "../components/PlanGate";
+
+// Same TTLs as the home page: catalog and media tolerate a few minutes of staleness.
+const CATALOG_TTL_MS = 5 * 60 * 1000;
+const IG_TTL_MS = 5 * 60 * 1000;
+
+/** Products (with their first variant) and collections for the target pickers. */
+async function loadRuleCatalog(admin, shopId) {
+  return cached(`rulecatalog:${shopId}`, CATALOG_TTL_MS, async () => {
+    try {
+      const response = await admin.graphql(`
+        query ruleCatalog {
+          products(first: 100, sortKey: TITLE) {
+            nodes {
+              id
+              title
+              handle
+              variants(first: 1) { nodes { id } }
+            }
+          }
+          collections(first: 100, sortKey: TITLE) {
+            nodes { id title handle }
+          }
+        }
+      `);
+      const json = await response.json();
+      return {
+        products: json.data?.products?.nodes || [],
+        collections: json.data?.collections?.nodes || [],
+      };
+    } catch (err) {
+      console.error("[rules] Error fetching catalog:", err.message);
+      return { products: [], collections: [] };
+    }
+  });
+}
+
+export const loader = async ({ request }) => {
+  const { shop, plan, admin } = await getShopWithPlan(request);
+  if (!shop?.id) {
+    return { plan, rules: [], posts: [], products: [], collections: [] };
+  }
+
+  const metaAuth = await getMetaAuthWithRefresh(shop.id);
+  const hasIg = !!metaAuth && (!!metaAuth.ig_business_id || metaAuth.auth_type === "instagram");
+  const [rules, catalog, mediaData] = await Promise.all([
+    getCommentRules(shop.id).catch(() => []),
+    loadRuleCatalog(admin, shop.id),
+    hasIg
+      ? cached(`igmedia:${shop.id}`, IG_TTL_MS, () =>
+          getInstagramMedia(metaAuth.ig_business_id || "", shop.id, { limit: 25 }),
+        ).catch(() => null)
+      : Promise.resolve(null),
+  ]);
+
+  const posts = (mediaData?.data || []).map((m) => ({
+    id: m.id,
+    caption: m.caption || "",
+    timestamp: m.timestamp || null,
+  }));
+
+  return { plan, rules, posts, products: catalog.products, collections: catalog.collections };
+};
+
+export const action = async ({ request }) => {
+  try {
+    const { shop, plan, admin } = await getShopWithPlan(request);
+    if (!shop?.id) return { error: "Shop not found" };
+    if (plan?.name === "FREE") {
+      return { error: "Keyword rules are part of comment automation. Upgrade to Growth to use them." };
+    }
+
+    const formData = await request.formData();
+    const actionType = formData.get("action");
+
+    // ── Create a rule ──────────────────────────────────────────────────────
+    if (actionType === "save-rule") {
+      const matchType = formData.get("match_type") === "regex" ? "regex" : "keyword";
+      const pattern = String(formData.get("pattern") || "").trim();
+      const patternError = validateCommentRulePattern(matchType, pattern);
+      if (patternError) return { error: patternError };
+
+      const responseType = formData.get("response_type") === "ai" ? "ai" : "fixed";
+      const dmText = String(formData.get("dm_text") || "").trim();
+      if (responseType === "fixed" && !dmText) {
+        return { error: "Enter the DM to send when this rule matches" };
+      }
+
+      const targetType = formData.get("target_type");
+      const targetId = formData.get("target_id") || null;
+      const target = { target_type: "none" };
+      if (targetType === "product" || targetType === "collection") {
+        if (!targetId) return { error: `Choose a ${targetType} for this rule` };
+        const catalog = await loadRuleCatalog(admin, shop.id);
+        if (targetType === "product") {
+          const product = catalog.products.find((p) => p.id === targetId);
+          if (!product) return { error: "Product not found. Reload the page and try again." };
+          Object.assign(target, {
+            target_type: "product",
+            target_id: product.id,
+            target_variant_id: product.variants?.nodes?.[0]?.id || null,
+            target_handle: product.handle || null,
+            target_title: product.title || null,
+          });
+        } else {
+          const collection = catalog.collections.find((c) => c.id === targetId);
+          if (!collection) return { error: "Collection not found. Reload the page and try again." };
+          Object.assign(target, {
+            target_type: "collection",
+            target_id: collection.id,
+            target_handle: collection.handle || null,
+            target_title: collection.title || null,
+          });
+        }
+      }
+
+      try {
+        await saveCommentRule(shop.id, {
+          ig_media_id: formData.get("ig_media_id") || null,
+          match_type: matchType,
+          pattern,
+          response_type: responseType,
+          dm_text: dmText,
+          public_reply: formData.get("public_reply") || null,
+          ...target,
+          enabled: true,
+        });
+        invalidateCommentRules(shop.id);
+        return { success: true, actionType: "save-rule", message: "Rule saved" };
+      } catch (err) {
+        console.error("[rules] Error saving rule:", err);
+        return { error: err.message || "Failed to save rule" };
+      }
+    }
+
+    // ── Enable / disable a rule ────────────────────────────────────────────
+    if (actionType === "toggle-rule") {
+      const ruleId = formData.get("ruleId");
+      if (!ruleId) return { error: "Missing rule ID" };
+      try {
+        const rules = await getCommentRules(shop.id);
+        const rule = rules.find((r) => r.id === ruleId);
+        if (!rule) return { error: "Rule not found" };
+        await saveCommentRule(shop.id, { ...rule, enabled: formData.get("enabled") === "true" });
+        invalidateCommentRules(shop.id);
+        return { success: true, message: formData.get("enabled") === "true" ? "Rule enabled" : "Rule paused" };
+      } catch (err) {
+        console.error("[rules] Error toggling rule:", err);
+        return { error: err.message || "Failed to update rule" };
+      }
+    }
+
+    // ── Delete a rule ──────────────────────────────────────────────────────
+    if (actionType === "delete-rule") {
+      const ruleId = formData.get("ruleId");
+      if (!ruleId) return { error: "Missing rule ID" };
+      try {
+        await deleteCommentRule(shop.id, ruleId);
+        invalidateCommentRules(shop.id);
+        return { success: true, message: "Rule deleted" };
+      } catch (err) {
+        console.error("[rules] Error deleting rule:", err);
+        return { error: err.message || "Failed to delete rule" };
+      }
+    }
+
+    return { error: "Unknown action" };
+  } catch (error) {
+    console.error("[rules] Action error:", error);
+    return { error: error.message || "An error occurred" };
+  }
+};
+
+function truncate(text, max) {
+  if (!text) return "";
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+export default function RulesPage() {
+  const { rules, posts, products, collections } = useLoaderData();
+  const formFetcher = useFetcher();
+  const rowFetcher = useFetcher();
+
+  const [matchType, setMatchType] = useState("keyword");
+  const [responseType, setResponseType] = useState("fixed");
+  const [targetType, setTargetType] = useState("product");
+  const [formKey, setFormKey] = useState(0);
+
+  // Reset the form after a successful save (remounting clears uncontrolled inputs).
+  useEffect(() => {
+    if (formFetcher.state === "idle" && formFetcher.data?.actionType === "save-rule" && formFetcher.data?.success) {
+      setFormKey((k) => k + 1);
+    }
+  }, [formFetcher.state, formFetcher.data]);
+
+  const postLabel = (mediaId) => {
+    if (!mediaId) return "All posts";
+    const post = posts.find((p) => p.id === mediaId);
+    return post ? truncate(post.caption, 40) || `Post ${mediaId}` : `Post ${mediaId}`;
+  };
+
+  const targetLabel = (rule) => {
+    if (rule.target_type === "product") return `Product: ${rule.target_title || rule.target_id}`;
+    if (rule.target_type === "collection") return `Collection: ${rule.target_title || rule.target_handle}`;
+    return "Homepage / no link";
+  };
+
+  const feedback = formFetcher.data || rowFetcher.data;
+
+  return (
+    <s-page heading="Comment keyword rules">
+      {feedback?.success && (
+        <s-banner tone="success"><s-text>{feedback.message}</s-text></s-banner>
+      )}
+      {feedback?.error && (
+        <s-banner tone="critical"><s-text>{feedback.error}</s-text></s-banner>
+      )}
+
+      <PlanGate requiredPlan="GROWTH" feature="Comment keyword rules">
+        <s-section heading="New rule">
+          <span className="srCardDesc">
+            Run &ldquo;comment LINK to get it&rdquo; campaigns: when a comment contains your keyword, the commenter
+            gets your DM right away, without waiting on the AI to judge their intent. Rules on a specific post
+            take priority over rules for all posts.
+          </span>
+          <formFetcher.Form method="post" key={formKey}>
+            <input type="hidden" name="action" value="save-rule" />
+            <div className="srToggleStack">
+              <div className="srToggleRow">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="rule-post">Post</label>
+                  <select id="rule-post" name="ig_media_id" className="srSelect srInputRow" defaultValue="">
+                    <option value="">All posts</option>
+                    {posts.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {truncate(p.caption, 60) || `Post ${p.id}`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="srToggleRow">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="rule-pattern">Trigger</label>
+                  <span className="srCardDesc">
+                    {matchType === "regex"
+                      ? "Regular expression, matched case-insensitively against the comment."
+                      : "One or more keywords separated by commas. Matches whole words, any capitalization."}
+                  </span>
+                  <div className="srHStack" style={{ gap: "8px" }}>
+                    <select
+                      name="match_type"
+                      className="srSelect srInputRow"
+                      value={matchType}
+                      onChange={(e) => setMatchType(e.target.value)}
+                      aria-label="Match type"
+                    >
+                      <option value="keyword">Keyword</option>
+                      <option value="regex">Regex</option>
+                    </select>
+                    <input
+                      id="rule-pattern"
+                      type="text"
+                      name="pattern"
+                      maxLength={200}
+                      placeholder={matchType === "regex" ? "e.g. \\b(link|info)\\b" : "e.g. LINK, want"}
+                      className="srInput srInputRow"
+                    />
+                  </div>
+                </div>
+              </div>
+              <div className="srToggleRow">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="rule-dm">DM reply</label>
+                  <span className="srCardDesc">
+                    {responseType === "ai"
+                      ? "Tell the AI what this DM should say; it writes the reply in your brand voice and includes the link."
+                      : "Sent exactly as written. Use {link} for the tracked link and {username} for the commenter's handle. The link is added at the end if you leave out {link}."}
+                  </span>
+                  <select
+                    name="response_type"
+                    className="srSelect srInputRow"
+                    value={responseType}
+                    onChange={(e) => setResponseType(e.target.value)}
+                    aria-label="Reply type"
+                  >
+                    <option value="fixed">Fixed message</option>
+                    <option value="ai">AI-written from instructions</option>
+                  </select>
+                  <textarea
+                    id="rule-dm"
+                    name="dm_text"
+                    rows={3}
+                    className="srInput srInputRow"
+                    placeholder={responseType === "ai"
+                      ? "e.g. Thank them for joining the drop and mention it ships free this week"
+                      : "e.g. Hey {username}! Here's your link: {link}"}
+                  />
+                </div>
+              </div>
+              <div className="srToggleRow">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="rule-public">Public reply (optional)</label>
+                  <span className="srCardDesc">Posted under the comment so others see you answered. Leave empty to use the rotating public reply from Home, if it&apos;s turned on.</span>
+                  <input
+                    id="rule-public"
+                    type="text"
+                    name="public_reply"
+                    maxLength={300}
+                    placeholder="e.g. Sent you a DM 💌"
+                    className="srInput srInputRow"
+                  />
+                </div>
+              </div>
+              <div className="srToggleRow srToggleRowLast">
+                <div className="srToggleRowText">
+                  <label className="srCardTitle" htmlFor="rule-target">Link to</label>
+                  <div className="srHStack" style={{ gap: "8px" }}>
+                    <select
+                      name="target_type"
+                      className="srSelect srInputRow"
+                      value={targetType}
+                      onChange={(e) => setTargetType(e.target.value)}
+                      aria-label="Link target type"
+                    >
+                      <option value="product">Product checkout</option>
+                      <option value="collection">Collection</option>
+                      <option value="none">Store homepage / no link</option>
+                    </select>
+                    {targetType !== "none" && (
+                      <select id="rule-target" name="target_id" className="srSelect srInputRow" defaultValue="">
+                        <option value="" disabled>
+                          {targetType === "product" ? "Choose a product" : "Choose a collection"}
+                        </option>
+                        {(targetType === "product" ? products : collections).map((item) => (
+                          <option key={item.id} value={item.id}>{item.title}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+            <div className="srSaveBtnWrap">
+              <button type="submit" className="srPrimaryBtn" disabled={formFetcher.state !== "idle"}>
+                {formFetcher.state !== "idle" ? "Saving…" : "Add rule"}
+              </button>
+            </div>
+          </formFetcher.Form>
+        </s-section>
+
+        <s-section heading={`Rules (${rules.length})`}>
+          {rules.length === 0 ? (
+            <span className="srCardDesc">No keyword rules yet. Comments are handled by AI intent detection only.</span>
+          ) : (
+            <div className="srTableWrap">
+              <table className="srTable">
+                <thead>
+                  <tr>
+                    <th className="srTh srTextLeft">Post</th>
+                    <th className="srTh srTextLeft">Trigger</th>
+                    <th className="srTh srTextLeft">DM reply</th>
+                    <th className="srTh srTextLeft">Link</th>
+                    <th className="srTh srTextLeft">Status</th>
+                    <th className="srTh srTextLeft" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.map((rule) => (
+                    <tr key={rule.id}>
+                      <td>{postLabel(rule.ig_media_id)}</td>
+                      <td>
+                        <s-badge tone="info">{rule.match_type === "regex" ? "Regex" : "Keyword"}</s-badge>{" "}
+                        <code>{rule.pattern}</code>
+                      </td>
+                      <td>
+                        <span className="srCardDesc">
+                          {rule.response_type === "ai" ? "AI: " : ""}{truncate(rule.dm_text, 80) || "—"}
+                        </span>
+                        {rule.public_reply && (
+                          <span className="srCardDesc" style={{ display: "block" }}>
+                            Public: {truncate(rule.public_reply, 60)}
+                          </span>
+                        )}
+                      </td>
+                      <td>{targetLabel(rule)}</td>
+                      <td>
+                        <s-badge tone={rule.enabled ? "success" : "subdued"}>{rule.enabled ? "Active" : "Paused"}</s-badge>
+                      </td>
+                      <td>
+                        <div className="srHStack" style={{ gap: "8px" }}>
+                          <s-button
+                            variant="secondary" size="slim" className="srBtnCompact"
+                            disabled={rowFetcher.state !== "idle"}
+                            onClick={() =>
+                              rowFetcher.submit(
+                                { action: "toggle-rule", ruleId: rule.id, enabled: rule.enabled ? "false" : "true" },
+                                { method: "post" },
+                              )
+                            }
+                          >
+                            {rule.enabled ? "Pause" : "Resume"}
+                          </s-button>
+                          <s-button
+                            variant="secondary" tone="critical" size="slim" className="srBtnCompact"
+                            disabled={rowFetcher.state !== "idle"}
+                            onClick={() => rowFetcher.submit({ action: "delete-rule", ruleId: rule.id }, { method: "post" })}
+                          >
+                            Delete
+                          </s-button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </s-section>
+      </PlanGate>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => boundary.headers(headersArgs);
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
@@ -0,0 +1,34 @@
+/**
+ * Cron endpoint for abandoned-checkout recovery DMs
+ * Call every 5 minutes with ?secret=CRON_SECRET
+ */
+import { processCheckoutRecoveries } from "../lib/checkout-recovery.server";
+import logger from "../lib/logger.server";
+
+const CRON_SECRET = process.env.CRON_SECRET;
+
+export const loader = async ({ request }) => {
+  const url = new URL(request.url);
+  const secret = url.searchParams.get("secret");
+
+  if (!CRON_SECRET || secret !== CRON_SECRET) {
+    console.error("[cron] Invalid or missing cron secret");
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  try {
+    logger.debug("[cron] Starting checkout recovery processing...");
+    const result = await processCheckoutRecoveries();
+    logger.debug("[cron] Checkout recovery processing completed", result);
+    return new Response(JSON.stringify({ success: true, result }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  } catch (error) {
+    console.error("[cron] Error processing checkout recoveries:", error);
+    return new Response(JSON.stringify({ success: false, error: error.message }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+};
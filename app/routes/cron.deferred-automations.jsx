@@ -0,0 +1,34 @@
+/**
+ * Cron endpoint for deferred inbound automations (rate-limit.server.js)
+ * Call every minute with ?secret=CRON_SECRET
+ */
+import { processDeferredAutomations } from "../lib/inbound-automation.server";
+import logger from "../lib/logger.server";
+
+const CRON_SECRET = process.env.CRON_SECRET;
+
+export const loader = async ({ request }) => {
+  const url = new URL(request.url);
+  const secret = url.searchParams.get("secret");
+
+  if (!CRON_SECRET || secret !== CRON_SECRET) {
+    console.error("[cron] Invalid or missing cron secret");
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  try {
+    logger.debug("[cron] Starting deferred automation processing...");
+    const result = await processDeferredAutomations();
+    logger.debug("[cron] Deferred automation processing completed", result);
+    return new Response(JSON.stringify({ success: true, result }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  } catch (error) {
+    console.error("[cron] Error processing deferred automations:", error);
+    return new Response(JSON.stringify({ success: false, error: error.message }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+};
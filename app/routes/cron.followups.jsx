@@ -1,10 +1,10 @@
 /**
  * Cron endpoint for follow-up automation
- * Should be called by Railway cron or similar scheduler every hour
+ * Should be called by Railway cron or similar scheduler every 15 minutes
  * 
  * To set up Railway cron:
  * - Add a cron job that calls: https://your-app-url/cron/followups
- * - Schedule: 0 * * * * (every hour)
+ * - Schedule: 0,15,30,45 * * * * (every 15 minutes; sequence steps can be hours apart)
  * - Add CRON_SECRET to environment variables
  */
 
@@ -0,0 +1,34 @@
+/**
+ * Cron endpoint for the weekly performance email
+ * Call hourly with ?secret=CRON_SECRET (each shop gets one email per week)
+ */
+import { sendWeeklyDigests } from "../lib/weekly-digest.server";
+import logger from "../lib/logger.server";
+
+const CRON_SECRET = process.env.CRON_SECRET;
+
+export const loader = async ({ request }) => {
+  const url = new URL(request.url);
+  const secret = url.searchParams.get("secret");
+
+  if (!CRON_SECRET || secret !== CRON_SECRET) {
+    console.error("[cron] Invalid or missing cron secret");
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  try {
+    logger.debug("[cron] Starting weekly digest run...");
+    const result = await sendWeeklyDigests();
+    logger.debug("[cron] Weekly digest run completed", result);
+    return new Response(JSON.stringify({ success: true, result }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  } catch (error) {
+    console.error("[cron] Error sending weekly digests:", error);
+    return new Response(JSON.stringify({ success: false, error: error.message }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+};
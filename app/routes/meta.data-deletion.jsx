@@ -93,6 +93,33 @@ async function deleteUserData(igUserId) {
       if (followupsError) {
         console.error("[data-deletion] Error deleting followups:", followupsError);
       }
+
+      const { error: runsError } = await supabase
+        .from("followup_runs")
+        .delete()
+        .in("message_id", messageIds);
+
+      if (runsError) {
+        console.error("[data-deletion] Error deleting followup runs:", runsError);
+      }
+
+      const { error: recoveriesError } = await supabase
+        .from("checkout_recoveries")
+        .delete()
+        .in("message_id", messageIds);
+
+      if (recoveriesError) {
+        console.error("[data-deletion] Error deleting checkout recoveries:", recoveriesError);
+      }
+
+      const { error: discountsError } = await supabase
+        .from("agent_discount_codes")
+        .delete()
+        .eq("ig_user_id", String(igUserId));
+
+      if (discountsError) {
+        console.error("[data-deletion] Error deleting agent discount codes:", discountsError);
+      }
     }
 
     // Delete clicks associated with links from these messages
@@ -114,6 +141,24 @@ async function deleteUserData(igUserId) {
         if (clicksError) {
           console.error("[data-deletion] Error deleting clicks:", clicksError);
         }
+
+        const { error: touchesError } = await supabase
+          .from("link_touches")
+          .delete()
+          .in("link_id", linkIds);
+
+        if (touchesError) {
+          console.error("[data-deletion] Error deleting link touches:", touchesError);
+        }
+
+        const { error: checkoutsError } = await supabase
+          .from("link_checkouts")
+          .delete()
+          .in("link_id", linkIds);
+
+        if (checkoutsError) {
+          console.error("[data-deletion] Error deleting link checkouts:", checkoutsError);
+        }
       }
     }
 
@@ -135,9 +180,38 @@ async function deleteUserData(igUserId) {
         if (attributionError) {
           console.error("[data-deletion] Error deleting attribution:", attributionError);
         }
+
+        const { error: touchesError } = await supabase
+          .from("attribution_touches")
+          .delete()
+          .in("link_id", linkIds);
+
+        if (touchesError) {
+          console.error("[data-deletion] Error deleting attribution touches:", touchesError);
+        }
       }
     }
 
+    // Delete tables keyed by the Instagram user rather than a message; these
+    // can hold rows even when no message from the user is left.
+    const { error: inboxRepliesError } = await supabase
+      .from("inbox_replies")
+      .delete()
+      .eq("ig_user_id", String(igUserId));
+
+    if (inboxRepliesError) {
+      console.error("[data-deletion] Error deleting inbox replies:", inboxRepliesError);
+    }
+
+    const { error: assignmentsError } = await supabase
+      .from("experiment_assignments")
+      .delete()
+      .eq("ig_user_id", String(igUserId));
+
+    if (assignmentsError) {
+      console.error("[data-deletion] Error deleting experiment assignments:", assignmentsError);
+    }
+
     // Delete the messages themselves
     if (messageIds.length > 0) {
       const { error: messagesDeleteError } = await supabase
@@ -152,12 +152,13 @@ export async function loader({ request }) {
     await saveMetaAuthForInstagram(shopData.id, igBusinessId, longLivedToken, tokenExpiresAt);
 
     // Drop caches computed before this connect: the message-access probe may
-    // have cached "unknown" (no auth yet), and any IG info/media belongs to a
+    // have cached "unknown" (no auth yet), and any IG info/media/stories belongs to a
     // previously linked account. Ensures the post-connect banner and health
     // box reflect this account, probed fresh.
     invalidateCached(`igmsgaccess:${shopData.id}`);
     invalidateCached(`iginfo:${shopData.id}`);
     invalidateCached(`igmedia:${shopData.id}`);
+    invalidateCached(`igstories:${shopData.id}`);
 
     // 5. Subscribe this account to message/comment webhooks. Without this,
     // Meta never delivers events for the account and automation is silently
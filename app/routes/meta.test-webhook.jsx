@@ -263,7 +263,9 @@ export const action = async ({ request }) => {
                         inboundChannel: isCommentEvent ? "comment" : "dm",
                         triggerChannel: isCommentEvent ? "comment" : "dm",
                         recentMessages: [{ channel: isCommentEvent ? "comment" : "dm", text: messageText }],
-                      }
+                      },
+                      null,
+                      { shopId: shop.id }
                     );
                     
                     aiPreview = {
@@ -376,7 +378,9 @@ export const action = async ({ request }) => {
                           inboundChannel: "comment",
                           triggerChannel: "comment",
                           recentMessages: [{ channel: "comment", text: messageText }],
-                        }
+                        },
+                        null,
+                        { shopId: shop.id }
                       );
                       
                       aiPreview = {
@@ -407,7 +411,8 @@ export const action = async ({ request }) => {
                           brandVoiceData,
                           messageText,
                           classification.intent,
-                          { originChannel: "dm", inboundChannel: "dm" }
+                          { originChannel: "dm", inboundChannel: "dm" },
+                          { shopId: shop.id }
                         );
                         
                         aiPreview = {
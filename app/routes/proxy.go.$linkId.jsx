@@ -15,9 +15,25 @@
  * No signature check on purpose: link destinations are public data (the same
  * lookup is served openly at /{linkId}), so verifying the proxy HMAC would
  * add nothing except a failure mode.
+ *
+ * Before redirecting, the page records the click for multi-touch attribution
+ * (see attribution.server.js): it appends it to the first-party touch cookie,
+ * copies the cookie into a hidden cart attribute (via /cart/update.js, or the
+ * permalink's attributes[] parameter for /cart/ links) and posts the cart
+ * token back to the action below. That POST writes data, so it IS signed.
  */
 
+import { authenticate } from "../shopify.server";
 import { resolveTrackedLink } from "../lib/click-redirect.server";
+import {
+  recordCartTouch,
+  TOUCH_COOKIE,
+  MAX_TOUCHES,
+  MAX_ATTRIBUTION_WINDOW_DAYS,
+} from "../lib/attribution.server";
+
+// Redirect anyway if the cart round-trip is slow.
+const CART_SYNC_TIMEOUT_MS = 1500;
 
 function escapeHtml(s) {
   return s
@@ -28,6 +44,63 @@ function escapeHtml(s) {
     .replaceAll("'", "&#39;");
 }
 
+function touchScript(linkId, url) {
+  return `(function () {
+  var dest = ${JSON.stringify(url)};
+  var linkId = ${JSON.stringify(linkId)};
+  var name = ${JSON.stringify(TOUCH_COOKIE)};
+  var maxAge = ${MAX_ATTRIBUTION_WINDOW_DAYS * 24 * 60 * 60};
+  var done = false;
+  function go() {
+    if (done) return;
+    done = true;
+    window.location.replace(dest);
+  }
+  try {
+    var now = Math.floor(Date.now() / 1000);
+    var match = document.cookie.match(new RegExp("(?:^|; )" + name + "=([^;]*)"));
+    var touches = (match ? decodeURIComponent(match[1]).split("|") : []).filter(function (t) {
+      var parts = t.split(".");
+      return parts.length === 2 && parts[0] !== linkId && now - Number(parts[1]) < maxAge;
+    });
+    touches.push(linkId + "." + now);
+    var value = touches.slice(-${MAX_TOUCHES}).join("|");
+    document.cookie = name + "=" + encodeURIComponent(value) + "; path=/; max-age=" + maxAge + "; SameSite=Lax; Secure";
+
+    var target = new URL(dest, window.location.href);
+    if (target.host !== window.location.host) return go();
+    if (/^\\/cart\\/\\d/.test(target.pathname)) {
+      target.searchParams.set("attributes[" + name + "]", value);
+      dest = target.toString();
+      return go();
+    }
+
+    setTimeout(go, ${CART_SYNC_TIMEOUT_MS});
+    var attributes = {};
+    attributes[name] = value;
+    fetch("/cart/update.js", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ attributes: attributes }),
+    })
+      .then(function (r) { return r.json(); })
+      .then(function (cart) {
+        if (!cart || !cart.token) return;
+        return fetch(window.location.pathname + window.location.search, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ cartToken: cart.token }),
+          keepalive: true,
+        });
+      })
+      .catch(function () {})
+      .then(go);
+  } catch (e) {
+    go();
+  }
+})();`;
+}
+
 export async function loader({ params, request }) {
   const url = await resolveTrackedLink(params.linkId, request);
   if (!url) {
@@ -45,11 +118,11 @@ export async function loader({ params, request }) {
 <head>
 <meta charset="utf-8">
 <meta name="robots" content="noindex">
-<meta http-equiv="refresh" content="0;url=${safeUrl}">
+<noscript><meta http-equiv="refresh" content="0;url=${safeUrl}"></noscript>
 <title>Redirecting…</title>
 </head>
 <body>
-<script>window.location.replace(${JSON.stringify(url)});</script>
+<script>${touchScript(params.linkId, url)}</script>
 <noscript><a href="${safeUrl}">Continue</a></noscript>
 </body>
 </html>`;
@@ -63,8 +136,18 @@ export async function loader({ params, request }) {
   });
 }
 
-export async function action() {
-  return new Response("Method Not Allowed", { status: 405 });
+/** Cart token report from the redirect page (signed by the app proxy). */
+export async function action({ params, request }) {
+  await authenticate.public.appProxy(request);
+
+  let body = null;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response("Bad Request", { status: 400 });
+  }
+  await recordCartTouch(params.linkId, body?.cartToken);
+  return new Response(null, { status: 204 });
 }
 
 export default function ProxyRedirect() {
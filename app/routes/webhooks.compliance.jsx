@@ -10,7 +10,9 @@
  *   The orders/create webhook payload contains customer data, but our
  *   handler in app/routes/webhooks.shopify.orders.jsx only reads order ID,
  *   total_price, currency, landing_site, and referring_site — never any
- *   customer.* field. We have no customer_id, email, name, address, or
+ *   customer.* field. The checkouts/* handler likewise reads only the
+ *   checkout token, landing/referring site and timestamps (see
+ *   webhooks.shopify.checkouts.jsx). We have no customer_id, email, name, address, or
  *   phone column in our database (verifiable in prisma/schema.prisma and
  *   the Supabase migrations).
  *
@@ -84,10 +86,31 @@ export const action = async ({ request }) => {
           await supabase.from("attribution").delete().eq("shop_id", dbShopId);
           await supabase.from("settings").delete().eq("shop_id", dbShopId);
           await supabase.from("post_product_map").delete().eq("shop_id", dbShopId);
+          await supabase.from("comment_rules").delete().eq("shop_id", dbShopId);
           await supabase.from("brand_voice").delete().eq("shop_id", dbShopId);
           await supabase.from("clicks").delete().eq("shop_id", dbShopId);
           await supabase.from("followups").delete().eq("shop_id", dbShopId);
+          await supabase.from("followup_runs").delete().eq("shop_id", dbShopId);
+          await supabase.from("followup_steps").delete().eq("shop_id", dbShopId);
+          await supabase.from("checkout_recoveries").delete().eq("shop_id", dbShopId);
+          await supabase.from("agent_discount_codes").delete().eq("shop_id", dbShopId);
+          await supabase.from("analytics_daily").delete().eq("shop_id", dbShopId);
+          await supabase.from("llm_usage").delete().eq("shop_id", dbShopId);
+          await supabase.from("link_touches").delete().eq("shop_id", dbShopId);
+          await supabase.from("attribution_touches").delete().eq("shop_id", dbShopId);
+          await supabase.from("attribution_adjustments").delete().eq("shop_id", dbShopId);
+          await supabase.from("link_checkouts").delete().eq("shop_id", dbShopId);
+          await supabase.from("automation_decisions").delete().eq("shop_id", dbShopId);
+          await supabase.from("inbox_replies").delete().eq("shop_id", dbShopId);
+          await supabase.from("weekly_digests").delete().eq("shop_id", dbShopId);
+          await supabase.from("experiment_assignments").delete().eq("shop_id", dbShopId);
+          await supabase.from("experiment_variants").delete().eq("shop_id", dbShopId);
+          await supabase.from("experiments").delete().eq("shop_id", dbShopId);
+          await supabase.from("knowledge_entries").delete().eq("shop_id", dbShopId);
           await supabase.from("outbound_dm_queue").delete().eq("shop_id", dbShopId);
+          await supabase.from("deferred_automations").delete().eq("shop_id", dbShopId);
+          await supabase.from("rate_limit_counters").delete().eq("shop_id", dbShopId);
+          await supabase.from("opt_outs").delete().eq("shop_id", dbShopId);
           await supabase.from("beta_redemptions").delete().eq("shop_id", dbShopId);
           await supabase.from("meta_auth").delete().eq("shop_id", dbShopId);
           await supabase.from("shops").delete().eq("id", dbShopId);
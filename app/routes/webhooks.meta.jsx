@@ -16,9 +16,10 @@ if (typeof global.crypto === "undefined") {
   global.crypto = crypto;
 }
 
-import { logMessage, updateMessageAI, getSettings, getShopPlanAndUsage, alreadyRepliedToMessage, alreadyRepliedToComment, isRecentOutboundReply, recordHumanTakeover } from "../lib/db.server";
-import { classifyMessage } from "../lib/ai.server";
-import { handleIncomingDm, handleIncomingComment } from "../lib/automation.server";
+import { logMessage, getSettings, alreadyRepliedToMessage, alreadyRepliedToComment, isRecentOutboundReply, recordHumanTakeover } from "../lib/db.server";
+import { recordDecision } from "../lib/decision-log.server";
+import { normalizeDmAttachments } from "../lib/dm-attachments.server";
+import { runOrDeferAutomation } from "../lib/inbound-automation.server";
 import supabase from "../lib/supabase.server";
 import { incCounter, recordTiming } from "../lib/metrics.server";
 import logger from "../lib/logger.server";
@@ -27,27 +28,6 @@ const META_WEBHOOK_VERIFY_TOKEN = process.env.META_WEBHOOK_VERIFY_TOKEN;
 const META_APP_SECRET = process.env.META_APP_SECRET;
 const META_INSTAGRAM_APP_SECRET = process.env.META_INSTAGRAM_APP_SECRET;
 
-/**
- * In-process semaphore: caps concurrent background automation chains so a burst
- * of webhooks doesn't overwhelm downstream APIs (OpenAI, Shopify, Meta, DB).
- */
-const MAX_CONCURRENT_AUTOMATIONS = 30;
-let _activeAutomations = 0;
-const _automationWaiters = [];
-
-async function withAutomationLimit(fn) {
-  if (_activeAutomations >= MAX_CONCURRENT_AUTOMATIONS) {
-    await new Promise((resolve) => _automationWaiters.push(resolve));
-  }
-  _activeAutomations++;
-  try {
-    return await fn();
-  } finally {
-    _activeAutomations--;
-    if (_automationWaiters.length > 0) _automationWaiters.shift()();
-  }
-}
-
 /**
  * GET handler for webhook verification
  * Meta sends a GET request to verify your webhook endpoint
@@ -249,12 +229,27 @@ function parseMessageEvent(message) {
     }
     
     const igUsername = sender?.username || message.from?.username || null;
+
+    // Story context: a reply to one of our stories carries reply_to.story
+    // ({ id, url }); a mention of our account in the customer's own story
+    // arrives as a story_mention attachment with only a CDN url.
+    let story = null;
+    const storyReply = messageData?.reply_to?.story;
+    const mentionAttachment = (messageData?.attachments || []).find((a) => a?.type === "story_mention");
+    if (storyReply?.id) {
+      story = { type: "reply", id: String(storyReply.id), url: storyReply.url || null };
+    } else if (mentionAttachment) {
+      story = { type: "mention", id: mentionAttachment.payload?.id || null, url: mentionAttachment.payload?.url || null };
+    }
+
     return {
       messageId,
       messageText,
       igUserId,
       igUsername,
       timestamp,
+      story,
+      attachments: normalizeDmAttachments(messageData?.attachments),
     };
   } catch (error) {
     console.error(`[webhook] Error parsing message event:`, error);
@@ -484,7 +479,7 @@ export const action = async ({ request }) => {
               }
 
               incCounter("dm_messages_processed");
-              logger.debug(`[webhook] Inbound: from=${parsed.igUserId} text_len=${(parsed.messageText || "").length} mid=${parsed.messageId?.slice?.(0, 20)}...`);
+              logger.debug(`[webhook] Inbound: from=${parsed.igUserId} text_len=${(parsed.messageText || "").length}${parsed.story ? ` story=${parsed.story.type}:${parsed.story.id ?? "?"}` : ""} mid=${parsed.messageId?.slice?.(0, 20)}...`);
               
               try {
                 const result = await logMessage({
@@ -498,58 +493,23 @@ export const action = async ({ request }) => {
                   aiConfidence: null,
                   sentiment: null,
                   lastUserMessageAt: parsed.timestamp,
+                  attachments: parsed.attachments,
                 });
                 logger.debug(`[webhook] DM logged db_id=${result?.id}`);
                 
                 if (result?.id && (await alreadyRepliedToMessage(result.id))) {
                   logger.debug(`[webhook] Already replied to message ${result.id}, skipping classification and automation`);
-                } else if (result?.id && parsed.messageText) {
-                  withAutomationLimit(async () => {
-                    const classification = await classifyMessage(parsed.messageText, { shopId });
-                    if (classification.intent === null || classification.error) return;
-
-                    await updateMessageAI(
-                      result.id,
-                      classification.intent,
-                      classification.confidence,
-                      classification.sentiment
-                    );
-
-                    const { data: updatedMessage } = await supabase
-                      .from("messages")
-                      .select("*")
-                      .eq("id", result.id)
-                      .single();
-
-                    if (!updatedMessage) return;
-
-                    // Attach entities from classification (not stored in DB)
-                    updatedMessage.ai_entities = classification.entities || null;
-
-                    const usageData = await getShopPlanAndUsage(shopId);
-                    if (!usageData) return;
-
-                    const { data: shopData } = await supabase
-                      .from("shops")
-                      .select("*")
-                      .eq("id", shopId)
-                      .single();
-
-                    if (!shopData) return;
-
-                    // Use the beta-aware plan that getShopPlanAndUsage already
-                    // resolved (raw shopData.plan ignores active beta trials,
-                    // which would incorrectly gate PRO features like clarifying
-                    // questions for merchants on the beta).
-                    const plan = usageData.plan;
-                    const automationResult = await handleIncomingDm(updatedMessage, shopData, plan, { settings, usageData, alreadyRepliedChecked: true });
-                    if (automationResult.sent) {
-                      incCounter("automations_sent");
-                      logger.debug(`[webhook] ✅ Automated DM sent for message ${result.id}`);
-                    } else {
-                      incCounter("automations_skipped");
-                      logger.debug(`[webhook] Automation skipped for message ${result.id}: ${automationResult.reason}`);
-                    }
+                } else if (result?.id && parsed.story?.type === "mention" && !parsed.messageText) {
+                  // A bare mention is a share, not a question: keep it in the
+                  // log so the owner sees it, but there's nothing to answer.
+                  logger.debug(`[webhook] Story mention without text logged for message ${result.id}, no automation`);
+                } else if (result?.id && (parsed.messageText || parsed.attachments.length > 0)) {
+                  runOrDeferAutomation({
+                    shopId,
+                    channel: "dm",
+                    message: result,
+                    payload: { attachments: parsed.attachments, story: parsed.story },
+                    settings,
                   }).catch((error) => {
                     console.error(`[webhook] Error in DM automation chain:`, error);
                     hadProcessingError = true;
@@ -603,10 +563,9 @@ export const action = async ({ request }) => {
                 
                 // Per-post deny-list: skip only posts the merchant explicitly
                 // disabled. Everything else (including new posts) is automated.
-                if (Array.isArray(settings?.disabled_post_ids) && settings.disabled_post_ids.includes(parsed.mediaId)) {
-                  logger.debug(`[webhook] Comment on media ${parsed.mediaId} is in disabled_post_ids, skipping`);
-                  continue;
-                }
+                // The comment is still logged so the post's funnel counts it.
+                const postDisabled =
+                  Array.isArray(settings?.disabled_post_ids) && settings.disabled_post_ids.includes(parsed.mediaId);
                 
                 try {
                 const result = await logMessage({
@@ -620,57 +579,24 @@ export const action = async ({ request }) => {
                   aiConfidence: null,
                   sentiment: null,
                   lastUserMessageAt: null, // Comments don't use last_user_message_at
+                  mediaId: parsed.mediaId,
                 });
                 incCounter("comment_messages_processed");
                 logger.debug(`[webhook] ✅ Comment logged: ${parsed.commentId}`);
                 
+                if (postDisabled) {
+                  logger.debug(`[webhook] Comment on media ${parsed.mediaId} is in disabled_post_ids, skipping`);
+                  await recordDecision(shopId, result, { sent: false, reason: "Automation disabled for this post" }, { code: "disabled_post" });
                 // Skip classification + automation if we already replied to this comment (stops API loop on duplicate webhooks)
-                if (result?.id && (await alreadyRepliedToComment(shopId, parsed.commentId))) {
+                } else if (result?.id && (await alreadyRepliedToComment(shopId, parsed.commentId))) {
                   logger.debug(`[webhook] Already replied to comment ${parsed.commentId}, skipping classification and automation`);
                 } else if (result?.id && parsed.commentText) {
-                  withAutomationLimit(async () => {
-                    const classification = await classifyMessage(parsed.commentText, { shopId, channel: "comment" });
-                    if (classification.intent === null || classification.error) return;
-
-                    await updateMessageAI(
-                      result.id,
-                      classification.intent,
-                      classification.confidence,
-                      classification.sentiment
-                    );
-
-                    const { data: updatedMessage } = await supabase
-                      .from("messages")
-                      .select("*")
-                      .eq("id", result.id)
-                      .single();
-
-                    if (!updatedMessage || !parsed.mediaId) return;
-
-                    updatedMessage.ai_entities = classification.entities || null;
-
-                    const usageData = await getShopPlanAndUsage(shopId);
-                    if (!usageData) return;
-
-                    const { data: shopData } = await supabase
-                      .from("shops")
-                      .select("*")
-                      .eq("id", shopId)
-                      .single();
-
-                    if (!shopData) return;
-
-                    // Use the beta-aware plan that getShopPlanAndUsage already
-                    // resolved (see note in the DM branch above).
-                    const plan = usageData.plan;
-                    const automationResult = await handleIncomingComment(updatedMessage, parsed.mediaId, shopData, plan, { settings, usageData, alreadyRepliedChecked: true });
-                    if (automationResult.sent) {
-                      incCounter("automations_sent");
-                      logger.debug(`[webhook] ✅ Comment private reply sent for comment ${result.id}`);
-                    } else {
-                      incCounter("automations_skipped");
-                      logger.debug(`[webhook] Comment private reply skipped for comment ${result.id}: ${automationResult.reason}`);
-                    }
+                  runOrDeferAutomation({
+                    shopId,
+                    channel: "comment",
+                    message: result,
+                    payload: { media_id: parsed.mediaId },
+                    settings,
                   }).catch((error) => {
                     console.error(`[webhook] Error in comment automation chain:`, error);
                     hadProcessingError = true;
@@ -0,0 +1,82 @@
+// Polyfill crypto for Shopify webhook validation
+// The Shopify library expects crypto to be available globally
+import crypto from "crypto";
+
+// Make crypto available globally for Shopify library
+if (typeof globalThis.crypto === "undefined") {
+  globalThis.crypto = crypto;
+}
+if (typeof global.crypto === "undefined") {
+  global.crypto = crypto;
+}
+
+import { useRouteError } from "react-router";
+import { authenticate } from "../shopify.server";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { getShopByDomain } from "../lib/db.server";
+import { parseAttributionUrl } from "../lib/links.server";
+import { recordCheckoutActivity } from "../lib/checkout-recovery.server";
+import { recordCheckoutStart } from "../lib/funnel.server";
+import logger from "../lib/logger.server";
+
+/**
+ * checkouts/create + checkouts/update webhook handler — records checkouts
+ * that started from one of our DM links for the conversion funnel
+ * (funnel.server.js) and schedules an abandoned-checkout recovery DM for
+ * them (see checkout-recovery.server.js).
+ *
+ * Data minimization: like the orders webhook, this only reads non-customer
+ * fields: the checkout token, landing_site / referring_site (for the ref
+ * parameter), completed_at and updated_at. No email, name, address or phone
+ * field is read or stored.
+ */
+export const action = async ({ request }) => {
+  try {
+    const { shop, topic, payload } = await authenticate.webhook(request);
+    logger.debug(`[webhook] ${topic} webhook for shop: ${shop}`);
+
+    const shopData = await getShopByDomain(shop);
+    if (!shopData) {
+      // Return success to prevent retries for shops we don't have
+      return new Response(JSON.stringify({ received: true, error: "Shop not found" }), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
+    const token = payload.token || payload.id?.toString() || null;
+    let linkId = parseAttributionUrl(payload.landing_site)?.linkId || null;
+    if (!linkId) linkId = parseAttributionUrl(payload.referring_site)?.linkId || null;
+
+    if (token && linkId) {
+      await recordCheckoutStart(shopData.id, { token, linkId, completedAt: payload.completed_at || null });
+      await recordCheckoutActivity(shopData, {
+        token,
+        linkId,
+        completedAt: payload.completed_at || null,
+        updatedAt: payload.updated_at || payload.created_at || null,
+      });
+    } else {
+      logger.debug(`[webhook] Checkout has no link_id - not from a DM link`);
+    }
+
+    return new Response(JSON.stringify({ received: true }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  } catch (error) {
+    console.error(`[webhook] Error processing checkouts webhook:`, error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+};
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
@@ -13,52 +13,14 @@ if (typeof global.crypto === "undefined") {
 import { useRouteError } from "react-router";
 import { authenticate } from "../shopify.server";
 import { boundary } from "@shopify/shopify-app-react-router/server";
-import { getShopByDomain, recordAttribution } from "../lib/db.server";
+import { getShopByDomain, getSettings, recordAttribution } from "../lib/db.server";
+import { parseAttributionUrl } from "../lib/links.server";
+import { markCheckoutRecoveriesConverted } from "../lib/checkout-recovery.server";
+import { recordAgentDiscountRedemption } from "../lib/agent-discounts.server";
+import { getOrderAmounts, syncOrderAdjustments } from "../lib/order-adjustments.server";
+import { recordMultiTouchAttribution, DEFAULT_ATTRIBUTION_WINDOW_DAYS } from "../lib/attribution.server";
 import logger from "../lib/logger.server";
 
-/**
- * Parse URL to extract link_id and UTM parameters
- * @param {string} url - The URL to parse
- * @returns {Object} - { linkId, utmSource, utmMedium, utmCampaign }
- */
-function parseAttributionUrl(url) {
-  if (!url) return null;
-
-  try {
-    // Shopify's order `landing_site` is typically a RELATIVE path
-    // (e.g. "/cart/51139...:1?ref=link_abc123"), while `referring_site` is
-    // usually an absolute URL. `new URL(relativePath)` throws "Invalid URL"
-    // without a base, which previously made this function return null for
-    // every landing_site and silently skip attribution. Supplying a base
-    // resolves relative paths and is ignored for absolute URLs — we only
-    // read query params, so the placeholder host is irrelevant.
-    const urlObj = new URL(url, "https://shopify-attribution.local");
-    const params = urlObj.searchParams;
-
-    // Extract link_id from ref parameter (format: ref=link_{link_id})
-    const ref = params.get("ref");
-    let linkId = null;
-    if (ref && ref.startsWith("link_")) {
-      linkId = ref.replace("link_", "");
-    }
-
-    // Extract UTM parameters
-    const utmSource = params.get("utm_source");
-    const utmMedium = params.get("utm_medium");
-    const utmCampaign = params.get("utm_campaign");
-
-    return {
-      linkId,
-      utmSource,
-      utmMedium,
-      utmCampaign,
-    };
-  } catch (error) {
-    console.error(`[webhook] Error parsing URL: ${url}`, error);
-    return null;
-  }
-}
-
 /**
  * Infer channel from UTM parameters
  * @param {string} utmMedium - UTM medium parameter
@@ -88,25 +50,32 @@ function inferChannel(utmMedium, utmSource) {
 
 /**
  * orders/create webhook handler — revenue attribution for Instagram-driven
- * orders.
+ * orders. orders/updated and orders/cancelled land here too and only adjust
+ * the net revenue of orders we already attributed (order-adjustments.server.js).
  *
  * Data minimization (relevant for protected customer data review):
  *   Although Shopify's orders/create payload contains customer PII
  *   (customer.email, customer.name, billing/shipping addresses, etc.), this
  *   handler intentionally only reads non-customer fields needed for
- *   attribution: order id, order_number, total_price, currency, landing_site,
- *   and referring_site. No customer.* field is ever read, persisted, or
+ *   attribution: order id, order_number, created_at, total_price (and its
+ *   shop/presentment money set), currency, landing_site, referring_site,
+ *   cart_token, the discount code strings and our own _srai_touches note
+ *   attribute (DM link IDs and click times). Updates and cancellations
+ *   additionally read cancelled_at, current_total_price and the refund
+ *   transaction amounts. No customer.* field is ever read, persisted, or
  *   forwarded. The recordAttribution() call writes only orderId, linkId,
- *   channel, and amount to the attribution table — see
- *   app/lib/db.server.js -> recordAttribution.
+ *   channel, amounts, and an agent-issued discount code (if one was redeemed)
+ *   to the attribution table — see app/lib/db.server.js -> recordAttribution;
+ *   attribution_touches stores the same minus the code, per clicked link —
+ *   see app/lib/attribution.server.js.
  */
 export const action = async ({ request }) => {
   logger.debug(`[webhook] orders/create webhook received`);
   
   try {
     // Authenticate and verify the webhook
-    const { shop, payload } = await authenticate.webhook(request);
-    logger.debug(`[webhook] Authenticated orders/create webhook for shop: ${shop}`);
+    const { shop, topic, payload } = await authenticate.webhook(request);
+    logger.debug(`[webhook] Authenticated ${topic} webhook for shop: ${shop}`);
 
     // Get shop from database to get shop_id
     const shopData = await getShopByDomain(shop);
@@ -119,13 +88,37 @@ export const action = async ({ request }) => {
       });
     }
 
+    if (topic === "ORDERS_UPDATED" || topic === "ORDERS_CANCELLED") {
+      try {
+        await syncOrderAdjustments(shopData.id, payload);
+      } catch (adjustmentError) {
+        console.error(`[webhook] Error adjusting attributed revenue:`, adjustmentError);
+        // Let Shopify retry; adjustments are idempotent.
+        return new Response(JSON.stringify({ error: adjustmentError.message }), {
+          status: 500,
+          headers: { "Content-Type": "application/json" },
+        });
+      }
+      return new Response(JSON.stringify({ received: true }), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
     // Read ONLY non-PII fields from the payload. We deliberately do not
     // touch payload.customer or any address/email/phone field.
     const orderId = payload.id?.toString() || payload.order_number?.toString();
-    const totalPrice = parseFloat(payload.total_price || payload.current_total_price || "0");
-    const currency = payload.currency || payload.presentment_currency_code || "USD";
+    const {
+      amount: totalPrice,
+      currency,
+      presentmentAmount,
+      presentmentCurrency,
+    } = getOrderAmounts(payload);
     const landingSite = payload.landing_site;
     const referringSite = payload.referring_site;
+    const discountCodes = (payload.discount_codes || []).map((d) => d?.code).filter(Boolean);
+    const cartToken = payload.cart_token || null;
+    const noteAttributes = Array.isArray(payload.note_attributes) ? payload.note_attributes : [];
 
     logger.debug(`[webhook] Order data:`, {
       order_id: orderId,
@@ -148,9 +141,43 @@ export const action = async ({ request }) => {
       logger.debug(`[webhook] Parsed referring_site:`, attributionData);
     }
 
+    // A code our sales agent issued ties the order to its DM even when the
+    // customer typed the code instead of opening the link.
+    const agentDiscount = await recordAgentDiscountRedemption(shopData.id, discountCodes, orderId);
+    if (!attributionData?.linkId && agentDiscount?.linkId) {
+      attributionData = { linkId: agentDiscount.linkId, utmSource: "instagram", utmMedium: "ig_dm" };
+      logger.debug(`[webhook] Attributed via agent discount code ${agentDiscount.code}`);
+    }
+
+    // Every DM link clicked within the attribution window gets credit under
+    // the first-touch, last-touch and linear models. When the ref didn't
+    // survive into landing_site, the last touch stands in for it.
+    const settings = await getSettings(shopData.id).catch(() => null);
+    const lastTouch = await recordMultiTouchAttribution(
+      shopData.id,
+      {
+        orderId,
+        createdAt: payload.created_at,
+        cartToken,
+        noteAttributes,
+        refLinkId: attributionData?.linkId || null,
+        amount: totalPrice,
+        currency,
+      },
+      settings?.attribution_window_days ?? DEFAULT_ATTRIBUTION_WINDOW_DAYS
+    );
+
+    let channel = attributionData?.linkId
+      ? inferChannel(attributionData.utmMedium, attributionData.utmSource)
+      : null;
+    if (!attributionData?.linkId && lastTouch) {
+      attributionData = { linkId: lastTouch.linkId };
+      channel = lastTouch.channel;
+      logger.debug(`[webhook] Attributed via earlier click on link ${lastTouch.linkId}`);
+    }
+
     // If we found a link_id, record attribution
     if (attributionData?.linkId) {
-      const channel = inferChannel(attributionData.utmMedium, attributionData.utmSource);
       
       logger.debug(`[webhook] Recording attribution:`, {
         shop_id: shopData.id,
@@ -169,9 +196,15 @@ export const action = async ({ request }) => {
           channel: channel,
           amount: totalPrice,
           currency: currency,
+          presentmentAmount,
+          presentmentCurrency,
+          discountCode: agentDiscount?.code || null,
         });
 
         logger.debug(`[webhook] Attribution recorded successfully for order ${orderId}`);
+
+        // The customer finished checking out; no recovery DM for this link.
+        await markCheckoutRecoveriesConverted(shopData.id, attributionData.linkId);
       } catch (attributionError) {
         console.error(`[webhook] Error recording attribution:`, attributionError);
         // Don't throw - we still want to return success to Shopify
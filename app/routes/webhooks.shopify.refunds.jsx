@@ -0,0 +1,66 @@
+// Polyfill crypto for Shopify webhook validation
+// The Shopify library expects crypto to be available globally
+import crypto from "crypto";
+
+// Make crypto available globally for Shopify library
+if (typeof globalThis.crypto === "undefined") {
+  globalThis.crypto = crypto;
+}
+if (typeof global.crypto === "undefined") {
+  global.crypto = crypto;
+}
+
+import { useRouteError } from "react-router";
+import { authenticate } from "../shopify.server";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { getShopByDomain } from "../lib/db.server";
+import { recordRefundAdjustment } from "../lib/order-adjustments.server";
+import logger from "../lib/logger.server";
+
+/**
+ * refunds/create webhook handler — subtracts refunds from the net revenue of
+ * orders we attributed (see order-adjustments.server.js).
+ *
+ * Data minimization: only the refund id, order_id and the refund
+ * transactions' kind, status, amount and currency are read. No customer,
+ * address or payment-detail field is read or stored.
+ */
+export const action = async ({ request }) => {
+  try {
+    const { shop, topic, payload } = await authenticate.webhook(request);
+    logger.debug(`[webhook] ${topic} webhook for shop: ${shop}`);
+
+    const shopData = await getShopByDomain(shop);
+    if (!shopData) {
+      // Return success to prevent retries for shops we don't have
+      return new Response(JSON.stringify({ received: true, error: "Shop not found" }), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
+    const netAmount = await recordRefundAdjustment(shopData.id, payload);
+    if (netAmount === null) {
+      logger.debug(`[webhook] Refund for order ${payload.order_id} - order not attributed, skipping`);
+    }
+
+    return new Response(JSON.stringify({ received: true }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  } catch (error) {
+    console.error(`[webhook] Error processing refunds webhook:`, error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+};
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
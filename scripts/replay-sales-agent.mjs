@@ -0,0 +1,333 @@
+/**
+ * Offline replay harness: runs the recorded conversations in
+ * scripts/replay/conversations through the sales agent (generateAgentReply)
+ * or the legacy reply generator (generateReplyMessage) with no network at
+ * all. Supabase and Shopify are swapped for fakes by
+ * scripts/replay/vite-node.config.mjs, every LLM task is routed to the mock
+ * provider (llm.server.js), which plays back the conversation's recorded
+ * steps (scripts/replay/llm.mjs), and the catalog comes from its snapshot. Everything in between is the real code.
+ *
+ *   npm run replay                      # all conversations
+ *   npm run replay -- agent-purchase    # names containing "agent-purchase"
+ *   npm run replay -- --update          # rewrite the golden files
+ *   npm run replay -- --llm ./my-llm.mjs
+ *
+ * Every reply must pass these invariants:
+ * - every URL in it is allowlisted: minted by a link tool / tracked short
+ *   link (agent), or one of the URLs the caller passed in (legacy)
+ * - no em dashes
+ * - purchase intent and explicit link requests get a link
+ * - the prompt carries the right language directive and the reply is in
+ *   the expected language
+ * plus the conversation's own `expect` checks, and it must use up its
+ * recorded LLM steps exactly.
+ *
+ * Golden files (scripts/replay/golden/<name>.txt) hold the prompt the model
+ * was sent and the final reply, link IDs normalized. A change to
+ * buildSystemMessage or the legacy prompt shows up as a golden mismatch;
+ * review the diff and rerun with --update to accept it.
+ *
+ * Conversation file (JSON):
+ *   pipeline       "agent" | "legacy"
+ *   message        { text, ai_entities? } - the inbound message
+ *   intent         classified intent
+ *   brandVoice     brand_voice row (tone, custom_instruction, reply_language)
+ *   threadContext  agent: getRecentConversationContext() result (+ story / attachment)
+ *   replyVariant   agent: experiment variant, optional
+ *   legacy         legacy: { productName, checkoutUrl, productPrice, productPageUrl, productId, channelContext }
+ *   catalog        { primaryDomainHost, store: getShopifyStoreInfo() result, products: Admin API products },
+ *                  or the name of a shared snapshot in scripts/replay/catalogs
+ *   tables         rows Supabase reads return, by table, e.g. { knowledge_entries: [...] }, optional
+ *   llm            recorded LLM steps (see scripts/replay/llm.mjs)
+ *   expect         { link, language, replyIncludes, replyExcludes, promptIncludes, promptExcludes,
+ *                    citations (agent: knowledge base titles the decision trace must cite) }
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const args = process.argv.slice(2);
+const update = args.includes("--update");
+const verbose = args.includes("--verbose");
+const llmFlag = args.indexOf("--llm");
+const llmModulePath = llmFlag >= 0 ? args[llmFlag + 1] : null;
+const filter = args.find((a, i) => !a.startsWith("--") && (llmFlag < 0 || i !== llmFlag + 1)) || null;
+
+// App modules read these at import time. Every LLM task goes to the mock
+// provider whatever the shell has configured, and the encryption key is
+// never used for anything real (nothing is stored).
+for (const key of Object.keys(process.env)) {
+  if (key.startsWith("LLM_")) delete process.env[key];
+}
+delete process.env.OPENAI_API_KEY;
+process.env.LLM_PROVIDER = "mock";
+process.env.ENCRYPTION_KEY_32B = "replay-offline-key-000000000000!";
+process.env.SHORT_LINK_DOMAIN = "https://links.replay.test";
+delete process.env.SALES_AGENT_DISABLED;
+if (!verbose) process.env.NODE_ENV = "production"; // silences logger.debug
+
+const replayDir = fileURLToPath(new URL("./replay/", import.meta.url));
+const conversationsDir = path.join(replayDir, "conversations");
+const catalogsDir = path.join(replayDir, "catalogs");
+const goldenDir = path.join(replayDir, "golden");
+
+const { beginConversation, callLlm, recordedLlmCalls, recordedWrites } = await import("./replay/state.mjs");
+const { createScriptedLlm } = await import("./replay/llm.mjs");
+const { findProduct } = await import("./replay/fakes/catalog.mjs");
+const { generateAgentReply, isExplicitLinkRequest } = await import("../app/lib/sales-agent.server.js");
+const { createDecisionTrace } = await import("../app/lib/decision-log.server.js");
+const { generateReplyMessage } = await import("../app/lib/automation.server.js");
+const { getTrackedLinkUrl } = await import("../app/lib/links.server.js");
+const { setMockResponder } = await import("../app/lib/llm.server.js");
+const { invalidateCached } = await import("../app/lib/loader-cache.server.js");
+const { buildProductContextForAI, buildStoreContextForAI } = await import("../app/lib/shopify-data.server.js");
+
+const createLlm = llmModulePath
+  ? (await import(pathToFileURL(path.resolve(llmModulePath)).href)).default
+  : (conversation) => createScriptedLlm(conversation.llm);
+
+setMockResponder(callLlm);
+
+const REPLAY_SHOP = { id: "replay-shop", shopify_domain: "replay-store.myshopify.com" };
+
+const LANGUAGE_NAMES = {
+  en: "English",
+  "pt-BR": "Brazilian Portuguese",
+  es: "Spanish",
+  fr: "French",
+  de: "German",
+  it: "Italian",
+  nl: "Dutch",
+};
+
+// Common words that mostly belong to one language. Enough to tell a DM-sized
+// reply's language apart, not a general detector.
+const LANGUAGE_MARKERS = {
+  en: ["the", "and", "you", "it", "is", "for", "here", "your", "with", "this", "of", "to"],
+  es: ["el", "los", "las", "y", "para", "con", "aquí", "está", "tu", "que", "es", "por", "del"],
+  "pt-BR": ["o", "os", "você", "aqui", "não", "com", "para", "é", "seu", "sua", "do", "da", "está"],
+  fr: ["le", "les", "est", "et", "pour", "avec", "vous", "ici", "votre", "c'est", "du"],
+  de: ["der", "die", "das", "ist", "und", "für", "mit", "hier", "ihr", "du", "ein", "eine", "nicht"],
+  it: ["il", "è", "per", "con", "qui", "di", "che", "tuo", "tua", "sono", "gli"],
+  nl: ["het", "en", "voor", "met", "je", "hier", "een", "van", "is", "niet"],
+};
+
+const URL_RE = /https?:\/\/[^\s)]+/g;
+
+function detectLanguage(text) {
+  const words = String(text || "").replace(URL_RE, " ").toLowerCase().match(/[\p{L}']+/gu) || [];
+  const scores = Object.entries(LANGUAGE_MARKERS)
+    .map(([code, markers]) => [code, words.filter((w) => markers.includes(w)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[best, top], [, runnerUp]] = scores;
+  return top > runnerUp ? best : null;
+}
+
+function replyUrls(text) {
+  return (String(text || "").match(URL_RE) || []).map((u) => u.replace(/[.,;:!?)\]]+$/, ""));
+}
+
+/** Prompt text sent to the model on its first call (system + user). */
+function firstPrompt() {
+  const first = recordedLlmCalls()[0];
+  return (first?.messages || []).filter((m) => m.role === "system" || m.role === "user");
+}
+
+function normalizeForGolden(text) {
+  return String(text || "")
+    .replace(/\/a\/go\/[A-Za-z0-9_]+/g, "/a/go/<link>")
+    .replace(/links\.replay\.test\/[A-Za-z0-9_]+/g, "links.replay.test/<link>")
+    .replace(/link_[A-Za-z0-9_]+/g, "link_<link>");
+}
+
+function renderGolden(conversation, reply) {
+  const sections = [`# ${conversation.name}`];
+  for (const message of firstPrompt()) {
+    sections.push(`## ${message.role}\n${message.content}`);
+  }
+  sections.push(`## reply\n${reply ?? "(no reply)"}`);
+  return `${normalizeForGolden(sections.join("\n\n"))}\n`;
+}
+
+async function runAgent(conversation) {
+  const shop = { ...REPLAY_SHOP, ...(conversation.shop || {}) };
+  const trace = createDecisionTrace();
+  const result = await generateAgentReply({
+    shop,
+    message: { id: "replay-message", from_user_id: "replay-user", ai_entities: null, ...conversation.message },
+    intent: conversation.intent || null,
+    brandVoice: conversation.brandVoice || null,
+    threadContext: conversation.threadContext || null,
+    allowClarify: conversation.allowClarify ?? true,
+    discountPolicy: conversation.discountPolicy || null,
+    replyVariant: conversation.replyVariant || null,
+    trace,
+  });
+
+  // Links the agent minted, plus store-page URLs shortenUrlsInReply turned
+  // into info_ links.
+  const linkIds = [
+    ...(result?.links || []).map((l) => l.linkId),
+    ...recordedWrites()
+      .filter((w) => w.table === "links_sent" && w.op === "insert" && w.values?.link_id)
+      .map((w) => w.values.link_id),
+  ];
+  const allowedUrls = await Promise.all(linkIds.map((id) => getTrackedLinkUrl(shop, id)));
+  return { reply: result?.text ?? null, allowedUrls, citations: trace.citations };
+}
+
+async function runLegacy(conversation) {
+  const legacy = conversation.legacy || {};
+  const storeInfo = conversation.intent === "store_question" ? conversation.catalog?.store || null : null;
+  const product = legacy.productId ? findProduct(legacy.productId) : null;
+  const reply = await generateReplyMessage(
+    conversation.brandVoice || null,
+    legacy.productName ?? null,
+    legacy.checkoutUrl ?? null,
+    conversation.intent || null,
+    legacy.productPrice ?? null,
+    legacy.productPageUrl ?? null,
+    conversation.message?.text ?? null,
+    storeInfo,
+    legacy.channelContext ?? null,
+    product ? buildProductContextForAI(product) : null,
+  );
+  const storeUrls = storeInfo ? Object.values(buildStoreContextForAI(storeInfo).urlMap || {}) : [];
+  return {
+    reply,
+    allowedUrls: [legacy.checkoutUrl, legacy.productPageUrl, ...storeUrls].filter(Boolean),
+  };
+}
+
+/** Invariants and the conversation's own expectations. Returns failure messages. */
+function checkReply(conversation, reply, allowedUrls, citations = []) {
+  const failures = [];
+  const expect = conversation.expect || {};
+  const text = reply || "";
+  const urls = replyUrls(text);
+
+  if (!text) failures.push("no reply produced");
+
+  for (const url of urls) {
+    const allowed = allowedUrls.some((a) => url === a || url.startsWith(a + "?") || url.startsWith(a + "/"));
+    if (!allowed) failures.push(`URL not allowlisted: ${url}`);
+  }
+
+  if (text.includes("—")) failures.push("reply contains an em dash");
+
+  const wantsLink = expect.link ?? (conversation.intent === "purchase" || isExplicitLinkRequest(conversation.message?.text));
+  if (wantsLink && urls.length === 0) failures.push("purchase intent / link request but the reply has no link");
+  if (expect.link === false && urls.length > 0) failures.push("reply has a link but shouldn't");
+
+  const forced = conversation.brandVoice?.reply_language;
+  const forcedName = forced && forced !== "auto" ? LANGUAGE_NAMES[forced] : null;
+  const prompt = firstPrompt().map((m) => m.content).join("\n");
+  if (forcedName && !prompt.includes(`Write your ENTIRE reply in ${forcedName}`)) {
+    failures.push(`prompt doesn't force ${forcedName}`);
+  }
+  if (!forcedName && !prompt.includes("same language the customer used")) {
+    failures.push("prompt doesn't tell the model to mirror the customer's language");
+  }
+  const expectedLanguage = forcedName ? forced : expect.language;
+  if (expectedLanguage && text) {
+    const detected = detectLanguage(text);
+    if (detected !== expectedLanguage) {
+      failures.push(`reply language is ${detected || "unclear"}, expected ${expectedLanguage}`);
+    }
+  }
+
+  for (const s of expect.replyIncludes || []) {
+    if (!text.includes(s)) failures.push(`reply doesn't include ${JSON.stringify(s)}`);
+  }
+  for (const s of expect.replyExcludes || []) {
+    if (text.includes(s)) failures.push(`reply includes ${JSON.stringify(s)}`);
+  }
+  for (const s of expect.promptIncludes || []) {
+    if (!prompt.includes(s)) failures.push(`prompt doesn't include ${JSON.stringify(s)}`);
+  }
+  for (const s of expect.promptExcludes || []) {
+    if (prompt.includes(s)) failures.push(`prompt includes ${JSON.stringify(s)}`);
+  }
+  for (const title of expect.citations || []) {
+    if (!citations.some((c) => c.title === title)) failures.push(`decision trace doesn't cite ${JSON.stringify(title)}`);
+  }
+  return failures;
+}
+
+function checkGolden(conversation, reply) {
+  const file = path.join(goldenDir, `${conversation.name}.txt`);
+  const actual = renderGolden(conversation, reply);
+  if (update) {
+    fs.mkdirSync(goldenDir, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return [];
+  }
+  if (!fs.existsSync(file)) return [`no golden file; run with --update to create ${path.relative(process.cwd(), file)}`];
+  const expected = fs.readFileSync(file, "utf8");
+  if (expected === actual) return [];
+  const expectedLines = expected.split("\n");
+  const actualLines = actual.split("\n");
+  const line = actualLines.findIndex((l, i) => l !== expectedLines[i]);
+  return [
+    `golden mismatch at ${path.relative(process.cwd(), file)}:${line + 1}\n` +
+      `      expected: ${expectedLines[line] ?? "(end of file)"}\n` +
+      `      actual:   ${actualLines[line] ?? "(end of file)"}\n` +
+      "      Review the change and rerun with --update to accept it.",
+  ];
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+const files = fs
+  .readdirSync(conversationsDir)
+  .filter((f) => f.endsWith(".json"))
+  .sort();
+
+let passed = 0;
+let failed = 0;
+for (const file of files) {
+  const conversation = {
+    name: path.basename(file, ".json"),
+    ...readJson(path.join(conversationsDir, file)),
+  };
+  if (typeof conversation.catalog === "string") {
+    conversation.catalog = readJson(path.join(catalogsDir, `${conversation.catalog}.json`));
+  }
+  if (filter && !conversation.name.includes(filter)) continue;
+
+  const llm = createLlm(conversation);
+  beginConversation(conversation, llm);
+  // Cached reads (knowledge base index, experiments, ...) come from the
+  // conversation's own tables.
+  invalidateCached("");
+
+  let failures;
+  let reply = null;
+  try {
+    const run = conversation.pipeline === "legacy" ? runLegacy : runAgent;
+    const result = await run(conversation);
+    reply = result.reply;
+    failures = checkReply(conversation, reply, result.allowedUrls, result.citations);
+    if (typeof llm.remaining === "function" && llm.remaining() > 0) {
+      failures.push(`${llm.remaining()} recorded LLM step(s) never used`);
+    }
+    failures.push(...checkGolden(conversation, reply));
+  } catch (err) {
+    failures = [`threw: ${err?.message || err}`];
+  }
+
+  if (failures.length === 0) {
+    passed += 1;
+    console.log(`PASS ${conversation.name}`);
+  } else {
+    failed += 1;
+    console.log(`FAIL ${conversation.name}`);
+    for (const f of failures) console.log(`  - ${f}`);
+    if (reply) console.log(`  reply: ${reply.replace(/\n/g, "\n         ")}`);
+  }
+}
+
+console.log(`\n${passed} passed, ${failed} failed${update ? " (golden files updated)" : ""}`);
+process.exit(failed ? 1 : 0);
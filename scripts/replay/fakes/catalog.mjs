@@ -0,0 +1,41 @@
+/**
+ * Lookups against the replayed conversation's catalog snapshot. Products are
+ * stored in the Admin API shape getShopifyProductContextForReply returns
+ * (id, title, handle, description, priceRangeV2, options, variants.nodes),
+ * so a snapshot can be pasted from a real store.
+ */
+
+import { currentCatalog } from "../state.mjs";
+
+function numericId(id) {
+  const match = String(id || "").match(/(\d+)$/);
+  return match ? match[1] : String(id || "");
+}
+
+/** The snapshot product with this ID (gid or numeric), or null. */
+export function findProduct(productId) {
+  if (!productId) return null;
+  const wanted = numericId(productId);
+  return (currentCatalog().products || []).find((p) => numericId(p.id) === wanted) || null;
+}
+
+/**
+ * Products whose title contains every word of the query, or failing that
+ * any word, in the searchProductsByDomain result shape.
+ */
+export function searchProducts(query, limit = 5) {
+  const words = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+  const products = currentCatalog().products || [];
+  const title = (p) => String(p.title || "").toLowerCase();
+  let matches = products.filter((p) => words.every((w) => title(p).includes(w)));
+  if (matches.length === 0) {
+    matches = products.filter((p) => words.some((w) => title(p).includes(w)));
+  }
+  return matches.slice(0, limit).map((p) => ({
+    id: p.id,
+    title: p.title,
+    handle: p.handle,
+    variants: { nodes: (p.variants?.nodes || []).slice(0, 1) },
+  }));
+}
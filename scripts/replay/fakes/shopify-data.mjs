@@ -0,0 +1,35 @@
+/**
+ * Stand-in for app/lib/shopify-data.server.js. The Admin API readers answer
+ * from the conversation's catalog snapshot; the pure context builders are
+ * the real ones, so replays exercise the same prompt text as production.
+ */
+
+import { currentCatalog } from "../state.mjs";
+import { findProduct, searchProducts } from "./catalog.mjs";
+
+export {
+  buildStoreContextForAI,
+  buildProductContextForAI,
+  detectSizeOption,
+  resolveVariantBySize,
+} from "../../../app/lib/shopify-data.server.js";
+
+export async function getShopifyStoreInfo() {
+  return currentCatalog().store || null;
+}
+
+export async function getShopPrimaryDomainHost() {
+  return currentCatalog().primaryDomainHost || null;
+}
+
+export async function getShopifyProductContextForReply(_shopDomain, productId) {
+  return findProduct(productId);
+}
+
+export async function searchProductsByDomain(_shopDomain, searchTerm, limit = 5) {
+  return searchProducts(searchTerm, limit);
+}
+
+export async function createShopifyBasicDiscount(_shopDomain, { code }) {
+  return `gid://shopify/DiscountCodeNode/replay-${code}`;
+}
@@ -0,0 +1,23 @@
+/**
+ * Stand-in for app/shopify.server.js. Replays never reach the Admin API:
+ * catalog reads go through fakes/shopify-data.mjs, and there is no offline
+ * session, so code that loads one (e.g. resolving a product's first variant
+ * for a checkout link) takes its no-session path.
+ */
+
+export const sessionStorage = {
+  loadSession: async () => null,
+  findSessionsByShop: async () => [],
+};
+
+export const unauthenticated = {
+  admin: async (shopDomain) => {
+    throw new Error(`[replay] No Admin API offline (${shopDomain})`);
+  },
+};
+
+export const authenticate = {};
+
+const shopify = { clients: {} };
+
+export default shopify;
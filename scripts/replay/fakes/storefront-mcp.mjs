@@ -0,0 +1,15 @@
+/**
+ * Stand-in for app/lib/storefront-mcp.server.js: catalog search answers from
+ * the conversation's snapshot, and variant resolution reports "unavailable"
+ * (null) so callers use their Admin API data instead.
+ */
+
+import { searchProducts } from "./catalog.mjs";
+
+export async function searchCatalogNormalized(_shop, query, opts = {}) {
+  return searchProducts(query, opts.limit ?? 5);
+}
+
+export async function resolveVariantViaMcp() {
+  return null;
+}
@@ -0,0 +1,67 @@
+/**
+ * Stand-in for app/lib/supabase.server.js: an empty database that accepts
+ * every write. Reads return no rows (so callers take their "not stored yet"
+ * paths, e.g. getStoredStoreContext falls back to the catalog's store info)
+ * unless the conversation seeds the table in `tables`, in which case they
+ * return every seeded row, filters ignored. Writes succeed and are recorded
+ * for the harness (state.mjs), and RPCs return null.
+ */
+
+import { currentConversation, recordWrite } from "../state.mjs";
+
+const WRITE_OPS = ["insert", "update", "upsert"];
+
+function from(table) {
+  let op = "select";
+  let values = null;
+  let single = false;
+
+  const result = () => {
+    if (op === "insert" || op === "upsert") {
+      const rows = Array.isArray(values) ? values : [values];
+      return { data: single ? rows[0] : rows, error: null, count: rows.length };
+    }
+    const rows = currentConversation()?.tables?.[table] || [];
+    return { data: single ? rows[0] ?? null : rows, error: null, count: rows.length };
+  };
+
+  // Every filter/modifier (eq, in, order, limit, select, ...) chains; the
+  // builder resolves like a supabase-js query when awaited.
+  const builder = new Proxy({}, {
+    get(_target, prop) {
+      if (prop === "then") {
+        return (resolve, reject) => Promise.resolve(result()).then(resolve, reject);
+      }
+      if (WRITE_OPS.includes(prop)) {
+        return (rowValues) => {
+          op = prop;
+          values = rowValues;
+          recordWrite(table, prop, rowValues);
+          return builder;
+        };
+      }
+      if (prop === "delete") {
+        return () => {
+          op = "delete";
+          recordWrite(table, "delete", null);
+          return builder;
+        };
+      }
+      if (prop === "single" || prop === "maybeSingle") {
+        return () => {
+          single = true;
+          return builder;
+        };
+      }
+      return () => builder;
+    },
+  });
+  return builder;
+}
+
+const supabase = {
+  from,
+  rpc: async () => ({ data: null, error: null }),
+};
+
+export default supabase;
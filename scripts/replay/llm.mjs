@@ -0,0 +1,78 @@
+/**
+ * The default replay LLM: plays back the `llm` steps recorded in a
+ * conversation file, one per chat.completions call.
+ *
+ * A step is either a final answer or a round of tool calls:
+ *   { "content": "Here you go: {{tool:get_checkout_link}}" }
+ *   { "tool_calls": [{ "name": "search_products", "arguments": { "query": "hoodie" } }] }
+ *
+ * Tracked link IDs are random, so a recorded reply can't contain the real
+ * URL. {{tool:<name>}} stands for the URL in the latest result of that tool
+ * in the conversation so far (checkout_url or product_page_url).
+ *
+ * Any other LLM can be plugged in with --llm <module>: its default export is
+ * called with the conversation and returns a function that takes the
+ * chat.completions params and returns the assistant message
+ * ({ content } or { tool_calls } in OpenAI's shape).
+ */
+
+const TOOL_URL_FIELDS = ["checkout_url", "product_page_url"];
+
+/** Latest URL each tool returned, read from the tool messages in `messages`. */
+function toolUrls(messages) {
+  const toolNames = new Map();
+  const urls = {};
+  for (const message of messages || []) {
+    for (const call of message.tool_calls || []) {
+      toolNames.set(call.id, call.function?.name);
+    }
+    if (message.role !== "tool") continue;
+    let result;
+    try {
+      result = JSON.parse(message.content);
+    } catch {
+      continue;
+    }
+    const field = TOOL_URL_FIELDS.find((f) => result?.[f]);
+    const name = toolNames.get(message.tool_call_id);
+    if (field && name) urls[name] = result[field];
+  }
+  return urls;
+}
+
+/**
+ * @param {Array<Object>} steps - The conversation's `llm` steps
+ * @returns {((params: Object) => Object) & { remaining: () => number }}
+ */
+export function createScriptedLlm(steps) {
+  const queue = [...(steps || [])];
+  let callCount = 0;
+
+  const llm = (params) => {
+    callCount += 1;
+    const step = queue.shift();
+    if (!step) {
+      throw new Error(`[replay] LLM script exhausted: call ${callCount} has no recorded step`);
+    }
+    if (step.tool_calls) {
+      return {
+        content: null,
+        tool_calls: step.tool_calls.map((call, i) => ({
+          id: `call_${callCount}_${i}`,
+          type: "function",
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) },
+        })),
+      };
+    }
+    const urls = toolUrls(params.messages);
+    const content = String(step.content ?? "").replace(/\{\{tool:([a-z_]+)\}\}/g, (placeholder, name) => {
+      if (!urls[name]) {
+        throw new Error(`[replay] ${placeholder} used before ${name} returned a URL`);
+      }
+      return urls[name];
+    });
+    return { content };
+  };
+  llm.remaining = () => queue.length;
+  return llm;
+}
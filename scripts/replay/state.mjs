@@ -0,0 +1,54 @@
+/**
+ * Shared state between the replay harness (scripts/replay-sales-agent.mjs)
+ * and the offline fakes it swaps in for Supabase and Shopify. The harness
+ * sets the conversation being replayed and the LLM that answers it (through
+ * the mock provider's responder); the fakes read the catalog from it and
+ * record what the app sent out.
+ */
+
+const state = {
+  conversation: null,
+  llm: null,
+  llmCalls: [],
+  writes: [],
+};
+
+/**
+ * Start replaying one conversation.
+ * @param {Object} conversation - Parsed conversation file
+ * @param {(params: Object) => Promise<Object>|Object} llm - Returns the assistant message for a chat.completions call
+ */
+export function beginConversation(conversation, llm) {
+  state.conversation = conversation;
+  state.llm = llm;
+  state.llmCalls = [];
+  state.writes = [];
+}
+
+export function currentConversation() {
+  return state.conversation;
+}
+
+export function currentCatalog() {
+  return state.conversation?.catalog || {};
+}
+
+/** Every LLM call made for the current conversation, in order. */
+export function recordedLlmCalls() {
+  return state.llmCalls;
+}
+
+/** Every Supabase insert/update/upsert the app made for the current conversation. */
+export function recordedWrites() {
+  return state.writes;
+}
+
+export function recordWrite(table, op, values) {
+  state.writes.push({ table, op, values });
+}
+
+export async function callLlm(params) {
+  if (!state.llm) throw new Error("[replay] No LLM set for this conversation");
+  state.llmCalls.push(params);
+  return state.llm(params);
+}
@@ -0,0 +1,25 @@
+/**
+ * vite-node config for the offline replay harness
+ * (scripts/replay-sales-agent.mjs). Same as scripts/vite-node.config.mjs,
+ * plus aliases that swap every module talking to the outside world for a
+ * fake in scripts/replay/fakes: Supabase, the Shopify app/session module,
+ * and the Admin API and Storefront MCP catalog readers. The LLM needs no
+ * alias; the harness routes it to llm.server.js's mock provider. Everything
+ * else (prompts, tool loop, sanitizers, link builders) is the real code.
+ */
+import { fileURLToPath } from "url";
+
+const fake = (name) => fileURLToPath(new URL(`./fakes/${name}`, import.meta.url));
+
+export default {
+  server: { watch: null },
+  plugins: [],
+  resolve: {
+    alias: [
+      { find: /^\.\/supabase\.server(\.js)?$/, replacement: fake("supabase.mjs") },
+      { find: /^\.\.\/shopify\.server(\.js)?$/, replacement: fake("shopify.mjs") },
+      { find: /^\.\/shopify-data\.server(\.js)?$/, replacement: fake("shopify-data.mjs") },
+      { find: /^\.\/storefront-mcp\.server(\.js)?$/, replacement: fake("storefront-mcp.mjs") },
+    ],
+  },
+};
@@ -24,7 +24,8 @@ if (!shopDomain || !text) {
 }
 
 const { default: supabase } = await import("../app/lib/supabase.server.js");
-const { generateAgentReply, REPLY_MODEL } = await import("../app/lib/sales-agent.server.js");
+const { generateAgentReply } = await import("../app/lib/sales-agent.server.js");
+const { resolveLlmModel, LLM_TASKS } = await import("../app/lib/llm.server.js");
 const { getRecentConversationContext } = await import("../app/lib/db.server.js");
 
 const { data: shop, error } = await supabase
@@ -49,7 +50,7 @@ const threadContext = await getRecentConversationContext(shop.id, "test-user", {
   maxLinks: 25,
 }).catch(() => null);
 
-console.log(`Model: ${REPLY_MODEL}`);
+console.log(`Model: ${await resolveLlmModel(LLM_TASKS.AGENT, shop.id)}`);
 console.log(`Shop: ${shop.shopify_domain} (${shop.id})`);
 console.log(`Message: "${text}"\n`);
 
@@ -0,0 +1,85 @@
+-- Discount codes issued by the DM sales agent.
+-- Run this in your Supabase SQL editor.
+--
+-- When the merchant turns this on, the sales agent may create a single-use
+-- percentage code (Admin API discountCodeBasicCreate, needs write_discounts)
+-- for customers whose message intent is in agent_discount_intents. Every code
+-- it creates is recorded in agent_discount_codes; the per-customer limit
+-- counts those rows, and reserve_agent_discount_code checks it and records
+-- the code in one step so concurrent DMs can't both get past it. The code rides on the checkout link (discount=CODE), is
+-- stored on the links_sent row, and orders that redeem it get it copied onto
+-- their attribution row.
+
+ALTER TABLE settings
+ADD COLUMN IF NOT EXISTS agent_discount_enabled BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE settings
+ADD COLUMN IF NOT EXISTS agent_discount_max_percent INTEGER NOT NULL DEFAULT 10;
+
+ALTER TABLE settings
+ADD COLUMN IF NOT EXISTS agent_discount_per_customer_limit INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE settings
+ADD COLUMN IF NOT EXISTS agent_discount_intents TEXT[] NOT NULL DEFAULT '{purchase,price_request}';
+
+COMMENT ON COLUMN settings.agent_discount_enabled IS 'When true, the DM sales agent may create single-use discount codes';
+COMMENT ON COLUMN settings.agent_discount_max_percent IS 'Largest percentage discount the agent may offer';
+COMMENT ON COLUMN settings.agent_discount_per_customer_limit IS 'Most agent codes one Instagram customer can ever receive';
+COMMENT ON COLUMN settings.agent_discount_intents IS 'Message intents for which the agent is allowed to offer a code';
+
+CREATE TABLE IF NOT EXISTS agent_discount_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  ig_user_id text NOT NULL,
+  message_id uuid,
+  code text NOT NULL,
+  percent integer NOT NULL CHECK (percent > 0 AND percent <= 100),
+  shopify_discount_id text,
+  status text NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'unsent', 'redeemed')),
+  order_id text,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (shop_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS agent_discount_codes_user_idx ON agent_discount_codes (shop_id, ig_user_id);
+
+COMMENT ON COLUMN agent_discount_codes.status IS '''unsent'' = the reply carrying the code failed to send, so it does not count toward the customer limit';
+
+ALTER TABLE agent_discount_codes ENABLE ROW LEVEL SECURITY;
+
+-- Records a code for the customer unless they're already at p_limit codes
+-- that count ('unsent' ones don't). Returns the new row's id, or NULL when
+-- over the limit. The advisory lock serializes reservations per customer
+-- until the calling transaction ends, so the count can't go stale.
+CREATE OR REPLACE FUNCTION reserve_agent_discount_code(
+  p_shop_id uuid,
+  p_ig_user_id text,
+  p_message_id uuid,
+  p_code text,
+  p_percent integer,
+  p_expires_at timestamptz,
+  p_limit integer
+)
+RETURNS uuid
+LANGUAGE sql
+AS $$
+  SELECT pg_advisory_xact_lock(hashtext('agent_discount:' || p_shop_id::text || ':' || p_ig_user_id));
+  INSERT INTO agent_discount_codes (shop_id, ig_user_id, message_id, code, percent, expires_at)
+  SELECT p_shop_id, p_ig_user_id, p_message_id, p_code, p_percent, p_expires_at
+  WHERE (
+    SELECT count(*) FROM agent_discount_codes
+    WHERE shop_id = p_shop_id AND ig_user_id = p_ig_user_id AND status <> 'unsent'
+  ) < p_limit
+  RETURNING id;
+$$;
+
+ALTER TABLE links_sent
+ADD COLUMN IF NOT EXISTS discount_code TEXT;
+
+ALTER TABLE attribution
+ADD COLUMN IF NOT EXISTS discount_code TEXT;
+
+COMMENT ON COLUMN links_sent.discount_code IS 'Agent-issued discount code pre-applied to this checkout link';
+COMMENT ON COLUMN attribution.discount_code IS 'Agent-issued discount code redeemed on this order';
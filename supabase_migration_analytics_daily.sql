@@ -0,0 +1,369 @@
+-- Daily analytics rollups.
+-- Run this in your Supabase SQL editor.
+--
+-- The Analytics tab used to load every messages / links_sent / clicks /
+-- attribution row in the date range into Node. analytics_daily holds one row
+-- per shop, UTC day, channel and product instead, and get_analytics_rollup()
+-- sums a date range in Postgres, so the page costs the same for a week or a
+-- year. Post filters resolve to a product through post_product_map, so they
+-- read the product rows.
+--
+-- product_id '*' rows cover all products; a row for a specific product only
+-- counts messages with a link to it (single-product or multi-item cart link).
+-- Message and follow-up metrics are keyed by the day the customer's message
+-- arrived, checkout link and click metrics by the day the link was sent, and
+-- orders and revenue by the day the order was attributed (the same date
+-- columns the old in-app queries filtered on).
+--
+-- The app's scheduler calls refresh_analytics_daily() every 10 minutes for
+-- the last two days and once a day for the last 35 (late clicks and orders).
+-- The last statement backfills history once.
+
+CREATE TABLE IF NOT EXISTS analytics_daily (
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  day date NOT NULL,
+  channel text NOT NULL,
+  product_id text NOT NULL DEFAULT '*',
+  messages_received integer NOT NULL DEFAULT 0,
+  messages_responded integer NOT NULL DEFAULT 0,
+  responded_intents jsonb NOT NULL DEFAULT '{}'::jsonb,
+  checkout_links_sent integer NOT NULL DEFAULT 0,
+  checkout_links_clicked integer NOT NULL DEFAULT 0,
+  clicks integer NOT NULL DEFAULT 0,
+  sentiment_positive integer NOT NULL DEFAULT 0,
+  sentiment_neutral integer NOT NULL DEFAULT 0,
+  sentiment_negative integer NOT NULL DEFAULT 0,
+  followup_messages integer NOT NULL DEFAULT 0,
+  followup_clicked integer NOT NULL DEFAULT 0,
+  followup_revenue numeric NOT NULL DEFAULT 0,
+  no_followup_messages integer NOT NULL DEFAULT 0,
+  no_followup_clicked integer NOT NULL DEFAULT 0,
+  no_followup_revenue numeric NOT NULL DEFAULT 0,
+  orders integer NOT NULL DEFAULT 0,
+  revenue numeric NOT NULL DEFAULT 0,
+  agent_discount_orders integer NOT NULL DEFAULT 0,
+  agent_discount_revenue numeric NOT NULL DEFAULT 0,
+  currency text,
+  refreshed_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (shop_id, product_id, day, channel)
+);
+
+COMMENT ON COLUMN analytics_daily.product_id IS '''*'' = all products; otherwise a Shopify product GID';
+COMMENT ON COLUMN analytics_daily.responded_intents IS 'ai_intent → count, over messages that got a reply';
+
+ALTER TABLE analytics_daily ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS messages_shop_created_idx ON messages (shop_id, created_at);
+CREATE INDEX IF NOT EXISTS links_sent_message_idx ON links_sent (message_id);
+CREATE INDEX IF NOT EXISTS links_sent_shop_created_idx ON links_sent (shop_id, created_at);
+CREATE INDEX IF NOT EXISTS clicks_link_idx ON clicks (link_id);
+CREATE INDEX IF NOT EXISTS followups_message_idx ON followups (message_id);
+CREATE INDEX IF NOT EXISTS attribution_shop_created_idx ON attribution (shop_id, created_at);
+
+-- Checkout links are plain 8-char IDs; everything else (reply claims, size
+-- questions, info/PDP/collection links, follow-ups) is prefixed. Mirrors the
+-- isCheckoutLinkId check in db.server.js.
+CREATE OR REPLACE FUNCTION is_checkout_link_id(p_link_id text)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT p_link_id IS NOT NULL
+    AND p_link_id NOT LIKE 'dm\_reply\_%'
+    AND p_link_id NOT LIKE 'public\_reply\_%'
+    AND p_link_id NOT LIKE 'size\_q\_%'
+    AND p_link_id NOT LIKE 'info\_%'
+    AND p_link_id NOT LIKE 'pdp\_%'
+    AND p_link_id NOT LIKE 'col\_%'
+    AND p_link_id NOT LIKE 'followup\_%';
+$$;
+
+-- Products a links_sent row points at (see getLinkProductIds in links.server.js).
+CREATE OR REPLACE FUNCTION link_product_ids(p_product_id text, p_line_items jsonb)
+RETURNS text[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN jsonb_typeof(p_line_items) = 'array' AND jsonb_array_length(p_line_items) > 0 THEN
+      ARRAY(SELECT DISTINCT li->>'product_id' FROM jsonb_array_elements(p_line_items) li WHERE li->>'product_id' IS NOT NULL)
+    WHEN p_product_id IS NOT NULL THEN ARRAY[p_product_id]
+    ELSE '{}'::text[]
+  END;
+$$;
+
+-- Recompute every rollup row from p_since (UTC day) onwards, for one shop or
+-- all shops. Returns the number of rows written.
+CREATE OR REPLACE FUNCTION refresh_analytics_daily(p_since date, p_shop_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_rows integer;
+BEGIN
+  DELETE FROM analytics_daily
+  WHERE day >= p_since AND (p_shop_id IS NULL OR shop_id = p_shop_id);
+
+  WITH msg AS (
+    SELECT m.id, m.shop_id,
+           (m.created_at AT TIME ZONE 'UTC')::date AS day,
+           coalesce(m.channel, 'none') AS channel,
+           m.ai_intent,
+           lower(coalesce(m.sentiment, '')) AS sentiment
+    FROM messages m
+    WHERE m.created_at >= p_since::timestamptz
+      AND (p_shop_id IS NULL OR m.shop_id = p_shop_id)
+  ),
+  lnk AS (
+    SELECT l.id, l.message_id, l.link_id, l.created_at,
+           is_checkout_link_id(l.link_id) AS is_checkout,
+           (SELECT count(*) FROM clicks c WHERE c.link_id = l.link_id) AS clicks,
+           link_product_ids(l.product_id, l.line_items) AS product_ids
+    FROM links_sent l
+    JOIN msg ON msg.id = l.message_id
+  ),
+  msg_fact AS (
+    SELECT msg.*,
+           EXISTS (SELECT 1 FROM lnk WHERE lnk.message_id = msg.id) AS responded,
+           last_link.link_id AS last_link_id,
+           coalesce(last_link.is_checkout AND last_link.clicks > 0, false) AS last_clicked,
+           EXISTS (SELECT 1 FROM followups f WHERE f.message_id = msg.id) AS has_followup,
+           coalesce((
+             SELECT sum(a.amount) FROM attribution a
+             WHERE a.shop_id = msg.shop_id AND a.link_id = last_link.link_id
+           ), 0) AS last_revenue,
+           ARRAY(
+             SELECT DISTINCT p FROM lnk, unnest(lnk.product_ids) p WHERE lnk.message_id = msg.id
+           ) AS product_ids
+    FROM msg
+    LEFT JOIN LATERAL (
+      SELECT lnk.link_id, lnk.is_checkout, lnk.clicks FROM lnk
+      WHERE lnk.message_id = msg.id
+      ORDER BY lnk.created_at DESC, lnk.id DESC
+      LIMIT 1
+    ) last_link ON true
+  ),
+  msg_dim AS (
+    SELECT mf.*, '*'::text AS product_id FROM msg_fact mf
+    UNION ALL
+    SELECT mf.*, p FROM msg_fact mf, unnest(mf.product_ids) p
+  ),
+  checkout_link AS (
+    SELECT l.shop_id,
+           (l.created_at AT TIME ZONE 'UTC')::date AS day,
+           coalesce(m.channel, 'none') AS channel,
+           (SELECT count(*) FROM clicks c WHERE c.link_id = l.link_id) AS clicks,
+           link_product_ids(l.product_id, l.line_items) AS product_ids
+    FROM links_sent l
+    LEFT JOIN messages m ON m.id = l.message_id
+    WHERE l.created_at >= p_since::timestamptz
+      AND is_checkout_link_id(l.link_id)
+      AND (p_shop_id IS NULL OR l.shop_id = p_shop_id)
+  ),
+  link_dim AS (
+    SELECT shop_id, day, channel, '*'::text AS product_id, clicks FROM checkout_link
+    UNION ALL
+    SELECT shop_id, day, channel, p, clicks FROM checkout_link, unnest(product_ids) p
+  ),
+  attr AS (
+    SELECT a.shop_id,
+           (a.created_at AT TIME ZONE 'UTC')::date AS day,
+           coalesce(a.channel, 'none') AS channel,
+           coalesce(a.amount, 0)::numeric AS amount,
+           a.currency,
+           a.discount_code,
+           coalesce(link_product_ids(l.product_id, l.line_items), '{}'::text[]) AS product_ids
+    FROM attribution a
+    LEFT JOIN links_sent l ON l.link_id = a.link_id
+    WHERE a.created_at >= p_since::timestamptz
+      AND (p_shop_id IS NULL OR a.shop_id = p_shop_id)
+  ),
+  attr_dim AS (
+    SELECT attr.*, '*'::text AS product_id FROM attr
+    UNION ALL
+    SELECT attr.*, p FROM attr, unnest(attr.product_ids) p
+  ),
+  msg_agg AS (
+    SELECT shop_id, day, channel, product_id,
+           count(*) AS messages_received,
+           count(*) FILTER (WHERE responded) AS messages_responded,
+           count(*) FILTER (WHERE sentiment LIKE '%positive%') AS sentiment_positive,
+           count(*) FILTER (WHERE sentiment LIKE '%negative%' AND sentiment NOT LIKE '%positive%') AS sentiment_negative,
+           count(*) FILTER (WHERE sentiment <> '' AND sentiment NOT LIKE '%positive%' AND sentiment NOT LIKE '%negative%') AS sentiment_neutral,
+           count(*) FILTER (WHERE last_link_id IS NOT NULL AND has_followup) AS followup_messages,
+           count(*) FILTER (WHERE last_link_id IS NOT NULL AND has_followup AND last_clicked) AS followup_clicked,
+           coalesce(sum(last_revenue) FILTER (WHERE last_link_id IS NOT NULL AND has_followup), 0) AS followup_revenue,
+           count(*) FILTER (WHERE last_link_id IS NOT NULL AND NOT has_followup) AS no_followup_messages,
+           count(*) FILTER (WHERE last_link_id IS NOT NULL AND NOT has_followup AND last_clicked) AS no_followup_clicked,
+           coalesce(sum(last_revenue) FILTER (WHERE last_link_id IS NOT NULL AND NOT has_followup), 0) AS no_followup_revenue
+    FROM msg_dim
+    GROUP BY shop_id, day, channel, product_id
+  ),
+  intent_agg AS (
+    SELECT shop_id, day, channel, product_id, jsonb_object_agg(ai_intent, n) AS responded_intents
+    FROM (
+      SELECT shop_id, day, channel, product_id, ai_intent, count(*) AS n
+      FROM msg_dim
+      WHERE responded AND ai_intent IS NOT NULL
+      GROUP BY shop_id, day, channel, product_id, ai_intent
+    ) t
+    GROUP BY shop_id, day, channel, product_id
+  ),
+  link_agg AS (
+    SELECT shop_id, day, channel, product_id,
+           count(*) AS checkout_links_sent,
+           count(*) FILTER (WHERE clicks > 0) AS checkout_links_clicked,
+           coalesce(sum(clicks), 0) AS clicks
+    FROM link_dim
+    GROUP BY shop_id, day, channel, product_id
+  ),
+  attr_agg AS (
+    SELECT shop_id, day, channel, product_id,
+           count(*) AS orders,
+           sum(amount) AS revenue,
+           count(*) FILTER (WHERE discount_code IS NOT NULL) AS agent_discount_orders,
+           coalesce(sum(amount) FILTER (WHERE discount_code IS NOT NULL), 0) AS agent_discount_revenue,
+           max(currency) AS currency
+    FROM attr_dim
+    GROUP BY shop_id, day, channel, product_id
+  ),
+  keys AS (
+    SELECT shop_id, day, channel, product_id FROM msg_agg
+    UNION
+    SELECT shop_id, day, channel, product_id FROM link_agg
+    UNION
+    SELECT shop_id, day, channel, product_id FROM attr_agg
+  )
+  INSERT INTO analytics_daily (
+    shop_id, day, channel, product_id,
+    messages_received, messages_responded, responded_intents,
+    checkout_links_sent, checkout_links_clicked, clicks,
+    sentiment_positive, sentiment_neutral, sentiment_negative,
+    followup_messages, followup_clicked, followup_revenue,
+    no_followup_messages, no_followup_clicked, no_followup_revenue,
+    orders, revenue, agent_discount_orders, agent_discount_revenue, currency,
+    refreshed_at
+  )
+  SELECT k.shop_id, k.day, k.channel, k.product_id,
+         coalesce(ma.messages_received, 0), coalesce(ma.messages_responded, 0), coalesce(ia.responded_intents, '{}'::jsonb),
+         coalesce(la.checkout_links_sent, 0), coalesce(la.checkout_links_clicked, 0), coalesce(la.clicks, 0),
+         coalesce(ma.sentiment_positive, 0), coalesce(ma.sentiment_neutral, 0), coalesce(ma.sentiment_negative, 0),
+         coalesce(ma.followup_messages, 0), coalesce(ma.followup_clicked, 0), coalesce(ma.followup_revenue, 0),
+         coalesce(ma.no_followup_messages, 0), coalesce(ma.no_followup_clicked, 0), coalesce(ma.no_followup_revenue, 0),
+         coalesce(aa.orders, 0), coalesce(aa.revenue, 0), coalesce(aa.agent_discount_orders, 0), coalesce(aa.agent_discount_revenue, 0),
+         aa.currency,
+         now()
+  FROM keys k
+  LEFT JOIN msg_agg ma USING (shop_id, day, channel, product_id)
+  LEFT JOIN intent_agg ia USING (shop_id, day, channel, product_id)
+  LEFT JOIN link_agg la USING (shop_id, day, channel, product_id)
+  LEFT JOIN attr_agg aa USING (shop_id, day, channel, product_id);
+
+  GET DIAGNOSTICS v_rows = ROW_COUNT;
+  RETURN v_rows;
+END;
+$$;
+
+-- Sum a date range of rollups, one row per channel. NULL dates = unbounded.
+CREATE OR REPLACE FUNCTION get_analytics_rollup(
+  p_shop_id uuid,
+  p_start date DEFAULT NULL,
+  p_end date DEFAULT NULL,
+  p_product_id text DEFAULT '*'
+)
+RETURNS TABLE (
+  channel text,
+  messages_received bigint,
+  messages_responded bigint,
+  responded_intents jsonb,
+  checkout_links_sent bigint,
+  checkout_links_clicked bigint,
+  clicks bigint,
+  sentiment_positive bigint,
+  sentiment_neutral bigint,
+  sentiment_negative bigint,
+  followup_messages bigint,
+  followup_clicked bigint,
+  followup_revenue numeric,
+  no_followup_messages bigint,
+  no_followup_clicked bigint,
+  no_followup_revenue numeric,
+  orders bigint,
+  revenue numeric,
+  agent_discount_orders bigint,
+  agent_discount_revenue numeric,
+  currency text
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH r AS (
+    SELECT * FROM analytics_daily d
+    WHERE d.shop_id = p_shop_id
+      AND d.product_id = coalesce(p_product_id, '*')
+      AND (p_start IS NULL OR d.day >= p_start)
+      AND (p_end IS NULL OR d.day <= p_end)
+  ),
+  intents AS (
+    SELECT r.channel, i.key AS intent, sum(i.value::bigint) AS n
+    FROM r, jsonb_each_text(r.responded_intents) i
+    GROUP BY r.channel, i.key
+  )
+  SELECT r.channel,
+         sum(r.messages_received)::bigint,
+         sum(r.messages_responded)::bigint,
+         coalesce((SELECT jsonb_object_agg(intents.intent, intents.n) FROM intents WHERE intents.channel = r.channel), '{}'::jsonb),
+         sum(r.checkout_links_sent)::bigint,
+         sum(r.checkout_links_clicked)::bigint,
+         sum(r.clicks)::bigint,
+         sum(r.sentiment_positive)::bigint,
+         sum(r.sentiment_neutral)::bigint,
+         sum(r.sentiment_negative)::bigint,
+         sum(r.followup_messages)::bigint,
+         sum(r.followup_clicked)::bigint,
+         sum(r.followup_revenue),
+         sum(r.no_followup_messages)::bigint,
+         sum(r.no_followup_clicked)::bigint,
+         sum(r.no_followup_revenue),
+         sum(r.orders)::bigint,
+         sum(r.revenue),
+         sum(r.agent_discount_orders)::bigint,
+         sum(r.agent_discount_revenue),
+         max(r.currency)
+  FROM r
+  GROUP BY r.channel;
+$$;
+
+-- First-time vs repeat customers in a range. Distinct counts don't add up
+-- across days, so this one runs on messages directly (index on
+-- shop_id, created_at) and returns just the two numbers.
+CREATE OR REPLACE FUNCTION get_customer_segments(
+  p_shop_id uuid,
+  p_start timestamptz DEFAULT NULL,
+  p_end timestamptz DEFAULT NULL,
+  p_product_id text DEFAULT NULL
+)
+RETURNS TABLE (first_time bigint, repeat bigint)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT count(*) FILTER (WHERE t.n = 1), count(*) FILTER (WHERE t.n > 1)
+  FROM (
+    SELECT m.from_user_id, count(*) AS n
+    FROM messages m
+    WHERE m.shop_id = p_shop_id
+      AND m.from_user_id IS NOT NULL
+      AND (p_start IS NULL OR m.created_at >= p_start)
+      AND (p_end IS NULL OR m.created_at <= p_end)
+      AND (
+        p_product_id IS NULL
+        OR EXISTS (
+          SELECT 1 FROM links_sent l
+          WHERE l.message_id = m.id AND p_product_id = ANY (link_product_ids(l.product_id, l.line_items))
+        )
+      )
+    GROUP BY m.from_user_id
+  ) t;
+$$;
+
+SELECT refresh_analytics_daily('2000-01-01');
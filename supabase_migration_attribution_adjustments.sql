@@ -0,0 +1,307 @@
+-- Refunds, cancellations and order edits reduce attributed revenue.
+-- Run this in your Supabase SQL editor (after supabase_migration_analytics_daily.sql).
+--
+-- attribution.amount stays the gross order total from orders/create.
+-- refunds/create, orders/updated and orders/cancelled add rows to
+-- attribution_adjustments (shop currency, negative = revenue lost) and keep
+-- attribution.net_amount = amount + adjustments (zero once cancelled).
+-- presentment_* record what the customer paid in, so refunds issued in their
+-- currency can be converted at the order's own rate.
+--
+-- analytics_daily gains net_revenue next to revenue; the rollup functions are
+-- redefined to fill and return it, and the last statement re-runs the backfill.
+-- The scheduler's daily refresh reaches back 35 days, so a refund on an older
+-- order reaches the rollups on the next manual refresh_analytics_daily().
+
+ALTER TABLE attribution
+ADD COLUMN IF NOT EXISTS net_amount NUMERIC;
+
+ALTER TABLE attribution
+ADD COLUMN IF NOT EXISTS presentment_amount NUMERIC;
+
+ALTER TABLE attribution
+ADD COLUMN IF NOT EXISTS presentment_currency TEXT;
+
+ALTER TABLE attribution
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+
+UPDATE attribution SET net_amount = amount WHERE net_amount IS NULL;
+
+COMMENT ON COLUMN attribution.amount IS 'Gross order total in the shop currency at orders/create';
+COMMENT ON COLUMN attribution.net_amount IS 'amount + attribution_adjustments, or 0 once the order is cancelled';
+COMMENT ON COLUMN attribution.presentment_amount IS 'Order total in the currency the customer paid in';
+
+CREATE INDEX IF NOT EXISTS attribution_shop_order_idx ON attribution (shop_id, order_id);
+
+CREATE TABLE IF NOT EXISTS attribution_adjustments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  order_id text NOT NULL,
+  kind text NOT NULL CHECK (kind IN ('refund', 'cancel', 'edit')),
+  external_id text NOT NULL,
+  amount numeric NOT NULL,
+  original_amount numeric,
+  original_currency text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (shop_id, order_id, kind, external_id)
+);
+
+COMMENT ON COLUMN attribution_adjustments.amount IS 'Change to the order''s attributed revenue, in the shop currency';
+COMMENT ON COLUMN attribution_adjustments.external_id IS 'Shopify refund id, ''cancel'', or the order updated_at of an edit';
+COMMENT ON COLUMN attribution_adjustments.original_amount IS 'Refund as issued, in original_currency, before conversion';
+
+ALTER TABLE attribution_adjustments ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE analytics_daily
+ADD COLUMN IF NOT EXISTS net_revenue numeric NOT NULL DEFAULT 0;
+
+-- Recompute every rollup row from p_since (UTC day) onwards, for one shop or
+-- all shops. Returns the number of rows written.
+CREATE OR REPLACE FUNCTION refresh_analytics_daily(p_since date, p_shop_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_rows integer;
+BEGIN
+  DELETE FROM analytics_daily
+  WHERE day >= p_since AND (p_shop_id IS NULL OR shop_id = p_shop_id);
+
+  WITH msg AS (
+    SELECT m.id, m.shop_id,
+           (m.created_at AT TIME ZONE 'UTC')::date AS day,
+           coalesce(m.channel, 'none') AS channel,
+           m.ai_intent,
+           lower(coalesce(m.sentiment, '')) AS sentiment
+    FROM messages m
+    WHERE m.created_at >= p_since::timestamptz
+      AND (p_shop_id IS NULL OR m.shop_id = p_shop_id)
+  ),
+  lnk AS (
+    SELECT l.id, l.message_id, l.link_id, l.created_at,
+           is_checkout_link_id(l.link_id) AS is_checkout,
+           (SELECT count(*) FROM clicks c WHERE c.link_id = l.link_id) AS clicks,
+           link_product_ids(l.product_id, l.line_items) AS product_ids
+    FROM links_sent l
+    JOIN msg ON msg.id = l.message_id
+  ),
+  msg_fact AS (
+    SELECT msg.*,
+           EXISTS (SELECT 1 FROM lnk WHERE lnk.message_id = msg.id) AS responded,
+           last_link.link_id AS last_link_id,
+           coalesce(last_link.is_checkout AND last_link.clicks > 0, false) AS last_clicked,
+           EXISTS (SELECT 1 FROM followups f WHERE f.message_id = msg.id) AS has_followup,
+           coalesce((
+             SELECT sum(a.amount) FROM attribution a
+             WHERE a.shop_id = msg.shop_id AND a.link_id = last_link.link_id
+           ), 0) AS last_revenue,
+           ARRAY(
+             SELECT DISTINCT p FROM lnk, unnest(lnk.product_ids) p WHERE lnk.message_id = msg.id
+           ) AS product_ids
+    FROM msg
+    LEFT JOIN LATERAL (
+      SELECT lnk.link_id, lnk.is_checkout, lnk.clicks FROM lnk
+      WHERE lnk.message_id = msg.id
+      ORDER BY lnk.created_at DESC, lnk.id DESC
+      LIMIT 1
+    ) last_link ON true
+  ),
+  msg_dim AS (
+    SELECT mf.*, '*'::text AS product_id FROM msg_fact mf
+    UNION ALL
+    SELECT mf.*, p FROM msg_fact mf, unnest(mf.product_ids) p
+  ),
+  checkout_link AS (
+    SELECT l.shop_id,
+           (l.created_at AT TIME ZONE 'UTC')::date AS day,
+           coalesce(m.channel, 'none') AS channel,
+           (SELECT count(*) FROM clicks c WHERE c.link_id = l.link_id) AS clicks,
+           link_product_ids(l.product_id, l.line_items) AS product_ids
+    FROM links_sent l
+    LEFT JOIN messages m ON m.id = l.message_id
+    WHERE l.created_at >= p_since::timestamptz
+      AND is_checkout_link_id(l.link_id)
+      AND (p_shop_id IS NULL OR l.shop_id = p_shop_id)
+  ),
+  link_dim AS (
+    SELECT shop_id, day, channel, '*'::text AS product_id, clicks FROM checkout_link
+    UNION ALL
+    SELECT shop_id, day, channel, p, clicks FROM checkout_link, unnest(product_ids) p
+  ),
+  attr AS (
+    SELECT a.shop_id,
+           (a.created_at AT TIME ZONE 'UTC')::date AS day,
+           coalesce(a.channel, 'none') AS channel,
+           coalesce(a.amount, 0)::numeric AS amount,
+           coalesce(a.net_amount, a.amount, 0)::numeric AS net_amount,
+           a.currency,
+           a.discount_code,
+           coalesce(link_product_ids(l.product_id, l.line_items), '{}'::text[]) AS product_ids
+    FROM attribution a
+    LEFT JOIN links_sent l ON l.link_id = a.link_id
+    WHERE a.created_at >= p_since::timestamptz
+      AND (p_shop_id IS NULL OR a.shop_id = p_shop_id)
+  ),
+  attr_dim AS (
+    SELECT attr.*, '*'::text AS product_id FROM attr
+    UNION ALL
+    SELECT attr.*, p FROM attr, unnest(attr.product_ids) p
+  ),
+  msg_agg AS (
+    SELECT shop_id, day, channel, product_id,
+           count(*) AS messages_received,
+           count(*) FILTER (WHERE responded) AS messages_responded,
+           count(*) FILTER (WHERE sentiment LIKE '%positive%') AS sentiment_positive,
+           count(*) FILTER (WHERE sentiment LIKE '%negative%' AND sentiment NOT LIKE '%positive%') AS sentiment_negative,
+           count(*) FILTER (WHERE sentiment <> '' AND sentiment NOT LIKE '%positive%' AND sentiment NOT LIKE '%negative%') AS sentiment_neutral,
+           count(*) FILTER (WHERE last_link_id IS NOT NULL AND has_followup) AS followup_messages,
+           count(*) FILTER (WHERE last_link_id IS NOT NULL AND has_followup AND last_clicked) AS followup_clicked,
+           coalesce(sum(last_revenue) FILTER (WHERE last_link_id IS NOT NULL AND has_followup), 0) AS followup_revenue,
+           count(*) FILTER (WHERE last_link_id IS NOT NULL AND NOT has_followup) AS no_followup_messages,
+           count(*) FILTER (WHERE last_link_id IS NOT NULL AND NOT has_followup AND last_clicked) AS no_followup_clicked,
+           coalesce(sum(last_revenue) FILTER (WHERE last_link_id IS NOT NULL AND NOT has_followup), 0) AS no_followup_revenue
+    FROM msg_dim
+    GROUP BY shop_id, day, channel, product_id
+  ),
+  intent_agg AS (
+    SELECT shop_id, day, channel, product_id, jsonb_object_agg(ai_intent, n) AS responded_intents
+    FROM (
+      SELECT shop_id, day, channel, product_id, ai_intent, count(*) AS n
+      FROM msg_dim
+      WHERE responded AND ai_intent IS NOT NULL
+      GROUP BY shop_id, day, channel, product_id, ai_intent
+    ) t
+    GROUP BY shop_id, day, channel, product_id
+  ),
+  link_agg AS (
+    SELECT shop_id, day, channel, product_id,
+           count(*) AS checkout_links_sent,
+           count(*) FILTER (WHERE clicks > 0) AS checkout_links_clicked,
+           coalesce(sum(clicks), 0) AS clicks
+    FROM link_dim
+    GROUP BY shop_id, day, channel, product_id
+  ),
+  attr_agg AS (
+    SELECT shop_id, day, channel, product_id,
+           count(*) AS orders,
+           sum(amount) AS revenue,
+           sum(net_amount) AS net_revenue,
+           count(*) FILTER (WHERE discount_code IS NOT NULL) AS agent_discount_orders,
+           coalesce(sum(amount) FILTER (WHERE discount_code IS NOT NULL), 0) AS agent_discount_revenue,
+           max(currency) AS currency
+    FROM attr_dim
+    GROUP BY shop_id, day, channel, product_id
+  ),
+  keys AS (
+    SELECT shop_id, day, channel, product_id FROM msg_agg
+    UNION
+    SELECT shop_id, day, channel, product_id FROM link_agg
+    UNION
+    SELECT shop_id, day, channel, product_id FROM attr_agg
+  )
+  INSERT INTO analytics_daily (
+    shop_id, day, channel, product_id,
+    messages_received, messages_responded, responded_intents,
+    checkout_links_sent, checkout_links_clicked, clicks,
+    sentiment_positive, sentiment_neutral, sentiment_negative,
+    followup_messages, followup_clicked, followup_revenue,
+    no_followup_messages, no_followup_clicked, no_followup_revenue,
+    orders, revenue, net_revenue, agent_discount_orders, agent_discount_revenue, currency,
+    refreshed_at
+  )
+  SELECT k.shop_id, k.day, k.channel, k.product_id,
+         coalesce(ma.messages_received, 0), coalesce(ma.messages_responded, 0), coalesce(ia.responded_intents, '{}'::jsonb),
+         coalesce(la.checkout_links_sent, 0), coalesce(la.checkout_links_clicked, 0), coalesce(la.clicks, 0),
+         coalesce(ma.sentiment_positive, 0), coalesce(ma.sentiment_neutral, 0), coalesce(ma.sentiment_negative, 0),
+         coalesce(ma.followup_messages, 0), coalesce(ma.followup_clicked, 0), coalesce(ma.followup_revenue, 0),
+         coalesce(ma.no_followup_messages, 0), coalesce(ma.no_followup_clicked, 0), coalesce(ma.no_followup_revenue, 0),
+         coalesce(aa.orders, 0), coalesce(aa.revenue, 0), coalesce(aa.net_revenue, 0), coalesce(aa.agent_discount_orders, 0), coalesce(aa.agent_discount_revenue, 0),
+         aa.currency,
+         now()
+  FROM keys k
+  LEFT JOIN msg_agg ma USING (shop_id, day, channel, product_id)
+  LEFT JOIN intent_agg ia USING (shop_id, day, channel, product_id)
+  LEFT JOIN link_agg la USING (shop_id, day, channel, product_id)
+  LEFT JOIN attr_agg aa USING (shop_id, day, channel, product_id);
+
+  GET DIAGNOSTICS v_rows = ROW_COUNT;
+  RETURN v_rows;
+END;
+$$;
+
+-- Sum a date range of rollups, one row per channel. NULL dates = unbounded.
+-- Dropped first: the result columns changed.
+DROP FUNCTION IF EXISTS get_analytics_rollup(uuid, date, date, text);
+
+CREATE OR REPLACE FUNCTION get_analytics_rollup(
+  p_shop_id uuid,
+  p_start date DEFAULT NULL,
+  p_end date DEFAULT NULL,
+  p_product_id text DEFAULT '*'
+)
+RETURNS TABLE (
+  channel text,
+  messages_received bigint,
+  messages_responded bigint,
+  responded_intents jsonb,
+  checkout_links_sent bigint,
+  checkout_links_clicked bigint,
+  clicks bigint,
+  sentiment_positive bigint,
+  sentiment_neutral bigint,
+  sentiment_negative bigint,
+  followup_messages bigint,
+  followup_clicked bigint,
+  followup_revenue numeric,
+  no_followup_messages bigint,
+  no_followup_clicked bigint,
+  no_followup_revenue numeric,
+  orders bigint,
+  revenue numeric,
+  net_revenue numeric,
+  agent_discount_orders bigint,
+  agent_discount_revenue numeric,
+  currency text
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH r AS (
+    SELECT * FROM analytics_daily d
+    WHERE d.shop_id = p_shop_id
+      AND d.product_id = coalesce(p_product_id, '*')
+      AND (p_start IS NULL OR d.day >= p_start)
+      AND (p_end IS NULL OR d.day <= p_end)
+  ),
+  intents AS (
+    SELECT r.channel, i.key AS intent, sum(i.value::bigint) AS n
+    FROM r, jsonb_each_text(r.responded_intents) i
+    GROUP BY r.channel, i.key
+  )
+  SELECT r.channel,
+         sum(r.messages_received)::bigint,
+         sum(r.messages_responded)::bigint,
+         coalesce((SELECT jsonb_object_agg(intents.intent, intents.n) FROM intents WHERE intents.channel = r.channel), '{}'::jsonb),
+         sum(r.checkout_links_sent)::bigint,
+         sum(r.checkout_links_clicked)::bigint,
+         sum(r.clicks)::bigint,
+         sum(r.sentiment_positive)::bigint,
+         sum(r.sentiment_neutral)::bigint,
+         sum(r.sentiment_negative)::bigint,
+         sum(r.followup_messages)::bigint,
+         sum(r.followup_clicked)::bigint,
+         sum(r.followup_revenue),
+         sum(r.no_followup_messages)::bigint,
+         sum(r.no_followup_clicked)::bigint,
+         sum(r.no_followup_revenue),
+         sum(r.orders)::bigint,
+         sum(r.revenue),
+         sum(r.net_revenue),
+         sum(r.agent_discount_orders)::bigint,
+         sum(r.agent_discount_revenue),
+         max(r.currency)
+  FROM r
+  GROUP BY r.channel;
+$$;
+
+SELECT refresh_analytics_daily('2000-01-01');
@@ -0,0 +1,39 @@
+-- Automation decision log.
+-- Run this in your Supabase SQL editor.
+--
+-- handleIncomingDm / handleIncomingComment return a reason for every early
+-- exit, but it only went to logger.debug (a no-op in production), so "why
+-- didn't it reply?" meant reading server logs. One row per automation run on
+-- an inbound message records the gate that stopped it (or 'sent'), the
+-- classifier output, the sales agent's tool calls, the reply that went out
+-- and the model that wrote it. Shown on each message in the Analytics
+-- message log.
+--
+-- Append-only: a redelivered webhook adds a second row ("Already replied")
+-- instead of overwriting the first.
+
+CREATE TABLE IF NOT EXISTS automation_decisions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  message_id uuid NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  outcome text NOT NULL CHECK (outcome IN ('sent', 'skipped')),
+  gate text,
+  reason text,
+  pipeline text,
+  classification jsonb,
+  tool_calls jsonb NOT NULL DEFAULT '[]'::jsonb,
+  reply_text text,
+  model text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON COLUMN automation_decisions.gate IS 'Skip reason code that stopped the reply (see SKIP_REASONS in funnel.server.js); NULL when sent';
+COMMENT ON COLUMN automation_decisions.reason IS 'Reason text returned by the automation handler';
+COMMENT ON COLUMN automation_decisions.pipeline IS 'What produced the reply: agent, legacy, keyword_rule or opt_command';
+COMMENT ON COLUMN automation_decisions.classification IS 'Classifier output: intent, confidence, sentiment, entities, model, error';
+COMMENT ON COLUMN automation_decisions.tool_calls IS 'Sales-agent tool calls in order: [{ name, args, ok }]';
+
+CREATE INDEX IF NOT EXISTS automation_decisions_message_idx ON automation_decisions (message_id, created_at);
+CREATE INDEX IF NOT EXISTS automation_decisions_shop_idx ON automation_decisions (shop_id, created_at DESC);
+
+ALTER TABLE automation_decisions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,15 @@
+-- Multi-item cart links.
+-- Run this in your Supabase SQL editor.
+--
+-- A DM checkout link can now hold several variants (/cart/v1:q1,v2:q2).
+-- Those rows keep the first line in product_id / variant_id for existing
+-- queries and list every line in line_items. Single-product links leave
+-- line_items NULL.
+
+ALTER TABLE links_sent
+ADD COLUMN IF NOT EXISTS line_items JSONB;
+
+COMMENT ON COLUMN links_sent.line_items IS 'Cart lines of a multi-item checkout link: [{product_id, variant_id, quantity}]';
+
+CREATE INDEX IF NOT EXISTS links_sent_line_items_idx ON links_sent USING gin (line_items jsonb_path_ops)
+WHERE line_items IS NOT NULL;
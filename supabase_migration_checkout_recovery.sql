@@ -0,0 +1,43 @@
+-- Abandoned-checkout recovery DMs.
+-- Run this in your Supabase SQL editor.
+--
+-- checkouts/create and checkouts/update webhooks whose landing_site carries
+-- our ref=link_{link_id} become a checkout_recoveries row. If no order
+-- arrives by due_at (last checkout activity + the shop's delay), the
+-- recovery processor queues one DM through outbound_dm_queue, provided the
+-- customer's last DM is still inside Meta's 24h messaging window.
+-- Only the checkout token and timestamps are stored, never customer fields.
+
+ALTER TABLE settings
+ADD COLUMN IF NOT EXISTS checkout_recovery_enabled BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE settings
+ADD COLUMN IF NOT EXISTS checkout_recovery_delay_minutes INTEGER NOT NULL DEFAULT 60;
+
+ALTER TABLE settings
+ADD COLUMN IF NOT EXISTS checkout_recovery_discount_code TEXT;
+
+COMMENT ON COLUMN settings.checkout_recovery_enabled IS 'When true, customers who open a DM checkout link and abandon checkout get one recovery DM';
+COMMENT ON COLUMN settings.checkout_recovery_delay_minutes IS 'Minutes of checkout inactivity (with no order) before the recovery DM is queued';
+COMMENT ON COLUMN settings.checkout_recovery_discount_code IS 'Optional discount code mentioned in the recovery DM';
+
+CREATE TABLE IF NOT EXISTS checkout_recoveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  checkout_token text NOT NULL,
+  link_id text NOT NULL,
+  message_id uuid,
+  ig_user_id text NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'queued', 'converted', 'skipped')),
+  skip_reason text,
+  due_at timestamptz NOT NULL,
+  queued_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (shop_id, checkout_token)
+);
+
+CREATE INDEX IF NOT EXISTS checkout_recoveries_due_idx ON checkout_recoveries (due_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS checkout_recoveries_link_idx ON checkout_recoveries (shop_id, link_id);
+
+ALTER TABLE checkout_recoveries ENABLE ROW LEVEL SECURITY;
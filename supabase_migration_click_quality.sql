@@ -0,0 +1,455 @@
+-- Click quality: human clicks vs bots, link previews and repeats.
+-- Run this in your Supabase SQL editor (after supabase_migration_attribution_adjustments.sql,
+-- supabase_migration_conversion_funnel.sql and supabase_migration_weekly_digest.sql).
+--
+-- Any request with "mozilla/" in its user agent used to count as a click, and
+-- Instagram's link-preview fetcher and URL scanners send exactly that, so
+-- CTR was inflated. Every hit on a tracked link is now logged with a quality
+-- (see click-quality.server.js):
+--   human     - counts as a click
+--   duplicate - same link, IP and user agent within 30 minutes of a click
+--   bot       - bot or non-browser user agent
+--   preview   - Meta crawler IP or prefetch header, or opened within seconds
+--               of the DM being sent (link-preview fetch)
+--
+-- analytics_daily.clicks stays the raw count and gains human_clicks;
+-- checkout_links_clicked (CTR, follow-up performance), the conversion
+-- funnel's "clicked" step and top posts only count human clicks. The last
+-- statement re-runs the rollup backfill.
+
+ALTER TABLE clicks
+ADD COLUMN IF NOT EXISTS quality TEXT;
+
+ALTER TABLE clicks
+ADD COLUMN IF NOT EXISTS quality_reason TEXT;
+
+COMMENT ON COLUMN clicks.quality IS 'human, duplicate, bot or preview (only human counts as a click)';
+COMMENT ON COLUMN clicks.quality_reason IS 'Rule that set quality, e.g. bot_user_agent, meta_ip, too_soon_after_send, repeat_click';
+
+-- Existing rows were only logged for browser-like user agents; flag the
+-- obvious bots among them, then repeats of the same visitor within 30 minutes.
+UPDATE clicks
+SET quality = 'bot', quality_reason = 'bot_user_agent'
+WHERE quality IS NULL
+  AND user_agent ~* '(bot|crawl|spider|facebookexternalhit|meta-externalagent|headless|preview|scanner|python|curl|wget)';
+
+UPDATE clicks c
+SET quality = 'duplicate', quality_reason = 'repeat_click'
+FROM (
+  SELECT ctid AS row_ctid, created_at,
+         lag(created_at) OVER (
+           PARTITION BY link_id, coalesce(ip, ''), coalesce(user_agent, '')
+           ORDER BY created_at
+         ) AS previous_at
+  FROM clicks
+  WHERE quality IS NULL
+) d
+WHERE c.ctid = d.row_ctid
+  AND d.previous_at IS NOT NULL
+  AND d.created_at - d.previous_at < interval '30 minutes';
+
+UPDATE clicks SET quality = 'human' WHERE quality IS NULL;
+
+ALTER TABLE clicks ALTER COLUMN quality SET DEFAULT 'human';
+ALTER TABLE clicks ALTER COLUMN quality SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS clicks_link_quality_idx ON clicks (link_id, created_at) WHERE quality IN ('human', 'duplicate');
+
+ALTER TABLE analytics_daily
+ADD COLUMN IF NOT EXISTS human_clicks integer NOT NULL DEFAULT 0;
+
+-- Recompute every rollup row from p_since (UTC day) onwards, for one shop or
+-- all shops. Returns the number of rows written.
+CREATE OR REPLACE FUNCTION refresh_analytics_daily(p_since date, p_shop_id uuid DEFAULT NULL)
+RETURNS integer
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_rows integer;
+BEGIN
+  DELETE FROM analytics_daily
+  WHERE day >= p_since AND (p_shop_id IS NULL OR shop_id = p_shop_id);
+
+  WITH msg AS (
+    SELECT m.id, m.shop_id,
+           (m.created_at AT TIME ZONE 'UTC')::date AS day,
+           coalesce(m.channel, 'none') AS channel,
+           m.ai_intent,
+           lower(coalesce(m.sentiment, '')) AS sentiment
+    FROM messages m
+    WHERE m.created_at >= p_since::timestamptz
+      AND (p_shop_id IS NULL OR m.shop_id = p_shop_id)
+  ),
+  lnk AS (
+    SELECT l.id, l.message_id, l.link_id, l.created_at,
+           is_checkout_link_id(l.link_id) AS is_checkout,
+           (SELECT count(*) FROM clicks c WHERE c.link_id = l.link_id AND c.quality = 'human') AS clicks,
+           link_product_ids(l.product_id, l.line_items) AS product_ids
+    FROM links_sent l
+    JOIN msg ON msg.id = l.message_id
+  ),
+  msg_fact AS (
+    SELECT msg.*,
+           EXISTS (SELECT 1 FROM lnk WHERE lnk.message_id = msg.id) AS responded,
+           last_link.link_id AS last_link_id,
+           coalesce(last_link.is_checkout AND last_link.clicks > 0, false) AS last_clicked,
+           EXISTS (SELECT 1 FROM followups f WHERE f.message_id = msg.id) AS has_followup,
+           coalesce((
+             SELECT sum(a.amount) FROM attribution a
+             WHERE a.shop_id = msg.shop_id AND a.link_id = last_link.link_id
+           ), 0) AS last_revenue,
+           ARRAY(
+             SELECT DISTINCT p FROM lnk, unnest(lnk.product_ids) p WHERE lnk.message_id = msg.id
+           ) AS product_ids
+    FROM msg
+    LEFT JOIN LATERAL (
+      SELECT lnk.link_id, lnk.is_checkout, lnk.clicks FROM lnk
+      WHERE lnk.message_id = msg.id
+      ORDER BY lnk.created_at DESC, lnk.id DESC
+      LIMIT 1
+    ) last_link ON true
+  ),
+  msg_dim AS (
+    SELECT mf.*, '*'::text AS product_id FROM msg_fact mf
+    UNION ALL
+    SELECT mf.*, p FROM msg_fact mf, unnest(mf.product_ids) p
+  ),
+  checkout_link AS (
+    SELECT l.shop_id,
+           (l.created_at AT TIME ZONE 'UTC')::date AS day,
+           coalesce(m.channel, 'none') AS channel,
+           (SELECT count(*) FROM clicks c WHERE c.link_id = l.link_id) AS clicks,
+           (SELECT count(*) FROM clicks c WHERE c.link_id = l.link_id AND c.quality = 'human') AS human_clicks,
+           link_product_ids(l.product_id, l.line_items) AS product_ids
+    FROM links_sent l
+    LEFT JOIN messages m ON m.id = l.message_id
+    WHERE l.created_at >= p_since::timestamptz
+      AND is_checkout_link_id(l.link_id)
+      AND (p_shop_id IS NULL OR l.shop_id = p_shop_id)
+  ),
+  link_dim AS (
+    SELECT shop_id, day, channel, '*'::text AS product_id, clicks, human_clicks FROM checkout_link
+    UNION ALL
+    SELECT shop_id, day, channel, p, clicks, human_clicks FROM checkout_link, unnest(product_ids) p
+  ),
+  attr AS (
+    SELECT a.shop_id,
+           (a.created_at AT TIME ZONE 'UTC')::date AS day,
+           coalesce(a.channel, 'none') AS channel,
+           coalesce(a.amount, 0)::numeric AS amount,
+           coalesce(a.net_amount, a.amount, 0)::numeric AS net_amount,
+           a.currency,
+           a.discount_code,
+           coalesce(link_product_ids(l.product_id, l.line_items), '{}'::text[]) AS product_ids
+    FROM attribution a
+    LEFT JOIN links_sent l ON l.link_id = a.link_id
+    WHERE a.created_at >= p_since::timestamptz
+      AND (p_shop_id IS NULL OR a.shop_id = p_shop_id)
+  ),
+  attr_dim AS (
+    SELECT attr.*, '*'::text AS product_id FROM attr
+    UNION ALL
+    SELECT attr.*, p FROM attr, unnest(attr.product_ids) p
+  ),
+  msg_agg AS (
+    SELECT shop_id, day, channel, product_id,
+           count(*) AS messages_received,
+           count(*) FILTER (WHERE responded) AS messages_responded,
+           count(*) FILTER (WHERE sentiment LIKE '%positive%') AS sentiment_positive,
+           count(*) FILTER (WHERE sentiment LIKE '%negative%' AND sentiment NOT LIKE '%positive%') AS sentiment_negative,
+           count(*) FILTER (WHERE sentiment <> '' AND sentiment NOT LIKE '%positive%' AND sentiment NOT LIKE '%negative%') AS sentiment_neutral,
+           count(*) FILTER (WHERE last_link_id IS NOT NULL AND has_followup) AS followup_messages,
+           count(*) FILTER (WHERE last_link_id IS NOT NULL AND has_followup AND last_clicked) AS followup_clicked,
+           coalesce(sum(last_revenue) FILTER (WHERE last_link_id IS NOT NULL AND has_followup), 0) AS followup_revenue,
+           count(*) FILTER (WHERE last_link_id IS NOT NULL AND NOT has_followup) AS no_followup_messages,
+           count(*) FILTER (WHERE last_link_id IS NOT NULL AND NOT has_followup AND last_clicked) AS no_followup_clicked,
+           coalesce(sum(last_revenue) FILTER (WHERE last_link_id IS NOT NULL AND NOT has_followup), 0) AS no_followup_revenue
+    FROM msg_dim
+    GROUP BY shop_id, day, channel, product_id
+  ),
+  intent_agg AS (
+    SELECT shop_id, day, channel, product_id, jsonb_object_agg(ai_intent, n) AS responded_intents
+    FROM (
+      SELECT shop_id, day, channel, product_id, ai_intent, count(*) AS n
+      FROM msg_dim
+      WHERE responded AND ai_intent IS NOT NULL
+      GROUP BY shop_id, day, channel, product_id, ai_intent
+    ) t
+    GROUP BY shop_id, day, channel, product_id
+  ),
+  link_agg AS (
+    SELECT shop_id, day, channel, product_id,
+           count(*) AS checkout_links_sent,
+           count(*) FILTER (WHERE human_clicks > 0) AS checkout_links_clicked,
+           coalesce(sum(clicks), 0) AS clicks,
+           coalesce(sum(human_clicks), 0) AS human_clicks
+    FROM link_dim
+    GROUP BY shop_id, day, channel, product_id
+  ),
+  attr_agg AS (
+    SELECT shop_id, day, channel, product_id,
+           count(*) AS orders,
+           sum(amount) AS revenue,
+           sum(net_amount) AS net_revenue,
+           count(*) FILTER (WHERE discount_code IS NOT NULL) AS agent_discount_orders,
+           coalesce(sum(amount) FILTER (WHERE discount_code IS NOT NULL), 0) AS agent_discount_revenue,
+           max(currency) AS currency
+    FROM attr_dim
+    GROUP BY shop_id, day, channel, product_id
+  ),
+  keys AS (
+    SELECT shop_id, day, channel, product_id FROM msg_agg
+    UNION
+    SELECT shop_id, day, channel, product_id FROM link_agg
+    UNION
+    SELECT shop_id, day, channel, product_id FROM attr_agg
+  )
+  INSERT INTO analytics_daily (
+    shop_id, day, channel, product_id,
+    messages_received, messages_responded, responded_intents,
+    checkout_links_sent, checkout_links_clicked, clicks, human_clicks,
+    sentiment_positive, sentiment_neutral, sentiment_negative,
+    followup_messages, followup_clicked, followup_revenue,
+    no_followup_messages, no_followup_clicked, no_followup_revenue,
+    orders, revenue, net_revenue, agent_discount_orders, agent_discount_revenue, currency,
+    refreshed_at
+  )
+  SELECT k.shop_id, k.day, k.channel, k.product_id,
+         coalesce(ma.messages_received, 0), coalesce(ma.messages_responded, 0), coalesce(ia.responded_intents, '{}'::jsonb),
+         coalesce(la.checkout_links_sent, 0), coalesce(la.checkout_links_clicked, 0), coalesce(la.clicks, 0), coalesce(la.human_clicks, 0),
+         coalesce(ma.sentiment_positive, 0), coalesce(ma.sentiment_neutral, 0), coalesce(ma.sentiment_negative, 0),
+         coalesce(ma.followup_messages, 0), coalesce(ma.followup_clicked, 0), coalesce(ma.followup_revenue, 0),
+         coalesce(ma.no_followup_messages, 0), coalesce(ma.no_followup_clicked, 0), coalesce(ma.no_followup_revenue, 0),
+         coalesce(aa.orders, 0), coalesce(aa.revenue, 0), coalesce(aa.net_revenue, 0), coalesce(aa.agent_discount_orders, 0), coalesce(aa.agent_discount_revenue, 0),
+         aa.currency,
+         now()
+  FROM keys k
+  LEFT JOIN msg_agg ma USING (shop_id, day, channel, product_id)
+  LEFT JOIN intent_agg ia USING (shop_id, day, channel, product_id)
+  LEFT JOIN link_agg la USING (shop_id, day, channel, product_id)
+  LEFT JOIN attr_agg aa USING (shop_id, day, channel, product_id);
+
+  GET DIAGNOSTICS v_rows = ROW_COUNT;
+  RETURN v_rows;
+END;
+$$;
+
+-- Sum a date range of rollups, one row per channel. NULL dates = unbounded.
+-- Dropped first: the result columns changed.
+DROP FUNCTION IF EXISTS get_analytics_rollup(uuid, date, date, text);
+
+CREATE OR REPLACE FUNCTION get_analytics_rollup(
+  p_shop_id uuid,
+  p_start date DEFAULT NULL,
+  p_end date DEFAULT NULL,
+  p_product_id text DEFAULT '*'
+)
+RETURNS TABLE (
+  channel text,
+  messages_received bigint,
+  messages_responded bigint,
+  responded_intents jsonb,
+  checkout_links_sent bigint,
+  checkout_links_clicked bigint,
+  clicks bigint,
+  human_clicks bigint,
+  sentiment_positive bigint,
+  sentiment_neutral bigint,
+  sentiment_negative bigint,
+  followup_messages bigint,
+  followup_clicked bigint,
+  followup_revenue numeric,
+  no_followup_messages bigint,
+  no_followup_clicked bigint,
+  no_followup_revenue numeric,
+  orders bigint,
+  revenue numeric,
+  net_revenue numeric,
+  agent_discount_orders bigint,
+  agent_discount_revenue numeric,
+  currency text
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH r AS (
+    SELECT * FROM analytics_daily d
+    WHERE d.shop_id = p_shop_id
+      AND d.product_id = coalesce(p_product_id, '*')
+      AND (p_start IS NULL OR d.day >= p_start)
+      AND (p_end IS NULL OR d.day <= p_end)
+  ),
+  intents AS (
+    SELECT r.channel, i.key AS intent, sum(i.value::bigint) AS n
+    FROM r, jsonb_each_text(r.responded_intents) i
+    GROUP BY r.channel, i.key
+  )
+  SELECT r.channel,
+         sum(r.messages_received)::bigint,
+         sum(r.messages_responded)::bigint,
+         coalesce((SELECT jsonb_object_agg(intents.intent, intents.n) FROM intents WHERE intents.channel = r.channel), '{}'::jsonb),
+         sum(r.checkout_links_sent)::bigint,
+         sum(r.checkout_links_clicked)::bigint,
+         sum(r.clicks)::bigint,
+         sum(r.human_clicks)::bigint,
+         sum(r.sentiment_positive)::bigint,
+         sum(r.sentiment_neutral)::bigint,
+         sum(r.sentiment_negative)::bigint,
+         sum(r.followup_messages)::bigint,
+         sum(r.followup_clicked)::bigint,
+         sum(r.followup_revenue),
+         sum(r.no_followup_messages)::bigint,
+         sum(r.no_followup_clicked)::bigint,
+         sum(r.no_followup_revenue),
+         sum(r.orders)::bigint,
+         sum(r.revenue),
+         sum(r.net_revenue),
+         sum(r.agent_discount_orders)::bigint,
+         sum(r.agent_discount_revenue),
+         max(r.currency)
+  FROM r
+  GROUP BY r.channel;
+$$;
+
+-- One funnel row for the comments on p_media_ids in a range (NULL = unbounded).
+-- p_eligibility_reasons are the skip codes that drop a comment before the
+-- "classified eligible" step; every other skip drops it before "DM sent".
+CREATE OR REPLACE FUNCTION get_conversion_funnel(
+  p_shop_id uuid,
+  p_media_ids text[],
+  p_start timestamptz DEFAULT NULL,
+  p_end timestamptz DEFAULT NULL,
+  p_eligibility_reasons text[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  received bigint,
+  eligible bigint,
+  dm_sent bigint,
+  clicked bigint,
+  checkout_started bigint,
+  orders bigint,
+  revenue numeric,
+  skip_reasons jsonb
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH msg AS (
+    SELECT m.id, m.automation_status, m.skip_reason
+    FROM messages m
+    WHERE m.shop_id = p_shop_id
+      AND m.channel = 'comment'
+      AND m.media_id = ANY (p_media_ids)
+      AND (p_start IS NULL OR m.created_at >= p_start)
+      AND (p_end IS NULL OR m.created_at <= p_end)
+  ),
+  lnk AS (
+    SELECT l.message_id, l.link_id
+    FROM links_sent l
+    JOIN msg ON msg.id = l.message_id
+  ),
+  fact AS (
+    SELECT msg.*,
+           (msg.skip_reason IS NULL OR NOT (msg.skip_reason = ANY (p_eligibility_reasons))) AS is_eligible,
+           (msg.automation_status = 'sent' OR EXISTS (SELECT 1 FROM lnk WHERE lnk.message_id = msg.id)) AS is_sent,
+           EXISTS (
+             SELECT 1 FROM lnk JOIN clicks c ON c.link_id = lnk.link_id AND c.quality = 'human'
+             WHERE lnk.message_id = msg.id AND is_checkout_link_id(lnk.link_id)
+           ) AS is_clicked,
+           EXISTS (
+             SELECT 1 FROM lnk JOIN link_checkouts lc ON lc.link_id = lnk.link_id AND lc.shop_id = p_shop_id
+             WHERE lnk.message_id = msg.id
+           ) AS is_checkout
+    FROM msg
+  ),
+  attr AS (
+    SELECT DISTINCT ON (a.order_id) a.order_id, coalesce(a.net_amount, a.amount, 0) AS amount
+    FROM attribution a
+    JOIN lnk ON lnk.link_id = a.link_id
+    WHERE a.shop_id = p_shop_id
+  )
+  SELECT
+    count(*),
+    count(*) FILTER (WHERE is_eligible),
+    count(*) FILTER (WHERE is_eligible AND is_sent),
+    count(*) FILTER (WHERE is_eligible AND is_sent AND is_clicked),
+    count(*) FILTER (WHERE is_eligible AND is_sent AND is_checkout),
+    (SELECT count(*) FROM attr),
+    (SELECT coalesce(sum(amount), 0) FROM attr),
+    coalesce(
+      (SELECT jsonb_object_agg(skip_reason, n)
+       FROM (SELECT skip_reason, count(*) AS n FROM msg WHERE skip_reason IS NOT NULL GROUP BY skip_reason) s),
+      '{}'::jsonb
+    )
+  FROM fact;
+$$;
+
+-- Posts by comments received in [p_start, p_end], with the DMs sent for them
+-- and the clicks, orders and net revenue from those DMs' checkout links.
+CREATE OR REPLACE FUNCTION get_top_posts(
+  p_shop_id uuid,
+  p_start timestamptz DEFAULT NULL,
+  p_end timestamptz DEFAULT NULL,
+  p_limit integer DEFAULT 5
+)
+RETURNS TABLE (
+  media_id text,
+  comments bigint,
+  dms_sent bigint,
+  clicks bigint,
+  orders bigint,
+  revenue numeric
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH msg AS (
+    SELECT m.id, m.media_id, m.automation_status
+    FROM messages m
+    WHERE m.shop_id = p_shop_id
+      AND m.channel = 'comment'
+      AND m.media_id IS NOT NULL
+      AND (p_start IS NULL OR m.created_at >= p_start)
+      AND (p_end IS NULL OR m.created_at <= p_end)
+  ),
+  lnk AS (
+    SELECT msg.media_id, l.link_id
+    FROM links_sent l
+    JOIN msg ON msg.id = l.message_id
+    WHERE is_checkout_link_id(l.link_id)
+  ),
+  clk AS (
+    SELECT lnk.media_id, count(*) AS clicks
+    FROM lnk
+    JOIN clicks c ON c.link_id = lnk.link_id AND c.quality = 'human'
+    GROUP BY lnk.media_id
+  ),
+  ord AS (
+    SELECT lnk.media_id,
+           count(DISTINCT a.order_id) AS orders,
+           coalesce(sum(coalesce(a.net_amount, a.amount, 0)), 0) AS revenue
+    FROM lnk
+    JOIN attribution a ON a.link_id = lnk.link_id AND a.shop_id = p_shop_id
+    GROUP BY lnk.media_id
+  ),
+  per_post AS (
+    SELECT msg.media_id,
+           count(*) AS comments,
+           count(*) FILTER (WHERE msg.automation_status = 'sent') AS dms_sent
+    FROM msg
+    GROUP BY msg.media_id
+  )
+  SELECT p.media_id,
+         p.comments,
+         p.dms_sent,
+         coalesce(clk.clicks, 0),
+         coalesce(ord.orders, 0),
+         coalesce(ord.revenue, 0)
+  FROM per_post p
+  LEFT JOIN clk ON clk.media_id = p.media_id
+  LEFT JOIN ord ON ord.media_id = p.media_id
+  ORDER BY coalesce(ord.revenue, 0) DESC, p.comments DESC
+  LIMIT p_limit;
+$$;
+
+SELECT refresh_analytics_daily('2000-01-01');
@@ -0,0 +1,33 @@
+-- Keyword-triggered comment automations ("comment LINK to get it" campaigns).
+-- Run this in your Supabase SQL editor.
+--
+-- A rule matches a comment by keyword or regex, either on one post
+-- (ig_media_id) or on every post (ig_media_id NULL). Matching comments skip
+-- the AI classifier entirely and get the rule's DM:
+--   response_type 'fixed' = dm_text sent as-is ({link} / {username} placeholders)
+--   response_type 'ai'    = dm_text is an instruction for the AI-written reply
+-- target_type points the DM's link at a product (checkout link), a collection
+-- page, or the storefront homepage ('none').
+
+CREATE TABLE IF NOT EXISTS comment_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  ig_media_id text,
+  match_type text NOT NULL DEFAULT 'keyword' CHECK (match_type IN ('keyword', 'regex')),
+  pattern text NOT NULL,
+  response_type text NOT NULL DEFAULT 'fixed' CHECK (response_type IN ('fixed', 'ai')),
+  dm_text text,
+  public_reply text,
+  target_type text NOT NULL DEFAULT 'none' CHECK (target_type IN ('product', 'collection', 'none')),
+  target_id text,
+  target_variant_id text,
+  target_handle text,
+  target_title text,
+  enabled boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS comment_rules_shop_idx ON comment_rules (shop_id, enabled);
+
+ALTER TABLE comment_rules ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,122 @@
+-- Conversion funnel per post and per product.
+-- Run this in your Supabase SQL editor.
+--
+-- Funnel for the comments on a set of posts (one post, or every post mapped
+-- to a product): received → classified eligible → DM sent → link clicked →
+-- checkout started → order.
+--
+-- handleIncomingDm / handleIncomingComment used to return { sent: false,
+-- reason } and the reason was only logged. The webhook now stores the outcome
+-- on the message (automation_status + a skip_reason code + the original
+-- text), so the funnel can say why people dropped between steps. Comments on
+-- disabled posts are logged now too, as skipped with 'disabled_post'.
+--
+-- Checkout starts used to be stored only for shops with checkout recovery on
+-- (checkout_recoveries); link_checkouts records every checkout opened from a
+-- DM link.
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS media_id TEXT;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS automation_status TEXT CHECK (automation_status IN ('sent', 'skipped'));
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS skip_reason TEXT;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS skip_detail TEXT;
+
+COMMENT ON COLUMN messages.media_id IS 'Instagram media the comment was left on (comments only)';
+COMMENT ON COLUMN messages.automation_status IS 'Outcome of the automated reply; NULL = not processed (or logged before this column existed)';
+COMMENT ON COLUMN messages.skip_reason IS 'Why automation skipped this message, as a code (see SKIP_REASONS in funnel.server.js)';
+COMMENT ON COLUMN messages.skip_detail IS 'The skip reason as returned by the automation handler';
+
+CREATE INDEX IF NOT EXISTS messages_shop_media_idx ON messages (shop_id, media_id) WHERE media_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS link_checkouts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  link_id text NOT NULL,
+  checkout_token text NOT NULL,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz,
+  UNIQUE (shop_id, checkout_token)
+);
+
+CREATE INDEX IF NOT EXISTS link_checkouts_link_idx ON link_checkouts (shop_id, link_id);
+
+ALTER TABLE link_checkouts ENABLE ROW LEVEL SECURITY;
+
+-- One funnel row for the comments on p_media_ids in a range (NULL = unbounded).
+-- p_eligibility_reasons are the skip codes that drop a comment before the
+-- "classified eligible" step; every other skip drops it before "DM sent".
+CREATE OR REPLACE FUNCTION get_conversion_funnel(
+  p_shop_id uuid,
+  p_media_ids text[],
+  p_start timestamptz DEFAULT NULL,
+  p_end timestamptz DEFAULT NULL,
+  p_eligibility_reasons text[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  received bigint,
+  eligible bigint,
+  dm_sent bigint,
+  clicked bigint,
+  checkout_started bigint,
+  orders bigint,
+  revenue numeric,
+  skip_reasons jsonb
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH msg AS (
+    SELECT m.id, m.automation_status, m.skip_reason
+    FROM messages m
+    WHERE m.shop_id = p_shop_id
+      AND m.channel = 'comment'
+      AND m.media_id = ANY (p_media_ids)
+      AND (p_start IS NULL OR m.created_at >= p_start)
+      AND (p_end IS NULL OR m.created_at <= p_end)
+  ),
+  lnk AS (
+    SELECT l.message_id, l.link_id
+    FROM links_sent l
+    JOIN msg ON msg.id = l.message_id
+  ),
+  fact AS (
+    SELECT msg.*,
+           (msg.skip_reason IS NULL OR NOT (msg.skip_reason = ANY (p_eligibility_reasons))) AS is_eligible,
+           (msg.automation_status = 'sent' OR EXISTS (SELECT 1 FROM lnk WHERE lnk.message_id = msg.id)) AS is_sent,
+           EXISTS (
+             SELECT 1 FROM lnk JOIN clicks c ON c.link_id = lnk.link_id
+             WHERE lnk.message_id = msg.id AND is_checkout_link_id(lnk.link_id)
+           ) AS is_clicked,
+           EXISTS (
+             SELECT 1 FROM lnk JOIN link_checkouts lc ON lc.link_id = lnk.link_id AND lc.shop_id = p_shop_id
+             WHERE lnk.message_id = msg.id
+           ) AS is_checkout
+    FROM msg
+  ),
+  attr AS (
+    SELECT DISTINCT ON (a.order_id) a.order_id, coalesce(a.net_amount, a.amount, 0) AS amount
+    FROM attribution a
+    JOIN lnk ON lnk.link_id = a.link_id
+    WHERE a.shop_id = p_shop_id
+  )
+  SELECT
+    count(*),
+    count(*) FILTER (WHERE is_eligible),
+    count(*) FILTER (WHERE is_eligible AND is_sent),
+    count(*) FILTER (WHERE is_eligible AND is_sent AND is_clicked),
+    count(*) FILTER (WHERE is_eligible AND is_sent AND is_checkout),
+    (SELECT count(*) FROM attr),
+    (SELECT coalesce(sum(amount), 0) FROM attr),
+    coalesce(
+      (SELECT jsonb_object_agg(skip_reason, n)
+       FROM (SELECT skip_reason, count(*) AS n FROM msg WHERE skip_reason IS NOT NULL GROUP BY skip_reason) s),
+      '{}'::jsonb
+    )
+  FROM fact;
+$$;
@@ -0,0 +1,15 @@
+-- Image / shared-post understanding for inbound DMs.
+-- Run this in your Supabase SQL editor.
+-- messages.attachments holds the normalized attachments of a DM (image,
+-- shared post, reel) plus the product each one resolved to, so a follow-up
+-- text ("is this still available?") can reuse it as thread context.
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS attachments JSONB;
+
+COMMENT ON COLUMN messages.attachments IS 'Normalized DM attachments: [{ type, url, media_id, title, product_id, variant_id, match_source }]';
+
+ALTER TABLE settings
+ADD COLUMN IF NOT EXISTS image_matching_enabled BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN settings.image_matching_enabled IS 'When true, DM images/screenshots that do not resolve via post_product_map are matched against catalog product images with a vision model';
@@ -0,0 +1,122 @@
+-- A/B experiments on reply styles.
+-- Run this in your Supabase SQL editor.
+--
+-- A merchant defines an experiment with two to four reply variants: a tone,
+-- an addendum to the brand voice's custom instruction, the link type
+-- (checkout or product page) and whether the reply states the price. Each
+-- conversation (shop + Instagram user) is assigned one variant at random
+-- the first time automation replies to it while the experiment runs, and
+-- keeps it (experiment_assignments). Links sent in that conversation are
+-- tagged with the variant, so get_experiment_results can report click-
+-- through and attributed revenue per variant. One experiment runs per shop
+-- at a time.
+
+CREATE TABLE IF NOT EXISTS experiments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  status text NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'stopped')),
+  started_at timestamptz NOT NULL DEFAULT now(),
+  stopped_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS experiments_shop_idx ON experiments (shop_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS experiments_one_running_idx ON experiments (shop_id) WHERE status = 'running';
+
+ALTER TABLE experiments ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS experiment_variants (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  experiment_id uuid NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  position integer NOT NULL,
+  label text NOT NULL,
+  tone text CHECK (tone IN ('friendly', 'expert', 'casual')),
+  prompt_addendum text,
+  link_type text NOT NULL DEFAULT 'checkout' CHECK (link_type IN ('checkout', 'pdp')),
+  include_price boolean NOT NULL DEFAULT true,
+  UNIQUE (experiment_id, position)
+);
+
+COMMENT ON COLUMN experiment_variants.tone IS 'Overrides brand_voice.tone for this variant (NULL = brand voice tone)';
+COMMENT ON COLUMN experiment_variants.prompt_addendum IS 'Appended to brand_voice.custom_instruction for this variant';
+COMMENT ON COLUMN experiment_variants.include_price IS 'false = replies leave the price out unless the customer asked for it';
+
+ALTER TABLE experiment_variants ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS experiment_assignments (
+  experiment_id uuid NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+  ig_user_id text NOT NULL,
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  variant_id uuid NOT NULL REFERENCES experiment_variants(id) ON DELETE CASCADE,
+  assigned_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (experiment_id, ig_user_id)
+);
+
+ALTER TABLE experiment_assignments ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE links_sent
+ADD COLUMN IF NOT EXISTS experiment_id uuid REFERENCES experiments(id) ON DELETE SET NULL;
+
+ALTER TABLE links_sent
+ADD COLUMN IF NOT EXISTS experiment_variant_id uuid REFERENCES experiment_variants(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN links_sent.experiment_variant_id IS 'Reply variant the conversation was assigned when this link was sent';
+
+CREATE INDEX IF NOT EXISTS links_sent_experiment_idx ON links_sent (experiment_id) WHERE experiment_id IS NOT NULL;
+
+-- Per variant: replies that carried a tagged link, and conversations (one
+-- per customer, the unit variants are assigned to) that got one. A
+-- conversation counts as clicked when any of its tagged links got a human
+-- click (clicks.quality, see supabase_migration_click_quality.sql) and as
+-- ordered when any of them has an attributed order. Conversations are the
+-- trials for significance: a chatty customer's replies aren't independent.
+-- Orders and net revenue are totals over the tagged links.
+-- The DROP lets a database that ran an earlier version take the new columns.
+DROP FUNCTION IF EXISTS get_experiment_results(uuid);
+
+CREATE OR REPLACE FUNCTION get_experiment_results(p_experiment_id uuid)
+RETURNS TABLE (
+  variant_id uuid,
+  replies bigint,
+  conversations bigint,
+  clicked_conversations bigint,
+  ordered_conversations bigint,
+  orders bigint,
+  revenue numeric,
+  currency text
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH tagged AS (
+    SELECT l.experiment_variant_id AS variant_id, l.message_id, l.link_id, m.from_user_id AS ig_user_id
+    FROM links_sent l
+    JOIN messages m ON m.id = l.message_id
+    WHERE l.experiment_id = p_experiment_id
+      AND l.experiment_variant_id IS NOT NULL
+  ),
+  clicked AS (
+    SELECT DISTINCT t.variant_id, t.ig_user_id
+    FROM tagged t
+    WHERE EXISTS (
+      SELECT 1 FROM clicks c WHERE c.link_id = t.link_id AND c.quality = 'human'
+    )
+  ),
+  ordered AS (
+    SELECT t.variant_id, t.ig_user_id, a.order_id, coalesce(a.net_amount, a.amount, 0) AS amount, a.currency
+    FROM tagged t
+    JOIN attribution a ON a.link_id = t.link_id
+  )
+  SELECT v.id,
+         (SELECT count(DISTINCT t.message_id) FROM tagged t WHERE t.variant_id = v.id),
+         (SELECT count(DISTINCT t.ig_user_id) FROM tagged t WHERE t.variant_id = v.id),
+         (SELECT count(*) FROM clicked c WHERE c.variant_id = v.id),
+         (SELECT count(DISTINCT o.ig_user_id) FROM ordered o WHERE o.variant_id = v.id),
+         (SELECT count(DISTINCT o.order_id) FROM ordered o WHERE o.variant_id = v.id),
+         (SELECT coalesce(sum(o.amount), 0) FROM ordered o WHERE o.variant_id = v.id),
+         (SELECT max(o.currency) FROM ordered o WHERE o.variant_id = v.id)
+  FROM experiment_variants v
+  WHERE v.experiment_id = p_experiment_id;
+$$;
@@ -0,0 +1,58 @@
+-- Multi-step follow-up sequences.
+-- Run this in your Supabase SQL editor.
+--
+-- followup_steps: the merchant's sequence. Each step fires delay_hours after
+-- the customer's last DM, only if its condition holds at that moment:
+--   'not_clicked'      = no link from the exchange was clicked
+--   'clicked_no_order' = a link was clicked but no attributed order yet
+--   'ordered'          = an order was attributed (thank-you step)
+-- message NULL = AI-written in the brand voice. Delays stay under 24h because
+-- automated messages can only be sent inside Meta's standard messaging window
+-- (the HUMAN_AGENT tag is for replies typed by a person, never for automation).
+-- Shops without rows get the built-in single 23h "not clicked" nudge.
+--
+-- followup_runs: one row per conversation (anchor message) that entered the
+-- sequence. next_step only moves forward through a compare-and-set update, so
+-- overlapping cron ticks or a restart can't send the same step twice.
+
+CREATE TABLE IF NOT EXISTS followup_steps (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  delay_hours numeric NOT NULL CHECK (delay_hours > 0 AND delay_hours < 24),
+  condition text NOT NULL DEFAULT 'not_clicked' CHECK (condition IN ('not_clicked', 'clicked_no_order', 'ordered')),
+  message text,
+  enabled boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS followup_steps_shop_idx ON followup_steps (shop_id, enabled);
+
+ALTER TABLE followup_steps ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS followup_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  ig_user_id text NOT NULL,
+  message_id uuid NOT NULL,
+  anchor_at timestamptz NOT NULL,
+  link_ids text[] NOT NULL DEFAULT '{}',
+  product_ids text[] NOT NULL DEFAULT '{}',
+  steps jsonb NOT NULL DEFAULT '[]'::jsonb,
+  next_step integer NOT NULL DEFAULT 0,
+  steps_sent integer NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'stopped')),
+  stop_reason text,
+  last_sent_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (shop_id, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS followup_runs_active_idx ON followup_runs (shop_id, status) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS followup_runs_user_idx ON followup_runs (shop_id, ig_user_id, created_at DESC);
+
+COMMENT ON COLUMN followup_runs.steps IS 'Snapshot of the sequence when the run started, so edits apply to new conversations only';
+COMMENT ON COLUMN followup_runs.anchor_at IS 'Customer''s last DM time; every step must go out within 24h of it';
+
+ALTER TABLE followup_runs ENABLE ROW LEVEL SECURITY;
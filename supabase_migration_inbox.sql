@@ -0,0 +1,27 @@
+-- Unified inbox: manual replies sent from the app, and an explicit
+-- pause/resume per conversation.
+-- Run this in your Supabase SQL editor.
+--
+-- human_takeovers.paused: set when staff reply from the inbox (or pause the
+-- thread); automation stays off for that customer until someone resumes it.
+-- The rolling last_human_at window from Instagram-app replies still applies
+-- on top of this.
+
+ALTER TABLE human_takeovers
+ADD COLUMN IF NOT EXISTS paused BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN human_takeovers.paused IS 'True while automation is paused from the inbox; cleared only by an explicit resume';
+
+CREATE TABLE IF NOT EXISTS inbox_replies (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  ig_user_id text NOT NULL,
+  text text NOT NULL,
+  sent_by text,
+  human_agent_tag boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS inbox_replies_thread_idx ON inbox_replies (shop_id, ig_user_id, created_at DESC);
+
+ALTER TABLE inbox_replies ENABLE ROW LEVEL SECURITY;
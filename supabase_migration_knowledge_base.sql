@@ -0,0 +1,31 @@
+-- Merchant knowledge base for the sales agent.
+-- Run this in your Supabase SQL editor.
+--
+-- knowledge_entries holds what merchants add on the Knowledge base page:
+--   kind 'faq'      = title is the question, body the answer
+--   kind 'document' = title names a pasted document (size guide, care
+--                     instructions, shipping table), body is its text
+-- The app chunks and indexes entries in process (app/lib/knowledge-base.server.js);
+-- nothing derived is stored here.
+--
+-- automation_decisions.citations lists the knowledge base passages the sales
+-- agent's search_knowledge_base tool returned for a reply.
+
+CREATE TABLE IF NOT EXISTS knowledge_entries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  kind text NOT NULL DEFAULT 'faq' CHECK (kind IN ('faq', 'document')),
+  title text NOT NULL,
+  body text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS knowledge_entries_shop_idx ON knowledge_entries (shop_id, created_at);
+
+ALTER TABLE knowledge_entries ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE automation_decisions
+ADD COLUMN IF NOT EXISTS citations jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN automation_decisions.citations IS 'Knowledge base passages the sales agent retrieved: [{ entry_id, chunk, title }]';
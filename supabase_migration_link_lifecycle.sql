@@ -0,0 +1,39 @@
+-- Tracked-link lifecycle: expiry, revocation and destination edits.
+-- Run this in your Supabase SQL editor.
+--
+-- Until now a link_id in links_sent forwarded to its stored url forever,
+-- even after the product was archived or sold out. Merchants can now give a
+-- link an expiry, revoke it, or point it at a replacement product from the
+-- Links page. Revoked and expired links send the customer to the storefront
+-- homepage without counting a click. A link whose product is unavailable
+-- (deleted, not active, or every variant sold out) falls back to the
+-- product's collection, or the homepage, at click time.
+--
+-- url keeps the destination the DM was sent with; redirect_url overrides it
+-- and carries the same ref=link_{link_id}, so orders still attribute to the
+-- original link.
+
+ALTER TABLE links_sent
+ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+ALTER TABLE links_sent
+ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+
+ALTER TABLE links_sent
+ADD COLUMN IF NOT EXISTS redirect_product_id TEXT;
+
+ALTER TABLE links_sent
+ADD COLUMN IF NOT EXISTS redirect_variant_id TEXT;
+
+ALTER TABLE links_sent
+ADD COLUMN IF NOT EXISTS redirect_url TEXT;
+
+ALTER TABLE links_sent
+ADD COLUMN IF NOT EXISTS redirected_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN links_sent.expires_at IS 'Link stops forwarding to its destination after this time (NULL = never)';
+COMMENT ON COLUMN links_sent.revoked_at IS 'Set when the merchant revoked the link; it then goes to the storefront homepage';
+COMMENT ON COLUMN links_sent.redirect_product_id IS 'Replacement product chosen by the merchant (Shopify product GID)';
+COMMENT ON COLUMN links_sent.redirect_variant_id IS 'Replacement variant (Shopify variant GID), if one was chosen';
+COMMENT ON COLUMN links_sent.redirect_url IS 'Destination used instead of url once the link is redirected';
+COMMENT ON COLUMN links_sent.redirected_at IS 'When the merchant last changed the destination';
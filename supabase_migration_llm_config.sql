@@ -0,0 +1,21 @@
+-- Per-shop LLM provider and model selection.
+-- Run this in your Supabase SQL editor.
+--
+-- llm_config overrides the env routing in app/lib/llm.server.js for one
+-- shop, per task. Keys are tasks ("classifier", "agent", "followup"); each
+-- entry may set a provider ("openai", "local", "mock"), a model, and a
+-- fallback used when the first provider errors or returns 429. Omitted keys
+-- keep the env defaults. Example:
+--
+--   UPDATE shops SET llm_config = '{
+--     "agent": { "model": "gpt-5", "fallback": { "provider": "local", "model": "qwen2.5:14b" } },
+--     "classifier": { "provider": "local", "model": "llama3.1" }
+--   }'::jsonb
+--   WHERE shopify_domain = 'example.myshopify.com';
+--
+-- The app caches the value for up to 5 minutes.
+
+ALTER TABLE shops
+ADD COLUMN IF NOT EXISTS llm_config JSONB;
+
+COMMENT ON COLUMN shops.llm_config IS 'Per-task LLM routing: { "<classifier|agent|followup>": { "provider", "model", "fallback": { "provider", "model" } } }; null = env defaults';
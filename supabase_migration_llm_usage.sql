@@ -0,0 +1,64 @@
+-- LLM token and cost accounting.
+-- Run this in your Supabase SQL editor.
+--
+-- One llm_usage row per completed LLM call (classifier, each sales agent
+-- round, legacy replies, clarifying / size questions, follow-ups), written by
+-- app/lib/llm.server.js with the shop and, when there is one, the inbound
+-- message it was for. cost_usd is an estimate from the app's price table
+-- (llm-usage.server.js); null when the model has no known price, 0 for local
+-- and mock providers.
+--
+-- get_llm_usage_by_shop() feeds the /admin store table;
+-- get_shop_llm_tokens() is what the per-plan monthly token budget is checked
+-- against.
+
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  message_id uuid REFERENCES messages(id) ON DELETE SET NULL,
+  task text NOT NULL,
+  provider text NOT NULL,
+  model text NOT NULL,
+  prompt_tokens integer NOT NULL DEFAULT 0,
+  completion_tokens integer NOT NULL DEFAULT 0,
+  cost_usd numeric(12, 6),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON COLUMN llm_usage.task IS 'classifier | agent | followup (LLM_TASKS in llm.server.js)';
+
+CREATE INDEX IF NOT EXISTS llm_usage_shop_created_idx ON llm_usage (shop_id, created_at);
+CREATE INDEX IF NOT EXISTS llm_usage_message_idx ON llm_usage (message_id) WHERE message_id IS NOT NULL;
+
+ALTER TABLE llm_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION get_shop_llm_tokens(p_shop_id uuid, p_since timestamptz)
+RETURNS bigint
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT coalesce(sum(prompt_tokens + completion_tokens), 0)::bigint
+  FROM llm_usage
+  WHERE shop_id = p_shop_id AND created_at >= p_since;
+$$;
+
+CREATE OR REPLACE FUNCTION get_llm_usage_by_shop(p_since timestamptz)
+RETURNS TABLE (
+  shop_id uuid,
+  calls bigint,
+  prompt_tokens bigint,
+  completion_tokens bigint,
+  cost_usd numeric
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT u.shop_id,
+         count(*)::bigint,
+         sum(u.prompt_tokens)::bigint,
+         sum(u.completion_tokens)::bigint,
+         sum(coalesce(u.cost_usd, 0))
+  FROM llm_usage u
+  WHERE u.created_at >= p_since
+  GROUP BY u.shop_id;
+$$;
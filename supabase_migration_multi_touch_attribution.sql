@@ -0,0 +1,79 @@
+-- Multi-touch attribution with an attribution window.
+-- Run this in your Supabase SQL editor.
+--
+-- Orders used to be credited only when ref=link_… survived into landing_site.
+-- Now every DM link click is also remembered on the storefront: the
+-- {store}/a/go/{linkId} redirect page keeps the last clicks in a first-party
+-- cookie, copies them into a hidden cart attribute (_srai_touches, which
+-- Shopify carries onto the order's note_attributes) and reports the cart
+-- token back (link_touches). The orders/create webhook collects the touches
+-- from both within settings.attribution_window_days before the order and
+-- splits its revenue three ways in attribution_touches: first touch, last
+-- touch and linear (equal shares).
+
+ALTER TABLE settings
+ADD COLUMN IF NOT EXISTS attribution_window_days INTEGER NOT NULL DEFAULT 7;
+
+COMMENT ON COLUMN settings.attribution_window_days IS 'Link clicks up to this many days before an order get credit for it';
+
+CREATE TABLE IF NOT EXISTS link_touches (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  link_id text NOT NULL,
+  cart_token text NOT NULL,
+  touched_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS link_touches_cart_idx ON link_touches (shop_id, cart_token);
+
+ALTER TABLE link_touches ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS attribution_touches (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  order_id text NOT NULL,
+  link_id text NOT NULL,
+  channel text,
+  touched_at timestamptz NOT NULL,
+  first_touch_credit numeric NOT NULL DEFAULT 0,
+  last_touch_credit numeric NOT NULL DEFAULT 0,
+  linear_credit numeric NOT NULL DEFAULT 0,
+  amount numeric NOT NULL DEFAULT 0,
+  currency text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (shop_id, order_id, link_id)
+);
+
+CREATE INDEX IF NOT EXISTS attribution_touches_shop_created_idx ON attribution_touches (shop_id, created_at);
+
+COMMENT ON COLUMN attribution_touches.amount IS 'Full order total; a model''s revenue for this touch is amount * its credit';
+
+ALTER TABLE attribution_touches ENABLE ROW LEVEL SECURITY;
+
+-- Revenue per model and channel for orders created in a range (NULL = unbounded).
+CREATE OR REPLACE FUNCTION get_attribution_model_revenue(
+  p_shop_id uuid,
+  p_start timestamptz DEFAULT NULL,
+  p_end timestamptz DEFAULT NULL
+)
+RETURNS TABLE (
+  channel text,
+  first_touch numeric,
+  last_touch numeric,
+  linear numeric,
+  currency text
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT coalesce(t.channel, 'none'),
+         coalesce(sum(t.amount * t.first_touch_credit), 0),
+         coalesce(sum(t.amount * t.last_touch_credit), 0),
+         coalesce(sum(t.amount * t.linear_credit), 0),
+         max(t.currency)
+  FROM attribution_touches t
+  WHERE t.shop_id = p_shop_id
+    AND (p_start IS NULL OR t.created_at >= p_start)
+    AND (p_end IS NULL OR t.created_at <= p_end)
+  GROUP BY coalesce(t.channel, 'none');
+$$;
@@ -0,0 +1,26 @@
+-- Per-customer opt-out registry (replaces the per-message keyword skip).
+-- Run this in your Supabase SQL editor.
+--
+-- One row per (shop, Instagram user). A customer is opted out while
+-- opted_in_at IS NULL; sending START (or the merchant re-enabling them) sets
+-- opted_in_at instead of deleting the row, so the history stays exportable
+-- for compliance. Sending STOP again resets the row.
+--   source 'keyword'  = customer sent STOP / START
+--   source 'merchant' = added or removed by the merchant in the app
+
+CREATE TABLE IF NOT EXISTS opt_outs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  ig_user_id text NOT NULL,
+  ig_username text,
+  source text NOT NULL DEFAULT 'keyword' CHECK (source IN ('keyword', 'merchant')),
+  keyword text,
+  opted_out_at timestamptz NOT NULL DEFAULT now(),
+  opted_in_at timestamptz,
+  opted_in_source text CHECK (opted_in_source IN ('keyword', 'merchant')),
+  UNIQUE (shop_id, ig_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS opt_outs_shop_active_idx ON opt_outs (shop_id) WHERE opted_in_at IS NULL;
+
+ALTER TABLE opt_outs ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,9 @@
+-- Opt-in public threaded reply under converted comments ("Sent you a DM 💌").
+-- Run this in your Supabase SQL editor.
+-- Dedup uses links_sent rows with link_id = public_reply_comment_{commentId},
+-- so no extra table is needed.
+
+ALTER TABLE settings
+ADD COLUMN IF NOT EXISTS public_comment_reply_enabled BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN settings.public_comment_reply_enabled IS 'When true, converted comments also get a short public reply (rotating per brand voice tone) in addition to the private DM';
@@ -0,0 +1,87 @@
+-- Shared rate limits and the deferred automation queue.
+-- Run this in your Supabase SQL editor.
+--
+-- rate_limit_counters replaces the per-process limiters (they reset on every
+-- deploy and each replica counted on its own). One row per shop, bucket and
+-- window (app/lib/rate-limit.server.js):
+--   llm                       LLM calls per minute
+--   meta_graph                Meta Graph API calls per minute
+--   customer_replies:<ig id>  automated replies sent per Instagram customer per hour
+-- The limits themselves are per plan (app/lib/plans.js).
+--
+-- deferred_automations holds inbound DMs and comments whose automation run
+-- was turned away by a limit (or by a full app instance). The scheduler
+-- (or /cron/deferred-automations) runs them once the window reopens.
+-- Finished rows are purged after 7 days (cleanOldDeferredAutomations).
+
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  bucket text NOT NULL,
+  window_start timestamptz NOT NULL,
+  count integer NOT NULL DEFAULT 0,
+  PRIMARY KEY (shop_id, bucket, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_counters_window_idx ON rate_limit_counters (window_start);
+
+ALTER TABLE rate_limit_counters ENABLE ROW LEVEL SECURITY;
+
+-- Atomic increment; returns the window's count including this call.
+CREATE OR REPLACE FUNCTION increment_rate_limit_counter(
+  p_shop_id uuid,
+  p_bucket text,
+  p_window_start timestamptz
+)
+RETURNS integer
+LANGUAGE sql
+AS $$
+  INSERT INTO rate_limit_counters (shop_id, bucket, window_start, count)
+  VALUES (p_shop_id, p_bucket, p_window_start, 1)
+  ON CONFLICT (shop_id, bucket, window_start)
+  DO UPDATE SET count = rate_limit_counters.count + 1
+  RETURNING count;
+$$;
+
+CREATE TABLE IF NOT EXISTS deferred_automations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  message_id uuid NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  channel text NOT NULL CHECK (channel IN ('dm', 'comment')),
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  reason text NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'done', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  not_before timestamptz NOT NULL DEFAULT now(),
+  processing_since timestamptz,
+  last_error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON COLUMN deferred_automations.payload IS 'Webhook data the run needs beyond the message row: { attachments, story } for DMs, { media_id } for comments';
+COMMENT ON COLUMN deferred_automations.reason IS 'What deferred it: a rate limit bucket (llm, meta_graph, customer_replies) or capacity';
+
+-- A message waits in the queue at most once.
+CREATE UNIQUE INDEX IF NOT EXISTS deferred_automations_message_idx ON deferred_automations (message_id);
+CREATE INDEX IF NOT EXISTS deferred_automations_due_idx ON deferred_automations (status, not_before);
+
+ALTER TABLE deferred_automations ENABLE ROW LEVEL SECURITY;
+
+-- Same claiming pattern as claim_dm_queue_batch: overlapping runs and
+-- multiple instances never pick up the same row.
+CREATE OR REPLACE FUNCTION claim_deferred_automations(p_limit int)
+RETURNS SETOF deferred_automations
+LANGUAGE sql
+AS $$
+  UPDATE deferred_automations
+  SET status = 'processing', updated_at = now(), processing_since = now()
+  WHERE id IN (
+    SELECT id FROM deferred_automations
+    WHERE (status = 'pending' AND not_before <= now())
+       OR (status = 'processing' AND processing_since < now() - interval '10 minutes')
+    ORDER BY not_before ASC
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+$$;
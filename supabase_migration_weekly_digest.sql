@@ -0,0 +1,101 @@
+-- Weekly performance email.
+-- Run this in your Supabase SQL editor.
+--
+-- Merchants who opt in get a Monday email covering the previous week (UTC,
+-- Monday to Sunday): messages handled, links sent, clicks, attributed
+-- revenue, top posts and missed opportunities, each compared with the week
+-- before. weekly_digests is the send claim: one row per shop per week, so
+-- several app instances running the scheduler send it once.
+--
+-- get_top_posts() ranks posts by the comments they got in a range and what
+-- those comments turned into (needs messages.media_id from
+-- supabase_migration_conversion_funnel.sql).
+
+ALTER TABLE settings
+ADD COLUMN IF NOT EXISTS weekly_digest_enabled BOOLEAN DEFAULT false;
+
+ALTER TABLE settings
+ADD COLUMN IF NOT EXISTS weekly_digest_recipients TEXT[] DEFAULT '{}';
+
+COMMENT ON COLUMN settings.weekly_digest_enabled IS 'Opt-in: send the weekly performance email';
+COMMENT ON COLUMN settings.weekly_digest_recipients IS 'Email addresses that get the weekly performance email';
+
+CREATE TABLE IF NOT EXISTS weekly_digests (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+  week_start date NOT NULL,
+  recipients text[] NOT NULL DEFAULT '{}',
+  sent_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (shop_id, week_start)
+);
+
+ALTER TABLE weekly_digests ENABLE ROW LEVEL SECURITY;
+
+-- Posts by comments received in [p_start, p_end], with the DMs sent for them
+-- and the clicks, orders and net revenue from those DMs' checkout links.
+CREATE OR REPLACE FUNCTION get_top_posts(
+  p_shop_id uuid,
+  p_start timestamptz DEFAULT NULL,
+  p_end timestamptz DEFAULT NULL,
+  p_limit integer DEFAULT 5
+)
+RETURNS TABLE (
+  media_id text,
+  comments bigint,
+  dms_sent bigint,
+  clicks bigint,
+  orders bigint,
+  revenue numeric
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH msg AS (
+    SELECT m.id, m.media_id, m.automation_status
+    FROM messages m
+    WHERE m.shop_id = p_shop_id
+      AND m.channel = 'comment'
+      AND m.media_id IS NOT NULL
+      AND (p_start IS NULL OR m.created_at >= p_start)
+      AND (p_end IS NULL OR m.created_at <= p_end)
+  ),
+  lnk AS (
+    SELECT msg.media_id, l.link_id
+    FROM links_sent l
+    JOIN msg ON msg.id = l.message_id
+    WHERE is_checkout_link_id(l.link_id)
+  ),
+  clk AS (
+    SELECT lnk.media_id, count(*) AS clicks
+    FROM lnk
+    JOIN clicks c ON c.link_id = lnk.link_id
+    GROUP BY lnk.media_id
+  ),
+  ord AS (
+    SELECT lnk.media_id,
+           count(DISTINCT a.order_id) AS orders,
+           coalesce(sum(coalesce(a.net_amount, a.amount, 0)), 0) AS revenue
+    FROM lnk
+    JOIN attribution a ON a.link_id = lnk.link_id AND a.shop_id = p_shop_id
+    GROUP BY lnk.media_id
+  ),
+  per_post AS (
+    SELECT msg.media_id,
+           count(*) AS comments,
+           count(*) FILTER (WHERE msg.automation_status = 'sent') AS dms_sent
+    FROM msg
+    GROUP BY msg.media_id
+  )
+  SELECT p.media_id,
+         p.comments,
+         p.dms_sent,
+         coalesce(clk.clicks, 0),
+         coalesce(ord.orders, 0),
+         coalesce(ord.revenue, 0)
+  FROM per_post p
+  LEFT JOIN clk ON clk.media_id = p.media_id
+  LEFT JOIN ord ON ord.media_id = p.media_id
+  ORDER BY coalesce(ord.revenue, 0) DESC, p.comments DESC
+  LIMIT p_limit;
+$$;